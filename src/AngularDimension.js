@@ -0,0 +1,196 @@
+import { Vector2 } from "three";
+
+import { BaseDimension, DimensionLayout } from "./LinearDimension";
+
+/** Encapsulates all calculations about angular dimensions layout. Both two lines and three
+ * points variants are supported.
+ */
+export class AngularDimension extends BaseDimension {
+  /**
+   * @typedef AngularDimensionParams
+   * @property {?Vector2} center Angle vertex for three points variant, null for two lines
+   *  variant.
+   * @property {Vector2} p1 First extension line point for three points variant, first line start
+   *  for two lines variant.
+   * @property {Vector2} p2 Second extension line point for three points variant, first line end
+   *  for two lines variant.
+   * @property {?Vector2} p3 Second line start for two lines variant.
+   * @property {?Vector2} p4 Second line end for two lines variant.
+   * @property {Vector2} arcPoint Point on the dimension arc, defines its radius and which of the
+   *  possible angles is measured.
+   * @property {?string} text Dimension text pattern.
+   * @property {?Vector2} textAnchor Text location (middle point) override.
+   * @property {?number} textRotation Rotation angle of the dimension text away from its default
+   *  orientation.
+   * @property {?number} tessellationAngle Arc tessellation angle, radians.
+   */
+
+  /**
+   * @param {AngularDimensionParams} params
+   * @param {Function<any(string)>} styleResolver Provides value for a requested style parameter.
+   * @param {Function<number(string, number)>} textWidthCalculator Get text width in model space
+   *  units for a given text and font size (height).
+   */
+  constructor(params, styleResolver, textWidthCalculator) {
+    super(params, styleResolver, textWidthCalculator);
+    this._CalculateGeometry();
+  }
+
+  /**
+   * @return {DimensionLayout}
+   */
+  GenerateLayout() {
+    const result = new DimensionLayout();
+    const dimColor = this.styleResolver("DIMCLRD");
+    const dimScale = this._GetDimScale();
+    const arrowSize = (this.styleResolver("DIMASZ") ?? 1) * dimScale;
+
+    /* Dimension arc. */
+    this._CreateArc(result, this.center, this.radius, this.startAngle, this.sweep, dimColor);
+
+    /* Text above the arc middle point. */
+    const fontSize = (this.styleResolver("DIMTXT") ?? 1) * dimScale;
+    let textAnchor = this.params.textAnchor;
+    const midAngle = this.startAngle + this.sweep / 2;
+    if (!textAnchor) {
+      textAnchor = this._GetArcPoint(this.radius + fontSize * 0.75, midAngle);
+    }
+    const textDirAngle = textAnchor.clone().sub(this.center).angle() + Math.PI / 2;
+    this._AddText(result, fontSize, this._GetReadableTextAngle(textDirAngle), textAnchor);
+
+    /* Extension lines, radial from the measured sides to the arc. */
+    if (!(this.styleResolver("DIMSE1") ?? 0)) {
+      this._CreateRadialExtensionLine(result, this.base1, this.startAngle);
+    }
+    if (!(this.styleResolver("DIMSE2") ?? 0)) {
+      this._CreateRadialExtensionLine(result, this.base2, this.startAngle + this.sweep);
+    }
+
+    /* Arrows are directed along the arc tangents, outside if the arc is too short. */
+    const flipArrows = this.radius * this.sweep < arrowSize * 2;
+    const endAngle = this.startAngle + this.sweep;
+    const dir1 = new Vector2(-Math.sin(this.startAngle), Math.cos(this.startAngle));
+    const dir2 = new Vector2(Math.sin(endAngle), -Math.cos(endAngle));
+    if (flipArrows) {
+      dir1.negate();
+      dir2.negate();
+    }
+    this._CreateArrow(result, this._GetArcPoint(this.radius, this.startAngle), dir1, dimColor, 1);
+    this._CreateArrow(result, this._GetArcPoint(this.radius, endAngle), dir2, dimColor, 2);
+
+    return result;
+  }
+
+  /** Calculate center, radius, start angle and sweep of the dimension arc. */
+  _CalculateGeometry() {
+    const { p1, p2, p3, p4, arcPoint } = this.params;
+    /* Candidate rays with their base points - most distant point of the measured side along
+     * the ray.
+     */
+    const rays = [];
+    if (this.params.center) {
+      this.center = this.params.center.clone();
+      rays.push(this._CreateRay(p1, [p1]), this._CreateRay(p2, [p2]));
+    } else {
+      /* Two lines variant, vertex is the lines intersection. Each line gives two opposite
+       * rays.
+       */
+      const d1 = p2.clone().sub(p1);
+      const d2 = p4.clone().sub(p3);
+      const det = d1.cross(d2);
+      if (Math.abs(det) <= 1e-12 * d1.length() * d2.length()) {
+        this.isValid = false;
+        return;
+      }
+      const t = p3.clone().sub(p1).cross(d2) / det;
+      this.center = d1.clone().multiplyScalar(t).add(p1);
+      for (const [start, end] of [
+        [p1, p2],
+        [p3, p4],
+      ]) {
+        const dir = end.clone().sub(start);
+        rays.push(
+          this._CreateRay(this.center.clone().add(dir), [start, end]),
+          this._CreateRay(this.center.clone().sub(dir), [start, end]),
+        );
+      }
+    }
+
+    this.radius = arcPoint.distanceTo(this.center);
+    if (this.radius == 0) {
+      this.isValid = false;
+      return;
+    }
+
+    /* Find pair of neighbour rays which sector contains the arc point. */
+    const arcAngle = arcPoint.clone().sub(this.center).angle();
+    rays.sort((r1, r2) => r1.angle - r2.angle);
+    let startRay = rays[rays.length - 1];
+    let endRay = rays[0];
+    for (let i = 0; i < rays.length - 1; i++) {
+      if (arcAngle >= rays[i].angle && arcAngle < rays[i + 1].angle) {
+        startRay = rays[i];
+        endRay = rays[i + 1];
+        break;
+      }
+    }
+    this.startAngle = startRay.angle;
+    this.sweep = NormalizeAngle(endRay.angle - startRay.angle);
+    if (this.sweep == 0) {
+      this.isValid = false;
+      return;
+    }
+    this.base1 = startRay.base;
+    this.base2 = endRay.base;
+  }
+
+  /**
+   * @param {Vector2} pt Point defining ray direction from the center.
+   * @param {Vector2[]} sidePoints Points of the measured side.
+   * @return {{angle: number, base: number}} Ray angle in [0; 2*PI) range and the base distance
+   *  from the center.
+   */
+  _CreateRay(pt, sidePoints) {
+    const dir = pt.clone().sub(this.center);
+    const angle = NormalizeAngle(dir.angle());
+    dir.normalize();
+    let base = 0;
+    for (const sidePt of sidePoints) {
+      base = Math.max(base, sidePt.clone().sub(this.center).dot(dir));
+    }
+    return { angle, base };
+  }
+
+  _CreateRadialExtensionLine(layout, base, angle) {
+    /* Not needed if the arc crosses the measured side itself. */
+    if (base >= this.radius) {
+      return;
+    }
+    this._CreateExtensionLine(
+      layout,
+      this._GetArcPoint(base, angle),
+      this._GetArcPoint(this.radius, angle),
+    );
+  }
+
+  _GetArcPoint(radius, angle) {
+    return new Vector2(
+      this.center.x + radius * Math.cos(angle),
+      this.center.y + radius * Math.sin(angle),
+    );
+  }
+
+  _GetMeasurement() {
+    return this.sweep;
+  }
+
+  _IsAngular() {
+    return true;
+  }
+}
+
+/** @return {number} Angle in [0; 2*PI) range. */
+function NormalizeAngle(angle) {
+  angle %= Math.PI * 2;
+  return angle < 0 ? angle + Math.PI * 2 : angle;
+}
@@ -0,0 +1,22 @@
+import { AngularDimension } from "./AngularDimension";
+
+/** Arc length dimension (ARC_DIMENSION entity). Layout is the same as for three points angular
+ * dimension, `center` is the measured arc center, `p1` and `p2` are the arc end points. The
+ * measured value is length of the arc between the extension lines.
+ */
+export class ArcDimension extends AngularDimension {
+  _GetMeasurement() {
+    return this.sweep * this.params.p1.distanceTo(this.center);
+  }
+
+  _IsAngular() {
+    return false;
+  }
+
+  _GetMeasurementPrefix() {
+    /* DIMARCSYM 0 - symbol before the text, 1 - above the text, 2 - none. Above is not
+     * supported so it is also put before the text.
+     */
+    return (this.styleResolver("DIMARCSYM") ?? 0) == 2 ? "" : "⌒";
+  }
+}
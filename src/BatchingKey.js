@@ -9,6 +9,10 @@ export class BatchingKey {
    * @param color {number} Color ARGB value.
    * @param lineType {?number} Line type ID, null for non-lines. Zero is default type (solid
    *  line).
+   * @param lineweight {?number} Lineweight in hundredths of millimeter, null for non-lines.
+   * @param drawOrder {?number} Draw order level. Entities of higher level are drawn above lower
+   *  level ones. Levels are separated by entities which mask the underlying geometry (images and
+   *  wipeouts). Assigned when the batch is created if null.
    */
   constructor(
     entityType,
@@ -20,6 +24,8 @@ export class BatchingKey {
     geometryType,
     color,
     lineType,
+    lineweight,
+    drawOrder = null,
   ) {
     this.entityType = entityType ?? null;
     this.handle = handle ?? null;
@@ -30,13 +36,20 @@ export class BatchingKey {
     this.geometryType = geometryType ?? null;
     this.color = color;
     this.lineType = lineType ?? null;
+    this.lineweight = lineweight ?? null;
+    this.drawOrder = drawOrder ?? null;
   }
 
-  /** Comparator function. Fields lexical order corresponds to the constructor arguments order.
-   * Null values are always first.
+  /** Comparator function. Draw order goes first so that batches are serialized (and thus
+   * rendered) in draw order, other fields lexical order corresponds to the constructor arguments
+   * order. Null values are always first.
    */
   Compare(other) {
-    let c = CompareValues(this.layerName, other.layerName);
+    let c = CompareValues(this.drawOrder, other.drawOrder);
+    if (c !== 0) {
+      return c;
+    }
+    c = CompareValues(this.layerName, other.layerName);
     if (c !== 0) {
       return c;
     }
@@ -52,7 +65,11 @@ export class BatchingKey {
     if (c !== 0) {
       return c;
     }
-    return CompareValues(this.lineType, other.lineType);
+    c = CompareValues(this.lineType, other.lineType);
+    if (c !== 0) {
+      return c;
+    }
+    return CompareValues(this.lineweight, other.lineweight);
   }
 
   IsIndexed() {
@@ -68,6 +85,18 @@ export class BatchingKey {
       this.geometryType === BatchingKey.GeometryType.POINT_INSTANCE
     );
   }
+
+  /** @return {Boolean} True if batch vertices have third component - distance along the line,
+   *  used for line type pattern rendering.
+   */
+  HasLineDistance() {
+    return (
+      (this.geometryType === BatchingKey.GeometryType.LINES ||
+        this.geometryType === BatchingKey.GeometryType.INDEXED_LINES) &&
+      this.lineType !== null &&
+      this.lineType !== 0
+    );
+  }
 }
 
 BatchingKey.GeometryType = Object.freeze({
@@ -79,6 +108,12 @@ BatchingKey.GeometryType = Object.freeze({
   BLOCK_INSTANCE: 5,
   /** Shaped point instances. */
   POINT_INSTANCE: 6,
+  /** Textured triangles of a raster image, vertices have texture coordinates. */
+  IMAGE: 7,
+  /** SDF text glyphs, each "vertex" is a glyph quad instance - its transform and atlas
+   * rectangle.
+   */
+  SDF_GLYPH: 8,
 });
 
 /** Comparator function for arbitrary types. Null is always first. This is used just to make some
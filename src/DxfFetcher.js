@@ -1,40 +1,98 @@
 import DxfParser from "./parser/DxfParser";
 
+/** Size of chunks in characters which string content is split to for parsing. */
+const STRING_CHUNK_SIZE = 0x100000;
+
 /** Fetches and parses DXF file. */
 export class DxfFetcher {
-  constructor(url, encoding = "utf-8") {
+  /**
+   * @param url DXF file URL.
+   * @param encoding Text DXF file encoding.
+   * @param fetchOptions {?RequestInit} Additional options for `fetch()`, e.g. headers or
+   *  credentials.
+   */
+  constructor(url, encoding = "utf-8", fetchOptions = null) {
     this.url = url;
     this.encoding = encoding;
+    this.fetchOptions = fetchOptions;
   }
 
-  /** @param progressCbk {Function} (phase, receivedSize, totalSize) */
-  async Fetch(progressCbk = null) {
-    const response = await fetch(this.url);
+  /**
+   * @param progressCbk {Function} (phase, receivedSize, totalSize)
+   * @param signal {?AbortSignal} Signal for aborting the fetch.
+   */
+  async Fetch(progressCbk = null, signal = null) {
+    const response = await fetch(this.url, { ...this.fetchOptions, signal });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${this.url}: ${response.status} ${response.statusText}`);
+    }
     const totalSize = +response.headers.get("Content-Length");
+    return DxfFetcher._ReadStream(response.body, totalSize, this.encoding, progressCbk, signal);
+  }
+
+  /** Parse DXF file content which is already available, e.g. dropped or stored file.
+   * @param data {ArrayBuffer|Blob|string} File content.
+   * @param encoding Text DXF file encoding, used for binary content.
+   * @param progressCbk {Function} (phase, receivedSize, totalSize)
+   * @param signal {?AbortSignal} Signal for aborting the reading.
+   */
+  static async Parse(data, encoding = "utf-8", progressCbk = null, signal = null) {
+    if (data instanceof Blob) {
+      return DxfFetcher._ReadStream(data.stream(), data.size, encoding, progressCbk, signal);
+    }
+    if (typeof data === "string") {
+      /* Split to chunks so that parsing progress is reported, sizes are in characters. */
+      const chunks = [];
+      for (let i = 0; i < data.length; i += STRING_CHUNK_SIZE) {
+        chunks.push(data.slice(i, i + STRING_CHUNK_SIZE));
+      }
+      return DxfFetcher._Parse(chunks, encoding, progressCbk);
+    }
+    return DxfFetcher._Parse([new Uint8Array(data)], encoding, progressCbk);
+  }
 
-    const reader = response.body.getReader();
+  static async _ReadStream(stream, totalSize, encoding, progressCbk, signal) {
+    const reader = stream.getReader();
     let receivedSize = 0;
-    //XXX streaming parsing is not supported in dxf-parser for now (its parseStream() method
-    // just accumulates chunks in a string buffer before parsing. Fix it later.
-    let buffer = "";
-    let decoder = new TextDecoder(this.encoding);
+    /* Text DXF chunks are tokenized and parsed as they are received, so "fetch" and "parse"
+     * progress is reported alternately. Binary DXF is buffered by the parser until complete.
+     */
+    const parser = new DxfParser().createIncrementalParser(
+      encoding,
+      progressCbk !== null
+        ? (processedSize, totalSize) => progressCbk("parse", processedSize, totalSize)
+        : null,
+      totalSize,
+    );
     while (true) {
+      if (signal?.aborted) {
+        await reader.cancel();
+        signal.throwIfAborted();
+      }
       const { done, value } = await reader.read();
       if (done) {
-        buffer += decoder.decode(new ArrayBuffer(0), { stream: false });
         break;
       }
-      buffer += decoder.decode(value, { stream: true });
       receivedSize += value.length;
       if (progressCbk !== null) {
         progressCbk("fetch", receivedSize, totalSize);
       }
+      parser.push(value);
     }
+    return parser.finish();
+  }
 
+  static _Parse(chunks, encoding, progressCbk) {
     if (progressCbk !== null) {
-      progressCbk("parse", 0, null);
+      progressCbk("parse", 0, chunks.reduce((size, chunk) => size + chunk.length, 0));
     }
     const parser = new DxfParser();
-    return parser.parseSync(buffer);
+    return parser.parseChunksSync(
+      chunks,
+      encoding,
+      progressCbk !== null
+        ? (processedSize, totalSize) => progressCbk("parse", processedSize, totalSize)
+        : null,
+    );
   }
 }
@@ -1,13 +1,19 @@
-import { Matrix3, Vector2 } from "three";
+import { Matrix3, ShapeUtils, Vector2 } from "three";
 
 import { BatchingKey } from "./BatchingKey";
 import { DynamicBuffer, NativeType } from "./DynamicBuffer";
 import { HatchCalculator, HatchStyle } from "./HatchCalculator";
-import { LinearDimension } from "./LinearDimension";
+import { AngularDimension } from "./AngularDimension";
+import { ArcDimension } from "./ArcDimension";
+import { CreateArrowhead, DimensionLayout, LinearDimension } from "./LinearDimension";
+import { OrdinateDimension } from "./OrdinateDimension";
+import { RadialDimension } from "./RadialDimension";
 import { MTextFormatParser } from "./MTextFormatParser";
 import { LookupPattern, Pattern } from "./Pattern";
 import { RBTree } from "./RBTree";
-import { HAlign, ParseSpecialChars, TextRenderer, VAlign } from "./TextRenderer";
+import { SpatialIndex } from "./SpatialIndex";
+import { GetCellColumnSpan, GetCellRowSpan, GetTableGrid, GetTableRowType } from "./Table";
+import { HAlign, ParseSpecialChars, ParseTextRuns, TextRenderer, VAlign } from "./TextRenderer";
 import { Block, BlockContext } from "./blocks/Block";
 import dimStyleCodes from "./parser/DimStyleCodes";
 import "./patterns";
@@ -29,28 +35,72 @@ const MAX_HATCH_LINES = 20000;
  */
 const MAX_HATCH_SEGMENTS = 20000;
 
+/** @return {Function} Default value entry which depends on `$MEASUREMENT` - metric or imperial
+ * drawing units.
+ */
+function ByMeasurement(metricValue, imperialValue) {
+	return function () {
+		return this.isMetric ? metricValue : imperialValue;
+	};
+}
+
+/** SHX big fonts character codes encoding (TextDecoder label) indexed by `$DWGCODEPAGE` value. */
+const BIG_FONT_ENCODINGS = {
+	ANSI_932: "shift_jis",
+	ANSI_936: "gbk",
+	ANSI_949: "euc-kr",
+	ANSI_950: "big5"
+};
+
+/** @return {string} Big font encoding for the drawing code page. Chinese is assumed for
+ * single-byte code pages since big fonts are mostly used for it.
+ */
+function GetBigFontEncoding(codePage) {
+	return BIG_FONT_ENCODINGS[codePage?.toUpperCase()] ?? "gbk";
+}
+
 /** Default values for system variables. Entry may be either value or function to call for obtaining
  * a value, the function `this` argument is DxfScene.
  */
 const DEFAULT_VARS = {
 	/* https://knowledge.autodesk.com/support/autocad/learn-explore/caas/CloudHelp/cloudhelp/2016/ENU/AutoCAD-Core/files/GUID-A17A69D7-25EF-4F57-B4EB-D53A56AB909C-htm.html */
-	DIMTXT: function () {
-		//XXX should select value for imperial or metric units
-		return 2.5; //XXX 0.18 for imperial
-	},
-	DIMASZ: 2.5, //XXX 0.18 for imperial
+	DIMTXT: ByMeasurement(2.5, 0.18),
+	DIMADEC: 0,
+	DIMALT: 0,
+	DIMALTD: ByMeasurement(3, 2),
+	DIMALTF: ByMeasurement(0.03937, 25.4),
+	DIMALTRND: 0,
+	DIMALTU: 2,
+	DIMALTZ: 0,
+	DIMAPOST: "",
+	DIMARCSYM: 0,
+	DIMASZ: ByMeasurement(2.5, 0.18),
+	DIMAUNIT: 0,
+	DIMAZIN: 0,
+	DIMBLK: "",
+	DIMBLK1: "",
+	DIMBLK2: "",
+	DIMCEN: ByMeasurement(2.5, 0.09),
 	DIMCLRD: 0,
 	DIMCLRE: 0,
 	DIMCLRT: 0,
-	DIMDEC: 2, //XXX 4 for imperial,
+	DIMDEC: ByMeasurement(2, 4),
 	DIMDLE: 0,
-	DIMDSEP: ".".charCodeAt(0), //XXX "," for imperial,
-	DIMEXE: 1.25, //XXX 0.18 for imperial
-	DIMEXO: 0.625, // XXX 0.0625 for imperial
+	/* AutoCAD metric template uses comma, however dot is more common in files produced by other
+	 * software.
+	 */
+	DIMDSEP: ".".charCodeAt(0),
+	DIMEXE: ByMeasurement(1.25, 0.18),
+	DIMEXO: ByMeasurement(0.625, 0.0625),
+	DIMFRAC: 0,
 	DIMFXL: 1,
 	DIMFXLON: false,
-	DIMGAP: 0.625, //XXX for imperial
+	DIMGAP: ByMeasurement(0.625, 0.09),
+	DIMLDRBLK: "",
 	DIMLFAC: 1,
+	DIMLIM: 0,
+	DIMLUNIT: 2,
+	DIMPOST: "",
 	DIMRND: 0,
 	DIMSAH: 0,
 	DIMSCALE: 1,
@@ -59,8 +109,14 @@ const DEFAULT_VARS = {
 	DIMSE1: 0,
 	DIMSE2: 0,
 	DIMSOXD: false,
+	DIMTDEC: ByMeasurement(2, 4),
+	DIMTFAC: 1,
+	DIMTM: 0,
+	DIMTOL: 0,
+	DIMTP: 0,
 	DIMTSZ: 0,
-	DIMZIN: 8 //XXX 0 for imperial,
+	DIMTZIN: ByMeasurement(8, 0),
+	DIMZIN: ByMeasurement(8, 0)
 };
 
 /** This class prepares an internal representation of a DXF file, optimized fo WebGL rendering. It
@@ -91,15 +147,41 @@ export class DxfScene {
 		this.layers = new Map();
 		/* Indexed by block name, value is Block. */
 		this.blocks = new Map();
+		/* Block names indexed by block record handle. */
+		this.blockRecords = new Map();
 		/** Indexed by dimension style name, value is DIMSTYLE object from parsed DXF. */
 		this.dimStyles = new Map();
+		/** Indexed by handle, value is MLEADERSTYLE object from parsed DXF. */
+		this.mleaderStyles = new Map();
+		/** Indexed by handle, value is IMAGEDEF object from parsed DXF. */
+		this.imageDefs = new Map();
 		/** Indexed by variable name (without leading '$'). */
 		this.vars = new Map();
 		this.fontStyles = new Map();
+		/** Indexed by upper-cased line type name, value is LTYPE object from parsed DXF. */
+		this.lineTypes = new Map();
+		/** Indexed by line type name and scale, value is line type ID. */
+		this.lineTypeIds = new Map();
+		/** Scaled line type patterns, line type ID is index plus one (zero is solid line). */
+		this.lineTypePatterns = [];
 		/* Indexed by entity handle. */
 		this.inserts = new Map();
+		/* Attributes of INSERT entities indexed by INSERT handle. */
+		this.insertAttributes = new Map();
 		this.bounds = null;
+		/* Extents of top-level entities, element is {handle, entityType, layer, bounds}. */
+		this.entityExtents = [];
+		/* Extents of the currently processed top-level entity, null if not tracked. */
+		this.curEntityExtents = null;
+		/* Paper space layouts, see _GetLayouts(). */
+		this.layouts = [];
+		/* Infinite lines (XLINE and RAY), clipped to the view by the viewer, see
+		 * _ProcessConstructionLine().
+		 */
+		this.constructionLines = [];
 		this.pointShapeBlock = null;
+		/* Current draw order level for top-level entities, see BatchingKey. */
+		this.drawOrder = 0;
 		this.numBlocksFlattened = 0;
 		this.numEntitiesFiltered = 0;
 	}
@@ -109,8 +191,13 @@ export class DxfScene {
 	 * @param fontFetchers {?Function[]} List of font fetchers. Fetcher should return promise with
 	 *  loaded font object (opentype.js). They are invoked only when necessary. Each glyph is being
 	 *  searched sequentially in each provided font.
+	 * @param signal {?AbortSignal} Signal for aborting the build. The returned promise is rejected
+	 *  with the signal abort reason (AbortError by default).
+	 * @param fontMap {?Object<string, Function>} Font fetchers indexed by font name, text styles
+	 *  fonts and MTEXT font overrides are looked up there first.
 	 */
-	async Build(dxf, fontFetchers) {
+	async Build(dxf, fontFetchers, signal = null, fontMap = null) {
+		signal?.throwIfAborted();
 		const header = dxf.header || {};
 
 		// console.log("current whole dxf data is ", JSON.stringify(dxf));
@@ -126,6 +213,12 @@ export class DxfScene {
 		this.angDir = this.vars.get("ANGDIR") ?? 0;
 		this.pdSize = this.vars.get("PDSIZE") ?? 0;
 		this.isMetric = (this.vars.get("MEASUREMENT") ?? 1) == 1;
+		/* Global line type scale. */
+		this.ltScale = this.vars.get("LTSCALE") ?? 1;
+		/* Line type scale for entities which do not specify it explicitly. */
+		this.celtScale = this.vars.get("CELTSCALE") ?? 1;
+		/* Lineweight used for DEFAULT value, hundredths of millimeter. */
+		this.lwDefault = this.vars.get("LWDEFAULT") ?? 25;
 
 		if (dxf.tables && dxf.tables.layer) {
 			for (const [, layer] of Object.entries(dxf.tables.layer.layers)) {
@@ -134,15 +227,34 @@ export class DxfScene {
 			}
 		}
 
+		if (dxf.tables && dxf.tables.lineType) {
+			for (const [, lineType] of Object.entries(dxf.tables.lineType.lineTypes)) {
+				if (lineType.name) {
+					this.lineTypes.set(lineType.name.toUpperCase(), lineType);
+				}
+			}
+		}
+
 		if (dxf.tables && dxf.tables.dimstyle) {
 			for (const [, style] of Object.entries(dxf.tables.dimstyle.dimStyles)) {
 				this.dimStyles.set(style.name, style);
 			}
 		}
 
+		if (dxf.objects) {
+			for (const [handle, style] of Object.entries(dxf.objects.mleaderStyles)) {
+				this.mleaderStyles.set(handle, style);
+			}
+			for (const [handle, imageDef] of Object.entries(dxf.objects.imageDefs)) {
+				this.imageDefs.set(handle, imageDef);
+			}
+		}
+
 		if (dxf.tables && dxf.tables.style) {
 			for (const [, style] of Object.entries(dxf.tables.style.styles)) {
-				this.fontStyles.set(style.styleName, style);
+				if (style.styleName) {
+					this.fontStyles.set(style.styleName.toUpperCase(), style);
+				}
 			}
 		}
 
@@ -150,15 +262,50 @@ export class DxfScene {
 			for (const [, block] of Object.entries(dxf.blocks)) {
 				// console.log("adding data to block is ", JSON.stringify(block));
 				this.blocks.set(block.name, new Block(block));
+				if (block.ownerHandle) {
+					this.blockRecords.set(block.ownerHandle, block.name);
+				}
 			}
 		}
 
-		this.textRenderer = new TextRenderer(fontFetchers, this.options.textOptions);
+		const textOptions = this.options.textOptions;
+		this.textRenderer = new TextRenderer(
+			fontFetchers,
+			{
+				...textOptions,
+				bigFontEncoding:
+					textOptions.bigFontEncoding ?? GetBigFontEncoding(this.vars.get("DWGCODEPAGE"))
+			},
+			fontMap
+		);
 		this.hasMissingChars = false;
 		await this._FetchFonts(dxf);
+		signal?.throwIfAborted();
+
+		this.layouts = this._GetLayouts(dxf);
+		/* Model space entities. Paper space ones are moved to their layouts if there are any. */
+		let modelEntities = dxf.entities;
+		if (this.layouts.length > 0) {
+			modelEntities = [];
+			for (const entity of dxf.entities) {
+				if (entity.inPaperSpace) {
+					this._GetEntityLayout(entity).entities.push(entity);
+				} else {
+					modelEntities.push(entity);
+				}
+			}
+		}
+		/* Layout blocks are not instantiated, their content is rendered with the layout. */
+		const layoutBlocks = new Set();
+		for (const layout of this.layouts) {
+			if (layout.blockName !== null) {
+				layoutBlocks.add(layout.blockName);
+			}
+		}
 
 		/* Scan all entities to analyze block usage statistics. */
-		for (const entity of dxf.entities) {
+		const allEntities = [modelEntities, ...this.layouts.map((layout) => layout.entities)];
+		for (const entity of allEntities.flat()) {
 			if (!this._FilterEntity(entity)) {
 				continue;
 			}
@@ -167,15 +314,29 @@ export class DxfScene {
 				const block = this.blocks.get(entity.name);
 				//console.log("current block data insert is", JSON.stringify(block));
 				block?.RegisterInsert(entity);
-			} else if (entity.type == "DIMENSION") {
+				const attributes = this._GetInsertAttributes(entity, block);
+				if (attributes.length > 0) {
+					this.insertAttributes.set(entity.handle, attributes);
+				}
+			} else if (entity.type == "DIMENSION" || entity.type == "ARC_DIMENSION") {
 				if ((entity.block ?? null) !== null) {
 					const block = this.blocks.get(entity.block);
 					block?.RegisterInsert(entity);
 				}
+			} else if (entity.type === "ACAD_TABLE") {
+				if ((entity.name ?? null) !== null) {
+					const block = this.blocks.get(entity.name);
+					/* Table rows and columns are not an array of the block instances. */
+					block?.RegisterInsert({});
+				}
 			}
 		}
 
 		for (const block of this.blocks.values()) {
+			signal?.throwIfAborted();
+			if (layoutBlocks.has(block.data.name)) {
+				continue;
+			}
 			if (block.data.hasOwnProperty("entities")) {
 				const blockCtx = block.DefinitionContext();
 				for (const entity of block.data.entities) {
@@ -190,7 +351,8 @@ export class DxfScene {
 			}
 		}
 
-		for (const entity of dxf.entities) {
+		for (const entity of modelEntities) {
+			signal?.throwIfAborted();
 			if (!this._FilterEntity(entity)) {
 				this.numEntitiesFiltered++;
 				continue;
@@ -199,10 +361,40 @@ export class DxfScene {
 			this._ProcessDxfEntity(entity);
 		}
 
+		/* Each layout has its own batches and bounds, model space ones are restored after that. */
+		const modelBatches = this.batches;
+		const modelBounds = this.bounds;
+		const modelExtents = this.entityExtents;
+		const modelConstructionLines = this.constructionLines;
+		for (const layout of this.layouts) {
+			this.batches = new RBTree((b1, b2) => b1.key.Compare(b2.key));
+			this.bounds = null;
+			this.entityExtents = [];
+			this.constructionLines = [];
+			for (const entity of layout.entities) {
+				signal?.throwIfAborted();
+				if (entity.type === "VIEWPORT") {
+					layout.viewports.push(entity);
+				}
+				this._ProcessDxfEntity(entity);
+			}
+			layout.batches = this.batches;
+			layout.bounds = this.bounds;
+			layout.entityExtents = this.entityExtents;
+			layout.constructionLines = this.constructionLines;
+		}
+		this.batches = modelBatches;
+		this.bounds = modelBounds;
+		this.entityExtents = modelExtents;
+		this.constructionLines = modelConstructionLines;
+
 		this.scene = this._BuildScene();
 
 		delete this.batches;
 		delete this.layers;
+		delete this.layouts;
+		delete this.entityExtents;
+		delete this.constructionLines;
 
 		delete this.textRenderer;
 		const dxfData = _mapToObject(this.blocks);
@@ -215,12 +407,89 @@ export class DxfScene {
 		return !this.options.suppressPaperSpace || !entity.inPaperSpace;
 	}
 
+	/** Collect paper space layouts from the OBJECTS section. Model space layout is not included.
+	 *
+	 * @param dxf {{}} Parsed DXF file.
+	 * @return {{name: string, tabOrder: number, data: {}, blockName: ?string, entities: {}[],
+	 *  viewports: {}[]}[]} Paper space layouts, empty if the file has no layouts information or
+	 *  paper space is suppressed.
+	 */
+	_GetLayouts(dxf) {
+		const objects = dxf.objects;
+		if (this.options.suppressPaperSpace || !objects) {
+			return [];
+		}
+		let layoutObjects;
+		const rootDictionary = objects.dictionaries[objects.rootDictionary];
+		const layoutDictionary = objects.dictionaries[rootDictionary?.entries.ACAD_LAYOUT];
+		if (layoutDictionary) {
+			layoutObjects = Object.values(layoutDictionary.entries)
+				.map((handle) => objects.layouts[handle])
+				.filter((layout) => layout !== undefined);
+		} else {
+			layoutObjects = Object.values(objects.layouts);
+		}
+
+		/* Indexed by block record handle. */
+		const blocks = new Map();
+		for (const block of this.blocks.values()) {
+			if (block.data.ownerHandle) {
+				blocks.set(block.data.ownerHandle, block);
+			}
+		}
+
+		const layouts = [];
+		for (const layout of layoutObjects) {
+			const block = blocks.get(layout.blockRecordHandle) ?? null;
+			const blockName = block?.data.name ?? null;
+			if (
+				blockName !== null
+					? blockName.toUpperCase() === "*MODEL_SPACE"
+					: layout.name?.toUpperCase() === "MODEL"
+			) {
+				continue;
+			}
+			layouts.push({
+				name: layout.name ?? "",
+				tabOrder: layout.tabOrder ?? 0,
+				data: layout,
+				blockName,
+				entities: block?.data.entities ? [...block.data.entities] : [],
+				viewports: []
+			});
+		}
+		layouts.sort((l1, l2) => l1.tabOrder - l2.tabOrder);
+		return layouts;
+	}
+
+	/** Find layout for paper space entity from ENTITIES section. Such entities belong to the
+	 * active layout which block is "*Paper_Space".
+	 */
+	_GetEntityLayout(entity) {
+		let activeLayout = null;
+		for (const layout of this.layouts) {
+			if (
+				(entity.ownerHandle ?? null) !== null &&
+				layout.data.blockRecordHandle === entity.ownerHandle
+			) {
+				return layout;
+			}
+			if (activeLayout === null && layout.blockName?.toUpperCase() === "*PAPER_SPACE") {
+				activeLayout = layout;
+			}
+		}
+		return activeLayout ?? this.layouts[0];
+	}
+
 	async _FetchFonts(dxf) {
 		function IsTextEntity(entity) {
 			return (
 				entity.type === "TEXT" ||
 				entity.type === "MTEXT" ||
 				entity.type === "DIMENSION" ||
+				entity.type === "ARC_DIMENSION" ||
+				entity.type === "MULTILEADER" ||
+				entity.type === "ACAD_TABLE" ||
 				entity.type === "ATTDEF" ||
 				entity.type === "ATTRIB"
 			);
@@ -230,23 +499,60 @@ export class DxfScene {
 			if (!this._FilterEntity(entity)) {
 				return;
 			}
+			/* Formatted text may specify some fonts explicitly, fetch them if mapped. Glyphs are
+			 * checked against the text style font.
+			 */
+			const FetchFormattedText = async (text, textStyle) => {
+				const parser = new MTextFormatParser();
+				parser.Parse(text);
+				for (const fontName of parser.GetFonts()) {
+					await this.textRenderer.FetchMappedFont(fontName);
+				}
+				const font = this._GetTextStyleParams(textStyle).font;
+				for (const text of parser.GetText()) {
+					if (!(await this.textRenderer.FetchFonts(ParseSpecialChars(text), font))) {
+						return false;
+					}
+				}
+				return true;
+			};
+
 			let ret;
-			if (entity.type === "TEXT" || entity.type === "ATTRIB" || entity.type === "ATTDEF") {
-				ret = await this.textRenderer.FetchFonts(ParseSpecialChars(entity.text));
+			if (entity.type === "TEXT" || entity.type === "ATTRIB") {
+				ret = await this.textRenderer.FetchFonts(
+					ParseSpecialChars(entity.text),
+					this._GetTextStyleParams(entity.textStyle).font
+				);
+			} else if (entity.type === "ATTDEF") {
+				/* Tag is displayed for definitions outside of blocks. */
+				ret = await this.textRenderer.FetchFonts(
+					ParseSpecialChars((entity.text ?? "") + (entity.tag ?? "")),
+					this._GetTextStyleParams(entity.textStyle).font
+				);
 			} else if (entity.type === "MTEXT") {
-				const parser = new MTextFormatParser();
-				parser.Parse(entity.text);
+				ret = await FetchFormattedText(entity.text, entity.textStyle);
+			} else if (entity.type === "MULTILEADER") {
 				ret = true;
-				//XXX formatted MTEXT may specify some fonts explicitly, this is not yet supported
-				for (const text of parser.GetText()) {
-					if (!(await this.textRenderer.FetchFonts(ParseSpecialChars(text)))) {
+				if (entity.context?.text) {
+					ret = await FetchFormattedText(entity.context.text, null);
+				}
+			} else if (entity.type === "ACAD_TABLE") {
+				ret = true;
+				for (const [index, cell] of entity.cells.entries()) {
+					if (!cell.text) {
+						continue;
+					}
+					const row = Math.floor(index / (entity.columnCount || 1));
+					const rowStyle = entity.rowTypeOverrides?.[GetTableRowType(entity, row)];
+					const textStyle = cell.textStyle ?? rowStyle?.textStyle;
+					if (!(await FetchFormattedText(cell.text, textStyle))) {
 						ret = false;
 						break;
 					}
 				}
-			} else if (entity.type === "DIMENSION") {
+			} else if (entity.type === "DIMENSION" || entity.type === "ARC_DIMENSION") {
 				ret = true;
-				const dim = this._CreateLinearDimension(entity);
+				const dim = this._CreateDimension(entity);
 				if (dim) {
 					for (const text of dim.GetTexts()) {
 						if (!(await this.textRenderer.FetchFonts(text))) {
@@ -290,7 +596,30 @@ export class DxfScene {
 		}
 	}
 
+	/** Process DXF entity. Extents of top-level entities are recorded for the spatial index. */
 	_ProcessDxfEntity(entity, blockCtx = null) {
+		/* Invisible entities (group code 60) are never displayed. */
+		if (entity.visible === false) {
+			return;
+		}
+		if (blockCtx === null && (entity.handle ?? null) !== null) {
+			this.curEntityExtents = {
+				handle: entity.handle,
+				entityType: entity.type,
+				layer: this._GetEntityLayer(entity),
+				bounds: null
+			};
+			this._ProcessDxfEntityGeometry(entity, blockCtx);
+			if (this.curEntityExtents.bounds !== null) {
+				this.entityExtents.push(this.curEntityExtents);
+			}
+			this.curEntityExtents = null;
+			return;
+		}
+		this._ProcessDxfEntityGeometry(entity, blockCtx);
+	}
+
+	_ProcessDxfEntityGeometry(entity, blockCtx) {
 		let renderEntities;
 		switch (entity.type) {
 			case "LINE":
@@ -333,20 +662,60 @@ export class DxfScene {
 				renderEntities = this._DecomposeSolid(entity, blockCtx);
 				break;
 			case "DIMENSION":
+			case "ARC_DIMENSION":
 				renderEntities = this._DecomposeDimension(entity, blockCtx);
 				break;
+			case "LEADER":
+				renderEntities = this._DecomposeLeader(entity, blockCtx);
+				break;
+			case "MULTILEADER":
+				renderEntities = this._DecomposeMultiLeader(entity, blockCtx);
+				break;
+			case "ACAD_TABLE":
+				renderEntities = this._DecomposeTable(entity, blockCtx);
+				break;
 			case "ATTRIB":
+				if (
+					blockCtx === null &&
+					this.inserts.get(entity.ownerHandle)?.attribs?.includes(entity)
+				) {
+					/* Rendered together with the INSERT. */
+					return;
+				}
+				renderEntities = this._DecomposeAttribute(entity, blockCtx);
+				break;
+			case "ATTDEF":
 				renderEntities = this._DecomposeAttribute(entity, blockCtx);
 				break;
 			case "HATCH":
 				renderEntities = this._DecomposeHatch(entity, blockCtx);
 				break;
+			case "VIEWPORT":
+				renderEntities = this._DecomposeViewport(entity, blockCtx);
+				break;
+			case "IMAGE":
+			case "WIPEOUT":
+				/* Masks everything drawn before, so it has its own draw order level as well as
+				 * everything drawn after.
+				 */
+				this._AdvanceDrawOrder(blockCtx);
+				this._ProcessImage(entity, blockCtx);
+				this._AdvanceDrawOrder(blockCtx);
+				return;
+			case "XLINE":
+			case "RAY":
+				this._ProcessConstructionLine(entity, blockCtx);
+				return;
 			default:
 				console.log("Unhandled entity type: " + entity.type);
 				return;
 		}
 
 		for (const renderEntity of renderEntities) {
+			/* Text renderer is not aware of DXF entities, so bind its output to the source one. */
+			renderEntity.handle ??= entity.handle;
+			renderEntity.ownerHandle ??= entity.ownerHandle;
+			renderEntity.entityType ??= entity.type;
 			this._ProcessEntity(renderEntity, blockCtx);
 		}
 	}
@@ -370,20 +739,95 @@ export class DxfScene {
 			case Entity.Type.TRIANGLES:
 				this._ProcessTriangles(entity, blockCtx);
 				break;
+			case Entity.Type.GLYPH:
+				this._ProcessGlyph(entity, blockCtx);
+				break;
 			default:
 				throw new Error("Unhandled entity type: " + entity.type);
 		}
 	}
 
-	/**
+	/** Resolve entity line type.
+	 *
 	 * @param entity
 	 * @param vertex
 	 * @param blockCtx {?BlockContext}
-	 * @return {number}
+	 * @return {number} Line type ID, zero for solid line. For block entity it also may be
+	 *  LineTypeCode.BY_BLOCK which is resolved on block instantiation.
 	 */
 	_GetLineType(entity, vertex = null, blockCtx = null) {
-		//XXX lookup
-		return 0;
+		let name = (entity.lineType ?? "BYLAYER").toUpperCase();
+		if (name === "BYBLOCK") {
+			if (blockCtx) {
+				return LineTypeCode.BY_BLOCK;
+			}
+			/* BY_BLOCK is not useful when not in block so replace it by layer. */
+			name = "BYLAYER";
+		}
+		if (name === "BYLAYER") {
+			const layer = this.layers.get(this._GetEntityLayer(entity, blockCtx));
+			name = (layer?.lineType ?? "CONTINUOUS").toUpperCase();
+		}
+		return this._GetLineTypeId(name, entity.lineTypeScale ?? this.celtScale);
+	}
+
+	/** Get ID for the specified line type pattern scaled by the specified factor. New ID is
+	 * allocated on first use.
+	 *
+	 * @param name {string} Upper-cased line type name.
+	 * @param scale {number} Entity line type scale. Global scale is applied additionally.
+	 * @return {number} Line type ID, zero for solid line.
+	 */
+	_GetLineTypeId(name, scale) {
+		const lineType = this.lineTypes.get(name);
+		/* Pattern without gaps is rendered as solid line. */
+		if (!lineType?.pattern?.some((length) => length < 0)) {
+			return 0;
+		}
+		scale *= this.ltScale;
+		if (!(scale > 0)) {
+			return 0;
+		}
+		const key = `${name}@${scale}`;
+		let id = this.lineTypeIds.get(key);
+		if (id !== undefined) {
+			return id;
+		}
+		const pattern = lineType.pattern.map((length) => length * scale);
+		const patternLength = pattern.reduce((sum, length) => sum + Math.abs(length), 0);
+		if (patternLength <= 0) {
+			return 0;
+		}
+		this.lineTypePatterns.push({ name: lineType.name, pattern, patternLength });
+		id = this.lineTypePatterns.length;
+		this.lineTypeIds.set(key, id);
+		return id;
+	}
+
+	/** Resolve entity lineweight.
+	 *
+	 * @param entity
+	 * @param blockCtx {?BlockContext}
+	 * @return {number} Lineweight in hundredths of millimeter. For block entity it also may be
+	 *  LineweightCode.BY_BLOCK which is resolved on block instantiation.
+	 */
+	_GetLineweight(entity, blockCtx = null) {
+		let lineweight = entity.lineweight ?? LineweightCode.BY_LAYER;
+		if (lineweight === LineweightCode.BY_BLOCK) {
+			if (blockCtx) {
+				return LineweightCode.BY_BLOCK;
+			}
+			/* BY_BLOCK is not useful when not in block so replace it by layer. */
+			lineweight = LineweightCode.BY_LAYER;
+		}
+		if (lineweight === LineweightCode.BY_LAYER) {
+			const layer = this.layers.get(this._GetEntityLayer(entity, blockCtx));
+			lineweight = layer?.lineweight ?? LineweightCode.DEFAULT;
+		}
+		if (lineweight < 0) {
+			return this.lwDefault;
+		}
+		return lineweight;
 	}
 
 	/** Check if start/end with are not specified. */
@@ -408,7 +852,123 @@ export class DxfScene {
 			vertices: entity.vertices,
 			layer,
 			color,
-			lineType: this._GetLineType(entity, entity.vertices[0])
+			lineType: this._GetLineType(entity, entity.vertices[0], blockCtx),
+			lineweight: this._GetLineweight(entity, blockCtx)
+		});
+	}
+
+	/** Infinite lines cannot be tessellated in advance, so they are passed to the viewer which
+	 * clips them to the current view extents. They do not contribute to the scene bounds. Block
+	 * definition lines are stored in the block and added for each its instance, see
+	 * _InstantiateConstructionLines().
+	 */
+	_ProcessConstructionLine(entity, blockCtx) {
+		if (!entity.position || !entity.direction) {
+			return;
+		}
+		const position = new Vector2(entity.position.x, entity.position.y);
+		const direction = new Vector2(entity.direction.x, entity.direction.y);
+		if (blockCtx) {
+			/* Block offset is not applied, block bounds are not affected as well. */
+			direction.add(position).applyMatrix3(blockCtx.transform);
+			position.applyMatrix3(blockCtx.transform);
+			direction.sub(position);
+		}
+		if (direction.lengthSq() === 0) {
+			return;
+		}
+		direction.normalize();
+		const line = {
+			handle: entity.handle ?? null,
+			entityType: entity.type,
+			layer: this._GetEntityLayer(entity, blockCtx) ?? entity.layer,
+			color: this._GetEntityColor(entity, blockCtx),
+			lineType: this._GetLineType(entity, entity.position, blockCtx),
+			lineweight: this._GetLineweight(entity, blockCtx),
+			position: { x: position.x, y: position.y },
+			direction: { x: direction.x, y: direction.y },
+			isRay: entity.type === "RAY"
+		};
+		if (blockCtx) {
+			blockCtx.block.constructionLines.push(line);
+		} else {
+			this.constructionLines.push(line);
+		}
+	}
+
+	/** Add construction lines of block definition for each cell of the specified INSERT. Layer 0,
+	 * ByBlock and ByLayer properties are resolved the same way as for flattened batches.
+	 */
+	_InstantiateConstructionLines(entity, block, layer, color, lineType, lineweight) {
+		if (block.constructionLines.length === 0) {
+			return;
+		}
+		/* Definition context transform does not include block offset which is not applied to
+		 * construction lines.
+		 */
+		const ctx = block.DefinitionContext();
+		for (const [column, row] of InsertArrayCells(entity)) {
+			const transform = ctx.GetInsertionTransform(entity, column, row);
+			for (const line of block.constructionLines) {
+				const position = new Vector2(line.position.x, line.position.y);
+				const direction = new Vector2(line.direction.x, line.direction.y)
+					.add(position)
+					.applyMatrix3(transform);
+				position.applyMatrix3(transform);
+				direction.sub(position);
+				if (direction.lengthSq() === 0) {
+					continue;
+				}
+				direction.normalize();
+				const lineLayer = line.layer === "0" ? layer : line.layer;
+				let lineColor = line.color;
+				if (lineColor === ColorCode.BY_BLOCK) {
+					lineColor = color;
+				} else if (lineColor === ColorCode.BY_LAYER) {
+					lineColor = this.layers.get(lineLayer)?.color ?? 0;
+				}
+				this.constructionLines.push({
+					...line,
+					handle: entity.handle ?? null,
+					entityType: entity.entityType ?? entity.type,
+					layer: lineLayer,
+					color: lineColor,
+					lineType: line.lineType === LineTypeCode.BY_BLOCK ? lineType : line.lineType,
+					lineweight:
+						line.lineweight === LineweightCode.BY_BLOCK ? lineweight : line.lineweight,
+					position: { x: position.x, y: position.y },
+					direction: { x: direction.x, y: direction.y }
+				});
+			}
+		}
+	}
+
+	/** Viewport border. Viewport content is rendered by the viewer. */
+	*_DecomposeViewport(entity, blockCtx) {
+		/* ID 1 is the paper space itself. */
+		if (entity.id === 1 || !entity.center || !entity.width || !entity.height) {
+			return;
+		}
+		const hw = entity.width / 2;
+		const hh = entity.height / 2;
+		const c = entity.center;
+		yield new Entity({
+			entityType: entity.type,
+			handle: entity.handle,
+			ownerHandle: entity.ownerHandle,
+			name: blockCtx?.name ?? entity.name,
+			type: Entity.Type.POLYLINE,
+			vertices: [
+				{ x: c.x - hw, y: c.y - hh },
+				{ x: c.x + hw, y: c.y - hh },
+				{ x: c.x + hw, y: c.y + hh },
+				{ x: c.x - hw, y: c.y + hh }
+			],
+			shape: true,
+			layer: this._GetEntityLayer(entity, blockCtx),
+			color: this._GetEntityColor(entity, blockCtx),
+			lineType: this._GetLineType(entity, null, blockCtx),
+			lineweight: this._GetLineweight(entity, blockCtx)
 		});
 	}
 
@@ -568,6 +1128,7 @@ export class DxfScene {
 		const color = this._GetEntityColor(entity, blockCtx);
 		const layer = this._GetEntityLayer(entity, blockCtx);
 		const lineType = this._GetLineType(entity, null, blockCtx);
+		const lineweight = this._GetLineweight(entity, blockCtx);
 		const vertices = [];
 		this._GenerateArcVertices({
 			vertices,
@@ -587,6 +1148,7 @@ export class DxfScene {
 			layer,
 			color,
 			lineType,
+			lineweight,
 			shape: entity.endAngle === undefined
 		});
 	}
@@ -595,6 +1157,7 @@ export class DxfScene {
 		const color = this._GetEntityColor(entity, blockCtx);
 		const layer = this._GetEntityLayer(entity, blockCtx);
 		const lineType = this._GetLineType(entity, null, blockCtx);
+		const lineweight = this._GetLineweight(entity, blockCtx);
 		const vertices = [];
 		this._GenerateArcVertices({
 			vertices,
@@ -612,6 +1175,7 @@ export class DxfScene {
 			layer,
 			color,
 			lineType,
+			lineweight,
 			shape: true
 		});
 	}
@@ -620,6 +1184,7 @@ export class DxfScene {
 		const color = this._GetEntityColor(entity, blockCtx);
 		const layer = this._GetEntityLayer(entity, blockCtx);
 		const lineType = this._GetLineType(entity, null, blockCtx);
+		const lineweight = this._GetLineweight(entity, blockCtx);
 		const vertices = [];
 		const xR = Math.sqrt(
 			entity.majorAxisEndPoint.x * entity.majorAxisEndPoint.x +
@@ -660,6 +1225,7 @@ export class DxfScene {
 			layer,
 			color,
 			lineType,
+			lineweight,
 			shape: isClosed
 		});
 	}
@@ -728,30 +1294,85 @@ export class DxfScene {
 		});
 	}
 
+	/** Decompose ATTRIB or ATTDEF entity. */
 	*_DecomposeAttribute(entity, blockCtx) {
-		if (!this.textRenderer.canRender) {
+		if (!this.textRenderer.canRender || entity.invisible) {
 			return;
 		}
 
-		const insertEntity = this.inserts.get(entity.ownerHandle);
-		const layer = this._GetEntityLayer(insertEntity ?? entity, blockCtx);
-		const color = this._GetEntityColor(insertEntity ?? entity, blockCtx);
+		let text = entity.text;
+		if (entity.type === "ATTDEF") {
+			/* Block definition displays constant attributes only, other values come from ATTRIBs
+			 * of each INSERT. Definition outside of block displays its tag.
+			 */
+			if (blockCtx === null) {
+				text = entity.tag;
+			} else if (!entity.constant) {
+				return;
+			}
+		}
+		if (!text) {
+			return;
+		}
 
-		//XXX lookup font style attributes
+		/* Attribute on layer 0 inherits INSERT layer, ByBlock color inherits INSERT color. */
+		const insertEntity =
+			(blockCtx === null ? this.inserts.get(entity.ownerHandle) : null) ?? entity;
+		const layerEntity = (entity.layer ?? "0") === "0" ? insertEntity : entity;
+		const isByLayer = !entity.hasOwnProperty("color") || entity.colorIndex === 256;
+		const layer = this._GetEntityLayer(layerEntity, blockCtx);
+		const color = this._GetEntityColor(
+			entity.colorIndex === 0 || isByLayer ? layerEntity : entity,
+			blockCtx
+		);
 
 		yield* this.textRenderer.Render({
-			text: ParseSpecialChars(entity.text),
-			fontSize: entity.textHeight * entity.scale,
+			text: ParseTextRuns(text),
 			startPos: entity.startPoint,
 			endPos: entity.endPoint,
 			rotation: entity.rotation,
 			hAlign: entity.horizontalJustification,
 			vAlign: entity.verticalJustification,
+			...this._GetTextStyleParams(entity.textStyle, {
+				height: entity.textHeight,
+				/* Relative X scale factor. */
+				widthFactor: entity.scale,
+				obliqueAngle: entity.obliqueAngle,
+				generationFlags: (entity.backwards ? 2 : 0) | (entity.mirrored ? 4 : 0)
+			}),
 			color,
 			layer
 		});
 	}
 
+	/** Attributes of INSERT entity and constant attributes of its block definition.
+	 * @param entity Raw DXF INSERT entity.
+	 * @param block {?Block}
+	 * @return {{handle: string, tag: string, value: string, invisible: boolean,
+	 *  constant: boolean}[]}
+	 */
+	_GetInsertAttributes(entity, block) {
+		const result = [];
+		const Push = (attribute, constant) => {
+			result.push({
+				handle: attribute.handle,
+				tag: attribute.tag ?? "",
+				value: ParseSpecialChars(attribute.text ?? ""),
+				invisible: attribute.invisible === true,
+				constant
+			});
+		};
+		for (const attrib of entity.attribs ?? []) {
+			Push(attrib, false);
+		}
+		for (const blockEntity of block?.data.entities ?? []) {
+			if (blockEntity.type === "ATTDEF" && blockEntity.constant) {
+				Push(blockEntity, true);
+			}
+		}
+		return result;
+	}
+
 	/** Create line segments for point marker.
 	 * @param vertices
 	 * @param markType
@@ -959,14 +1580,18 @@ export class DxfScene {
 		const layer = this._GetEntityLayer(entity, blockCtx);
 		const color = this._GetEntityColor(entity, blockCtx);
 		const renderEntities = this.textRenderer.Render({
-			text: ParseSpecialChars(entity.text),
-			fontSize: entity.textHeight,
+			text: ParseTextRuns(entity.text),
 			startPos: entity.startPoint,
 			endPos: entity.endPoint,
 			rotation: entity.rotation,
 			hAlign: entity.halign,
 			vAlign: entity.valign,
-			widthFactor: entity.xScale,
+			...this._GetTextStyleParams(entity.textStyle, {
+				height: entity.textHeight,
+				widthFactor: entity.xScale,
+				obliqueAngle: entity.obliqueAngle,
+				generationFlags: entity.generationFlags
+			}),
 			entityType: entity.type,
 			color,
 			layer
@@ -977,6 +1602,42 @@ export class DxfScene {
 		}
 	}
 
+	/** Text rendering parameters from the text style (STYLE table record). Values specified by the
+	 * entity take precedence over the style ones.
+	 * @param textStyle {?string} Text style name, "Standard" if not specified.
+	 * @param height {?number} Entity text height, style fixed height is used if not specified.
+	 * @param widthFactor {?number} Entity width factor.
+	 * @param obliqueAngle {?number} Entity oblique angle, deg.
+	 * @param generationFlags {?number} Entity text generation flags.
+	 * @param isMText {boolean} Width factor and oblique angle are taken from the style for MTEXT.
+	 *  TEXT and ATTRIB store their own values (style ones just seed newly created entities), so
+	 *  the missing ones have default values.
+	 * @return {{fontSize: ?number, font: ?{name: string, bigFont: ?string}, widthFactor: number,
+	 *  obliqueAngle: number, isBackward: boolean, isUpsideDown: boolean}}
+	 */
+	_GetTextStyleParams(
+		textStyle,
+		{
+			height = null,
+			widthFactor = null,
+			obliqueAngle = null,
+			generationFlags = null,
+			isMText = false
+		} = {}
+	) {
+		const style = this.fontStyles.get((textStyle ?? "Standard").toUpperCase()) ?? null;
+		const styleDefaults = isMText ? style : null;
+		const flags = generationFlags ?? 0;
+		return {
+			fontSize: height || style?.fixedTextHeight,
+			font: style?.font ? { name: style.font, bigFont: style.bigFont || null } : null,
+			widthFactor: widthFactor ?? styleDefaults?.widthFactor ?? 1,
+			obliqueAngle: obliqueAngle ?? styleDefaults?.obliqueAngle ?? 0,
+			isBackward: (flags & 2) !== 0,
+			isUpsideDown: (flags & 4) !== 0
+		};
+	}
+
 	*_DecomposeMText(entity, blockCtx) {
 		if (!this.textRenderer.canRender) {
 			return;
@@ -985,9 +1646,14 @@ export class DxfScene {
 		const color = this._GetEntityColor(entity, blockCtx);
 		const parser = new MTextFormatParser();
 		parser.Parse(ParseSpecialChars(entity.text));
+		/* Mirroring flags are not applicable to MTEXT. */
+		const { isBackward, isUpsideDown, ...styleParams } = this._GetTextStyleParams(
+			entity.textStyle,
+			{ height: entity.height, isMText: true }
+		);
 		yield* this.textRenderer.RenderMText({
 			formattedText: parser.GetContent(),
-			fontSize: entity.height,
+			...styleParams,
 			position: entity.position,
 			rotation: entity.rotation,
 			direction: entity.direction,
@@ -1001,19 +1667,110 @@ export class DxfScene {
 	}
 
 	/**
-	 * @return {?LinearDimension} Dimension handler instance, null if not possible to create from
+	 * @return {?BaseDimension} Dimension handler instance, null if not possible to create from
 	 * the provided entity.
 	 */
-	_CreateLinearDimension(entity) {
+	_CreateDimension(entity) {
 		const type = (entity.dimensionType || 0) & 0xf;
-		/* For now support linear dimensions only. */
-		if (
-			(type != 0 && type != 1) ||
-			!entity.linearOrAngularPoint1 ||
-			!entity.linearOrAngularPoint2 ||
-			!entity.anchorPoint
-		) {
-			return null;
+		const { anchorPoint, linearOrAngularPoint1, linearOrAngularPoint2 } = entity;
+		const center = entity.diameterOrRadiusPoint;
+		/* Meaning of definition points depends on the dimension type, see
+		 * https://ezdxf.readthedocs.io/en/stable/dxfentities/dimension.html
+		 */
+		let dimClass;
+		let params;
+		if (entity.type === "ARC_DIMENSION") {
+			if (!linearOrAngularPoint1 || !linearOrAngularPoint2 || !center || !anchorPoint) {
+				return null;
+			}
+			dimClass = ArcDimension;
+			params = {
+				center: new Vector2().copy(center),
+				p1: new Vector2().copy(linearOrAngularPoint1),
+				p2: new Vector2().copy(linearOrAngularPoint2),
+				arcPoint: new Vector2().copy(anchorPoint)
+			};
+		} else {
+			switch (type) {
+				case 0:
+				case 1:
+					if (!linearOrAngularPoint1 || !linearOrAngularPoint2 || !anchorPoint) {
+						return null;
+					}
+					dimClass = LinearDimension;
+					params = {
+						p1: new Vector2().copy(linearOrAngularPoint1),
+						p2: new Vector2().copy(linearOrAngularPoint2),
+						anchor: new Vector2().copy(anchorPoint),
+						isAligned: type == 1,
+						angle: entity.angle
+					};
+					break;
+				case 2:
+					if (
+						!linearOrAngularPoint1 ||
+						!linearOrAngularPoint2 ||
+						!center ||
+						!anchorPoint ||
+						!entity.arcPoint
+					) {
+						return null;
+					}
+					dimClass = AngularDimension;
+					params = {
+						center: null,
+						p1: new Vector2().copy(linearOrAngularPoint1),
+						p2: new Vector2().copy(linearOrAngularPoint2),
+						p3: new Vector2().copy(center),
+						p4: new Vector2().copy(anchorPoint),
+						arcPoint: new Vector2().copy(entity.arcPoint)
+					};
+					break;
+				case 3:
+				case 4:
+					if (!center || !anchorPoint) {
+						return null;
+					}
+					dimClass = RadialDimension;
+					/* Diameter dimension has two opposite chord points, radius one has center
+					 * point in group 10.
+					 */
+					params = {
+						center:
+							type == 3
+								? new Vector2().copy(center).add(anchorPoint).multiplyScalar(0.5)
+								: new Vector2().copy(anchorPoint),
+						chordPoint: new Vector2().copy(center),
+						isDiameter: type == 3
+					};
+					break;
+				case 5:
+					if (!linearOrAngularPoint1 || !linearOrAngularPoint2 || !center || !anchorPoint) {
+						return null;
+					}
+					dimClass = AngularDimension;
+					params = {
+						center: new Vector2().copy(center),
+						p1: new Vector2().copy(linearOrAngularPoint1),
+						p2: new Vector2().copy(linearOrAngularPoint2),
+						arcPoint: new Vector2().copy(anchorPoint)
+					};
+					break;
+				case 6:
+					if (!linearOrAngularPoint1 || !linearOrAngularPoint2 || !anchorPoint) {
+						return null;
+					}
+					dimClass = OrdinateDimension;
+					params = {
+						origin: new Vector2().copy(anchorPoint),
+						featurePoint: new Vector2().copy(linearOrAngularPoint1),
+						leaderEnd: new Vector2().copy(linearOrAngularPoint2),
+						isXType: (entity.dimensionType & 64) != 0
+					};
+					break;
+				default:
+					return null;
+			}
 		}
 
 		let style = null;
@@ -1021,20 +1778,20 @@ export class DxfScene {
 			style = this.dimStyles.get(entity.styleName);
 		}
 
-		const dim = new LinearDimension(
+		const dim = new dimClass(
 			{
-				p1: new Vector2().copy(entity.linearOrAngularPoint1),
-				p2: new Vector2().copy(entity.linearOrAngularPoint2),
-				anchor: new Vector2().copy(entity.anchorPoint),
-				isAligned: type == 1,
-				angle: entity.angle,
+				...params,
 				text: entity.text,
 				textAnchor: entity.middleOfText ? new Vector2().copy(entity.middleOfText) : null,
-				textRotation: entity.textRotation
+				textRotation: entity.textRotation,
+				tessellationAngle: this.options.arcTessellationAngle
 
 				/* styleResolver */
 			},
 			(valueName) => {
+				if (valueName.startsWith("DIMBLK")) {
+					return this._GetDimArrowBlockName(valueName, entity, style);
+				}
 				return this._GetDimStyleValue(valueName, entity, style);
 
 				/* textWidthCalculator */
@@ -1044,7 +1801,7 @@ export class DxfScene {
 			}
 		);
 
-		if (!dim.IsValid) {
+		if (!dim.IsValid()) {
 			console.warn("Invalid dimension geometry detected for " + entity.handle);
 			return null;
 		}
@@ -1077,17 +1834,25 @@ export class DxfScene {
 		 * https://ezdxf.readthedocs.io/en/stable/tables/dimstyle_table_entry.html
 		 */
 
-		const dim = this._CreateLinearDimension(entity);
+		const dim = this._CreateDimension(entity);
 		if (!dim) {
 			return;
 		}
 
+		yield* this._DecomposeDimensionLayout(entity, blockCtx, dim.GenerateLayout());
+	}
+
+	/** Render lines, triangles, arrowhead blocks and texts of the layout generated for the
+	 * specified entity.
+	 * @param {{}} entity
+	 * @param {?BlockContext} blockCtx
+	 * @param {DimensionLayout} layout
+	 */
+	*_DecomposeDimensionLayout(entity, blockCtx, layout) {
 		const layer = this._GetEntityLayer(entity, blockCtx);
 		const color = this._GetEntityColor(entity, blockCtx);
 		const transform = this._GetEntityExtrusionTransform(entity);
 
-		const layout = dim.GenerateLayout();
-
 		for (const line of layout.lines) {
 			const vertices = [];
 
@@ -1115,36 +1880,432 @@ export class DxfScene {
 					v.applyMatrix3(transform);
 				}
 			}
-
+
+			yield new Entity({
+				entityType: entity.type,
+				handle: entity.handle,
+				ownerHandle: entity.ownerHandle,
+				name: blockCtx?.name ?? entity.name,
+				type: Entity.Type.TRIANGLES,
+				vertices: triangle.vertices,
+				indices: triangle.indices,
+				layer,
+				color: triangle.color ?? color
+			});
+		}
+
+		/* Arrowhead blocks, rendered as dummy INSERT entities. */
+		for (const block of layout.blocks) {
+			const insert = {
+				entityType: entity.type,
+				handle: entity.handle,
+				ownerHandle: entity.ownerHandle,
+				name: block.name,
+				position: block.position,
+				rotation: block.angle,
+				xScale: block.scale,
+				yScale: block.scale,
+				extrusionDirection: entity.extrusionDirection,
+				layer: entity.layer,
+				color: entity.color,
+				colorIndex: entity.colorIndex
+			};
+			this._ProcessInsert(insert, blockCtx);
+		}
+
+		if (this.textRenderer.canRender) {
+			for (const text of layout.texts) {
+				if (transform) {
+					//XXX does not affect text rotation and mirroring
+					text.position.applyMatrix3(transform);
+				}
+				yield* this.textRenderer.Render({
+					text: text.text,
+					fontSize: text.size,
+					startPos: text.position,
+					rotation: text.angle,
+					hAlign: HAlign.CENTER,
+					vAlign: VAlign.MIDDLE,
+					color: text.color ?? color,
+					layer
+				});
+			}
+		}
+	}
+
+	*_DecomposeLeader(entity, blockCtx) {
+		const vertices = (entity.vertices ?? []).map((v) => new Vector2().copy(v));
+		if (vertices.length < 2) {
+			return;
+		}
+		let style = null;
+		if (entity.hasOwnProperty("styleName")) {
+			style = this.dimStyles.get(entity.styleName);
+		}
+		const layout = new DimensionLayout();
+		const path = entity.isSpline ? this._InterpolateSplineFitPoints(vertices) : vertices;
+		for (let i = 1; i < path.length; i++) {
+			layout.AddLine(path[i - 1].clone(), path[i].clone());
+		}
+		if ((entity.arrowHeadFlag ?? 1) !== 0) {
+			const dimScale = this._GetDimStyleValue("DIMSCALE", entity, style) || 1;
+			const arrowSize = (this._GetDimStyleValue("DIMASZ", entity, style) ?? 1) * dimScale;
+			const direction = vertices[1].clone().sub(vertices[0]);
+			/* Arrowhead is omitted if the first segment is too short for it. */
+			if (direction.length() >= arrowSize) {
+				CreateArrowhead(
+					layout,
+					this._GetDimArrowBlockName("DIMLDRBLK", entity, style),
+					vertices[0],
+					direction.normalize(),
+					arrowSize,
+					null
+				);
+			}
+		}
+		/* Annotation is a separate entity which is rendered by itself. */
+		yield* this._DecomposeDimensionLayout(entity, blockCtx, layout);
+	}
+
+	/** Multileader geometry is taken from its context data. Entity properties take precedence over
+	 * the referenced MLEADERSTYLE ones.
+	 */
+	*_DecomposeMultiLeader(entity, blockCtx) {
+		const context = entity.context;
+		if (!context) {
+			return;
+		}
+		const style = this.mleaderStyles.get(entity.styleHandle) ?? {};
+		const layout = new DimensionLayout();
+
+		/* 0 - invisible, 1 - straight, 2 - spline. */
+		const lineType = entity.leaderLineType ?? style.leaderLineType ?? 1;
+		const enableDogleg = entity.enableDogleg ?? style.enableDogleg ?? 1;
+		const leaderColor = entity.leaderLineColor ?? style.leaderLineColor ?? null;
+		for (const leader of context.leaders) {
+			const lastPoint = leader.lastLeaderLinePoint
+				? new Vector2().copy(leader.lastLeaderLinePoint)
+				: null;
+			for (const line of leader.lines) {
+				if ((line.leaderLineType ?? lineType) === 0) {
+					continue;
+				}
+				const vertices = line.vertices.map((v) => new Vector2().copy(v));
+				if (lastPoint) {
+					vertices.push(lastPoint.clone());
+				}
+				if (vertices.length < 2) {
+					continue;
+				}
+				const color = line.color ?? leaderColor;
+				const path =
+					(line.leaderLineType ?? lineType) === 2
+						? this._InterpolateSplineFitPoints(vertices)
+						: vertices;
+				for (let i = 1; i < path.length; i++) {
+					layout.AddLine(path[i - 1].clone(), path[i].clone(), color);
+				}
+				const arrowSize =
+					line.arrowHeadSize ??
+					context.arrowHeadSize ??
+					entity.arrowHeadSize ??
+					style.arrowHeadSize ??
+					0;
+				const direction = vertices[1].clone().sub(vertices[0]);
+				if (arrowSize > 0 && direction.lengthSq() > 0) {
+					const arrowHandle =
+						line.arrowHeadHandle ?? entity.arrowHeadHandle ?? style.arrowHeadHandle;
+					CreateArrowhead(
+						layout,
+						this.blockRecords.get(arrowHandle) ?? "",
+						vertices[0],
+						direction.normalize(),
+						arrowSize,
+						color
+					);
+				}
+			}
+			/* Landing line between the leader lines and the content. */
+			if (
+				lineType !== 0 &&
+				enableDogleg &&
+				lastPoint &&
+				leader.doglegVector &&
+				leader.doglegLength
+			) {
+				const doglegEnd = new Vector2()
+					.copy(leader.doglegVector)
+					.multiplyScalar(leader.doglegLength)
+					.add(lastPoint);
+				layout.AddLine(lastPoint.clone(), doglegEnd, leaderColor);
+			}
+		}
+		yield* this._DecomposeDimensionLayout(entity, blockCtx, layout);
+
+		/* 0 - none, 1 - block, 2 - MTEXT, 3 - tolerance. */
+		const contentType = entity.contentType ?? style.contentType ?? 2;
+		if (contentType === 2 && context.text && context.textPosition) {
+			const textColor = context.textColor ?? entity.textColor ?? style.textColor ?? null;
+			yield* this._DecomposeMText(
+				{
+					type: entity.type,
+					layer: entity.layer,
+					/* Color override takes precedence over the entity BYLAYER/BYBLOCK index. */
+					color: textColor ?? entity.color,
+					colorIndex: textColor === null ? entity.colorIndex : undefined,
+					text: context.text,
+					height: context.textHeight ?? style.textHeight ?? 1,
+					position: context.textPosition,
+					direction: context.textDirection,
+					rotation: ((context.textRotation ?? 0) * 180) / Math.PI,
+					attachmentPoint: context.textAttachmentPoint,
+					width: context.textWidth,
+					lineSpacing: context.textLineSpacing
+				},
+				blockCtx
+			);
+		} else if (contentType === 1 && context.blockPosition) {
+			const name = this.blockRecords.get(
+				context.blockHandle ?? entity.blockContentHandle ?? style.blockContentHandle
+			);
+			if (name === undefined) {
+				return;
+			}
+			const blockColor = context.blockColor ?? entity.blockContentColor ?? null;
+			const insert = {
+				entityType: entity.type,
+				handle: entity.handle,
+				ownerHandle: entity.ownerHandle,
+				name,
+				position: context.blockPosition,
+				xScale: context.blockScale?.x ?? 1,
+				yScale: context.blockScale?.y ?? 1,
+				rotation: ((context.blockRotation ?? 0) * 180) / Math.PI,
+				layer: entity.layer,
+				color: blockColor ?? entity.color,
+				colorIndex: blockColor === null ? entity.colorIndex : undefined
+			};
+			this._ProcessInsert(insert, blockCtx);
+		}
+	}
+
+	*_DecomposeTable(entity, blockCtx) {
+		if ((entity.name ?? null) !== null && this.blocks.has(entity.name)) {
+			/* Table may have pre-rendered anonymous block attached, render it the same way as for
+			 * dimensions.
+			 */
+			const insert = {
+				entityType: entity.type,
+				handle: entity.handle,
+				ownerHandle: entity.ownerHandle,
+				name: entity.name,
+				position: entity.position ?? { x: 0, y: 0 },
+				rotation: entity.direction
+					? (Math.atan2(entity.direction.y, entity.direction.x) * 180) / Math.PI
+					: 0,
+				layer: entity.layer,
+				color: entity.color,
+				colorIndex: entity.colorIndex
+			};
+			this._ProcessInsert(insert, blockCtx);
+			return;
+		}
+
+		const grid = GetTableGrid(entity);
+		const rowCount = grid.length;
+		const columnCount = grid[0]?.length ?? 0;
+		if (
+			!entity.position ||
+			columnCount === 0 ||
+			entity.rowHeights.length < rowCount ||
+			entity.columnWidths.length < columnCount
+		) {
+			return;
+		}
+
+		const layer = this._GetEntityLayer(entity, blockCtx);
+		const color = this._GetEntityColor(entity, blockCtx);
+		const lineType = this._GetLineType(entity, null, blockCtx);
+		/* Standard table style defaults for values which are not overridden by the table. */
+		const defaultTextHeight = this.isMetric ? 4.5 : 0.18;
+		const defaultMargin = this.isMetric ? 1.5 : 0.06;
+		const hMargin = entity.horizontalMargin ?? defaultMargin;
+		const vMargin = entity.verticalMargin ?? defaultMargin;
+
+		/* Table coordinates: insertion point is the origin, X axis is along the table direction,
+		 * rows go down (or up if flow direction is up).
+		 */
+		const angle = entity.direction ? Math.atan2(entity.direction.y, entity.direction.x) : 0;
+		const transform = new Matrix3()
+			.makeRotation(angle)
+			.translate(entity.position.x, entity.position.y);
+		const TablePoint = (x, y) => new Vector2(x, y).applyMatrix3(transform);
+		const xs = [0];
+		for (let column = 0; column < columnCount; column++) {
+			xs.push(xs[column] + entity.columnWidths[column]);
+		}
+		const flowSign = entity.flowDirection === 1 ? 1 : -1;
+		const ys = [0];
+		for (let row = 0; row < rowCount; row++) {
+			ys.push(ys[row] + flowSign * entity.rowHeights[row]);
+		}
+
+		/* Shared borders of adjacent cells are drawn once, hidden if any of the cells hides it.
+		 * Indexed by grid line and cell index.
+		 */
+		const edges = new Map();
+		const AddEdge = (key, x1, y1, x2, y2, border) => {
+			const isVisible = border?.isVisible ?? true;
+			const edge = edges.get(key);
+			if (edge) {
+				edge.isVisible &&= isVisible;
+				return;
+			}
+			edges.set(key, {
+				vertices: [TablePoint(x1, y1), TablePoint(x2, y2)],
+				isVisible,
+				color: border?.color ?? color,
+				lineweight:
+					(border?.lineweight ?? null) !== null
+						? this._GetLineweight({ ...entity, lineweight: border.lineweight }, blockCtx)
+						: this._GetLineweight(entity, blockCtx)
+			});
+		};
+
+		let hasFill = false;
+		for (let row = 0; row < rowCount; row++) {
+			for (let column = 0; column < columnCount; column++) {
+				const cell = grid[row][column];
+				if (cell === null) {
+					continue;
+				}
+				const rowEnd = Math.min(row + GetCellRowSpan(cell), rowCount);
+				const columnEnd = Math.min(column + GetCellColumnSpan(cell), columnCount);
+				const { top, right, bottom, left } = cell.borders;
+				for (let c = column; c < columnEnd; c++) {
+					AddEdge(`h${row}/${c}`, xs[c], ys[row], xs[c + 1], ys[row], top);
+					AddEdge(`h${rowEnd}/${c}`, xs[c], ys[rowEnd], xs[c + 1], ys[rowEnd], bottom);
+				}
+				for (let r = row; r < rowEnd; r++) {
+					AddEdge(`v${r}/${column}`, xs[column], ys[r], xs[column], ys[r + 1], left);
+					AddEdge(`v${r}/${columnEnd}`, xs[columnEnd], ys[r], xs[columnEnd], ys[r + 1], right);
+				}
+
+				const rowStyle = entity.rowTypeOverrides?.[GetTableRowType(entity, row)] ?? {};
+				const fillColor = cell.fillColor ?? rowStyle.fillColor ?? null;
+				if ((cell.isFillEnabled ?? rowStyle.isFillEnabled) && fillColor !== null) {
+					hasFill = true;
+					yield new Entity({
+						type: Entity.Type.TRIANGLES,
+						vertices: [
+							TablePoint(xs[column], ys[row]),
+							TablePoint(xs[columnEnd], ys[row]),
+							TablePoint(xs[columnEnd], ys[rowEnd]),
+							TablePoint(xs[column], ys[rowEnd])
+						],
+						indices: [0, 1, 2, 0, 2, 3],
+						layer,
+						color: fillColor
+					});
+				}
+			}
+		}
+		if (hasFill) {
+			/* Borders and text are drawn above the cells background. */
+			this._AdvanceDrawOrder(blockCtx);
+		}
+
+		/* Borders with the same appearance are merged into one entity. */
+		const borders = new Map();
+		for (const edge of edges.values()) {
+			if (!edge.isVisible) {
+				continue;
+			}
+			const key = `${edge.color}/${edge.lineweight}`;
+			let border = borders.get(key);
+			if (!border) {
+				border = { color: edge.color, lineweight: edge.lineweight, vertices: [] };
+				borders.set(key, border);
+			}
+			border.vertices.push(...edge.vertices);
+		}
+		for (const border of borders.values()) {
 			yield new Entity({
-				entityType: entity.type,
-				handle: entity.handle,
-				ownerHandle: entity.ownerHandle,
-				name: blockCtx?.name ?? entity.name,
-				type: Entity.Type.TRIANGLES,
-				vertices: triangle.vertices,
-				indices: triangle.indices,
+				type: Entity.Type.LINE_SEGMENTS,
+				vertices: border.vertices,
 				layer,
-				color: triangle.color ?? color
+				color: border.color,
+				lineType,
+				lineweight: border.lineweight
 			});
 		}
 
-		if (this.textRenderer.canRender) {
-			for (const text of layout.texts) {
-				if (transform) {
-					//XXX does not affect text rotation and mirroring
-					text.position.applyMatrix3(transform);
+		for (let row = 0; row < rowCount; row++) {
+			for (let column = 0; column < columnCount; column++) {
+				const cell = grid[row][column];
+				if (cell === null) {
+					continue;
 				}
-				yield* this.textRenderer.Render({
-					text: text.text,
-					fontSize: text.size,
-					startPos: text.position,
-					rotation: text.angle,
-					hAlign: HAlign.CENTER,
-					vAlign: VAlign.MIDDLE,
-					color: text.color ?? color,
-					layer
-				});
+				const rowEnd = Math.min(row + GetCellRowSpan(cell), rowCount);
+				const columnEnd = Math.min(column + GetCellColumnSpan(cell), columnCount);
+				const x1 = xs[column];
+				const x2 = xs[columnEnd];
+				const yTop = Math.max(ys[row], ys[rowEnd]);
+				const yBottom = Math.min(ys[row], ys[rowEnd]);
+				const cellAngle = angle + (cell.rotation ?? 0);
+				const direction = { x: Math.cos(cellAngle), y: Math.sin(cellAngle) };
+
+				if (cell.type === 2) {
+					/* Block content is placed by its base point at the cell center. */
+					const name = this.blockRecords.get(cell.blockHandle);
+					if (name === undefined) {
+						continue;
+					}
+					const insert = {
+						entityType: entity.type,
+						handle: entity.handle,
+						ownerHandle: entity.ownerHandle,
+						name,
+						position: TablePoint((x1 + x2) / 2, (yTop + yBottom) / 2),
+						xScale: cell.blockScale ?? 1,
+						yScale: cell.blockScale ?? 1,
+						rotation: (cellAngle * 180) / Math.PI,
+						layer: entity.layer,
+						color: entity.color,
+						colorIndex: entity.colorIndex
+					};
+					this._ProcessInsert(insert, blockCtx);
+					continue;
+				}
+				if (!cell.text) {
+					continue;
+				}
+
+				/* Cell properties take precedence over the table row type overrides. */
+				const rowStyle = entity.rowTypeOverrides?.[GetTableRowType(entity, row)] ?? {};
+				/* Alignment is MTEXT attachment point, 1 is top left, 9 is bottom right. */
+				const alignment = cell.alignment ?? rowStyle.alignment ?? 1;
+				const hAlign = (alignment - 1) % 3;
+				const vAlign = Math.floor((alignment - 1) / 3);
+				const x = [x1 + hMargin, (x1 + x2) / 2, x2 - hMargin][hAlign];
+				const y = [yTop - vMargin, (yTop + yBottom) / 2, yBottom + vMargin][vAlign];
+				const textColor = cell.textColor ?? rowStyle.textColor ?? null;
+				yield* this._DecomposeMText(
+					{
+						type: entity.type,
+						text: cell.text,
+						textStyle: cell.textStyle ?? rowStyle.textStyle,
+						height: cell.textHeight ?? rowStyle.textHeight ?? defaultTextHeight,
+						position: TablePoint(x, y),
+						direction,
+						attachmentPoint: alignment,
+						width: Math.max(x2 - x1 - 2 * hMargin, 0),
+						layer: entity.layer,
+						color: textColor ?? entity.color,
+						colorIndex: textColor === null ? entity.colorIndex : undefined
+					},
+					blockCtx
+				);
 			}
 		}
 	}
@@ -1576,6 +2737,18 @@ export class DxfScene {
 		return result;
 	}
 
+	/** Arrowhead block may be specified either by block record handle or by name.
+	 * @param {string} valueName One of DIMBLK, DIMBLK1 or DIMBLK2.
+	 * @return {string} Block name, empty string for default arrowhead.
+	 */
+	_GetDimArrowBlockName(valueName, entity, style) {
+		const handle = this._GetDimStyleValue(valueName + "_HANDLE", entity, style);
+		if (handle && this.blockRecords.has(handle)) {
+			return this.blockRecords.get(handle);
+		}
+		return this._GetDimStyleValue(valueName, entity, style) ?? "";
+	}
+
 	_GetDimStyleValue(valueName, entity, style) {
 		const entries = entity?.xdata?.ACAD?.DSTYLE?.values;
 		if (entries) {
@@ -1612,6 +2785,116 @@ export class DxfScene {
 		return null;
 	}
 
+	/** Raster image or wipeout. Image is rendered as textured triangles, its texture is resolved
+	 * by the viewer. Wipeout is filled with the background color.
+	 */
+	_ProcessImage(entity, blockCtx = null) {
+		const { position, uVector, vVector, imageSize } = entity;
+		if (!position || !uVector || !vVector || !imageSize?.x || !imageSize?.y) {
+			return;
+		}
+		const isWipeout = entity.type === "WIPEOUT";
+		let image = null;
+		if (!isWipeout) {
+			/* Bit 0 - show image, bit 3 - transparency is on. */
+			const flags = entity.displayFlags ?? 1;
+			if ((flags & 1) === 0) {
+				return;
+			}
+			const imageDef = this.imageDefs.get(entity.imageDefHandle);
+			if (!imageDef?.fileName) {
+				return;
+			}
+			image = {
+				imageDefHandle: entity.imageDefHandle,
+				fileName: imageDef.fileName,
+				isTransparent: (flags & 8) !== 0
+			};
+		}
+
+		/* Boundary is in pixel coordinates, origin is in the upper-left pixel center, Y axis is
+		 * directed down.
+		 */
+		const { x: width, y: height } = imageSize;
+		const toPolygon = (corners) => {
+			if (corners.length !== 2) {
+				return corners;
+			}
+			/* Rectangle specified by opposite corners. */
+			const [p1, p2] = corners;
+			return [p1, { x: p2.x, y: p1.y }, p2, { x: p1.x, y: p2.y }];
+		};
+		const imageRect = toPolygon([
+			{ x: -0.5, y: -0.5 },
+			{ x: width - 0.5, y: height - 0.5 }
+		]);
+		const clipBoundary = entity.clipBoundary ?? [];
+		const isClipped = entity.isClipped && clipBoundary.length >= 2;
+		/* Inverted clipping shows the image outside of the boundary, so the boundary is a hole in
+		 * the image rectangle.
+		 */
+		const isInverted = isClipped && entity.isClipInverted;
+		const contour = isClipped && !isInverted ? toPolygon(clipBoundary) : imageRect;
+		const holes = isInverted ? [toPolygon(clipBoundary)] : [];
+
+		/* Texture coordinates, origin is in the lower-left image corner. */
+		const toUv = (p) => new Vector2((p.x + 0.5) / width, (height - 0.5 - p.y) / height);
+		const toVertex = (uv) =>
+			new Vector2(
+				position.x + uVector.x * width * uv.x + vVector.x * height * uv.y,
+				position.y + uVector.y * width * uv.x + vVector.y * height * uv.y
+			);
+		const contourUvs = contour.map(toUv);
+		const holesUvs = holes.map((hole) => hole.map(toUv));
+		const contourVertices = contourUvs.map(toVertex);
+		const holesVertices = holesUvs.map((hole) => hole.map(toVertex));
+		/* This call also removes duplicated end vertices, it is done at the end of each array so
+		 * texture coordinates arrays are trimmed accordingly.
+		 */
+		const triangles = ShapeUtils.triangulateShape(contourVertices, holesVertices);
+		const vertices = contourVertices.concat(...holesVertices);
+		const uvs = contourUvs
+			.slice(0, contourVertices.length)
+			.concat(...holesUvs.map((hole, i) => hole.slice(0, holesVertices[i].length)));
+		const layer = this._GetEntityLayer(entity, blockCtx);
+
+		if (isWipeout) {
+			this._ProcessEntity(
+				new Entity({
+					entityType: entity.type,
+					handle: entity.handle,
+					ownerHandle: entity.ownerHandle,
+					name: blockCtx?.name ?? entity.name,
+					type: Entity.Type.TRIANGLES,
+					vertices,
+					indices: triangles.flat(),
+					layer,
+					color: ColorCode.BACKGROUND
+				}),
+				blockCtx
+			);
+			return;
+		}
+
+		const key = new BatchingKey(
+			entity.type,
+			entity.handle,
+			entity.ownerHandle,
+			layer,
+			blockCtx?.name ?? entity.name,
+			blockCtx?.name,
+			BatchingKey.GeometryType.IMAGE,
+			0
+		);
+		const batch = this._GetBatch(key);
+		batch.image = image;
+		for (const triangle of triangles) {
+			for (const idx of triangle) {
+				batch.PushVertex(this._TransformVertex(vertices[idx], blockCtx), 0, uvs[idx]);
+			}
+		}
+	}
+
 	/**
 	 * Updates batches directly.
 	 * @param entity
@@ -1632,8 +2915,11 @@ export class DxfScene {
 				console.warn("Unresolved nested block reference: " + entity.name);
 				return;
 			}
-			const nestedCtx = blockCtx.NestedBlockContext(block, entity);
-			if (block.data.entities) {
+			if (!block.data.entities) {
+				return;
+			}
+			for (const [column, row] of InsertArrayCells(entity)) {
+				const nestedCtx = blockCtx.NestedBlockContext(block, entity, column, row);
 				for (const entity of block.data.entities) {
 					this._ProcessDxfEntity(entity, nestedCtx);
 				}
@@ -1642,34 +2928,64 @@ export class DxfScene {
 		}
 
 		const block = this.blocks.get(entity.name);
+		/* Block with images or wipeouts occupies a range of draw order levels above everything
+		 * drawn before. Attributes and everything drawn after are above the whole range.
+		 */
+		let drawOrder = this.drawOrder;
+		if (block && block.drawOrder > 0) {
+			drawOrder = this._AdvanceDrawOrder(null);
+			this._AdvanceDrawOrder(null, block.drawOrder + 1);
+		}
+
+		/* Attributes are rendered and picked as a part of their INSERT. */
+		for (const attrib of entity.attribs ?? []) {
+			for (const renderEntity of this._DecomposeAttribute(attrib, null)) {
+				renderEntity.handle = entity.handle;
+				renderEntity.ownerHandle = entity.ownerHandle;
+				renderEntity.entityType = entity.entityType ?? entity.type;
+				this._ProcessEntity(renderEntity, null);
+			}
+		}
+
 		if (!block) {
 			console.warn("Unresolved block reference in INSERT: " + entity.name);
 			return;
 		}
-		if (!block.HasGeometry()) {
-			return;
-		}
 
 		const layer = this._GetEntityLayer(entity, null);
 		const color = this._GetEntityColor(entity, null);
 		const lineType = this._GetLineType(entity, null, null);
+		const lineweight = this._GetLineweight(entity, null);
+		this._InstantiateConstructionLines(entity, block, layer, color, lineType, lineweight);
+		if (!block.HasGeometry()) {
+			return;
+		}
 		//XXX apply extrusion direction
-		const transform = block.InstantiationContext().GetInsertionTransform(entity);
+		const instantiationCtx = block.InstantiationContext();
+		/* MINSERT array cells, single cell for plain INSERT. */
+		const cells = InsertArrayCells(entity);
 
-		/* Update bounding box and origin with transformed block bounds corner points. */
+		/* Update bounding box and origin with transformed block bounds corner points. Array
+		 * bounds are bounds of its corner cells.
+		 */
 		const bounds = block.bounds;
-		this._UpdateBounds(new Vector2(bounds.minX, bounds.minY).applyMatrix3(transform));
-		this._UpdateBounds(new Vector2(bounds.maxX, bounds.maxY).applyMatrix3(transform));
-		this._UpdateBounds(new Vector2(bounds.minX, bounds.maxY).applyMatrix3(transform));
-		this._UpdateBounds(new Vector2(bounds.maxX, bounds.minY).applyMatrix3(transform));
-
-		transform.translate(-this.origin.x, -this.origin.y);
-		//XXX grid instancing not supported yet
-		if (block.flatten) {
-			for (const batch of block.batches) {
-				this._FlattenBatch(entity, batch, layer, color, lineType, transform);
-			}
-		} else {
+		const lastColumn = cells[cells.length - 1][0];
+		const lastRow = cells[cells.length - 1][1];
+		for (const [column, row] of [
+			[0, 0],
+			[lastColumn, 0],
+			[0, lastRow],
+			[lastColumn, lastRow]
+		]) {
+			const transform = instantiationCtx.GetInsertionTransform(entity, column, row);
+			this._UpdateBounds(new Vector2(bounds.minX, bounds.minY).applyMatrix3(transform));
+			this._UpdateBounds(new Vector2(bounds.maxX, bounds.maxY).applyMatrix3(transform));
+			this._UpdateBounds(new Vector2(bounds.minX, bounds.maxY).applyMatrix3(transform));
+			this._UpdateBounds(new Vector2(bounds.maxX, bounds.minY).applyMatrix3(transform));
+		}
+
+		let batch = null;
+		if (!block.flatten) {
 			const key = new BatchingKey(
 				entity.entityType ?? entity.type,
 				entity.handle,
@@ -1679,18 +2995,55 @@ export class DxfScene {
 				entity.name,
 				BatchingKey.GeometryType.BLOCK_INSTANCE,
 				color,
-				lineType
+				lineType,
+				lineweight,
+				drawOrder
 			);
-			const batch = this._GetBatch(key);
-			batch.PushInstanceTransform(transform);
+			batch = this._GetBatch(key);
+		}
+		for (const [column, row] of cells) {
+			const transform = instantiationCtx.GetInsertionTransform(entity, column, row);
+			transform.translate(-this.origin.x, -this.origin.y);
+			if (batch === null) {
+				for (const blockBatch of block.batches) {
+					this._FlattenBatch(
+						entity,
+						blockBatch,
+						layer,
+						color,
+						lineType,
+						lineweight,
+						drawOrder,
+						transform
+					);
+				}
+			} else {
+				/* All cells go to the same instanced batch, so the whole array is one draw call. */
+				batch.PushInstanceTransform(transform);
+			}
 		}
 	}
 
-	/** Flatten block definition batch. It is merged into suitable instant rendering batch. */
-	_FlattenBatch(entity, blockBatch, layerName, blockColor, blockLineType, transform) {
+	/** Flatten block definition batch. It is merged into suitable instant rendering batch.
+	 * @param layerName {string} INSERT layer, definition entities on layer 0 are placed on it,
+	 *  other ones keep their own layer.
+	 * @param drawOrder {number} Draw order level of the block definition base level.
+	 */
+	_FlattenBatch(
+		entity,
+		blockBatch,
+		layerName,
+		blockColor,
+		blockLineType,
+		blockLineweight,
+		drawOrder,
+		transform
+	) {
+		if (blockBatch.key.layerName !== null && blockBatch.key.layerName !== "0") {
+			layerName = blockBatch.key.layerName;
+		}
 		const layer = this.layers.get(layerName);
-		let color,
-			lineType = 0;
+		let color, lineType, lineweight;
 		if (blockBatch.key.color === ColorCode.BY_BLOCK) {
 			color = blockColor;
 		} else if (blockBatch.key.color === ColorCode.BY_LAYER) {
@@ -1699,7 +3052,18 @@ export class DxfScene {
 			color = blockBatch.key.color;
 		}
 
-		//XXX line type
+		if (blockBatch.key.lineType === LineTypeCode.BY_BLOCK) {
+			lineType = blockLineType;
+		} else {
+			lineType = blockBatch.key.lineType;
+		}
+
+		if (blockBatch.key.lineweight === LineweightCode.BY_BLOCK) {
+			lineweight = blockLineweight;
+		} else {
+			lineweight = blockBatch.key.lineweight;
+		}
+
 		const key = new BatchingKey(
 			entity.entityType ?? entity.type,
 			entity.handle,
@@ -1709,9 +3073,14 @@ export class DxfScene {
 			null,
 			blockBatch.key.geometryType,
 			color,
-			lineType
+			lineType,
+			lineweight,
+			drawOrder + blockBatch.key.drawOrder
 		);
 		const batch = this._GetBatch(key);
+		if (blockBatch.image) {
+			batch.image = blockBatch.image;
+		}
 		batch.Merge(blockBatch, transform);
 	}
 
@@ -1722,6 +3091,7 @@ export class DxfScene {
 	 * @param layer
 	 * @param color
 	 * @param lineType
+	 * @param lineweight
 	 * @param shape {Boolean} True if closed polyline.
 	 * @return {Generator<Entity>}
 	 */
@@ -1734,6 +3104,7 @@ export class DxfScene {
 		layer,
 		color,
 		lineType,
+		lineweight,
 		shape
 	) {
 		//XXX
@@ -1747,6 +3118,7 @@ export class DxfScene {
 			layer,
 			color,
 			lineType,
+			lineweight,
 			shape
 		});
 	}
@@ -1806,6 +3178,7 @@ export class DxfScene {
 		entityVertices = this._MirrorEntityVertices(entity, entityVertices);
 		const color = this._GetEntityColor(entity, blockCtx);
 		const layer = this._GetEntityLayer(entity, blockCtx);
+		const lineweight = this._GetLineweight(entity, blockCtx);
 
 		const _this = this;
 		let startIdx = 0;
@@ -1850,6 +3223,7 @@ export class DxfScene {
 					layer,
 					color,
 					lineType: curLineType,
+					lineweight,
 					shape: isClosed
 				});
 			} else {
@@ -1862,6 +3236,7 @@ export class DxfScene {
 					layer,
 					color,
 					curLineType,
+					lineweight,
 					isClosed
 				);
 			}
@@ -1869,7 +3244,7 @@ export class DxfScene {
 			startIdx = endIdx;
 			if (endIdx !== verticesCount) {
 				curPlainLine = _this._IsPlainLine(entityVertices[endIdx]);
-				curLineType = _this._GetLineType(entity, entityVertices[endIdx]);
+				curLineType = _this._GetLineType(entity, entityVertices[endIdx], blockCtx);
 			}
 			curVertices = null;
 		}
@@ -1902,7 +3277,7 @@ export class DxfScene {
 			}
 
 			const isPlainLine = this._IsPlainLine(vtx);
-			const lineType = this._GetLineType(entity, vtx);
+			const lineType = this._GetLineType(entity, vtx, blockCtx);
 			if (
 				isPlainLine !== curPlainLine ||
 				/* Line type is accounted for plain lines only. */
@@ -2034,6 +3409,7 @@ export class DxfScene {
 		const color = this._GetEntityColor(entity, blockCtx);
 		const layer = this._GetEntityLayer(entity, blockCtx);
 		const lineType = this._GetLineType(entity, null, blockCtx);
+		const lineweight = this._GetLineweight(entity, blockCtx);
 		if (!entity.controlPoints) {
 			//XXX knots or fit points not supported yet
 			return;
@@ -2061,7 +3437,8 @@ export class DxfScene {
 			vertices,
 			layer,
 			color,
-			lineType
+			lineType,
+			lineweight
 		});
 	}
 
@@ -2159,6 +3536,43 @@ export class DxfScene {
 		return result;
 	}
 
+	/** Tessellate a smooth curve passing through the specified points (spline leader path). The
+	 * curve is composed of cubic Bezier segments with Catmull-Rom tangents, it is evaluated as
+	 * B-spline with triple internal knots.
+	 * @param fitPoints {Vector2[]}
+	 * @return {Vector2[]} Curve vertices, the fit points as is if less than three.
+	 */
+	_InterpolateSplineFitPoints(fitPoints) {
+		const n = fitPoints.length;
+		if (n < 3) {
+			return fitPoints;
+		}
+		const tangents = fitPoints.map((p, i) =>
+			fitPoints[Math.min(i + 1, n - 1)]
+				.clone()
+				.sub(fitPoints[Math.max(i - 1, 0)])
+				.multiplyScalar(i === 0 || i === n - 1 ? 1 : 0.5)
+		);
+		const controlPoints = [[fitPoints[0].x, fitPoints[0].y]];
+		const knots = [0, 0, 0, 0];
+		for (let i = 1; i < n; i++) {
+			const c1 = fitPoints[i - 1].clone().addScaledVector(tangents[i - 1], 1 / 3);
+			const c2 = fitPoints[i].clone().addScaledVector(tangents[i], -1 / 3);
+			controlPoints.push([c1.x, c1.y], [c2.x, c2.y], [fitPoints[i].x, fitPoints[i].y]);
+			knots.push(i, i, i);
+		}
+		knots.push(n - 1);
+		const vertices = [];
+		/* Same density as for SPLINE entity, fit points fall on subdivision boundaries. */
+		const subdivisions = (n - 1) * 3 * SPLINE_SUBDIVISION;
+		const step = 1 / subdivisions;
+		for (let i = 0; i <= subdivisions; i++) {
+			const pt = this._InterpolateSpline(i * step, 3, controlPoints, knots);
+			vertices.push(new Vector2(pt[0], pt[1]));
+		}
+		return vertices;
+	}
+
 	/**
 	 * @param entity {Entity}
 	 * @param blockCtx {?BlockContext}
@@ -2199,12 +3613,16 @@ export class DxfScene {
 			blockCtx?.name,
 			BatchingKey.GeometryType.LINES,
 			entity.color,
-			entity.lineType
+			entity.lineType,
+			entity.lineweight
 		);
 		const batch = this._GetBatch(key);
 
-		for (const v of entity.vertices) {
-			batch.PushVertex(this._TransformVertex(v, blockCtx));
+		for (let i = 0; i < entity.vertices.length; i += 2) {
+			const start = this._TransformVertex(entity.vertices[i], blockCtx);
+			const end = this._TransformVertex(entity.vertices[i + 1], blockCtx);
+			batch.PushVertex(start, 0);
+			batch.PushVertex(end, Math.hypot(end.x - start.x, end.y - start.y));
 		}
 	}
 
@@ -2221,7 +3639,21 @@ export class DxfScene {
 		 * polylines with just two points.
 		 */
 
-		const verticesCount = entity.vertices.length;
+		let vertices = entity.vertices;
+		let shape = entity.shape;
+		/* Vertices are transformed in advance when line distance is needed. */
+		let isTransformed = false;
+		if ((entity.lineType ?? 0) !== 0) {
+			/* Line type pattern should be continuous along the whole polyline, so shape closing
+			 * segment is added explicitly instead of referencing the first vertex.
+			 */
+			vertices = this._GetLineDistanceVertices(entity.vertices, shape, blockCtx);
+			shape = false;
+			isTransformed = true;
+		}
+		const TransformVertex = (v) => (isTransformed ? v : this._TransformVertex(v, blockCtx));
+
+		const verticesCount = vertices.length;
 		if (verticesCount <= 3) {
 			const key = new BatchingKey(
 				entity.entityType,
@@ -2232,20 +3664,21 @@ export class DxfScene {
 				blockCtx?.name,
 				BatchingKey.GeometryType.LINES,
 				entity.color,
-				entity.lineType
+				entity.lineType,
+				entity.lineweight
 			);
 			const batch = this._GetBatch(key);
 			let prev = null;
-			for (const v of entity.vertices) {
+			for (const v of vertices) {
 				if (prev !== null) {
-					batch.PushVertex(this._TransformVertex(prev, blockCtx));
-					batch.PushVertex(this._TransformVertex(v, blockCtx));
+					batch.PushVertex(TransformVertex(prev), prev.lineDistance);
+					batch.PushVertex(TransformVertex(v), v.lineDistance);
 				}
 				prev = v;
 			}
-			if (entity.shape && verticesCount > 2) {
-				batch.PushVertex(this._TransformVertex(entity.vertices[verticesCount - 1], blockCtx));
-				batch.PushVertex(this._TransformVertex(entity.vertices[0], blockCtx));
+			if (shape && verticesCount > 2) {
+				batch.PushVertex(TransformVertex(vertices[verticesCount - 1]));
+				batch.PushVertex(TransformVertex(vertices[0]));
 			}
 			return;
 		}
@@ -2259,14 +3692,16 @@ export class DxfScene {
 			blockCtx?.name,
 			BatchingKey.GeometryType.INDEXED_LINES,
 			entity.color,
-			entity.lineType
+			entity.lineType,
+			entity.lineweight
 		);
 		const batch = this._GetBatch(key);
+		const lineEntity = isTransformed ? new Entity({ type: entity.type, vertices, shape }) : entity;
 		/* Line may be split if exceeds chunk limit. */
-		for (const lineChunk of entity._IterateLineChunks()) {
+		for (const lineChunk of lineEntity._IterateLineChunks()) {
 			const chunk = batch.PushChunk(lineChunk.verticesCount);
 			for (const v of lineChunk.vertices) {
-				chunk.PushVertex(this._TransformVertex(v, blockCtx));
+				chunk.PushVertex(TransformVertex(v), v.lineDistance);
 			}
 			for (const idx of lineChunk.indices) {
 				chunk.PushIndex(idx);
@@ -2275,6 +3710,26 @@ export class DxfScene {
 		}
 	}
 
+	/** Transform polyline vertices and calculate distance along the line for each of them.
+	 *
+	 * @param vertices {{x, y}[]}
+	 * @param isClosed {Boolean} Append shape closing vertex if true.
+	 * @param blockCtx {?BlockContext}
+	 * @return {{x, y, lineDistance}[]} Transformed vertices.
+	 */
+	_GetLineDistanceVertices(vertices, isClosed, blockCtx = null) {
+		const result = [];
+		let prev = null;
+		for (const v of isClosed ? [...vertices, vertices[0]] : vertices) {
+			const tv = this._TransformVertex(v, blockCtx);
+			const lineDistance =
+				prev === null ? 0 : prev.lineDistance + Math.hypot(tv.x - prev.x, tv.y - prev.y);
+			prev = { x: tv.x, y: tv.y, lineDistance };
+			result.push(prev);
+		}
+		return result;
+	}
+
 	/**
 	 * @param entity {Entity}
 	 * @param blockCtx {?BlockContext}
@@ -2297,8 +3752,7 @@ export class DxfScene {
 			blockCtx?.name,
 			BatchingKey.GeometryType.INDEXED_TRIANGLES,
 			entity.color,
-			0,
-			entity.entityType
+			0
 		);
 
 		const batch = this._GetBatch(key);
@@ -2315,6 +3769,35 @@ export class DxfScene {
 		chunk.Finish();
 	}
 
+	_ProcessGlyph(entity, blockCtx = null) {
+		const key = new BatchingKey(
+			entity.entityType ?? entity.type,
+			entity.handle,
+			entity.ownerHandle,
+			entity.layer,
+			entity.name,
+			blockCtx?.name,
+			BatchingKey.GeometryType.SDF_GLYPH,
+			entity.color,
+			0
+		);
+		const batch = this._GetBatch(key);
+		const [origin, xCorner, yCorner] = entity.vertices;
+		/* The fourth corner is transformed just to update bounds. Quad covers the glyph bounds,
+		 * the atlas margin is added in the shader.
+		 */
+		this._TransformVertex(
+			{ x: xCorner.x + yCorner.x - origin.x, y: xCorner.y + yCorner.y - origin.y },
+			blockCtx
+		);
+		batch.PushGlyph(
+			this._TransformVertex(origin, blockCtx),
+			this._TransformVertex(xCorner, blockCtx),
+			this._TransformVertex(yCorner, blockCtx),
+			entity.atlasRect
+		);
+	}
+
 	/** Resolve entity color.
 	 *
 	 * @param entity
@@ -2389,26 +3872,46 @@ export class DxfScene {
 
 	/** @return {RenderBatch} */
 	_GetBatch(key) {
+		if (key.drawOrder === null) {
+			if (key.blockName !== null && !key.IsInstanced()) {
+				key.drawOrder = this.blocks.get(key.blockName)?.drawOrder ?? 0;
+			} else {
+				key.drawOrder = this.drawOrder;
+			}
+		}
 		let batch = this.batches.find({ key });
 
 		if (batch !== null) {
 			batch.key.entityType = key.entityType;
-
-			return batch;
-		}
-
-		batch = new RenderBatch(key);
-		this.batches.insert(batch);
-		if (key.blockName !== null && !key.IsInstanced()) {
-			/* Block definition batch. */
-			const block = this.blocks.get(key.blockName);
-			if (block) {
-				block.batches.push(batch);
+		} else {
+			batch = new RenderBatch(key);
+			this.batches.insert(batch);
+			if (key.blockName !== null && !key.IsInstanced()) {
+				/* Block definition batch. */
+				const block = this.blocks.get(key.blockName);
+				if (block) {
+					block.batches.push(batch);
+				}
 			}
 		}
+		/* Block definition geometry is picked through its instances. */
+		if (key.blockName === null || key.IsInstanced()) {
+			batch.SetEntity(key.handle, key.entityType);
+		}
 		return batch;
 	}
 
+	/** Switch to the next draw order level(s) in the specified context.
+	 * @param blockCtx {?BlockContext} Block definition context, null for top-level entities.
+	 * @param count {number} Number of levels to advance.
+	 * @return {number} New current level.
+	 */
+	_AdvanceDrawOrder(blockCtx, count = 1) {
+		const holder = blockCtx ? blockCtx.block : this;
+		holder.drawOrder += count;
+		return holder.drawOrder;
+	}
+
 	/**
 	 * Apply all necessary final transforms to a vertex before just before storing it in a rendering
 	 * batch.
@@ -2451,27 +3954,57 @@ export class DxfScene {
 		if (this.origin === null) {
 			this.origin = { x: v.x, y: v.y };
 		}
+		if (this.curEntityExtents !== null) {
+			const bounds = this.curEntityExtents.bounds;
+			if (bounds === null) {
+				this.curEntityExtents.bounds = { minX: v.x, maxX: v.x, minY: v.y, maxY: v.y };
+			} else {
+				bounds.minX = Math.min(bounds.minX, v.x);
+				bounds.maxX = Math.max(bounds.maxX, v.x);
+				bounds.minY = Math.min(bounds.minY, v.y);
+				bounds.maxY = Math.max(bounds.maxY, v.y);
+			}
+		}
 	}
 
 	_BuildScene() {
 		let verticesSize = 0;
 		let indicesSize = 0;
 		let transformsSize = 0;
-		this.batches.each((b) => {
+		const CountSize = (b) => {
 			verticesSize += b.GetVerticesBufferSize();
 			indicesSize += b.GetIndicesBufferSize();
 			transformsSize += b.GetTransformsSize();
-		});
+		};
+		this.batches.each(CountSize);
+		for (const layout of this.layouts) {
+			layout.batches.each(CountSize);
+		}
 
 		const scene = {
+			entities: this._SerializeEntityExtents(this.entityExtents),
+			spatialIndex: this._BuildSpatialIndex(this.entityExtents),
 			vertices: new ArrayBuffer(verticesSize),
 			indices: new ArrayBuffer(indicesSize),
 			transforms: new ArrayBuffer(transformsSize),
 			batches: [],
 			layers: [],
+			/* Paper space layouts, model space is not included. */
+			layouts: [],
+			constructionLines: this._SerializeConstructionLines(this.constructionLines),
 			origin: this.origin,
 			bounds: this.bounds,
-			hasMissingChars: this.hasMissingChars
+			hasMissingChars: this.hasMissingChars,
+			/* Lineweight display mode specified in the file. */
+			lwDisplay: Boolean(this.vars.get("LWDISPLAY")),
+			/* Line type ID is index plus one. */
+			lineTypes: this.lineTypePatterns,
+			/* Glyphs atlas for SDF text batches, null in vector text mode or if no glyphs. */
+			sdfAtlas: this.textRenderer?.sdfAtlas?.numGlyphs
+				? this.textRenderer.sdfAtlas.Serialize()
+				: null,
+			/* Indexed by INSERT handle. */
+			insertAttributes: Object.fromEntries(this.insertAttributes)
 		};
 
 		const buffers = {
@@ -2487,11 +4020,38 @@ export class DxfScene {
 			scene.batches.push(b.Serialize(buffers));
 		});
 
+		for (const layout of this.layouts) {
+			const batches = [];
+			layout.batches.each((b) => {
+				batches.push(b.Serialize(buffers));
+			});
+			const { minLimits, maxLimits } = layout.data;
+			scene.layouts.push({
+				name: layout.name,
+				tabOrder: layout.tabOrder,
+				bounds: layout.bounds,
+				limits:
+					minLimits && maxLimits
+						? { minX: minLimits.x, maxX: maxLimits.x, minY: minLimits.y, maxY: maxLimits.y }
+						: null,
+				viewports: layout.viewports
+					.map((viewport) => this._SerializeViewport(viewport))
+					.filter((viewport) => viewport !== null),
+				entities: this._SerializeEntityExtents(layout.entityExtents),
+				spatialIndex: this._BuildSpatialIndex(layout.entityExtents),
+				constructionLines: this._SerializeConstructionLines(layout.constructionLines),
+				batches
+			});
+		}
+
 		for (const layer of this.layers.values()) {
 			scene.layers.push({
 				name: layer.name,
 				displayName: layer.displayName,
-				color: layer.color
+				color: layer.color,
+				isOn: layer.visible !== false,
+				isFrozen: layer.frozen === true,
+				isLocked: layer.locked === true
 			});
 		}
 
@@ -2499,11 +4059,111 @@ export class DxfScene {
 
 		return scene;
 	}
+
+	/** @return {{handle: string, entityType: string, layer: string, bounds: {}}[]} Entities extents
+	 *  relative to the scene origin, spatial index items refer to this array elements.
+	 */
+	_SerializeEntityExtents(entityExtents) {
+		return entityExtents.map(({ handle, entityType, layer, bounds }) => ({
+			handle,
+			entityType,
+			layer,
+			bounds: {
+				minX: bounds.minX - this.origin.x,
+				maxX: bounds.maxX - this.origin.x,
+				minY: bounds.minY - this.origin.y,
+				maxY: bounds.maxY - this.origin.y
+			}
+		}));
+	}
+
+	/** @return {{}[]} Construction lines with base points relative to the scene origin. */
+	_SerializeConstructionLines(constructionLines) {
+		const origin = this.origin ?? { x: 0, y: 0 };
+		return constructionLines.map((line) => ({
+			...line,
+			position: { x: line.position.x - origin.x, y: line.position.y - origin.y }
+		}));
+	}
+
+	/** @return {{}} Serialized spatial index of entities extents, see SpatialIndex. */
+	_BuildSpatialIndex(entityExtents) {
+		const index = new SpatialIndex(entityExtents.length);
+		for (const { bounds } of entityExtents) {
+			index.Add(
+				bounds.minX - this.origin.x,
+				bounds.minY - this.origin.y,
+				bounds.maxX - this.origin.x,
+				bounds.maxY - this.origin.y
+			);
+		}
+		index.Finish();
+		return index.Serialize();
+	}
+
+	/** @return {?{}} Viewport parameters for rendering model space in it, null if the viewport
+	 *  does not display model space. All coordinates are relative to the scene origin.
+	 */
+	_SerializeViewport(viewport) {
+		/* ID 1 is the paper space itself, zero status means the viewport is off. */
+		if (
+			viewport.id === 1 ||
+			viewport.status === 0 ||
+			!viewport.center ||
+			!viewport.width ||
+			!viewport.height ||
+			!viewport.viewHeight ||
+			this.origin === null
+		) {
+			return null;
+		}
+		const twistAngle = viewport.twistAngle ?? 0;
+		const target = viewport.viewTarget ?? { x: 0, y: 0 };
+		/* View center is in display coordinate system which is rotated by the twist angle
+		 * relatively to WCS and has its origin in the view target point.
+		 */
+		const viewCenter = new Vector2(viewport.viewCenter?.x ?? 0, viewport.viewCenter?.y ?? 0)
+			.rotateAround({ x: 0, y: 0 }, -twistAngle)
+			.add(target);
+		const frozenHandles = new Set(viewport.frozenLayers ?? []);
+		const frozenLayers = [];
+		for (const layer of this.layers.values()) {
+			if (layer.handle !== undefined && frozenHandles.has(layer.handle)) {
+				frozenLayers.push(layer.name);
+			}
+		}
+		return {
+			handle: viewport.handle,
+			center: {
+				x: viewport.center.x - this.origin.x,
+				y: viewport.center.y - this.origin.y
+			},
+			width: viewport.width,
+			height: viewport.height,
+			viewCenter: { x: viewCenter.x - this.origin.x, y: viewCenter.y - this.origin.y },
+			viewHeight: viewport.viewHeight,
+			twistAngle,
+			/* Names of layers frozen in this viewport only. */
+			frozenLayers
+		};
+	}
 }
 
 class RenderBatch {
 	constructor(key) {
 		this.key = key;
+		/* Number of components per vertex, third one is distance along the line if present. Image
+		 * vertices have two texture coordinates instead. SDF glyph "vertex" is a glyph instance.
+		 */
+		if (key.geometryType === BatchingKey.GeometryType.IMAGE) {
+			this.vertexSize = 4;
+		} else if (key.geometryType === BatchingKey.GeometryType.SDF_GLYPH) {
+			this.vertexSize = GLYPH_INSTANCE_SIZE;
+		} else {
+			this.vertexSize = key.HasLineDistance() ? 3 : 2;
+		}
+		/* Image source for image batch, {imageDefHandle, fileName, isTransparent}. */
+		this.image = null;
 		if (key.IsIndexed()) {
 			this.chunks = [];
 		} else if (key.geometryType === BatchingKey.GeometryType.BLOCK_INSTANCE) {
@@ -2511,11 +4171,75 @@ class RenderBatch {
 		} else {
 			this.vertices = new DynamicBuffer(NativeType.FLOAT32);
 		}
+		/* DXF entity the subsequently pushed geometry belongs to. */
+		this.entity = null;
+		/* Element is {handle, entityType, start}, start is vertex or instance index. Ranges for
+		 * indexed batches are stored in chunks.
+		 */
+		this.entityRanges = [];
+	}
+
+	/** Set DXF entity for the subsequently pushed geometry, so that it can be mapped back to the
+	 * entity for picking.
+	 * @param handle {?string} Entity handle, null if the geometry should not be pickable.
+	 * @param entityType {?string}
+	 */
+	SetEntity(handle, entityType) {
+		this.entity = handle === null ? null : { handle, entityType };
+		if (this.key.IsIndexed()) {
+			return;
+		}
+		const last =
+			this.entityRanges.length > 0 ? this.entityRanges[this.entityRanges.length - 1] : null;
+		if ((last?.handle ?? null) === handle) {
+			return;
+		}
+		const start =
+			this.key.geometryType === BatchingKey.GeometryType.BLOCK_INSTANCE
+				? this.transforms.GetSize() / INSTANCE_TRANSFORM_SIZE
+				: this.vertices.GetSize() / this.vertexSize;
+		if (last !== null && last.start === start) {
+			/* Previous entity has not pushed anything. */
+			this.entityRanges.pop();
+		}
+		this.entityRanges.push({ handle, entityType, start });
 	}
 
-	PushVertex(v) {
+	/**
+	 * @param v {{x, y}}
+	 * @param lineDistance {?number} Distance along the line, used if the batch has line type.
+	 * @param uv {?{x, y}} Texture coordinates, used if the batch is image.
+	 */
+	PushVertex(v, lineDistance = 0, uv = null) {
 		const idx = this.vertices.Push(v.x);
 		this.vertices.Push(v.y);
+		if (this.vertexSize === 3) {
+			this.vertices.Push(lineDistance ?? 0);
+		} else if (this.vertexSize === 4) {
+			this.vertices.Push(uv.x);
+			this.vertices.Push(uv.y);
+		}
+		return idx;
+	}
+
+	/** Push SDF glyph instance. Unit quad is transformed to the glyph quad.
+	 * @param origin {{x, y}} Glyph quad origin.
+	 * @param xCorner {{x, y}} Quad corner at the end of its X edge.
+	 * @param yCorner {{x, y}} Quad corner at the end of its Y edge.
+	 * @param atlasRect {{x, y, width, height}} Glyph rectangle in the atlas, pixels.
+	 */
+	PushGlyph(origin, xCorner, yCorner, atlasRect) {
+		/* Transform rows, same layout as for block instance transform. */
+		const idx = this.vertices.Push(xCorner.x - origin.x);
+		this.vertices.Push(yCorner.x - origin.x);
+		this.vertices.Push(origin.x);
+		this.vertices.Push(xCorner.y - origin.y);
+		this.vertices.Push(yCorner.y - origin.y);
+		this.vertices.Push(origin.y);
+		this.vertices.Push(atlasRect.x);
+		this.vertices.Push(atlasRect.y);
+		this.vertices.Push(atlasRect.width);
+		this.vertices.Push(atlasRect.height);
 		return idx;
 	}
 
@@ -2546,7 +4270,7 @@ class RenderBatch {
 		let curChunk = null;
 		let curSpace = 0;
 		for (const chunk of this.chunks) {
-			const space = INDEXED_CHUNK_SIZE - chunk.vertices.GetSize() / 2;
+			const space = INDEXED_CHUNK_SIZE - chunk.vertices.GetSize() / this.vertexSize;
 			if (space < verticesCount) {
 				continue;
 			}
@@ -2558,6 +4282,11 @@ class RenderBatch {
 		if (curChunk === null) {
 			curChunk = this._NewChunk(verticesCount);
 		}
+		curChunk.entityRanges.push({
+			handle: this.entity?.handle ?? null,
+			entityType: this.entity?.entityType ?? null,
+			start: curChunk.indices.GetSize()
+		});
 		return new IndexedChunkWriter(curChunk, verticesCount);
 	}
 
@@ -2577,17 +4306,22 @@ class RenderBatch {
 		if (this.key.IsInstanced()) {
 			throw new Error("Attempted to merge instanced batch");
 		}
+		const vertexSize = batch.vertexSize;
+		/* Line distances are scaled by transform scale factor. */
+		const distanceScale = transform ? Math.sqrt(Math.abs(transform.determinant())) : 1;
+		const GetLineDistance = (vertices, i) =>
+			vertexSize === 3 ? vertices.Get(i + 2) * distanceScale : 0;
 		if (this.key.IsIndexed()) {
 			/* Merge chunks. */
 			for (const chunk of batch.chunks) {
 				const verticesSize = chunk.vertices.size;
-				const chunkWriter = this.PushChunk(verticesSize / 2);
-				for (let i = 0; i < verticesSize; i += 2) {
+				const chunkWriter = this.PushChunk(verticesSize / vertexSize);
+				for (let i = 0; i < verticesSize; i += vertexSize) {
 					const v = new Vector2(chunk.vertices.Get(i), chunk.vertices.Get(i + 1));
 					if (transform) {
 						v.applyMatrix3(transform);
 					}
-					chunkWriter.PushVertex(v);
+					chunkWriter.PushVertex(v, GetLineDistance(chunk.vertices, i));
 				}
 				const numIndices = chunk.indices.size;
 				for (let i = 0; i < numIndices; i++) {
@@ -2595,14 +4329,37 @@ class RenderBatch {
 				}
 				chunkWriter.Finish();
 			}
+		} else if (this.key.geometryType === BatchingKey.GeometryType.SDF_GLYPH) {
+			const v = batch.vertices;
+			const n = v.size;
+			for (let i = 0; i < n; i += vertexSize) {
+				const origin = new Vector2(v.Get(i + 2), v.Get(i + 5));
+				const xCorner = new Vector2(v.Get(i), v.Get(i + 3)).add(origin);
+				const yCorner = new Vector2(v.Get(i + 1), v.Get(i + 4)).add(origin);
+				if (transform) {
+					origin.applyMatrix3(transform);
+					xCorner.applyMatrix3(transform);
+					yCorner.applyMatrix3(transform);
+				}
+				this.PushGlyph(origin, xCorner, yCorner, {
+					x: v.Get(i + 6),
+					y: v.Get(i + 7),
+					width: v.Get(i + 8),
+					height: v.Get(i + 9)
+				});
+			}
 		} else {
 			const n = batch.vertices.size;
-			for (let i = 0; i < n; i += 2) {
+			for (let i = 0; i < n; i += vertexSize) {
 				const v = new Vector2(batch.vertices.Get(i), batch.vertices.Get(i + 1));
 				if (transform) {
 					v.applyMatrix3(transform);
 				}
-				this.PushVertex(v);
+				const uv =
+					vertexSize === 4
+						? { x: batch.vertices.Get(i + 2), y: batch.vertices.Get(i + 3) }
+						: null;
+				this.PushVertex(v, GetLineDistance(batch.vertices, i), uv);
 			}
 		}
 	}
@@ -2648,6 +4405,7 @@ class RenderBatch {
 		if (this.key.IsIndexed()) {
 			const batch = {
 				key: this.key,
+				vertexSize: this.vertexSize,
 				chunks: []
 			};
 			for (const chunk of this.chunks) {
@@ -2659,7 +4417,11 @@ class RenderBatch {
 			const batch = {
 				key: this.key,
 				transformsOffset: buffers.transformsOffset,
-				transformsSize: size
+				transformsSize: size,
+				entities: SerializeEntityRanges(
+					this.entityRanges,
+					size / INSTANCE_TRANSFORM_SIZE
+				)
 			};
 			this.transforms.CopyTo(buffers.transforms, buffers.transformsOffset);
 			buffers.transformsOffset += size;
@@ -2668,9 +4430,14 @@ class RenderBatch {
 			const size = this.vertices.GetSize();
 			const batch = {
 				key: this.key,
+				vertexSize: this.vertexSize,
 				verticesOffset: buffers.verticesOffset,
-				verticesSize: size
+				verticesSize: size,
+				entities: SerializeEntityRanges(this.entityRanges, size / this.vertexSize)
 			};
+			if (this.image !== null) {
+				batch.image = this.image;
+			}
 			this.vertices.CopyTo(buffers.vertices, buffers.verticesOffset);
 			buffers.verticesOffset += size;
 			return batch;
@@ -2678,7 +4445,7 @@ class RenderBatch {
 	}
 
 	_NewChunk(initialCapacity) {
-		const chunk = new IndexedChunk(initialCapacity);
+		const chunk = new IndexedChunk(initialCapacity, this.vertexSize);
 		this.chunks.push(chunk);
 		return chunk;
 	}
@@ -2690,15 +4457,65 @@ BlockContext.Type = Object.freeze({
 	INSTANTIATION: 2
 });
 
+/** Number of components in block instance transform. */
+const INSTANCE_TRANSFORM_SIZE = 6;
+/** Number of components in SDF glyph instance: quad transform and atlas rectangle. */
+const GLYPH_INSTANCE_SIZE = 10;
+
+/** Convert entity ranges to serialized form with explicit sizes, ranges without entity or
+ * geometry are omitted.
+ * @param ranges {{handle: ?string, entityType: ?string, start: number}[]}
+ * @param totalSize {number} Size of the whole buffer in the same units as ranges start.
+ * @return {{handle: string, entityType: ?string, start: number, count: number}[]}
+ */
+function SerializeEntityRanges(ranges, totalSize) {
+	const result = [];
+	for (let i = 0; i < ranges.length; i++) {
+		const range = ranges[i];
+		const end = i < ranges.length - 1 ? ranges[i + 1].start : totalSize;
+		if (range.handle === null || end <= range.start) {
+			continue;
+		}
+		result.push({
+			handle: range.handle,
+			entityType: range.entityType ?? null,
+			start: range.start,
+			count: end - range.start
+		});
+	}
+	return result;
+}
+
+/** Cells of MINSERT array, rows first.
+ * @param entity Raw DXF INSERT entity.
+ * @return {number[][]} Column and row index pairs, single cell for plain INSERT.
+ */
+function InsertArrayCells(entity) {
+	const numColumns = Math.max(entity.columnCount ?? 1, 1);
+	const numRows = Math.max(entity.rowCount ?? 1, 1);
+	const result = [];
+	for (let row = 0; row < numRows; row++) {
+		for (let column = 0; column < numColumns; column++) {
+			result.push([column, row]);
+		}
+	}
+	return result;
+}
+
 class IndexedChunk {
-	constructor(initialCapacity) {
+	constructor(initialCapacity, vertexSize = 2) {
 		if (initialCapacity < 16) {
 			initialCapacity = 16;
 		}
+		this.vertexSize = vertexSize;
 		/* Average two indices per vertex. */
 		this.indices = new DynamicBuffer(NativeType.UINT16, initialCapacity * 2);
-		/* Two components per vertex. */
-		this.vertices = new DynamicBuffer(NativeType.FLOAT32, initialCapacity * 2);
+		/* Two or three (with line distance) components per vertex. */
+		this.vertices = new DynamicBuffer(NativeType.FLOAT32, initialCapacity * vertexSize);
+		/* Element is {handle, entityType, start}, start is index in the indices buffer. Each range
+		 * corresponds to one written sub-chunk, e.g. a text glyph.
+		 */
+		this.entityRanges = [];
 	}
 
 	Serialize(buffers) {
@@ -2716,6 +4533,7 @@ class IndexedChunk {
 			chunk.indicesSize = size;
 			this.indices.CopyTo(buffers.indices, buffers.indicesOffset);
 			buffers.indicesOffset += size;
+			chunk.entities = SerializeEntityRanges(this.entityRanges, size);
 		}
 		return chunk;
 	}
@@ -2725,16 +4543,23 @@ class IndexedChunkWriter {
 	constructor(chunk, verticesCount) {
 		this.chunk = chunk;
 		this.verticesCount = verticesCount;
-		this.verticesOffset = this.chunk.vertices.GetSize() / 2;
+		this.verticesOffset = this.chunk.vertices.GetSize() / this.chunk.vertexSize;
 		this.numVerticesPushed = 0;
 	}
 
-	PushVertex(v) {
+	/**
+	 * @param v {{x, y}}
+	 * @param lineDistance {?number} Distance along the line, used if the chunk has line type.
+	 */
+	PushVertex(v, lineDistance = 0) {
 		if (this.numVerticesPushed === this.verticesCount) {
 			throw new Error();
 		}
 		this.chunk.vertices.Push(v.x);
 		this.chunk.vertices.Push(v.y);
+		if (this.chunk.vertexSize === 3) {
+			this.chunk.vertices.Push(lineDistance ?? 0);
+		}
 		this.numVerticesPushed++;
 	}
 
@@ -2762,7 +4587,9 @@ export class Entity {
 	 * @param layer {?string}
 	 * @param color {number}
 	 * @param lineType {?number}
+	 * @param lineweight {?number} Lineweight in hundredths of millimeter.
 	 * @param shape {Boolean} true if closed shape.
+	 * @param atlasRect {?{x, y, width, height}} Glyph rectangle in SDF atlas for GLYPH type.
 	 */
 	constructor({
 		entityType,
@@ -2775,7 +4602,9 @@ export class Entity {
 		layer = null,
 		color,
 		lineType = 0,
-		shape = false
+		lineweight = null,
+		shape = false,
+		atlasRect = null
 	}) {
 		this.entityType = entityType;
 		this.handle = handle;
@@ -2786,8 +4615,10 @@ export class Entity {
 		this.layer = layer;
 		this.color = color;
 		this.lineType = lineType;
+		this.lineweight = lineweight;
 		this.shape = shape;
 		this.name = name;
+		this.atlasRect = atlasRect;
 	}
 
 	*_IterateVertices(startIndex, count) {
@@ -2881,7 +4712,9 @@ Entity.Type = Object.freeze({
 	/** Each vertices pair defines a segment. */
 	LINE_SEGMENTS: 1,
 	POLYLINE: 2,
-	TRIANGLES: 3
+	TRIANGLES: 3,
+	/** SDF text glyph quad. Vertices are the quad origin and its X and Y edges end corners. */
+	GLYPH: 4
 });
 
 function* _IterateLineIndices(verticesCount, close) {
@@ -2913,6 +4746,24 @@ const PdMode = Object.freeze({
 /** Special color values, used for block entities. Regular entities color is resolved instantly. */
 export const ColorCode = Object.freeze({
 	BY_LAYER: -1,
+	BY_BLOCK: -2,
+	/** Viewer background color, used for wipeouts. */
+	BACKGROUND: -3
+});
+
+/** Special lineweight values, same as in DXF. Only BY_BLOCK may appear in block definition
+ * batches, others are resolved instantly.
+ */
+export const LineweightCode = Object.freeze({
+	BY_LAYER: -1,
+	BY_BLOCK: -2,
+	DEFAULT: -3
+});
+
+/** Special line type values, used for block entities. Regular entities line type is resolved
+ * instantly.
+ */
+export const LineTypeCode = Object.freeze({
 	BY_BLOCK: -2
 });
 
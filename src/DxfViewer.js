@@ -3,12 +3,14 @@ import * as THREE from "three";
 
 import { BatchingKey } from "./BatchingKey";
 import { Block } from "./blocks/Block"; // Assuming BlockContext is exported or accessible
-import { ColorCode, DxfScene } from "./DxfScene";
+import { ColorCode, DxfScene, LineTypeCode, LineweightCode } from "./DxfScene";
 import { DxfWorker } from "./DxfWorker";
 import { MaterialKey } from "./MaterialKey";
 import { OrbitControls } from "./OrbitControls";
 import { RBTree } from "./RBTree";
+import { GetTableData } from "./Table";
 import { BoundingBoxManager } from "./utils/BoundingBoxManager"; // Use the refactored BoundingBoxManager
+import { EntityPicker } from "./utils/EntityPicker";
 import { Select } from "./utils/Select"; // Use the refactored Select
 
 /** Level in "message" events. */
@@ -78,10 +80,20 @@ export class DxfViewer {
 
 		this.simpleColorMaterial = [];
 		this.simplePointMaterial = [];
+		this.dashedLineMaterial = [];
+		this.thickLineMaterial = [];
+		this.thickDashedLineMaterial = [];
 		for (let i = 0; i < InstanceType.MAX; i++) {
 			this.simpleColorMaterial[i] = this._CreateSimpleColorMaterial(i);
 			this.simplePointMaterial[i] = this._CreateSimplePointMaterial(i);
+			this.dashedLineMaterial[i] = this._CreateLineMaterial(i, true, false);
+			this.thickLineMaterial[i] = this._CreateLineMaterial(i, false, true);
+			this.thickDashedLineMaterial[i] = this._CreateLineMaterial(i, true, true);
 		}
+		/* Render lines with their lineweights. Initial value is taken from options or from the
+		 * loaded file.
+		 */
+		this.lwDisplay = this.options.lwDisplay ?? false;
 
 		renderer.setClearColor(options.clearColor, options.clearAlpha);
 
@@ -120,14 +132,40 @@ export class DxfViewer {
 		this.layers = new Map();
 		/* Indexed by block name, value is Block instance. */
 		this.blocks = new Map();
+		/* Indexed by line type ID, value is {name, pattern, patternLength}. */
+		this.lineTypes = new Map();
+		/* Paper space layouts indexed by name, value is layout data from the scene with additional
+		 * "scene" property (THREE.Scene with layout content).
+		 */
+		this.layouts = new Map();
+		/** Currently displayed paper space layout, null for model space. */
+		this.activeLayout = null;
+		/* Camera for rendering model space in paper space viewports. */
+		this.viewportCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 2);
 
 		/** Set during data loading. */
 		this.worker = null;
+		/** Resolves IMAGEDEF file names, see Load(). */
+		this.imageResolver = null;
+		/* Raster image textures indexed by IMAGEDEF file name. */
+		this.imageTextures = new Map();
+		/* Raster image materials indexed by instance type, transparency and file name. */
+		this.imageMaterials = new Map();
+		/* Glyphs atlas of SDF text, {texture, width, height, glyphSize, spread}. Null if the scene
+		 * is rendered with vector text.
+		 */
+		this.sdfAtlas = null;
 
 		/** @type {BoundingBoxManager | null} */
 		this.boundingBoxManager = null;
 		/** @type {Select | null} */
 		this.selector = null; // Renamed from select for clarity
+		/** Model space entities picker. @type {EntityPicker | null} */
+		this.entityPicker = null;
+		/** DXF entities indexed by handle. @type {Map<string, object>} */
+		this.entitiesByHandle = new Map();
+		/** INSERT attributes indexed by INSERT handle. @type {Map<string, object[]>} */
+		this.insertAttributes = new Map();
 		/** @type {OrbitControls | null} */
 		this.controls = null;
 		/** @type {{x: number, y: number} | null} */
@@ -138,6 +176,11 @@ export class DxfViewer {
 		this.parsedDxf = null;
 		/** @type {boolean} */
 		this.hasMissingChars = false;
+		/* Model space construction lines (XLINE and RAY), see _CreateConstructionLines(). */
+		this.constructionLines = [];
+
+		/* Infinite lines are clipped to the visible area so regenerate them on any view change. */
+		this.Subscribe("viewChanged", () => this._UpdateConstructionLines());
 	}
 
 	// --- Public API Methods ---
@@ -188,6 +231,11 @@ export class DxfViewer {
 		// Clear the renderer
 		this.renderer.clear();
 
+		if (this.activeLayout) {
+			this._RenderLayout(this.activeLayout);
+			return;
+		}
+
 		// Render the scene
 		this.renderer.render(this.scene, this.camera);
 	}
@@ -228,6 +276,7 @@ export class DxfViewer {
 		this.canvasWidth = width;
 		this.canvasHeight = height;
 		this.renderer.setSize(width, height);
+		this._UpdateLineMaterials();
 		if (this.controls) {
 			this.controls.update(); // Important for OrbitControls
 		}
@@ -291,35 +340,183 @@ export class DxfViewer {
 	}
 
 	ResetView() {
-		if (this.bounds && this.origin) {
+		const bounds = this.activeLayout
+			? this.activeLayout.bounds ?? this.activeLayout.limits
+			: this.bounds;
+		if (bounds && this.origin) {
 			this.FitView(
-				this.bounds.minX - this.origin.x,
-				this.bounds.maxX - this.origin.x,
-				this.bounds.minY - this.origin.y,
-				this.bounds.maxY - this.origin.y
+				bounds.minX - this.origin.x,
+				bounds.maxX - this.origin.x,
+				bounds.minY - this.origin.y,
+				bounds.maxY - this.origin.y
 			);
 			// FitView calls Render
 		}
 	}
 
+	/** @return {LayoutInfo[]} Model space and paper space layouts, sorted by tab order. Model
+	 *  space is always the first one.
+	 */
+	GetLayouts() {
+		const result = [
+			{ name: MODEL_LAYOUT_NAME, tabOrder: 0, isModel: true, isActive: !this.activeLayout }
+		];
+		const layouts = Array.from(this.layouts.values()).sort((l1, l2) => l1.tabOrder - l2.tabOrder);
+		for (const layout of layouts) {
+			result.push({
+				name: layout.name,
+				tabOrder: layout.tabOrder,
+				isModel: false,
+				isActive: layout === this.activeLayout
+			});
+		}
+		return result;
+	}
+
+	/** Switch displayed layout. View is fit to the layout content.
+	 * @param name {?string} Layout name as returned by GetLayouts(), null for model space.
+	 */
+	SetActiveLayout(name) {
+		let layout = null;
+		if (name !== null && name !== MODEL_LAYOUT_NAME) {
+			layout = this.layouts.get(name);
+			if (!layout) {
+				throw new Error("Layout not found: " + name);
+			}
+		}
+		if (layout === this.activeLayout) {
+			return;
+		}
+		this.activeLayout = layout;
+		if (this.selector) {
+			this.selector.setEntityPicker(this._GetEntityPicker());
+			this.boundingBoxManager.setScene(layout?.scene ?? this.scene);
+		}
+		this._Emit("layoutChanged", { name: layout?.name ?? MODEL_LAYOUT_NAME });
+		this.ResetView();
+		/* View is not changed if the layout is empty. */
+		this._UpdateConstructionLines();
+		this.Render();
+	}
+
+	/** Find the entity at the specified canvas position in the currently displayed layout.
+	 * @param canvasX {number} Canvas X coordinate in CSS pixels.
+	 * @param canvasY {number} Canvas Y coordinate in CSS pixels.
+	 * @param tolerance {?number} Picking tolerance in pixels, `pickTolerance` option value if not
+	 *  specified.
+	 * @return {?{handle: string, entityType: ?string, layer: ?string, entity: ?Object}} Picked
+	 *  entity, `entity` is the parsed DXF entity if available. Null if nothing found.
+	 */
+	PickEntity(canvasX, canvasY, tolerance = null) {
+		const picker = this._GetEntityPicker();
+		if (!picker) {
+			return null;
+		}
+		const position = this._CanvasToSceneCoord(canvasX, canvasY);
+		const pixelSize = (this.camera.right - this.camera.left) / this.camera.zoom / this.canvasWidth;
+		const result = picker.pick(
+			position.x,
+			position.y,
+			(tolerance ?? this.options.pickTolerance) * pixelSize
+		);
+		if (!result) {
+			return null;
+		}
+		return {
+			handle: result.handle,
+			entityType: result.entityType,
+			layer: result.layerName,
+			entity: this.GetEntityByHandle(result.handle)
+		};
+	}
+
+	/** Find entities which extents intersect the specified rectangle in the currently displayed
+	 * layout. Coordinates are scene coordinates, i.e. relative to GetOrigin(). Entities on hidden
+	 * layers are not reported.
+	 * @return {{handle: string, entityType: string, layer: string, bounds: {minX: number,
+	 *  maxX: number, minY: number, maxY: number}}[]} Found entities, bounds are in scene
+	 *  coordinates.
+	 */
+	QueryRect(minX, minY, maxX, maxY) {
+		return this._GetEntityPicker()?.queryRect(minX, minY, maxX, maxY) ?? [];
+	}
+
+	/** Find entities which extents contain the specified point in the currently displayed layout.
+	 * See QueryRect() for details.
+	 * @param x {number} Scene X coordinate.
+	 * @param y {number} Scene Y coordinate.
+	 * @param tolerance {number} Extents are expanded by this value, in scene units.
+	 */
+	QueryPoint(x, y, tolerance = 0) {
+		return this._GetEntityPicker()?.queryPoint(x, y, tolerance) ?? [];
+	}
+
+	/** @param handle {string}
+	 * @return {?Object} Parsed DXF entity with the specified handle, null if not found.
+	 */
+	GetEntityByHandle(handle) {
+		return this.entitiesByHandle.get(handle) ?? null;
+	}
+
+	/** Attributes of block instance. Values of constant attributes are taken from the block
+	 * definition.
+	 * @param handle {string} INSERT entity handle.
+	 * @return {{handle: string, tag: string, value: string, invisible: boolean,
+	 *  constant: boolean}[]} Empty if the INSERT has no attributes or not found.
+	 */
+	GetInsertAttributes(handle) {
+		return this.insertAttributes.get(handle) ?? [];
+	}
+
+	/** Content of table cells, e.g. for exporting schedules.
+	 * @param handle {string} ACAD_TABLE entity handle.
+	 * @return {?(?string)[][]} Plain text of the cells indexed by row and column. Cells covered
+	 *  by merged cells are null, the merged region text is in its top-left cell. Null if the
+	 *  table is not found.
+	 */
+	GetTableData(handle) {
+		const entity = this.entitiesByHandle.get(handle);
+		if (entity?.type !== "ACAD_TABLE") {
+			return null;
+		}
+		return GetTableData(entity);
+	}
+
 	GetLayers() {
 		const result = [];
 		for (const lyr of this.layers.values()) {
 			result.push({
 				name: lyr.name,
 				displayName: lyr.displayName,
-				color: this._TransformColor(lyr.color)
+				color: this._TransformColor(lyr.color),
+				isOn: lyr.isOn,
+				isFrozen: lyr.isFrozen,
+				isLocked: lyr.isLocked
 			});
 		}
 		return result;
 	}
 
+	/** Turn layer on or off. Frozen layer stays hidden until thawed. */
 	ShowLayer(name, show) {
 		const layer = this.layers.get(name);
 		if (!layer) return;
 
-		layer.visible = show;
+		layer.isOn = show;
+		this._UpdateLayerVisibility(layer);
+	}
+
+	/** Freeze or thaw layer. Frozen layer is hidden regardless of its on/off state. */
+	FreezeLayer(name, freeze) {
+		const layer = this.layers.get(name);
+		if (!layer) return;
+
+		layer.isFrozen = freeze;
+		this._UpdateLayerVisibility(layer);
+	}
 
+	_UpdateLayerVisibility(layer) {
+		const show = layer.visible;
 		// Update all objects in this layer
 		layer.objects.forEach((obj) => {
 			obj.visible = show;
@@ -336,6 +533,21 @@ export class DxfViewer {
 		this.Render();
 	}
 
+	/** Show or hide lineweights, same as LWDISPLAY system variable in AutoCAD. When hidden, all
+	 * lines are rendered one pixel wide.
+	 * @param show {boolean}
+	 */
+	SetLineweightDisplay(show) {
+		this.lwDisplay = Boolean(show);
+		this._UpdateLineMaterials();
+		this.Render();
+	}
+
+	/** @return {boolean} True if lineweights are displayed. */
+	GetLineweightDisplay() {
+		return this.lwDisplay;
+	}
+
 	Subscribe(eventName, eventHandler) {
 		this._EnsureRenderer();
 		// Use a more specific prefix if needed, or just use the name directly
@@ -371,14 +583,38 @@ export class DxfViewer {
 			this.scene.remove(this.scene.children[0]);
 		}
 
+		for (const space of [this, ...this.layouts.values()]) {
+			for (const group of space.constructionLines) {
+				group.object.geometry.dispose();
+			}
+		}
+		this.constructionLines = [];
+
 		// Dispose layers and materials
 		for (const layer of this.layers.values()) {
 			layer.Dispose(); // Assuming Layer.Dispose handles geometry/material
 		}
 		this.layers.clear();
 		this.blocks.clear();
+		this.lineTypes.clear();
+		this.layouts.clear();
+		this.activeLayout = null;
+		this.entityPicker = null;
+		this.entitiesByHandle.clear();
+		this.insertAttributes.clear();
 		this.materials.each((e) => e.material.dispose());
 		this.materials.clear();
+		for (const material of this.imageMaterials.values()) {
+			material.dispose();
+		}
+		this.imageMaterials.clear();
+		for (const texture of this.imageTextures.values()) {
+			texture.dispose();
+		}
+		this.imageTextures.clear();
+		this.imageResolver = null;
+		this.sdfAtlas?.texture.dispose();
+		this.sdfAtlas = null;
 
 		// Reset state
 		this.origin = null;
@@ -410,8 +646,18 @@ export class DxfViewer {
 		for (const m of this.simpleColorMaterial) {
 			m?.dispose();
 		}
+		for (const m of [
+			...this.dashedLineMaterial,
+			...this.thickLineMaterial,
+			...this.thickDashedLineMaterial
+		]) {
+			m?.dispose();
+		}
 		this.simplePointMaterial = [];
 		this.simpleColorMaterial = [];
+		this.dashedLineMaterial = [];
+		this.thickLineMaterial = [];
+		this.thickDashedLineMaterial = [];
 
 		this.renderer.dispose();
 		this.renderer = null;
@@ -425,35 +671,92 @@ export class DxfViewer {
 
 	// --- Loading Method ---
 
-	async Load({ url, fonts = null, progressCbk = null, workerFactory = null }) {
-		if (url === null || url === undefined) {
-			throw new Error("`url` parameter is not specified");
-		}
+	/** Load DXF file. Either `url` or `data` should be specified.
+	 * @param url {?string} DXF file URL.
+	 * @param data {?(ArrayBuffer|Blob|string)} DXF file content, e.g. dropped file. ArrayBuffer is
+	 *  transferred to the worker without copying, so it becomes detached after the call.
+	 * @param fetchOptions {?RequestInit} Additional options for fetching the URL, e.g. headers or
+	 *  credentials for authenticated requests.
+	 * @param fonts {?string[]} Fonts URLs.
+	 * @param fontMap {?Object<string, string>} Fonts URLs indexed by font name, e.g.
+	 *  `{"romans.shx": url, "Arial": url}`. Text style primary font file name (or family name in
+	 *  MTEXT font change) is looked up there, the mapped font is preferred for such text. Glyphs
+	 *  missing in it are searched in `fonts`.
+	 * @param progressCbk {?Function} (phase, processedSize, totalSize)
+	 * @param workerFactory {?Function} Returns web worker instance with DxfViewer.SetupWorker()
+	 *  called. Everything is processed in the main thread if not specified.
+	 * @param signal {?AbortSignal} Signal for aborting the loading. The returned promise is
+	 *  rejected with the signal abort reason (AbortError by default), the worker is destroyed
+	 *  immediately. Calling Clear() or Load()
+	 *  during loading aborts it as well.
+	 * @param imageResolver {?Function} (fileName) => string|Blob|null, or a promise of it. Maps
+	 *  IMAGEDEF file name (usually an absolute path on the author machine) to the image URL or
+	 *  content. Raster images are not displayed if not specified or null is returned. Images are
+	 *  loaded in background after the returned promise is resolved.
+	 */
+	async Load({
+		url = null,
+		data = null,
+		fetchOptions = null,
+		fonts = null,
+		fontMap = null,
+		progressCbk = null,
+		workerFactory = null,
+		signal = null,
+		imageResolver = null
+	}) {
+		if (url === null && data === null) {
+			throw new Error("Either `url` or `data` parameter should be specified");
+		}
+		signal?.throwIfAborted();
 
 		this._EnsureRenderer();
 		this.Clear(); // Clear previous state before loading
 
 		// --- Start Worker ---
-		this.worker = new DxfWorker(workerFactory ? workerFactory() : null);
+		/* Clear() may reset or replace this.worker while loading, so keep own reference. */
+		const worker = (this.worker = new DxfWorker(workerFactory ? workerFactory() : null));
 		let sceneData, dxfData;
+		let aborted = false;
+		let cleared = false;
 		try {
-			const result = await this.worker.Load(url, fonts, this.options, progressCbk);
+			const result = await worker.Load(
+				{ url, data, fetchOptions },
+				fonts,
+				this.options,
+				progressCbk,
+				signal,
+				fontMap
+			);
 			sceneData = result.scene;
 			dxfData = result.dxf;
 			// blockData = result.blockData; // Use if needed
 		} catch (error) {
+			/* Signal may be aborted with a custom reason which is rejected with as is. */
+			if (signal?.aborted || error?.name === "AbortError") {
+				aborted = true;
+				throw error;
+			}
 			console.error("Failed to load or parse DXF:", error);
 			this._Message(`Failed to load DXF: ${error.message}`, MessageLevel.ERROR);
-			await this.worker?.Destroy();
-			this.worker = null;
 			return; // Stop loading process
 		} finally {
-			await this.worker?.Destroy(); // Ensure worker is destroyed
-			this.worker = null;
+			/* Aborted worker may be still busy, so do not wait for its response. */
+			await worker.Destroy(aborted); // Ensure worker is destroyed
+			if (this.worker === worker) {
+				this.worker = null;
+			} else {
+				cleared = true;
+			}
+		}
+		signal?.throwIfAborted();
+		if (cleared) {
+			throw new DOMException("Loading cancelled by Clear()", "AbortError");
 		}
 
 		// --- Process Loaded Data ---
 		this.parsedDxf = dxfData;
+		this.imageResolver = imageResolver;
 		this.origin = sceneData.origin;
 		this.bounds = sceneData.bounds;
 		this.hasMissingChars = sceneData.hasMissingChars;
@@ -464,11 +767,35 @@ export class DxfViewer {
 		// 2. Collect Top-Level Block Entities
 		this._collectBlockEntities(dxfData);
 
+		for (const entity of dxfData?.entities ?? []) {
+			if (entity.handle !== undefined) {
+				this.entitiesByHandle.set(entity.handle, entity);
+			}
+		}
+
 		// 3. Process Layers
 		for (const layer of sceneData.layers) {
-			this.layers.set(layer.name, new Layer(layer.name, layer.displayName, layer.color));
+			this.layers.set(
+				layer.name,
+				new Layer(
+					layer.name,
+					layer.displayName,
+					layer.color,
+					layer.isOn,
+					layer.isFrozen,
+					layer.isLocked
+				)
+			);
 		}
 
+		// Line type patterns, ID is index plus one
+		sceneData.lineTypes.forEach((lineType, idx) => this.lineTypes.set(idx + 1, lineType));
+		for (const [handle, attributes] of Object.entries(sceneData.insertAttributes)) {
+			this.insertAttributes.set(handle, attributes);
+		}
+		this.lwDisplay = this.options.lwDisplay ?? sceneData.lwDisplay;
+		this.sdfAtlas = sceneData.sdfAtlas ? this._CreateSdfAtlas(sceneData.sdfAtlas) : null;
+
 		// 4. Process Block Definitions (Load geometry batches into Block instances)
 		for (const batch of sceneData.batches) {
 			if (
@@ -497,6 +824,18 @@ export class DxfViewer {
 			// Pass sceneData for buffer access
 			this._LoadBatch(sceneData, batch);
 		}
+		this.constructionLines = this._CreateConstructionLines(sceneData.constructionLines, this.scene);
+		for (const layoutData of sceneData.layouts) {
+			const { batches, entities, spatialIndex, constructionLines, ...layoutProps } = layoutData;
+			const layout = { ...layoutProps, scene: new THREE.Scene() };
+			for (const batch of batches) {
+				this._LoadBatch(sceneData, batch, layout.scene);
+			}
+			layout.constructionLines = this._CreateConstructionLines(constructionLines, layout.scene);
+			layout.entityPicker = this._CreateEntityPicker(sceneData, layoutData);
+			this.layouts.set(layout.name, layout);
+		}
+		this.entityPicker = this._CreateEntityPicker(sceneData, sceneData);
 
 		console.log("Scene contents:", {
 			numChildren: this.scene.children.length,
@@ -513,12 +852,20 @@ export class DxfViewer {
 
 		// 8. Initialize Selector
 		if (this.renderer && this.camera && this.boundingBoxManager) {
-			this.selector = new Select(this.renderer.domElement, this.camera, this.boundingBoxManager);
+			this.selector = new Select(
+				this.renderer.domElement,
+				this.camera,
+				this.boundingBoxManager,
+				null,
+				this._GetEntityPicker(),
+				this.options.pickTolerance
+			);
+			this.selector.setLassoMode(this.options.lassoSelection);
 
 			// 9. Subscribe to Selection Events
-			this.selector.subscribe("select", (selectedUUIDs) => {
+			this.selector.subscribe("select", (selectedUUIDs, mode) => {
 				// selectedUUIDs is a Set<string>
-				console.log("Selected entity UUIDs:", selectedUUIDs);
+				this._Emit("select", { handles: [...selectedUUIDs], mode });
 
 				if (selectedUUIDs.size > 0) {
 					// Get the first selected UUID to zoom to
@@ -648,8 +995,24 @@ export class DxfViewer {
 		}
 	}
 
-	/** Creates THREE.js objects for a given batch */
-	_LoadBatch(sceneData, batch) {
+	/** @return {EntityPicker} Picker for model space or layout, hidden layers are not picked. */
+	_CreateEntityPicker(sceneData, space) {
+		return new EntityPicker(
+			sceneData,
+			space,
+			(layerName) => this.layers.get(layerName)?.visible !== false
+		);
+	}
+
+	/** @return {?EntityPicker} Picker for the currently displayed layout. */
+	_GetEntityPicker() {
+		return this.activeLayout ? this.activeLayout.entityPicker : this.entityPicker;
+	}
+
+	/** Creates THREE.js objects for a given batch
+	 * @param scene {?THREE.Scene} Scene to add the objects to, model space scene if not specified.
+	 */
+	_LoadBatch(sceneData, batch, scene = null) {
 		// Skip block definition batches
 		if (
 			batch.key.blockName !== null &&
@@ -663,14 +1026,167 @@ export class DxfViewer {
 		const batchHelper = new Batch(this, sceneData, batch);
 		const objects = batchHelper.CreateObjects(); // This is a generator
 
-		// Add created objects to the scene and appropriate layer
+		// Add created objects to the scene and appropriate layer, block instance objects keep
+		// the layer of their definition entities
 		for (const obj of objects) {
-			this.scene.add(obj);
-			const layer = this.layers.get(batch.key.layerName);
+			(scene ?? this.scene).add(obj);
+			const layer = this.layers.get(obj.userData?.layerName ?? batch.key.layerName);
 			if (layer) {
 				// Assuming Layer class has a method to track its objects
 				layer.PushObject(obj);
+				// Layers turned off or frozen in the file are hidden initially
+				obj.visible = layer.visible;
+			}
+		}
+	}
+
+	/** Create objects for construction lines (XLINE and RAY). Lines of the same appearance are
+	 * grouped into a single object, its geometry is regenerated by _UpdateConstructionLines().
+	 * @param lines {{}[]} Construction lines from the scene data.
+	 * @param scene {THREE.Scene} Scene to add the objects to.
+	 * @return {{lines: {}[], object: THREE.Object3D, isThick: boolean, patternLength: number}[]}
+	 */
+	_CreateConstructionLines(lines, scene) {
+		const groups = new Map();
+		for (const line of lines) {
+			const key = `${line.layer}/${line.color}/${line.lineType}/${line.lineweight}`;
+			let group = groups.get(key);
+			if (!group) {
+				const patternLength = this.lineTypes.get(line.lineType)?.patternLength ?? 0;
+				const isThick = this._IsThickLine(line.lineweight);
+				const finalColor = this._TransformColor(line.color);
+				const material = this._GetSimpleColorMaterial(
+					finalColor,
+					InstanceType.NONE,
+					patternLength > 0 ? line.lineType : 0,
+					isThick ? line.lineweight : 0
+				);
+				const objConstructor = isThick ? THREE.Mesh : THREE.LineSegments;
+				const object = new objConstructor(new THREE.BufferGeometry(), material);
+				object.frustumCulled = false;
+				object.userData = { entityType: line.entityType, layerName: line.layer, finalColor };
+				scene.add(object);
+				const layer = this.layers.get(line.layer);
+				if (layer) {
+					layer.PushObject(object);
+					object.visible = layer.visible;
+				}
+				group = { lines: [], object, isThick, patternLength };
+				groups.set(key, group);
 			}
+			group.lines.push(line);
+		}
+		return Array.from(groups.values());
+	}
+
+	/** Regenerate construction lines geometry for the current view. Model space lines are
+	 * clipped to the viewports when a paper space layout is displayed.
+	 */
+	_UpdateConstructionLines() {
+		if (this.constructionLines.length > 0) {
+			this._ClipConstructionLines(
+				this.constructionLines,
+				this.activeLayout ? this._GetViewportsRect(this.activeLayout) : this._GetViewRect()
+			);
+		}
+		if (this.activeLayout?.constructionLines.length > 0) {
+			this._ClipConstructionLines(this.activeLayout.constructionLines, this._GetViewRect());
+		}
+	}
+
+	/** @return {{minX: number, maxX: number, minY: number, maxY: number}} Visible area in scene
+	 *  coordinates.
+	 */
+	_GetViewRect() {
+		const p1 = this._CanvasToSceneCoord(0, 0);
+		const p2 = this._CanvasToSceneCoord(this.canvasWidth, this.canvasHeight);
+		return {
+			minX: Math.min(p1.x, p2.x),
+			maxX: Math.max(p1.x, p2.x),
+			minY: Math.min(p1.y, p2.y),
+			maxY: Math.max(p1.y, p2.y)
+		};
+	}
+
+	/** @return {?{minX: number, maxX: number, minY: number, maxY: number}} Model space area
+	 *  covered by all viewports of the layout, null if there are no viewports.
+	 */
+	_GetViewportsRect(layout) {
+		let rect = null;
+		for (const viewport of layout.viewports) {
+			const halfHeight = viewport.viewHeight / 2;
+			const halfWidth = (halfHeight * viewport.width) / viewport.height;
+			/* Circumscribed square to account for the view twist. */
+			const radius = Math.hypot(halfWidth, halfHeight);
+			const { x, y } = viewport.viewCenter;
+			if (rect === null) {
+				rect = { minX: x - radius, maxX: x + radius, minY: y - radius, maxY: y + radius };
+			} else {
+				rect.minX = Math.min(rect.minX, x - radius);
+				rect.maxX = Math.max(rect.maxX, x + radius);
+				rect.minY = Math.min(rect.minY, y - radius);
+				rect.maxY = Math.max(rect.maxY, y + radius);
+			}
+		}
+		return rect;
+	}
+
+	/**
+	 * @param groups {{}[]} Construction lines groups, see _CreateConstructionLines().
+	 * @param rect {?{minX: number, maxX: number, minY: number, maxY: number}} Clipping rectangle,
+	 *  nothing is displayed if null.
+	 */
+	_ClipConstructionLines(groups, rect) {
+		/* Expand the rectangle a bit so that line ends (thick line caps in particular) are never
+		 * visible.
+		 */
+		const margin = rect ? Math.max(rect.maxX - rect.minX, rect.maxY - rect.minY) * 0.05 : 0;
+		for (const group of groups) {
+			const vertexSize = group.patternLength > 0 ? 3 : 2;
+			const vertices = [];
+			for (const line of rect ? group.lines : []) {
+				const range = ClipConstructionLine(line, rect, margin);
+				if (range === null) {
+					continue;
+				}
+				const [start, end] = range;
+				/* Pattern phase is bound to the base point, distance is reduced by whole pattern
+				 * periods to preserve precision.
+				 */
+				const pl = group.patternLength;
+				const startDistance = pl > 0 ? ((start % pl) + pl) % pl : 0;
+				for (const [t, distance] of [
+					[start, startDistance],
+					[end, startDistance + end - start]
+				]) {
+					vertices.push(
+						line.position.x + line.direction.x * t,
+						line.position.y + line.direction.y * t
+					);
+					if (vertexSize === 3) {
+						vertices.push(distance);
+					}
+				}
+			}
+			const verticesArray = new Float32Array(vertices);
+			let attributes;
+			if (group.isThick) {
+				attributes = Batch._CreateThickLineAttributes(verticesArray, vertexSize);
+			} else {
+				const { vertices, lineDistances } = Batch._CreateVerticesAttributes(
+					verticesArray,
+					vertexSize
+				);
+				attributes = { position: vertices, lineDistance: lineDistances };
+			}
+			const geometry = new THREE.BufferGeometry();
+			for (const [name, attribute] of Object.entries(attributes)) {
+				if (attribute) {
+					geometry.setAttribute(name, attribute);
+				}
+			}
+			group.object.geometry.dispose();
+			group.object.geometry = geometry;
 		}
 	}
 
@@ -682,6 +1198,15 @@ export class DxfViewer {
 		}
 
 		allBlockEntity.forEach((entity) => {
+			// MINSERT array highlight covers all its cells, use the extents known by the picker
+			if (Math.max(entity.columnCount ?? 1, 1) * Math.max(entity.rowCount ?? 1, 1) > 1) {
+				const bounds = this.entityPicker?.getEntityBounds(entity.handle);
+				if (bounds) {
+					this.boundingBoxManager.createBoundingBoxFromBounds(entity.handle, bounds);
+				}
+				return;
+			}
+
 			// Get the pre-calculated definition bounds
 			const definitionBounds = blockBoundingBoxMap.get(entity.name);
 			if (!definitionBounds) {
@@ -747,6 +1272,72 @@ export class DxfViewer {
 		this.scene.add(this.helperBox);
 	}
 
+	/** Render paper space layout. Model space is rendered in each viewport first, paper space
+	 * content is rendered on top of it.
+	 */
+	_RenderLayout(layout) {
+		const renderer = this.renderer;
+		const width = this.canvasWidth;
+		const height = this.canvasHeight;
+		renderer.autoClear = false;
+
+		const camera = this.viewportCamera;
+		const p1 = new THREE.Vector3();
+		const p2 = new THREE.Vector3();
+		for (const viewport of layout.viewports) {
+			/* Viewport rectangle in canvas pixels, origin in bottom-left corner. */
+			p1.set(viewport.center.x - viewport.width / 2, viewport.center.y - viewport.height / 2, 0);
+			p2.set(viewport.center.x + viewport.width / 2, viewport.center.y + viewport.height / 2, 0);
+			p1.project(this.camera);
+			p2.project(this.camera);
+			const x = ((p1.x + 1) * width) / 2;
+			const y = ((p1.y + 1) * height) / 2;
+			const w = ((p2.x - p1.x) * width) / 2;
+			const h = ((p2.y - p1.y) * height) / 2;
+			if (w < 1 || h < 1 || x + w < 0 || y + h < 0 || x > width || y > height) {
+				continue;
+			}
+
+			const halfHeight = viewport.viewHeight / 2;
+			const halfWidth = (halfHeight * viewport.width) / viewport.height;
+			camera.left = -halfWidth;
+			camera.right = halfWidth;
+			camera.top = halfHeight;
+			camera.bottom = -halfHeight;
+			camera.position.set(viewport.viewCenter.x, viewport.viewCenter.y, 1);
+			camera.rotation.set(0, 0, -viewport.twistAngle);
+			camera.updateProjectionMatrix();
+			camera.updateMatrixWorld();
+
+			/* Hide layers frozen in this viewport for its pass only. */
+			const hiddenObjects = [];
+			for (const layerName of viewport.frozenLayers ?? []) {
+				for (const obj of this.layers.get(layerName)?.objects ?? []) {
+					if (obj.visible) {
+						obj.visible = false;
+						hiddenObjects.push(obj);
+					}
+				}
+			}
+
+			renderer.setViewport(x, y, w, h);
+			renderer.setScissor(x, y, w, h);
+			renderer.setScissorTest(true);
+			this._SetMaterialsResolution(w, h);
+			renderer.render(this.scene, camera);
+
+			for (const obj of hiddenObjects) {
+				obj.visible = true;
+			}
+		}
+
+		renderer.setScissorTest(false);
+		renderer.setViewport(0, 0, width, height);
+		this._SetMaterialsResolution(width, height);
+		renderer.render(layout.scene, this.camera);
+		renderer.autoClear = true;
+	}
+
 	_CreateControls() {
 		// Ensure controls are created only once and after camera is positioned
 		if (this.controls) {
@@ -890,15 +1481,33 @@ export class DxfViewer {
 	// --- Material/Shader Methods ---
 	// (Keep _GetSimpleColorMaterial, _CreateSimpleColorMaterial, etc. as they are)
 	// ... (rest of the material/shader methods) ...
-	_GetSimpleColorMaterial(color, instanceType = InstanceType.NONE) {
-		const key = new MaterialKey(instanceType, null, color, 0);
+	/** @param color {number} Color RGB numeric value.
+	 * @param instanceType {number}
+	 * @param lineType {number} Line type ID, zero for solid line. Dashed material is used for
+	 *  known line types, geometry should have "lineDistance" attribute in such case.
+	 * @param lineweight {number} Lineweight in hundredths of millimeter, zero for thin line. Thick
+	 *  line material is used if non-zero, geometry should be created by
+	 *  Batch._CreateThickLineAttributes() in such case.
+	 */
+	_GetSimpleColorMaterial(color, instanceType = InstanceType.NONE, lineType = 0, lineweight = 0) {
+		const lineTypeDef = this.lineTypes.get(lineType) ?? null;
+		if (lineTypeDef === null) {
+			lineType = 0;
+		}
+		const lineWidth = lineweight ? this._GetLineWidth(lineweight) : 0;
+		const key = new MaterialKey(instanceType, null, color, lineType, lineweight || null);
 		let entry = this.materials.find({ key });
 		if (entry !== null) {
 			return entry.material;
 		}
 		entry = {
 			key,
-			material: this._CreateSimpleColorMaterialInstance(color, instanceType)
+			material:
+				lineTypeDef !== null || lineWidth !== 0
+					? this._CreateLineMaterialInstance(color, lineTypeDef, lineWidth, instanceType)
+					: this._CreateSimpleColorMaterialInstance(color, instanceType),
+			/* Line width in pixels for thick lines, zero otherwise. */
+			lineWidth
 		};
 		this.materials.insert(entry);
 		return entry.material;
@@ -932,6 +1541,254 @@ export class DxfViewer {
 		return m;
 	}
 
+	/** Create base material for dashed or thick lines.
+	 * @param instanceType {number}
+	 * @param dashed {boolean} Render line type pattern.
+	 * @param thick {boolean} Render lines as screen-space quads of the specified width.
+	 */
+	_CreateLineMaterial(instanceType, dashed, thick) {
+		const shaders = this._GenerateShaders(instanceType, false, dashed, thick);
+		const uniforms = {
+			color: {
+				value: new THREE.Color(0xff00ff)
+			}
+		};
+		if (dashed) {
+			uniforms.pattern = { value: new Array(MAX_LINE_PATTERN_SIZE).fill(0) };
+			uniforms.patternSize = { value: 0 };
+			uniforms.patternLength = { value: 1 };
+			uniforms.dotSize = { value: 0 };
+		}
+		if (thick) {
+			uniforms.lineWidth = { value: 1 };
+			uniforms.resolution = { value: new THREE.Vector2(1, 1) };
+		}
+		return new THREE.RawShaderMaterial({
+			uniforms,
+			vertexShader: shaders.vertex,
+			fragmentShader: shaders.fragment,
+			depthTest: false,
+			depthWrite: false,
+			transparent: false,
+			side: THREE.DoubleSide
+		});
+	}
+
+	/** @param color {number} Color RGB numeric value.
+	 * @param lineType {?{pattern: number[], patternLength: number}} Scaled line type pattern,
+	 *  null for solid line.
+	 * @param lineWidth {number} Line width in pixels, zero for thin line.
+	 * @param instanceType {number}
+	 */
+	_CreateLineMaterialInstance(color, lineType, lineWidth, instanceType = InstanceType.NONE) {
+		let baseMaterials;
+		if (lineType !== null) {
+			baseMaterials = lineWidth !== 0 ? this.thickDashedLineMaterial : this.dashedLineMaterial;
+		} else {
+			baseMaterials = this.thickLineMaterial;
+		}
+		const m = baseMaterials[instanceType].clone();
+		m.uniforms.color.value = new THREE.Color(color);
+		if (lineType !== null) {
+			if (lineType.pattern.length > MAX_LINE_PATTERN_SIZE) {
+				console.warn(`Line type pattern truncated: ${lineType.name}`);
+			}
+			const pattern = lineType.pattern.slice(0, MAX_LINE_PATTERN_SIZE);
+			m.uniforms.pattern.value = pattern.concat(
+				new Array(MAX_LINE_PATTERN_SIZE - pattern.length).fill(0)
+			);
+			m.uniforms.patternSize.value = pattern.length;
+			m.uniforms.patternLength.value = lineType.patternLength;
+			m.uniforms.dotSize.value = lineType.patternLength * DOT_SIZE_RATIO;
+		}
+		if (lineWidth !== 0) {
+			m.uniforms.lineWidth.value = this.lwDisplay ? lineWidth : 1;
+			m.uniforms.resolution.value.set(this.canvasWidth, this.canvasHeight);
+		}
+		return m;
+	}
+
+	/** @param lineweight {number} Lineweight in hundredths of millimeter.
+	 * @return {number} Displayed line width in pixels.
+	 */
+	_GetLineWidth(lineweight) {
+		return (lineweight / 100) * PIXELS_PER_MM;
+	}
+
+	/** @param lineweight {?number} Lineweight in hundredths of millimeter.
+	 * @return {boolean} True if line should be rendered as thick line (wider than one pixel).
+	 */
+	_IsThickLine(lineweight) {
+		return (lineweight ?? 0) > 0 && this._GetLineWidth(lineweight) > 1;
+	}
+
+	/** Update thick line and SDF text materials after lineweight display mode or canvas size
+	 * change.
+	 */
+	_UpdateLineMaterials() {
+		this.materials.each((entry) => {
+			if (entry.lineWidth) {
+				entry.material.uniforms.lineWidth.value = this.lwDisplay ? entry.lineWidth : 1;
+			}
+		});
+		this._SetMaterialsResolution(this.canvasWidth, this.canvasHeight);
+	}
+
+	/** Set render target size in pixels for thick line and SDF text materials. Canvas size is used
+	 * normally, paper space viewport size while rendering model space in the viewport.
+	 */
+	_SetMaterialsResolution(width, height) {
+		this.materials.each((entry) => {
+			if (entry.lineWidth || entry.key.geometryType === BatchingKey.GeometryType.SDF_GLYPH) {
+				entry.material.uniforms.resolution.value.set(width, height);
+			}
+		});
+	}
+
+	/** @param atlas {{width: number, height: number, glyphSize: number, spread: number,
+	 *  data: Uint8Array}} Serialized SDF glyphs atlas.
+	 */
+	_CreateSdfAtlas(atlas) {
+		const texture = new THREE.DataTexture(
+			atlas.data,
+			atlas.width,
+			atlas.height,
+			THREE.RedFormat,
+			THREE.UnsignedByteType
+		);
+		texture.minFilter = THREE.LinearFilter;
+		texture.magFilter = THREE.LinearFilter;
+		texture.unpackAlignment = 1;
+		texture.needsUpdate = true;
+		return {
+			texture,
+			width: atlas.width,
+			height: atlas.height,
+			glyphSize: atlas.glyphSize,
+			spread: atlas.spread
+		};
+	}
+
+	/** @param color {number} Color RGB numeric value.
+	 * @param instanceType {number} NONE for glyphs instanced by the unit quad, FULL for glyph quads
+	 *  in block definitions.
+	 * @return {THREE.RawShaderMaterial}
+	 */
+	_GetSdfTextMaterial(color, instanceType = InstanceType.NONE) {
+		const key = new MaterialKey(
+			instanceType,
+			BatchingKey.GeometryType.SDF_GLYPH,
+			color,
+			null
+		);
+		let entry = this.materials.find({ key });
+		if (entry !== null) {
+			return entry.material;
+		}
+		const shaders = this._GenerateShaders(instanceType, false, false, false, false, true);
+		const material = new THREE.RawShaderMaterial({
+			uniforms: {
+				color: { value: new THREE.Color(color) },
+				map: { value: this.sdfAtlas.texture },
+				atlasSize: { value: new THREE.Vector2(this.sdfAtlas.width, this.sdfAtlas.height) },
+				spread: { value: this.sdfAtlas.spread },
+				resolution: { value: new THREE.Vector2(this.canvasWidth, this.canvasHeight) }
+			},
+			vertexShader: shaders.vertex,
+			fragmentShader: shaders.fragment,
+			depthTest: false,
+			depthWrite: false,
+			/* Custom blending is applied without moving the object to the transparent objects list
+			 * which is rendered last, so that the draw order is preserved.
+			 */
+			transparent: false,
+			blending: THREE.CustomBlending,
+			side: THREE.DoubleSide
+		});
+		entry = { key, material, lineWidth: 0 };
+		this.materials.insert(entry);
+		return material;
+	}
+
+	/** @param image {{fileName: string, isTransparent: boolean}} Image batch source.
+	 * @param instanceType {number}
+	 * @return {THREE.RawShaderMaterial} Material is hidden until the image is loaded.
+	 */
+	_GetImageMaterial(image, instanceType = InstanceType.NONE) {
+		const key = `${instanceType}/${image.isTransparent}/${image.fileName}`;
+		let material = this.imageMaterials.get(key);
+		if (material) {
+			return material;
+		}
+		const shaders = this._GenerateShaders(instanceType, false, false, false, true);
+		const texture = this._GetImageTexture(image.fileName);
+		material = new THREE.RawShaderMaterial({
+			uniforms: {
+				map: { value: texture },
+				/* Transparent pixels are discarded if image transparency is on. */
+				alphaTest: { value: image.isTransparent ? 0.5 : 0 }
+			},
+			vertexShader: shaders.vertex,
+			fragmentShader: shaders.fragment,
+			depthTest: false,
+			depthWrite: false,
+			transparent: false,
+			side: THREE.DoubleSide
+		});
+		material.visible = texture.image !== null;
+		this.imageMaterials.set(key, material);
+		return material;
+	}
+
+	/** @return {THREE.Texture} Texture for the specified IMAGEDEF file name. Its loading is
+	 *  started on first request.
+	 */
+	_GetImageTexture(fileName) {
+		let texture = this.imageTextures.get(fileName);
+		if (texture) {
+			return texture;
+		}
+		texture = new THREE.Texture();
+		this.imageTextures.set(fileName, texture);
+		if (this.imageResolver) {
+			this._LoadImageTexture(fileName, texture);
+		}
+		return texture;
+	}
+
+	async _LoadImageTexture(fileName, texture) {
+		let url = null;
+		let isObjectUrl = false;
+		try {
+			const source = await this.imageResolver(fileName);
+			if (!source) {
+				return;
+			}
+			isObjectUrl = source instanceof Blob;
+			url = isObjectUrl ? URL.createObjectURL(source) : source;
+			texture.image = await new THREE.ImageLoader().loadAsync(url);
+		} catch (error) {
+			console.warn(`Failed to load image "${fileName}":`, error);
+			this._Message(`Failed to load image "${fileName}"`, MessageLevel.WARN);
+			return;
+		} finally {
+			if (isObjectUrl) {
+				URL.revokeObjectURL(url);
+			}
+		}
+		/* Cleared while loading. */
+		if (this.imageTextures.get(fileName) !== texture) {
+			return;
+		}
+		texture.needsUpdate = true;
+		for (const material of this.imageMaterials.values()) {
+			if (material.uniforms.map.value === texture) {
+				material.visible = true;
+			}
+		}
+		this.Render();
+	}
+
 	_GetSimplePointMaterial(color, instanceType = InstanceType.NONE) {
 		const key = new MaterialKey(instanceType, BatchingKey.GeometryType.POINTS, color, 0);
 		let entry = this.materials.find({ key });
@@ -977,7 +1834,26 @@ export class DxfViewer {
 		return m;
 	}
 
-	_GenerateShaders(instanceType, pointSize) {
+	/** @param instanceType {number}
+	 * @param pointSize {boolean} Generate shaders for points rendering.
+	 * @param dashed {boolean} Generate shaders for line type pattern rendering, "lineDistance"
+	 *  vertex attribute is required.
+	 * @param thick {boolean} Generate shaders for thick lines rendering, geometry is created by
+	 *  Batch._CreateThickLineAttributes().
+	 * @param textured {boolean} Generate shaders for raster image rendering, "uv" vertex
+	 *  attribute is required.
+	 * @param sdf {boolean} Generate shaders for SDF text rendering. Without instancing each glyph
+	 *  is an instance of the unit quad, glyph quads in block definitions are created by
+	 *  Batch._CreateGlyphQuadAttributes().
+	 */
+	_GenerateShaders(
+		instanceType,
+		pointSize,
+		dashed = false,
+		thick = false,
+		textured = false,
+		sdf = false
+	) {
 		const fullInstanceAttr =
 			instanceType === InstanceType.FULL
 				? `
@@ -987,16 +1863,17 @@ export class DxfViewer {
             attribute vec3 instanceTransform1;
             `
 				: "";
-		const fullInstanceTransform =
+		const FullInstanceTransform = (v) =>
 			instanceType === InstanceType.FULL
 				? `
             // Apply 2x3 Affine Transformation (mat2 + vec2)
-            pos.xy = mat2(instanceTransform0.x, instanceTransform1.x,  // col 0
+            ${v}.xy = mat2(instanceTransform0.x, instanceTransform1.x,  // col 0
                           instanceTransform0.y, instanceTransform1.y)  // col 1
-                          * pos.xy +
+                          * ${v}.xy +
                      vec2(instanceTransform0.z, instanceTransform1.z); // translation
             `
 				: "";
+		const fullInstanceTransform = FullInstanceTransform("pos");
 
 		const pointInstanceAttr =
 			instanceType === InstanceType.POINT
@@ -1014,6 +1891,193 @@ export class DxfViewer {
 		const pointSizeUniform = pointSize ? "uniform float pointSize;" : "";
 		const pointSizeAssignment = pointSize ? "gl_PointSize = pointSize;" : "";
 
+		const lineDistanceAttr = dashed
+			? `
+            attribute float lineDistance;
+            varying float vLineDistance;
+            `
+			: "";
+		/* Distance is scaled by instance transform scale factor so that pattern is not
+		 * affected by block insertion scale.
+		 */
+		const lineDistanceAssignment = dashed
+			? instanceType === InstanceType.FULL
+				? `
+            vLineDistance = lineDistance * sqrt(abs(
+                instanceTransform0.x * instanceTransform1.y -
+                instanceTransform0.y * instanceTransform1.x));
+            `
+				: "vLineDistance = lineDistance;"
+			: "";
+		const patternUniforms = dashed
+			? `
+            uniform float pattern[${MAX_LINE_PATTERN_SIZE}];
+            uniform int patternSize;
+            uniform float patternLength;
+            uniform float dotSize;
+            varying float vLineDistance;
+            `
+			: "";
+		/* Each segment is a quad, each vertex knows the opposite segment end and the side to
+		 * offset to. Offset is calculated in screen space so that line width is the same
+		 * regardless of zoom.
+		 */
+		const thickLineAttr = thick
+			? `
+            attribute vec2 lineOther;
+            attribute float lineSide;
+            uniform float lineWidth;
+            uniform vec2 resolution;
+            `
+			: "";
+		const thickLineOffset = thick
+			? `
+            vec4 otherPos = vec4(lineOther, 0.0, 1.0);
+            ${FullInstanceTransform("otherPos")}
+            vec4 otherClip = projectionMatrix * modelViewMatrix * otherPos;
+            vec2 dir = (otherClip.xy - gl_Position.xy) * resolution;
+            dir = length(dir) > 0.0 ? normalize(dir) : vec2(1.0, 0.0);
+            /* Half width offset in NDC, segment is also extended by half width at each end. */
+            gl_Position.xy += (vec2(-dir.y, dir.x) * lineSide - dir) * lineWidth / resolution;
+            `
+			: "";
+
+		const uvAttr = textured
+			? `
+            attribute vec2 uv;
+            varying vec2 vUv;
+            `
+			: "";
+		const textureUniforms = textured
+			? `
+            uniform sampler2D map;
+            uniform float alphaTest;
+            varying vec2 vUv;
+            `
+			: "";
+		const sdfAttr = sdf
+			? (instanceType === InstanceType.NONE
+					? `
+            /* Glyph quad transform rows and atlas rectangle in pixels. */
+            attribute vec3 glyphTransform0;
+            attribute vec3 glyphTransform1;
+            attribute vec4 glyphRect;
+            `
+					: `
+            attribute vec2 uv;
+            /* Glyph quad X and Y edges per atlas pixel. */
+            attribute vec4 glyphAxes;
+            `) +
+				`
+            uniform vec2 atlasSize;
+            uniform float spread;
+            uniform vec2 resolution;
+            varying vec2 vUv;
+            varying float vTexelPixels;
+            `
+			: "";
+		/* Position attribute is the unit quad corner for instanced glyphs. */
+		const sdfGlyphTransform = sdf
+			? instanceType === InstanceType.NONE
+				? `
+            vec2 glyphAxisX = vec2(glyphTransform0.x, glyphTransform1.x);
+            vec2 glyphAxisY = vec2(glyphTransform0.y, glyphTransform1.y);
+            /* Extend the glyph bounds by the atlas margin. */
+            vec2 margin = spread / glyphRect.zw;
+            vec2 corner = position * (1.0 + 2.0 * margin) - margin;
+            vUv = (glyphRect.xy + corner * glyphRect.zw) / atlasSize;
+            pos.xy = mat2(glyphAxisX, glyphAxisY) * corner +
+                vec2(glyphTransform0.z, glyphTransform1.z);
+            glyphAxisX /= glyphRect.z;
+            glyphAxisY /= glyphRect.w;
+            `
+				: `
+            vec2 glyphAxisX = glyphAxes.xy;
+            vec2 glyphAxisY = glyphAxes.zw;
+            vUv = uv / atlasSize;
+            `
+			: "";
+		/* Atlas pixel size on screen is used for anti-aliasing. */
+		const sdfTexelPixels = sdf
+			? `
+            ${
+				instanceType === InstanceType.FULL
+					? `
+            mat2 instanceLinear = mat2(instanceTransform0.x, instanceTransform1.x,
+                                       instanceTransform0.y, instanceTransform1.y);
+            glyphAxisX = instanceLinear * glyphAxisX;
+            glyphAxisY = instanceLinear * glyphAxisY;
+            `
+					: ""
+			}
+            mat4 mvp = projectionMatrix * modelViewMatrix;
+            vTexelPixels = min(
+                length((mvp * vec4(glyphAxisX, 0.0, 0.0)).xy * resolution),
+                length((mvp * vec4(glyphAxisY, 0.0, 0.0)).xy * resolution)) * 0.5;
+            `
+			: "";
+		const sdfUniforms = sdf
+			? `
+            uniform sampler2D map;
+            uniform float spread;
+            varying vec2 vUv;
+            varying float vTexelPixels;
+            `
+			: "";
+
+		let fragColor;
+		if (sdf) {
+			/* One screen pixel wide transition across the outline, the field value changes by
+			 * 0.5 / spread per atlas pixel.
+			 */
+			fragColor = `
+            float d = texture2D(map, vUv).r;
+            float w = 0.25 / (spread * max(vTexelPixels, 0.001));
+            float alpha = smoothstep(0.5 - w, 0.5 + w, d);
+            if (alpha <= 0.0) {
+                discard;
+            }
+            gl_FragColor = vec4(color, alpha);
+            `;
+		} else if (textured) {
+			fragColor = `
+            vec4 texel = texture2D(map, vUv);
+            if (texel.a < alphaTest) {
+                discard;
+            }
+            gl_FragColor = vec4(texel.rgb, 1.0);
+            `;
+		} else {
+			fragColor = "gl_FragColor = vec4(color, 1.0);";
+		}
+
+		/* Positive pattern element is dash, negative is gap, zero is dot. */
+		const patternDiscard = dashed
+			? `
+            float d = mod(vLineDistance, patternLength);
+            float pos = 0.0;
+            for (int i = 0; i < ${MAX_LINE_PATTERN_SIZE}; i++) {
+                if (i >= patternSize) {
+                    break;
+                }
+                float element = pattern[i];
+                if (element == 0.0) {
+                    if (d - pos <= dotSize) {
+                        break;
+                    }
+                    continue;
+                }
+                pos += abs(element);
+                if (d < pos) {
+                    if (element < 0.0) {
+                        discard;
+                    }
+                    break;
+                }
+            }
+            `
+			: "";
+
 		return {
 			vertex: `
                 precision highp float;
@@ -1026,13 +2090,22 @@ export class DxfViewer {
                 attribute vec2 position;
                 ${fullInstanceAttr}
                 ${pointInstanceAttr}
+                ${lineDistanceAttr}
+                ${thickLineAttr}
+                ${uvAttr}
+                ${sdfAttr}
 
                 void main() {
                     vec4 pos = vec4(position, 0.0, 1.0);
+                    ${sdfGlyphTransform}
                     ${fullInstanceTransform}
                     ${pointInstanceTransform}
                     gl_Position = projectionMatrix * modelViewMatrix * pos;
+                    ${sdfTexelPixels}
+                    ${thickLineOffset}
                     ${pointSizeAssignment}
+                    ${lineDistanceAssignment}
+                    ${textured ? "vUv = uv;" : ""}
                 }
                 `,
 			fragment: `
@@ -1041,10 +2114,14 @@ export class DxfViewer {
 
                 uniform vec3 color;
                 varying vec4 vColor;
+                ${patternUniforms}
+                ${textureUniforms}
+                ${sdfUniforms}
 
                 void main() {
                     ${pointSize ? "if (length(gl_PointCoord - vec2(0.5)) > 0.5) discard;" : ""}
-                    gl_FragColor = vec4(color, 1.0);
+                    ${patternDiscard}
+                    ${fragColor}
                 }
                 `
 		};
@@ -1104,8 +2181,18 @@ DxfViewer.DefaultOptions = {
 	pointSize: 2,
 	sceneOptions: DxfScene.DefaultOptions, // Assuming DxfScene is defined
 	retainParsedDxf: false,
+	/** Entity picking tolerance in pixels, used for selection and PickEntity(). */
+	pickTolerance: 4,
+	/** Drag draws selection lasso instead of box, holding Shift inverts it. Left-to-right box
+	 * or clockwise lasso selects fully enclosed entities, otherwise touching ones are selected.
+	 */
+	lassoSelection: false,
 	preserveDrawingBuffer: false,
-	fileEncoding: "utf-8" // Modern default
+	fileEncoding: "utf-8", // Modern default
+	/** Display lineweights (AutoCAD LWDISPLAY). Null to use the value from the loaded file. Can be
+	 * changed later by SetLineweightDisplay().
+	 */
+	lwDisplay: null
 };
 
 DxfViewer.SetupWorker = function () {
@@ -1122,6 +2209,21 @@ const InstanceType = Object.freeze({
 });
 
 const EVENT_NAME_PREFIX = "__dxf_"; // Keep for event namespacing
+/** Name reported for model space in layouts list. */
+const MODEL_LAYOUT_NAME = "Model";
+
+/** Maximal number of line type pattern elements supported by dashed line shader. */
+const MAX_LINE_PATTERN_SIZE = 16;
+/** Size of line type pattern dot relative to the pattern length. */
+const DOT_SIZE_RATIO = 0.02;
+/** Screen pixels per millimeter for lineweight display, assuming 96 DPI. */
+const PIXELS_PER_MM = 96 / 25.4;
+/** Floats per thick line vertex: position, opposite segment end, side, line distance. */
+const THICK_LINE_VERTEX_SIZE = 6;
+/** Floats per SDF glyph instance: two transform rows, atlas rectangle. See DxfScene. */
+const GLYPH_INSTANCE_SIZE = 10;
+/** Floats per expanded SDF glyph quad vertex: position, atlas pixel, quad edges per atlas pixel. */
+const GLYPH_QUAD_VERTEX_SIZE = 8;
 
 // --- Utility Functions (Luminance, Color Transforms) ---
 // (Keep Luminance, ContrastRatio, HlsToRgb, RgbToHls, Lighten, Darken as they are)
@@ -1223,6 +2325,8 @@ class Batch {
 		this.viewer = viewer;
 		this.key = batch.key;
 		this.sceneData = sceneData; // Store reference to access buffers
+		/* Image source for raster image batch. */
+		this.image = batch.image ?? null;
 
 		// --- Geometry Buffers ---
 		if (batch.hasOwnProperty("verticesOffset")) {
@@ -1231,12 +2335,24 @@ class Batch {
 				batch.verticesOffset * Float32Array.BYTES_PER_ELEMENT,
 				batch.verticesSize
 			);
-			// Vertices for non-point-instance or dots
-			if (
+			if (this.key.geometryType === BatchingKey.GeometryType.SDF_GLYPH) {
+				/* Glyph instances of the unit quad. Raw data is kept for block definitions which
+				 * are rendered with expanded quads.
+				 */
+				const buf = new THREE.InstancedInterleavedBuffer(verticesArray, GLYPH_INSTANCE_SIZE, 1);
+				this.glyphTransforms0 = new THREE.InterleavedBufferAttribute(buf, 3, 0);
+				this.glyphTransforms1 = new THREE.InterleavedBufferAttribute(buf, 3, 3);
+				this.glyphRects = new THREE.InterleavedBufferAttribute(buf, 4, 6);
+				this.verticesArray = verticesArray;
+			} else if (
+				// Vertices for non-point-instance or dots
 				this.key.geometryType !== BatchingKey.GeometryType.POINT_INSTANCE ||
 				sceneData.pointShapeHasDot // Check if sceneData has this property
 			) {
-				this.vertices = new THREE.BufferAttribute(verticesArray, 2); // 2D positions
+				Object.assign(this, Batch._CreateVerticesAttributes(verticesArray, batch.vertexSize));
+				// Raw data is kept for thick lines geometry creation
+				this.verticesArray = verticesArray;
+				this.vertexSize = batch.vertexSize ?? 2;
 			}
 			// Transforms for point instances (using the same vertex data as offsets)
 			if (this.key.geometryType === BatchingKey.GeometryType.POINT_INSTANCE) {
@@ -1258,8 +2374,11 @@ class Batch {
 					rawChunk.indicesSize
 				);
 				return {
-					vertices: new THREE.BufferAttribute(verticesArray, 2),
-					indices: new THREE.BufferAttribute(indicesArray, 1) // Indices are scalar
+					...Batch._CreateVerticesAttributes(verticesArray, batch.vertexSize),
+					indices: new THREE.BufferAttribute(indicesArray, 1), // Indices are scalar
+					verticesArray,
+					indicesArray,
+					vertexSize: batch.vertexSize ?? 2
 				};
 			});
 		}
@@ -1287,6 +2406,129 @@ class Batch {
 		}
 	}
 
+	/** Vertices may have third component - distance along the line for line type rendering, or
+	 * third and fourth components - texture coordinates for raster images.
+	 * @param verticesArray {Float32Array}
+	 * @param vertexSize {?number} Number of components per vertex.
+	 * @return {{vertices: THREE.BufferAttribute, lineDistances: ?THREE.BufferAttribute,
+	 *  uvs: ?THREE.BufferAttribute}}
+	 */
+	static _CreateVerticesAttributes(verticesArray, vertexSize) {
+		if (vertexSize === 4) {
+			const buf = new THREE.InterleavedBuffer(verticesArray, 4);
+			return {
+				vertices: new THREE.InterleavedBufferAttribute(buf, 2, 0),
+				lineDistances: null,
+				uvs: new THREE.InterleavedBufferAttribute(buf, 2, 2)
+			};
+		}
+		if (vertexSize !== 3) {
+			return { vertices: new THREE.BufferAttribute(verticesArray, 2), lineDistances: null };
+		}
+		const buf = new THREE.InterleavedBuffer(verticesArray, 3);
+		return {
+			vertices: new THREE.InterleavedBufferAttribute(buf, 2, 0),
+			lineDistances: new THREE.InterleavedBufferAttribute(buf, 1, 2)
+		};
+	}
+
+	/** Create geometry for thick lines rendering. Each segment is converted to a quad (two
+	 * triangles), each vertex has opposite segment end and side attributes so that the quad can
+	 * be expanded in screen space by the vertex shader.
+	 * @param verticesArray {Float32Array}
+	 * @param vertexSize {number} Number of components per vertex, third one is line distance.
+	 * @param indicesArray {?Uint16Array} Segments indices for indexed geometry.
+	 * @return {{}} Attributes indexed by name.
+	 */
+	static _CreateThickLineAttributes(verticesArray, vertexSize, indicesArray = null) {
+		const numSegments = indicesArray
+			? indicesArray.length / 2
+			: verticesArray.length / vertexSize / 2;
+		const data = new Float32Array(numSegments * 6 * THICK_LINE_VERTEX_SIZE);
+		/* Segment end index and side for each quad vertex. */
+		const corners = [
+			[0, 1],
+			[0, -1],
+			[1, 1],
+			[0, -1],
+			[1, -1],
+			[1, 1]
+		];
+		let offset = 0;
+		for (let i = 0; i < numSegments; i++) {
+			const ends = indicesArray
+				? [indicesArray[i * 2], indicesArray[i * 2 + 1]]
+				: [i * 2, i * 2 + 1];
+			for (const [end, side] of corners) {
+				const v = ends[end] * vertexSize;
+				const other = ends[1 - end] * vertexSize;
+				data[offset++] = verticesArray[v];
+				data[offset++] = verticesArray[v + 1];
+				data[offset++] = verticesArray[other];
+				data[offset++] = verticesArray[other + 1];
+				/* Direction is reversed for the segment end so the side is flipped as well. */
+				data[offset++] = end === 0 ? side : -side;
+				data[offset++] = vertexSize === 3 ? verticesArray[v + 2] : 0;
+			}
+		}
+		const buf = new THREE.InterleavedBuffer(data, THICK_LINE_VERTEX_SIZE);
+		return {
+			position: new THREE.InterleavedBufferAttribute(buf, 2, 0),
+			lineOther: new THREE.InterleavedBufferAttribute(buf, 2, 2),
+			lineSide: new THREE.InterleavedBufferAttribute(buf, 1, 4),
+			lineDistance: new THREE.InterleavedBufferAttribute(buf, 1, 5)
+		};
+	}
+
+	/** Expand SDF glyph instances into quads, used for glyphs in block definitions since block
+	 * instancing occupies the instanced attributes.
+	 * @param verticesArray {Float32Array} Glyph instances, GLYPH_INSTANCE_SIZE floats each.
+	 * @param spread {number} Atlas margin in pixels to extend the glyph bounds by.
+	 * @return {{}} Attributes indexed by name, and "indices" attribute.
+	 */
+	static _CreateGlyphQuadAttributes(verticesArray, spread) {
+		const numGlyphs = verticesArray.length / GLYPH_INSTANCE_SIZE;
+		const data = new Float32Array(numGlyphs * 4 * GLYPH_QUAD_VERTEX_SIZE);
+		const indices =
+			numGlyphs * 4 > 0xffff ? new Uint32Array(numGlyphs * 6) : new Uint16Array(numGlyphs * 6);
+		const corners = [
+			[0, 0],
+			[1, 0],
+			[1, 1],
+			[0, 1]
+		];
+		let offset = 0;
+		for (let i = 0; i < numGlyphs; i++) {
+			const g = i * GLYPH_INSTANCE_SIZE;
+			const [xx, yx, ox, xy, yy, oy, rx, ry, rw, rh] = verticesArray.subarray(
+				g,
+				g + GLYPH_INSTANCE_SIZE
+			);
+			const marginU = spread / rw;
+			const marginV = spread / rh;
+			for (const corner of corners) {
+				const u = corner[0] * (1 + 2 * marginU) - marginU;
+				const v = corner[1] * (1 + 2 * marginV) - marginV;
+				data[offset++] = xx * u + yx * v + ox;
+				data[offset++] = xy * u + yy * v + oy;
+				data[offset++] = rx + rw * u;
+				data[offset++] = ry + rh * v;
+				data[offset++] = xx / rw;
+				data[offset++] = xy / rw;
+				data[offset++] = yx / rh;
+				data[offset++] = yy / rh;
+			}
+			indices.set([0, 1, 2, 0, 2, 3].map((idx) => i * 4 + idx), i * 6);
+		}
+		const buf = new THREE.InterleavedBuffer(data, GLYPH_QUAD_VERTEX_SIZE);
+		return {
+			position: new THREE.InterleavedBufferAttribute(buf, 2, 0),
+			uv: new THREE.InterleavedBufferAttribute(buf, 2, 2),
+			glyphAxes: new THREE.InterleavedBufferAttribute(buf, 4, 4),
+			indices: new THREE.BufferAttribute(indices, 1)
+		};
+	}
+
 	GetInstanceType() {
 		switch (this.key.geometryType) {
 			case BatchingKey.GeometryType.BLOCK_INSTANCE:
@@ -1323,12 +2565,31 @@ class Batch {
 	/** Creates the actual THREE geometry objects (Points, Lines, Mesh) */
 	*_CreateGeometryObjects(instanceBatch) {
 		// Determine color: Use instance color if ByBlock/ByLayer, else use definition color
-		const color = instanceBatch ? instanceBatch._GetInstanceColor(this.key.color) : this.key.color;
-		const finalColor = this.viewer._TransformColor(color); // Apply viewer color correction
+		const color = instanceBatch
+			? instanceBatch._GetInstanceColor(this.key.color, this.key.layerName)
+			: this.key.color;
+		// Apply viewer color correction, wipeouts are filled with the background color as is
+		const finalColor =
+			color === ColorCode.BACKGROUND ? this.viewer.clearColor : this.viewer._TransformColor(color);
 
 		// Determine instance type for material selection
 		const instanceType = instanceBatch?.GetInstanceType() ?? InstanceType.NONE;
 
+		// Line type is applicable only if line distances are available
+		const hasLineDistance = Boolean(this.lineDistances || this.chunks?.[0]?.lineDistances);
+		const lineType = hasLineDistance
+			? instanceBatch
+				? instanceBatch._GetInstanceLineType(this.key.lineType)
+				: this.key.lineType
+			: 0;
+		const lineweight = instanceBatch
+			? instanceBatch._GetInstanceLineweight(this.key.lineweight)
+			: this.key.lineweight;
+		const isThick =
+			(this.key.geometryType === BatchingKey.GeometryType.LINES ||
+				this.key.geometryType === BatchingKey.GeometryType.INDEXED_LINES) &&
+			this.viewer._IsThickLine(lineweight);
+
 		// Get appropriate material (Points vs Lines/Triangles)
 		const materialFactory =
 			this.key.geometryType === BatchingKey.GeometryType.POINTS ||
@@ -1336,7 +2597,18 @@ class Batch {
 				? this.viewer._GetSimplePointMaterial
 				: this.viewer._GetSimpleColorMaterial;
 
-		const material = materialFactory.call(this.viewer, finalColor, instanceType);
+		const material =
+			this.key.geometryType === BatchingKey.GeometryType.IMAGE
+				? this.viewer._GetImageMaterial(this.image, instanceType)
+				: this.key.geometryType === BatchingKey.GeometryType.SDF_GLYPH
+					? this.viewer._GetSdfTextMaterial(finalColor, instanceType)
+					: materialFactory.call(
+							this.viewer,
+							finalColor,
+							instanceType,
+							lineType,
+							isThick ? lineweight : 0
+						);
 
 		// Determine THREE object constructor based on geometry type
 		let objConstructor;
@@ -1344,7 +2616,7 @@ class Batch {
 			case BatchingKey.GeometryType.POLYLINE: // Treat polyline as lines for now
 			case BatchingKey.GeometryType.LINES:
 			case BatchingKey.GeometryType.INDEXED_LINES:
-				objConstructor = THREE.LineSegments;
+				objConstructor = isThick ? THREE.Mesh : THREE.LineSegments;
 				break;
 			case BatchingKey.GeometryType.POINTS:
 			case BatchingKey.GeometryType.POINT_INSTANCE: // Also for dots
@@ -1352,6 +2624,8 @@ class Batch {
 				break;
 			case BatchingKey.GeometryType.TRIANGLES:
 			case BatchingKey.GeometryType.INDEXED_TRIANGLES:
+			case BatchingKey.GeometryType.IMAGE:
+			case BatchingKey.GeometryType.SDF_GLYPH:
 				objConstructor = THREE.Mesh;
 				break;
 			default:
@@ -1360,12 +2634,16 @@ class Batch {
 		}
 
 		// --- Create Object Function ---
-		const createSingleObject = (vertices, indices, baseUserData) => {
+		const createSingleObject = (attributes, indices, baseUserData) => {
 			const geometry = instanceBatch
 				? new THREE.InstancedBufferGeometry()
 				: new THREE.BufferGeometry();
 
-			geometry.setAttribute("position", vertices);
+			for (const [name, attribute] of Object.entries(attributes)) {
+				if (attribute) {
+					geometry.setAttribute(name, attribute);
+				}
+			}
 
 			if (instanceBatch) {
 				instanceBatch._SetInstanceTransformAttribute(geometry); // Apply instance transforms
@@ -1393,7 +2671,9 @@ class Batch {
 			entityType: this.key.entityType,
 			handle: this.key.handle,
 			ownerHandle: this.key.ownerHandle,
-			layerName: this.key.layerName,
+			layerName: instanceBatch
+				? instanceBatch._GetInstanceLayerName(this.key.layerName)
+				: this.key.layerName,
 			blockName: this.key.blockName, // Will be null for non-block entities
 			// Add color info if needed for debugging or other logic
 			definitionColor: this.key.color,
@@ -1402,14 +2682,66 @@ class Batch {
 			finalColor: finalColor
 		};
 
+		if (this.key.geometryType === BatchingKey.GeometryType.SDF_GLYPH) {
+			if (instanceBatch) {
+				this.glyphQuadAttributes ??= Batch._CreateGlyphQuadAttributes(
+					this.verticesArray,
+					this.viewer.sdfAtlas.spread
+				);
+				const { indices, ...attributes } = this.glyphQuadAttributes;
+				yield createSingleObject(attributes, indices, baseUserData);
+				return;
+			}
+			const geometry = new THREE.InstancedBufferGeometry();
+			geometry.setAttribute(
+				"position",
+				new THREE.BufferAttribute(new Float32Array([0, 0, 1, 0, 1, 1, 0, 1]), 2)
+			);
+			geometry.setIndex([0, 1, 2, 0, 2, 3]);
+			geometry.setAttribute("glyphTransform0", this.glyphTransforms0);
+			geometry.setAttribute("glyphTransform1", this.glyphTransforms1);
+			geometry.setAttribute("glyphRect", this.glyphRects);
+			geometry.instanceCount = this.glyphRects.count;
+			const obj = new objConstructor(geometry, material);
+			obj.frustumCulled = false;
+			obj.userData = { ...baseUserData };
+			yield obj;
+			return;
+		}
+
 		// Yield objects, either chunked or single
 		if (this.chunks) {
 			for (const chunk of this.chunks) {
-				yield createSingleObject(chunk.vertices, chunk.indices, baseUserData);
+				if (isThick) {
+					chunk.thickLineAttributes ??= Batch._CreateThickLineAttributes(
+						chunk.verticesArray,
+						chunk.vertexSize,
+						chunk.indicesArray
+					);
+					yield createSingleObject(chunk.thickLineAttributes, null, baseUserData);
+				} else {
+					yield createSingleObject(
+						{ position: chunk.vertices, lineDistance: chunk.lineDistances },
+						chunk.indices,
+						baseUserData
+					);
+				}
 			}
 		} else if (this.vertices) {
 			// Check if vertices exist (might not for pure instance batches)
-			yield createSingleObject(this.vertices, null, baseUserData);
+			if (isThick) {
+				this.thickLineAttributes ??= Batch._CreateThickLineAttributes(
+					this.verticesArray,
+					this.vertexSize
+				);
+				yield createSingleObject(this.thickLineAttributes, null, baseUserData);
+			} else {
+				yield createSingleObject(
+					{ position: this.vertices, lineDistance: this.lineDistances, uv: this.uvs },
+					null,
+					baseUserData
+				);
+			}
 		}
 	}
 
@@ -1460,32 +2792,91 @@ class Batch {
 		}
 	}
 
+	/** Determines the layer of an entity within an instance. Entities on layer 0 are placed on
+	 * the instance layer, other ones keep their own layer.
+	 */
+	_GetInstanceLayerName(defLayerName) {
+		return defLayerName === null || defLayerName === "0" ? this.key.layerName : defLayerName;
+	}
+
 	/** Determines the final color for an entity within an instance based on DXF color codes */
-	_GetInstanceColor(defColor) {
+	_GetInstanceColor(defColor, defLayerName = null) {
 		switch (defColor) {
 			case ColorCode.BY_BLOCK:
 				// Use the color assigned to the instance itself
 				return this.key.color;
-			case ColorCode.BY_LAYER:
-				// Use the color of the instance's layer
-				return this.layerColor; // Use cached layer color
+			case ColorCode.BY_LAYER: {
+				// Use the color of the entity's own layer, or the instance's one for layer 0
+				const layerName = this._GetInstanceLayerName(defLayerName);
+				if (layerName === this.key.layerName) {
+					return this.layerColor; // Use cached layer color
+				}
+				return this.viewer.layers.get(layerName)?.color ?? 0x000000;
+			}
 			default:
 				// Use the color specified in the block definition entity
 				return defColor;
 		}
 	}
+
+	/** Determines the final line type for an entity within an instance */
+	_GetInstanceLineType(defLineType) {
+		return defLineType === LineTypeCode.BY_BLOCK ? this.key.lineType : defLineType;
+	}
+
+	/** Determines the final lineweight for an entity within an instance */
+	_GetInstanceLineweight(defLineweight) {
+		return defLineweight === LineweightCode.BY_BLOCK ? this.key.lineweight : defLineweight;
+	}
+}
+
+/** Clip infinite line or ray by the rectangle.
+ * @param line {{position: {x, y}, direction: {x, y}, isRay: boolean}} Direction is unit vector.
+ * @param rect {{minX: number, maxX: number, minY: number, maxY: number}}
+ * @param margin {number} Rectangle expansion on each side.
+ * @return {?number[]} Start and end distance from the base point along the line, null if the
+ *  line does not cross the rectangle.
+ */
+function ClipConstructionLine(line, rect, margin) {
+	let start = line.isRay ? 0 : -Infinity;
+	let end = Infinity;
+	for (const [p, d, min, max] of [
+		[line.position.x, line.direction.x, rect.minX - margin, rect.maxX + margin],
+		[line.position.y, line.direction.y, rect.minY - margin, rect.maxY + margin]
+	]) {
+		if (d === 0) {
+			if (p < min || p > max) {
+				return null;
+			}
+			continue;
+		}
+		const t1 = (min - p) / d;
+		const t2 = (max - p) / d;
+		start = Math.max(start, Math.min(t1, t2));
+		end = Math.min(end, Math.max(t1, t2));
+	}
+	return start < end ? [start, end] : null;
 }
 
 // --- Layer Class ---
 class Layer {
-	constructor(name, displayName, color) {
+	constructor(name, displayName, color, isOn = true, isFrozen = false, isLocked = false) {
 		this.name = name;
 		this.displayName = displayName || name; // Fallback display name
 		this.color = color;
+		this.isOn = isOn;
+		this.isFrozen = isFrozen;
+		/* Reported only, locked layers are still displayed and selectable. */
+		this.isLocked = isLocked;
 		/** @type {THREE.Object3D[]} */
 		this.objects = []; // Store references to objects on this layer
 	}
 
+	/** Layer is displayed when it is on and not frozen. */
+	get visible() {
+		return this.isOn && !this.isFrozen;
+	}
+
 	PushObject(obj) {
 		this.objects.push(obj);
 	}
@@ -1,5 +1,6 @@
 import { DxfFetcher } from "./DxfFetcher";
 import { DxfScene } from "./DxfScene";
+import { ShxFont } from "./ShxFont";
 
 import opentype from "opentype.js";
 
@@ -28,20 +29,32 @@ export class DxfWorker {
 	}
 
 	/**
-	 * @param url DXF file URL.
+	 * @param source {{url: ?string, data: ?(ArrayBuffer|Blob|string), fetchOptions: ?RequestInit}}
+	 *  DXF file source, either URL to fetch (with optional additional fetch options) or file
+	 *  content. ArrayBuffer is transferred to the worker so it becomes detached in the caller.
 	 * @param fonts {?string[]} Fonts URLs.
 	 * @param options Viewer options. See DxfViewer.DefaultOptions.
 	 * @param progressCbk {Function?} (phase, processedSize, totalSize)
+	 * @param signal {?AbortSignal} Signal for aborting the loading. The returned promise is
+	 *  rejected with the signal abort reason. Web worker is not stopped, it should be destroyed by the caller.
+	 * @param fontMap {?Object<string, string>} Fonts URLs indexed by font name.
 	 */
-	async Load(url, fonts, options, progressCbk) {
+	async Load(source, fonts, options, progressCbk, signal = null, fontMap = null) {
+		source = {
+			url: source.url ?? null,
+			data: source.data ?? null,
+			fetchOptions: this._CloneFetchOptions(source.fetchOptions ?? null)
+		};
 		if (this.worker) {
 			return this._SendRequest(
 				DxfWorker.WorkerMsg.LOAD,
-				{ url, fonts, options: this._CloneOptions(options) },
-				progressCbk
+				{ source, fonts, fontMap, options: this._CloneOptions(options) },
+				progressCbk,
+				source.data instanceof ArrayBuffer ? [source.data] : [],
+				signal
 			);
 		} else {
-			return this._Load(url, fonts, options, progressCbk);
+			return this._Load(source, fonts, options, progressCbk, signal, fontMap);
 		}
 	}
 
@@ -52,6 +65,10 @@ export class DxfWorker {
 			}
 			/* close() in the worker is not enough, instance is still visible in dev tools. */
 			this.worker.terminate();
+			/* Pending requests will never be responded. */
+			const reqs = Array.from(this.requests.values());
+			this.requests.clear();
+			reqs.forEach((req) => req.SetError(new DOMException("Worker destroyed", "AbortError")));
 		}
 	}
 
@@ -81,14 +98,22 @@ export class DxfWorker {
 		switch (type) {
 			case DxfWorker.WorkerMsg.LOAD: {
 				const { scene, dxf, blockData } = await this._Load(
-					data.url,
+					data.source,
 					data.fonts,
 					data.options,
-					(phase, size, totalSize) => this._SendProgress(seq, phase, size, totalSize)
+					(phase, size, totalSize) => this._SendProgress(seq, phase, size, totalSize),
+					null,
+					data.fontMap
 				);
 				transfers.push(scene.vertices);
 				transfers.push(scene.indices);
 				transfers.push(scene.transforms);
+				for (const { spatialIndex } of [scene, ...scene.layouts]) {
+					transfers.push(spatialIndex.boxes.buffer, spatialIndex.indices.buffer);
+				}
+				if (scene.sdfAtlas !== null) {
+					transfers.push(scene.sdfAtlas.data.buffer);
+				}
 				return { scene, dxf, blockData };
 			}
 			case DxfWorker.WorkerMsg.DESTROY:
@@ -130,12 +155,23 @@ export class DxfWorker {
 		reqs.forEach((req) => req.SetError(error));
 	}
 
-	async _SendRequest(type, data = null, progressCbk = null) {
+	async _SendRequest(type, data = null, progressCbk = null, transfers = [], signal = null) {
+		signal?.throwIfAborted();
 		const seq = this.reqSeq++;
 		const req = new DxfWorker.Request(seq, progressCbk);
 		this.requests.set(seq, req);
-		this.worker.postMessage({ seq, type, data, signature: MSG_SIGNATURE });
-		return await req.GetResponse();
+		const OnAbort = () => {
+			if (this.requests.delete(seq)) {
+				req.SetError(signal.reason);
+			}
+		};
+		signal?.addEventListener("abort", OnAbort);
+		this.worker.postMessage({ seq, type, data, signature: MSG_SIGNATURE }, transfers);
+		try {
+			return await req.GetResponse();
+		} finally {
+			signal?.removeEventListener("abort", OnAbort);
+		}
 	}
 
 	_SendProgress(seq, phase, size, totalSize) {
@@ -148,20 +184,30 @@ export class DxfWorker {
 	}
 
 	/** @return {Object} DxfScene serialized scene. */
-	async _Load(url, fonts, options, progressCbk) {
+	async _Load(source, fonts, options, progressCbk, signal = null, fontMap = null) {
 		let fontFetchers;
 		if (fonts) {
-			fontFetchers = this._CreateFontFetchers(fonts, progressCbk);
+			fontFetchers = this._CreateFontFetchers(fonts, progressCbk, signal);
 		} else {
 			fontFetchers = [];
 		}
-		const dxf = await new DxfFetcher(url, options.fileEncoding).Fetch(progressCbk);
+		const fontMapFetchers = {};
+		for (const [name, url] of Object.entries(fontMap ?? {})) {
+			fontMapFetchers[name] = this._CreateFontFetcher(url, progressCbk, signal);
+		}
+		const dxf =
+			source.data !== null
+				? await DxfFetcher.Parse(source.data, options.fileEncoding, progressCbk, signal)
+				: await new DxfFetcher(source.url, options.fileEncoding, source.fetchOptions).Fetch(
+						progressCbk,
+						signal
+					);
 		if (progressCbk) {
 			progressCbk("prepare", 0, null);
 		}
 		//console.log("inside dxfworker dxf data is ", dxf);
 		const dxfScene = new DxfScene(options);
-		const blockData = await dxfScene.Build(dxf, fontFetchers);
+		const blockData = await dxfScene.Build(dxf, fontFetchers, signal, fontMapFetchers);
 		// console.log("dxfworker dxf scene data is = ", JSON.stringify(blockData));
 		return {
 			scene: dxfScene.scene,
@@ -170,27 +216,38 @@ export class DxfWorker {
 		};
 	}
 
-	_CreateFontFetchers(urls, progressCbk) {
-		function CreateFetcher(url) {
-			return async function () {
-				if (progressCbk) {
-					progressCbk("font", 0, null);
-				}
-				const data = await fetch(url).then((response) => response.arrayBuffer());
-				if (progressCbk) {
-					progressCbk("prepare", 0, null);
-				}
-				return opentype.parse(data);
-			};
-		}
-
+	_CreateFontFetchers(urls, progressCbk, signal = null) {
 		const fetchers = [];
 		for (const url of urls) {
-			fetchers.push(CreateFetcher(url));
+			fetchers.push(this._CreateFontFetcher(url, progressCbk, signal));
 		}
 		return fetchers;
 	}
 
+	_CreateFontFetcher(url, progressCbk, signal = null) {
+		return async function () {
+			if (progressCbk) {
+				progressCbk("font", 0, null);
+			}
+			const data = await fetch(url, { signal }).then((response) => response.arrayBuffer());
+			if (progressCbk) {
+				progressCbk("prepare", 0, null);
+			}
+			/* SHX fonts are parsed by the text renderer. */
+			return ShxFont.IsShxData(data) ? data : opentype.parse(data);
+		};
+	}
+
+	/** Fetch options are posted to the worker so Headers instance (not cloneable) is converted to
+	 * plain object.
+	 */
+	_CloneFetchOptions(fetchOptions) {
+		if (fetchOptions === null || !(fetchOptions.headers instanceof Headers)) {
+			return fetchOptions;
+		}
+		return { ...fetchOptions, headers: Object.fromEntries(fetchOptions.headers.entries()) };
+	}
+
 	_CloneOptions(options) {
 		/* Default options values are taken from prototype so need to implement deep clone here. */
 		if (Array.isArray(options)) {
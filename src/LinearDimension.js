@@ -8,12 +8,15 @@ import { ParseSpecialChars } from "./TextRenderer";
  *  triangles in each item.
  * @property {{text: string, size: number, angle: number, color: number, position: Vector2}[]} texts
  *   Each item position is specified as middle point of the rendered text.
+ * @property {{name: string, position: Vector2, angle: number, scale: number}[]} blocks Arrowhead
+ *   block insertions, angle is in degrees.
  */
 export class DimensionLayout {
   constructor() {
     this.lines = [];
     this.triangles = [];
     this.texts = [];
+    this.blocks = [];
   }
 
   AddLine(start, end, color = null) {
@@ -28,6 +31,10 @@ export class DimensionLayout {
   AddText(text, size, angle, color, position) {
     this.texts.push({ text, size, angle, color, position });
   }
+
+  AddBlock(name, position, angle, scale) {
+    this.blocks.push({ name, position, angle, scale });
+  }
 }
 
 const arrowHeadShape = {
@@ -35,8 +42,726 @@ const arrowHeadShape = {
   indices: [0, 1, 2],
 };
 
+/** @return {Vector2[]} Polygon approximating circle with the center in the arrow tip. */
+function CircleVertices(radius, numSegments = 16) {
+  const vertices = [];
+  for (let i = 0; i < numSegments; i++) {
+    const a = (i * Math.PI * 2) / numSegments;
+    vertices.push(new Vector2(radius * Math.cos(a), radius * Math.sin(a)));
+  }
+  return vertices;
+}
+
+/** @return {{vertices: Vector2[], indices: number[]}} Filled disc with the center in the arrow
+ *  tip.
+ */
+function DiscShape(radius) {
+  const vertices = [new Vector2(0, 0), ...CircleVertices(radius)];
+  const indices = [];
+  for (let i = 1; i < vertices.length; i++) {
+    indices.push(0, i, i == vertices.length - 1 ? 1 : i + 1);
+  }
+  return { vertices, indices };
+}
+
+/** @return {Vector2[]} Line segments (pairs of points) of closed polygon outline. */
+function OutlineSegments(vertices) {
+  const segments = [];
+  for (let i = 0; i < vertices.length; i++) {
+    segments.push(vertices[i], vertices[(i + 1) % vertices.length]);
+  }
+  return segments;
+}
+
+const boxVertices = [
+  new Vector2(-0.5, -0.5),
+  new Vector2(0.5, -0.5),
+  new Vector2(0.5, 0.5),
+  new Vector2(-0.5, 0.5),
+];
+
+/** Predefined arrowheads indexed by upper-cased DIMBLK value. Defined in the same way as
+ * `arrowHeadShape`, `segments` are pairs of line segment end points. Any other name refers to
+ * arrowhead block in the drawing.
+ */
+const builtInArrows = new Map([
+  ["", { shape: arrowHeadShape }],
+  ["_CLOSEDFILLED", { shape: arrowHeadShape }],
+  ["_CLOSEDBLANK", { segments: OutlineSegments(arrowHeadShape.vertices) }],
+  [
+    "_CLOSED",
+    {
+      segments: [
+        ...OutlineSegments(arrowHeadShape.vertices),
+        new Vector2(0, 0),
+        new Vector2(1, 0),
+      ],
+    },
+  ],
+  [
+    "_OPEN",
+    {
+      segments: [
+        new Vector2(0, 0),
+        new Vector2(1, -0.25),
+        new Vector2(0, 0),
+        new Vector2(1, 0.25),
+      ],
+    },
+  ],
+  [
+    "_OPEN30",
+    {
+      segments: [
+        new Vector2(0, 0),
+        new Vector2(1, -Math.tan(Math.PI / 12)),
+        new Vector2(0, 0),
+        new Vector2(1, Math.tan(Math.PI / 12)),
+      ],
+    },
+  ],
+  [
+    "_OPEN90",
+    {
+      segments: [
+        new Vector2(0, 0),
+        new Vector2(0.5, -0.5),
+        new Vector2(0, 0),
+        new Vector2(0.5, 0.5),
+      ],
+    },
+  ],
+  ["_OBLIQUE", { isTick: true }],
+  ["_ARCHTICK", { isTick: true }],
+  ["_DOT", { shape: DiscShape(0.25) }],
+  ["_DOTSMALL", { shape: DiscShape(0.0625) }],
+  ["_DOTBLANK", { segments: OutlineSegments(CircleVertices(0.25)) }],
+  ["_SMALL", { segments: OutlineSegments(CircleVertices(0.0625)) }],
+  ["_ORIGIN", { segments: OutlineSegments(CircleVertices(0.5)) }],
+  [
+    "_BOXFILLED",
+    { shape: { vertices: boxVertices, indices: [0, 1, 2, 0, 2, 3] } },
+  ],
+  ["_BOXBLANK", { segments: OutlineSegments(boxVertices) }],
+  ["_NONE", {}],
+]);
+
+/** Apply DIMPOST or DIMAPOST value to the formatted measurement.
+ * @param {string} text Formatted value.
+ * @param {?string} post Either suffix or prefix and suffix around the placeholder.
+ * @param {string} placeholder Value placeholder in `post`.
+ */
+function ApplyPost(text, post, placeholder) {
+  if ((post ?? "") == "") {
+    return text;
+  }
+  if (post.indexOf(placeholder) != -1) {
+    return post.replaceAll(placeholder, text);
+  }
+  return text + post;
+}
+
+/** Draw arrowhead - either predefined one or arrowhead block insertion.
+ * @param {DimensionLayout} layout
+ * @param {string} blockName Arrowhead block name, empty string for default closed filled arrow.
+ * @param {Vector2} tip
+ * @param {Vector2} direction Unit vector from the tip towards the arrow tail.
+ * @param {number} size
+ * @param {?number} color
+ */
+export function CreateArrowhead(layout, blockName, tip, direction, size, color) {
+  const arrow = builtInArrows.get(blockName.toUpperCase()) ?? null;
+  if (arrow === null) {
+    /* Arrowhead blocks are drawn pointing to +X, so they are rotated opposite to the tail
+     * direction.
+     */
+    layout.AddBlock(blockName, tip.clone(), (direction.angle() * 180) / Math.PI + 180, size);
+    return;
+  }
+  /* Shape is defined horizontally for left side with the origin in the dimension point, scale
+   * corresponding to size 1.
+   */
+  const transform = new Matrix3().identity();
+  transform.scale(size, size);
+  transform.rotate(-direction.angle());
+  transform.translate(tip.x, tip.y);
+  if (arrow.isTick) {
+    layout.AddLine(
+      new Vector2(0.5, 0.5).applyMatrix3(transform),
+      new Vector2(-0.5, -0.5).applyMatrix3(transform),
+      color,
+    );
+    return;
+  }
+  if (arrow.shape) {
+    const vertices = [];
+    for (const v of arrow.shape.vertices) {
+      vertices.push(v.clone().applyMatrix3(transform));
+    }
+    layout.AddTriangles(vertices, arrow.shape.indices, color);
+  }
+  if (arrow.segments) {
+    for (let i = 0; i < arrow.segments.length; i += 2) {
+      layout.AddLine(
+        arrow.segments[i].clone().applyMatrix3(transform),
+        arrow.segments[i + 1].clone().applyMatrix3(transform),
+        color,
+      );
+    }
+  }
+}
+
+/** Format non-negative value as a whole part and a fraction, e.g. "18 1/2".
+ * @param {number} value
+ * @param {number} precision Fraction denominator is two in this power.
+ * @return {string}
+ */
+function FormatFraction(value, precision) {
+  let denominator = 2 ** Math.min(Math.max(precision, 0), 8);
+  let whole = Math.floor(value);
+  let numerator = Math.round((value - whole) * denominator);
+  if (numerator == denominator) {
+    whole++;
+    numerator = 0;
+  }
+  if (numerator == 0) {
+    return String(whole);
+  }
+  while (numerator % 2 == 0) {
+    numerator /= 2;
+    denominator /= 2;
+  }
+  const fraction = numerator + "/" + denominator;
+  return whole == 0 ? fraction : whole + " " + fraction;
+}
+
+/** Common part of all dimension types - style values, arrows, extension lines and text
+ * formatting.
+ */
+export class BaseDimension {
+  /**
+   * @param {{text: ?string, textAnchor: ?Vector2, textRotation: ?number}} params Type specific
+   *  parameters.
+   * @param {Function<any(string)>} styleResolver Provides value for a requested style parameter.
+   * @param {Function<number(string, number)>} textWidthCalculator Get text width in model space
+   *  units for a given text and font size (height).
+   */
+  constructor(params, styleResolver, textWidthCalculator) {
+    this.params = params;
+    this.styleResolver = styleResolver;
+    this.textWidthCalculator = textWidthCalculator;
+    /* Can be set to indicate some invalid geometric solution.  */
+    this.isValid = true;
+  }
+
+  IsValid() {
+    return this.isValid;
+  }
+
+  GetTexts() {
+    const { text, upper, lower } = this._GetTextParts();
+    return [text, upper, lower].filter((text) => (text ?? "") != "");
+  }
+
+  /** @return {number} Overall scale factor applied to sizes. */
+  _GetDimScale() {
+    const dimScale = this.styleResolver("DIMSCALE") ?? 1;
+    /* No any auto calculation implemented, since no support for paper space. */
+    return dimScale == 0 ? 1 : dimScale;
+  }
+
+  /** Draw arrow or tick (depending on style) with the tip in the specified point.
+   * @param {DimensionLayout} layout
+   * @param {Vector2} tip
+   * @param {Vector2} direction Unit vector from the tip towards the arrow tail.
+   * @param {?number} color
+   * @param {number} index Either 1 or 2, selects DIMBLK1 or DIMBLK2 arrowhead when separate
+   *  arrowheads are enabled by DIMSAH.
+   */
+  _CreateArrow(layout, tip, direction, color, index = 1) {
+    const dimScale = this._GetDimScale();
+    const tickSize = (this.styleResolver("DIMTSZ") ?? 0) * dimScale;
+    if (tickSize > 0) {
+      CreateArrowhead(layout, "_OBLIQUE", tip, direction, tickSize, color);
+      return;
+    }
+    const blockName = String(
+      this.styleResolver(this.styleResolver("DIMSAH") ? "DIMBLK" + index : "DIMBLK") ?? "",
+    );
+    const arrowSize = (this.styleResolver("DIMASZ") ?? 1) * dimScale;
+    CreateArrowhead(layout, blockName, tip, direction, arrowSize, color);
+  }
+
+  /** Draw extension line from the base point to the dimension line point, taking into account
+   * DIMEXO and DIMEXE offsets.
+   * @param {DimensionLayout} layout
+   * @param {Vector2} basePt
+   * @param {Vector2} dimPt
+   */
+  _CreateExtensionLine(layout, basePt, dimPt) {
+    const dimScale = this._GetDimScale();
+    const extOffset = (this.styleResolver("DIMEXO") ?? 0) * dimScale;
+    const extExt = (this.styleResolver("DIMEXE") ?? 0) * dimScale;
+    const vExt = dimPt.clone().sub(basePt);
+    const dist = vExt.length();
+    if (dist == 0) {
+      return;
+    }
+    vExt.normalize();
+    const start = basePt.clone();
+    if (extOffset != 0) {
+      start.add(vExt.clone().multiplyScalar(extOffset));
+    }
+    const end = dimPt.clone();
+    if (extExt != 0) {
+      end.add(vExt.clone().multiplyScalar(extExt));
+    }
+    layout.AddLine(start, end, this.styleResolver("DIMCLRE"));
+  }
+
+  /** Draw arc as a sequence of line segments.
+   * @param {DimensionLayout} layout
+   * @param {Vector2} center
+   * @param {number} radius
+   * @param {number} startAngle Radians.
+   * @param {number} sweep CCW sweep angle, radians.
+   * @param {?number} color
+   */
+  _CreateArc(layout, center, radius, startAngle, sweep, color) {
+    const tessellationAngle = this.params.tessellationAngle ?? Math.PI / 18;
+    const numSegments = Math.max(Math.ceil(Math.abs(sweep) / tessellationAngle), 2);
+    let prev = null;
+    for (let i = 0; i <= numSegments; i++) {
+      const a = startAngle + (sweep * i) / numSegments;
+      const pt = new Vector2(
+        center.x + radius * Math.cos(a),
+        center.y + radius * Math.sin(a),
+      );
+      if (prev !== null) {
+        layout.AddLine(prev, pt, color);
+      }
+      prev = pt;
+    }
+  }
+
+  /** Text angle along the specified direction, flipped to be readable.
+   * @param {number} angle Direction angle, radians.
+   * @return {number} Text rotation angle, degrees.
+   */
+  _GetReadableTextAngle(angle) {
+    let result = (angle * 180) / Math.PI;
+    result -= Math.floor(result / 360) * 360;
+    if (result > 90 && result <= 270) {
+      result -= 180;
+    }
+    return result + (this.params.textRotation ?? 0);
+  }
+
+  /** Add dimension text to the layout. Tolerance or limits values are stacked after the main
+   * text.
+   * @param {DimensionLayout} layout
+   * @param {number} fontSize
+   * @param {number} angle Text rotation angle, degrees.
+   * @param {Vector2} position Middle point of the whole text.
+   */
+  _AddText(layout, fontSize, angle, position) {
+    const color = this.styleResolver("DIMCLRT");
+    const { parts, mainWidth, stackWidth, gap, tolSize } = this._MeasureText(fontSize);
+    if (parts.upper === null) {
+      layout.AddText(parts.text, fontSize, angle, color, position);
+      return;
+    }
+    const a = (angle * Math.PI) / 180;
+    const vDir = new Vector2(Math.cos(a), Math.sin(a));
+    const vNorm = new Vector2(-vDir.y, vDir.x);
+    const start = position
+      .clone()
+      .sub(vDir.clone().multiplyScalar((mainWidth + gap + stackWidth) / 2));
+    if (parts.text != "") {
+      layout.AddText(
+        parts.text,
+        fontSize,
+        angle,
+        color,
+        start.clone().add(vDir.clone().multiplyScalar(mainWidth / 2)),
+      );
+    }
+    /* Stacked values are left-aligned. */
+    const stackStart = start.add(vDir.clone().multiplyScalar(mainWidth + gap));
+    for (const [text, offset] of [
+      [parts.upper, tolSize * 0.6],
+      [parts.lower, -tolSize * 0.6],
+    ]) {
+      const width = this.textWidthCalculator(text, tolSize);
+      layout.AddText(
+        text,
+        tolSize,
+        angle,
+        color,
+        stackStart
+          .clone()
+          .add(vDir.clone().multiplyScalar(width / 2))
+          .add(vNorm.clone().multiplyScalar(offset)),
+      );
+    }
+  }
+
+  /** @return {number} Total width of the dimension text including stacked values. */
+  _GetTextWidth(fontSize) {
+    const { mainWidth, stackWidth, gap } = this._MeasureText(fontSize);
+    return mainWidth + gap + stackWidth;
+  }
+
+  _MeasureText(fontSize) {
+    const parts = this._GetTextParts();
+    const mainWidth = parts.text == "" ? 0 : this.textWidthCalculator(parts.text, fontSize);
+    const tolSize = fontSize * (this.styleResolver("DIMTFAC") ?? 1);
+    let stackWidth = 0;
+    if (parts.upper !== null) {
+      stackWidth = Math.max(
+        this.textWidthCalculator(parts.upper, tolSize),
+        this.textWidthCalculator(parts.lower, tolSize),
+      );
+    }
+    const gap = mainWidth > 0 && stackWidth > 0 ? tolSize * 0.25 : 0;
+    return { parts, mainWidth, stackWidth, gap, tolSize };
+  }
+
+  /** Final dimension text, taking into account user specified text.
+   * @return {{text: string, upper: ?string, lower: ?string}} Main text and stacked upper and
+   *  lower texts (either both null or both set) for tolerance (DIMTOL) or limits (DIMLIM).
+   */
+  _GetTextParts() {
+    const userText = this.params.text ?? "";
+    if (userText == " ") {
+      /* Space indicates empty text. */
+      return { text: "", upper: null, lower: null };
+    }
+    if (userText != "" && userText.indexOf("<>") == -1) {
+      /* No value placeholder, just return the text. */
+      return { text: ParseSpecialChars(userText), upper: null, lower: null };
+    }
+
+    const isAngular = this._IsAngular();
+    /* Tolerances are scaled together with the measurement. */
+    const scale = isAngular ? 1 : this.styleResolver("DIMLFAC") ?? 1;
+    const measurement = this._GetMeasurement() * scale;
+    const tolPlus = (this.styleResolver("DIMTP") ?? 0) * scale;
+    const tolMinus = (this.styleResolver("DIMTM") ?? 0) * scale;
+
+    let text;
+    let upper = null;
+    let lower = null;
+    if (this.styleResolver("DIMLIM")) {
+      text = "";
+      upper = this._FormatPrimaryValue(measurement + tolPlus);
+      lower = this._FormatPrimaryValue(measurement - tolMinus);
+    } else {
+      text = this._FormatPrimaryValue(measurement);
+      if (this.styleResolver("DIMTOL")) {
+        if (tolPlus == tolMinus) {
+          text += "%%p" + this._FormatToleranceValue(tolPlus, false);
+        } else {
+          upper = this._FormatToleranceValue(tolPlus, true);
+          lower = this._FormatToleranceValue(-tolMinus, true);
+        }
+      }
+    }
+
+    let altText = null;
+    if (!isAngular && this.styleResolver("DIMALT")) {
+      altText = this._FormatAlternateValue(measurement);
+    }
+
+    if (userText != "") {
+      text = userText.replaceAll("<>", text);
+      if (altText !== null && text.indexOf("[]") != -1) {
+        text = text.replaceAll("[]", altText);
+        altText = null;
+      }
+    }
+    if (altText !== null) {
+      text += (text == "" ? "" : " ") + "[" + altText + "]";
+    }
+
+    return {
+      text: ParseSpecialChars(text),
+      upper: upper === null ? null : ParseSpecialChars(upper),
+      lower: lower === null ? null : ParseSpecialChars(lower),
+    };
+  }
+
+  /** @return {number} Measured value - distance in drawing units or angle in radians. Implemented
+   *  by derived classes.
+   */
+  _GetMeasurement() {
+    throw new Error("Not implemented");
+  }
+
+  /** @return {boolean} True if the measured value is an angle. */
+  _IsAngular() {
+    return false;
+  }
+
+  /** @return {string} Inserted before the measured value, e.g. radius or diameter sign. */
+  _GetMeasurementPrefix() {
+    return "";
+  }
+
+  /** Format primary measured value according to DIMLUNIT (or angular units), precision, zero
+   * suppression and DIMPOST.
+   * @param {number} value Measured value with DIMLFAC applied.
+   * @return {string}
+   */
+  _FormatPrimaryValue(value) {
+    let text;
+    if (this._IsAngular()) {
+      let precision = this.styleResolver("DIMADEC") ?? 0;
+      if (precision < 0) {
+        precision = this.styleResolver("DIMDEC") ?? 2;
+      }
+      const zeroSupp = this.styleResolver("DIMAZIN") ?? 0;
+      text = this._FormatAngularValue(
+        value,
+        precision,
+        (zeroSupp & 1) != 0,
+        (zeroSupp & 2) != 0,
+      );
+    } else {
+      const rnd = this.styleResolver("DIMRND") ?? 0;
+      if (rnd > 0) {
+        const n = Math.round(value / rnd);
+        value = rnd * n;
+      }
+      text = this._FormatNumber(
+        value,
+        this.styleResolver("DIMLUNIT") ?? 2,
+        this.styleResolver("DIMDEC") ?? 2,
+        this.styleResolver("DIMZIN") ?? 0,
+      );
+    }
+    return ApplyPost(
+      this._GetMeasurementPrefix() + text,
+      this.styleResolver("DIMPOST"),
+      "<>",
+    );
+  }
+
+  /** Format tolerance value according to DIMTDEC and DIMTZIN.
+   * @param {number} value Signed tolerance value.
+   * @param {boolean} showSign Prepend the sign also for positive value.
+   * @return {string}
+   */
+  _FormatToleranceValue(value, showSign) {
+    const precision =
+      this.styleResolver("DIMTDEC") ?? this.styleResolver("DIMDEC") ?? 2;
+    const zeroSupp = this.styleResolver("DIMTZIN") ?? 0;
+    let text;
+    if (this._IsAngular()) {
+      text = this._FormatAngularValue(
+        Math.abs(value),
+        precision,
+        (zeroSupp & 4) != 0,
+        (zeroSupp & 8) != 0,
+      );
+    } else {
+      text = this._FormatNumber(
+        Math.abs(value),
+        this.styleResolver("DIMLUNIT") ?? 2,
+        precision,
+        zeroSupp,
+      );
+    }
+    if (value < 0) {
+      return "-" + text;
+    }
+    return showSign && value > 0 ? "+" + text : text;
+  }
+
+  /** Format alternate units value according to DIMALTF, DIMALTRND, DIMALTU, DIMALTD, DIMALTZ and
+   * DIMAPOST.
+   * @param {number} value Measured value in primary units.
+   * @return {string}
+   */
+  _FormatAlternateValue(value) {
+    value *= this.styleResolver("DIMALTF") ?? 25.4;
+    const rnd = this.styleResolver("DIMALTRND") ?? 0;
+    if (rnd > 0) {
+      const n = Math.round(value / rnd);
+      value = rnd * n;
+    }
+    const text = this._FormatNumber(
+      value,
+      this.styleResolver("DIMALTU") ?? 2,
+      this.styleResolver("DIMALTD") ?? 2,
+      this.styleResolver("DIMALTZ") ?? 0,
+    );
+    return ApplyPost(text, this.styleResolver("DIMAPOST"), "[]");
+  }
+
+  /** Format linear value in the specified units.
+   * @param {number} value
+   * @param {number} unitFormat DIMLUNIT value: 1 - scientific, 2 - decimal, 3 - engineering, 4 -
+   *  architectural, 5 - fractional, 6 - Windows desktop (formatted as decimal).
+   * @param {number} precision Number of decimal places, or fraction denominator power of two for
+   *  architectural and fractional units.
+   * @param {number} zeroSupp DIMZIN style zero suppression flags.
+   * @return {string}
+   */
+  _FormatNumber(value, unitFormat, precision, zeroSupp) {
+    const sign = value < 0 ? "-" : "";
+    value = Math.abs(value);
+    switch (unitFormat) {
+      case 1: {
+        const [mantissa, exponent] = value.toExponential(precision).split("e");
+        const expValue = Number(exponent);
+        return (
+          sign +
+          this._FormatDecimal(Number(mantissa), precision, false, (zeroSupp & 8) != 0) +
+          "E" +
+          (expValue < 0 ? "-" : "+") +
+          String(Math.abs(expValue)).padStart(2, "0")
+        );
+      }
+      case 3:
+      case 4:
+        return sign + this._FormatFeetInches(value, unitFormat == 4, precision, zeroSupp);
+      case 5:
+        /* Fractions are always rendered in one line, DIMFRAC stacking is not supported. */
+        return sign + FormatFraction(value, precision);
+      default:
+        return (
+          sign +
+          this._FormatDecimal(value, precision, (zeroSupp & 4) != 0, (zeroSupp & 8) != 0)
+        );
+    }
+  }
+
+  /** Format value in inches as feet and inches, e.g. 1'-6 1/2" for architectural units or
+   * 1'-6.50" for engineering units.
+   */
+  _FormatFeetInches(value, isArchitectural, precision, zeroSupp) {
+    /* Round first so that inches never reach 12 after formatting. */
+    const step = isArchitectural ? 1 / 2 ** Math.min(precision, 8) : 10 ** -precision;
+    value = Math.round(value / step) * step;
+    const feet = Math.floor(value / 12 + 1e-9);
+    const inches = Math.max(value - feet * 12, 0);
+    const inchesText = isArchitectural
+      ? FormatFraction(inches, precision)
+      : this._FormatDecimal(inches, precision, false, (zeroSupp & 8) != 0);
+    /* Two lower bits of DIMZIN: 0 - suppress zero feet and zero inches, 1 - include both, 2 -
+     * include zero feet and suppress zero inches, 3 - include zero inches and suppress zero feet.
+     */
+    const feetInchSupp = zeroSupp & 3;
+    const isZeroInches = Math.round(inches / step) == 0;
+    if (feet == 0 && (feetInchSupp == 0 || feetInchSupp == 3)) {
+      return inchesText + '"';
+    }
+    if (isZeroInches && (feetInchSupp == 0 || feetInchSupp == 2)) {
+      return feet + "'";
+    }
+    if (isArchitectural && inches < 1 && !isZeroInches) {
+      /* E.g. 1'-0 1/2" */
+      return feet + "'-0 " + inchesText + '"';
+    }
+    return feet + "'-" + inchesText + '"';
+  }
+
+  /** Format angular measurement according to DIMAUNIT style value.
+   * @param {number} angle Measured angle in radians.
+   * @param {number} precision Number of decimal places.
+   * @param {boolean} leadZeroSupp
+   * @param {boolean} trailingZeroSupp
+   * @return {string}
+   */
+  _FormatAngularValue(angle, precision, leadZeroSupp, trailingZeroSupp) {
+    const degrees = (angle * 180) / Math.PI;
+
+    switch (this.styleResolver("DIMAUNIT") ?? 0) {
+      case 1: {
+        /* Degrees/minutes/seconds. Precision 0 - degrees only, 1-2 - with minutes, 3-4 - with
+         * seconds, more - with decimal seconds.
+         */
+        if (precision == 0) {
+          return Math.round(degrees) + "%%d";
+        }
+        const secondsScale = 10 ** Math.max(precision - 4, 0);
+        const totalSeconds =
+          precision <= 2
+            ? Math.round(degrees * 60) * 60
+            : Math.round(degrees * 3600 * secondsScale) / secondsScale;
+        const d = Math.floor(totalSeconds / 3600);
+        const m = Math.floor((totalSeconds - d * 3600) / 60);
+        let text = d + "%%d" + m + "'";
+        if (precision > 2) {
+          text +=
+            this._FormatDecimal(
+              totalSeconds - d * 3600 - m * 60,
+              Math.max(precision - 4, 0),
+              false,
+              trailingZeroSupp,
+            ) + '"';
+        }
+        return text;
+      }
+      case 2:
+        return (
+          this._FormatDecimal(
+            degrees / 0.9,
+            precision,
+            leadZeroSupp,
+            trailingZeroSupp,
+          ) + "g"
+        );
+      case 3:
+        return (
+          this._FormatDecimal(angle, precision, leadZeroSupp, trailingZeroSupp) +
+          "r"
+        );
+      default:
+        return (
+          this._FormatDecimal(
+            degrees,
+            precision,
+            leadZeroSupp,
+            trailingZeroSupp,
+          ) + "%%d"
+        );
+    }
+  }
+
+  /** Format decimal number with zero suppression and DIMDSEP decimal separator. */
+  _FormatDecimal(value, precision, leadZeroSupp, trailingZeroSupp) {
+    let text = value.toFixed(precision);
+
+    if (trailingZeroSupp && text.indexOf(".") != -1) {
+      text = text.replace(/\.?0+$/, "");
+    }
+
+    if (leadZeroSupp) {
+      text = text.replace(/^0+(?=\.)/, "");
+    }
+
+    if (text == "") {
+      text = "0";
+    }
+    if (text.endsWith(".")) {
+      text = text.substring(0, text.length - 1);
+    }
+
+    let decSep = this.styleResolver("DIMDSEP") ?? ".";
+    if (!isNaN(decSep)) {
+      decSep = String.fromCharCode(decSep);
+    }
+    if (decSep != ".") {
+      text = text.replace(".", decSep);
+    }
+    return text;
+  }
+}
+
 /** Encapsulates all calculations about linear dimensions layout. */
-export class LinearDimension {
+export class LinearDimension extends BaseDimension {
   /**
    * @typedef LinearDimensionParams
    * @property {Vector2} p1 First definition point.
@@ -57,22 +782,10 @@ export class LinearDimension {
    *  units for a given text and font size (height).
    */
   constructor(params, styleResolver, textWidthCalculator) {
-    this.params = params;
-    this.styleResolver = styleResolver;
-    this.textWidthCalculator = textWidthCalculator;
-    /* Can be set to indicate some invalid geometric solution.  */
-    this.isValid = true;
+    super(params, styleResolver, textWidthCalculator);
     this._CalculateGeometry();
   }
 
-  IsValid() {
-    return this.isValid;
-  }
-
-  GetTexts() {
-    return [this._GetText()];
-  }
-
   /**
    * @return {DimensionLayout}
    */
@@ -83,18 +796,10 @@ export class LinearDimension {
     /* Dimension line(s). */
     const dimSize = this.d1.distanceTo(this.d2);
     const dimColor = this.styleResolver("DIMCLRD");
-    let dimScale = this.styleResolver("DIMSCALE") ?? 1;
-    if (dimScale == 0) {
-      /* No any auto calculation implemented, since no support for paper space. */
-      dimScale = 1;
-    }
+    const dimScale = this._GetDimScale();
 
-    const text = this._GetText();
     const fontSize = (this.styleResolver("DIMTXT") ?? 1) * dimScale;
-    const textWidth = this.textWidthCalculator(text, fontSize);
-    const textColor = this.styleResolver("DIMCLRT");
     const arrowSize = (this.styleResolver("DIMASZ") ?? 1) * dimScale;
-    const tickSize = (this.styleResolver("DIMTSZ") ?? 0) * dimScale;
 
     let textAnchor = this.params.textAnchor;
     let flipArrows = false;
@@ -126,42 +831,17 @@ export class LinearDimension {
       (this.vDimNorm.angle() * 180) / Math.PI -
       90 +
       (this.params.textRotation ?? 0);
-    result.AddText(text, fontSize, angle, textColor, textAnchor);
+    this._AddText(result, fontSize, angle, textAnchor);
 
     /* Extension lines. */
-    const extColor = this.styleResolver("DIMCLRE");
-    const extOffset = (this.styleResolver("DIMEXO") ?? 0) * dimScale;
-    const extExt = (this.styleResolver("DIMEXE") ?? 0) * dimScale;
-
-    const DrawExtLine = (basePt, dimPt) => {
-      const vExt = dimPt.clone().sub(basePt);
-      const dist = vExt.length();
-      if (dist == 0) {
-        return;
-      }
-      vExt.normalize();
-      const start = basePt.clone();
-      if (extOffset != 0) {
-        start.add(vExt.clone().multiplyScalar(extOffset));
-      }
-      const end = dimPt.clone();
-      if (extExt != 0) {
-        end.add(vExt.clone().multiplyScalar(extExt));
-      }
-      result.AddLine(start, end, extColor);
-    };
-
     if (!(this.styleResolver("DIMSE1") ?? 0)) {
-      DrawExtLine(this.params.p1, this.d1);
+      this._CreateExtensionLine(result, this.params.p1, this.d1);
     }
     if (!(this.styleResolver("DIMSE2") ?? 0)) {
-      DrawExtLine(this.params.p2, this.d2);
+      this._CreateExtensionLine(result, this.params.p2, this.d2);
     }
 
-    /* Draw arrows (or anything defined as dimension shape). Assuming shape is defined
-     * horizontally for left side with the origin in the dimension point, scale corresponding to
-     * size 1. Calculate appropriate transform for the shape.
-     */
+    /* Draw arrows (or anything defined as dimension shape). */
     //XXX check suppression by DIMSOXD, DIMSD1, DIMSD2
     for (let i = 0; i < 2; i++) {
       const dimPt = i == 0 ? this.d1 : this.d2;
@@ -169,49 +849,16 @@ export class LinearDimension {
       if (flipArrows) {
         flip = !flip;
       }
-
-      let transform = new Matrix3().identity();
-      if (tickSize > 0) {
-        transform.scale(tickSize, tickSize);
-      } else {
-        transform.scale(arrowSize, arrowSize);
-        /* Tick is not flipped. */
-        if (flip) {
-          transform.scale(-1, 1);
-        }
-      }
-
-      const angle = -this.vDim.angle();
-      transform.rotate(angle);
-
-      transform.translate(dimPt.x, dimPt.y);
-
-      if (tickSize > 0) {
-        this._CreateTick(result, transform, dimColor);
-      } else {
-        this._CreateArrowShape(result, transform, dimColor);
+      const direction = this.vDim.clone();
+      if (flip) {
+        direction.negate();
       }
+      this._CreateArrow(result, dimPt, direction, dimColor, i + 1);
     }
 
     return result;
   }
 
-  _CreateArrowShape(layout, transform, color) {
-    const vertices = [];
-    for (const v of arrowHeadShape.vertices) {
-      vertices.push(v.clone().applyMatrix3(transform));
-    }
-    layout.AddTriangles(vertices, arrowHeadShape.indices, color);
-  }
-
-  _CreateTick(layout, transform, color) {
-    layout.AddLine(
-      new Vector2(0.5, 0.5).applyMatrix3(transform),
-      new Vector2(-0.5, -0.5).applyMatrix3(transform),
-      color,
-    );
-  }
-
   /** Calculate and set basic geometric parameters (some points and vectors which define the
    * dimension layout).
    */
@@ -263,72 +910,7 @@ export class LinearDimension {
     }
   }
 
-  _GetText() {
-    if (this.params.text == " ") {
-      /* Space indicates empty text. */
-      return "";
-    }
-    if (
-      (this.params.text ?? "") != "" &&
-      this.params.text.indexOf("<>") == -1
-    ) {
-      /* No value placeholder, just return the text. */
-      return ParseSpecialChars(this.params.text);
-    }
-
-    let measurement = this.d2.distanceTo(this.d1);
-    measurement *= this.styleResolver("DIMLFAC") ?? 1;
-
-    const rnd = this.styleResolver("DIMRND") ?? 0;
-    if (rnd > 0) {
-      const n = Math.round(measurement / rnd);
-      measurement = rnd * n;
-    }
-
-    const zeroSupp = this.styleResolver("DIMZIN") ?? 0;
-    const leadZeroSupp = (zeroSupp & 4) != 0;
-    const trailingZeroSupp = (zeroSupp & 8) != 0;
-
-    let measText = measurement.toFixed(this.styleResolver("DIMDEC") ?? 2);
-
-    if (trailingZeroSupp) {
-      measText = measText.replace(/.0+$/, "");
-    }
-
-    if (leadZeroSupp) {
-      measText = measText.replace(/^0+/, "");
-    }
-
-    if (measText.startsWith(".")) {
-      measText = "0" + measText;
-    } else if (measText == "") {
-      measText = "0";
-    }
-    if (measText.endsWith(".")) {
-      measText = measText.substring(0, measText.length - 1);
-    }
-
-    let decSep = this.styleResolver("DIMDSEP") ?? ".";
-    if (!isNaN(decSep)) {
-      decSep = String.fromCharCode(decSep);
-    }
-    if (decSep != ".") {
-      measText = measText.replace(".", decSep);
-    }
-
-    const suffix = this.styleResolver("DIMPOST") ?? "";
-    if (suffix != "") {
-      if (suffix.indexOf("<>") != -1) {
-        measText = suffix.replaceAll("<>", measText);
-      } else {
-        measText += suffix;
-      }
-    }
-
-    if ((this.params.text ?? "") != "") {
-      measText = this.params.text.replaceAll("<>", measText);
-    }
-
-    return ParseSpecialChars(measText);
+  _GetMeasurement() {
+    return this.d2.distanceTo(this.d1);
   }
 }
@@ -12,6 +12,8 @@ const State = Object.freeze({
   PARAGRAPH1: 3,
   PARAGRAPH2: 4,
   PARAGRAPH3: 5,
+  /* Collect format code argument till ';' */
+  FORMAT_ARGUMENT: 6,
 });
 
 const EntityType = Object.freeze({
@@ -23,6 +25,32 @@ const EntityType = Object.freeze({
    * (seems to be the same as left), distribute (justify) alignment.
    */
   PARAGRAPH_ALIGNMENT: 4,
+  /** "colorIndex" property is ACI color number (\C), or "color" property is RGB value (\c). */
+  COLOR: 5,
+  /** "name" property is font family or SHX file name, "isBold" and "isItalic" properties are
+   * set for TrueType fonts (\f), not present for SHX fonts (\F).
+   */
+  FONT: 6,
+  /** "value" property is text height, relative to the current one if "isRelative" is true. */
+  HEIGHT: 7,
+  /** "value" property is width factor, relative to the current one if "isRelative" is true. */
+  WIDTH: 8,
+  /** "value" property is characters spacing factor. */
+  TRACKING: 9,
+  /** "angle" property is oblique angle in degrees. */
+  OBLIQUE: 10,
+  /** "alignment" property is vertical characters alignment: 0 - bottom, 1 - center, 2 - top. */
+  CHAR_ALIGNMENT: 11,
+  /** Stacked text (\S), "upper" and "lower" properties are the stacked strings, "separator" is
+   * either "/" (horizontal fraction), "#" (diagonal fraction) or "^" (tolerance).
+   */
+  STACK: 12,
+  /** "isOn" property is true when underline starts (\L), false when it ends (\l). */
+  UNDERLINE: 13,
+  /** "isOn" property is true when overline starts (\O), false when it ends (\o). */
+  OVERLINE: 14,
+  /** "isOn" property is true when strike-through starts (\K), false when it ends (\k). */
+  STRIKE_THROUGH: 15,
 
   /* Many others are not yet implemented. */
 });
@@ -30,7 +58,93 @@ const EntityType = Object.freeze({
 /** Single letter format codes which are not terminated by ";". */
 const shortFormats = new Set(["L", "l", "O", "o", "K", "k", "P", "X", "~"]);
 
-const longFormats = new Set(["f", "F", "p", "Q", "H", "W", "S", "A", "C", "T"]);
+const longFormats = new Set(["f", "F", "p", "Q", "H", "W", "S", "A", "C", "c", "T"]);
+
+/** Stacked text separators in the order of their precedence. */
+const stackSeparators = ["^", "/", "#"];
+
+/** @return {?MTextFormatEntity} Entity for the specified long format code and its argument,
+ *  null if the format is not supported or the argument is invalid.
+ */
+function ParseLongFormat(code, arg) {
+  switch (code) {
+    case "C": {
+      const colorIndex = parseInt(arg);
+      return isNaN(colorIndex) ? null : { type: EntityType.COLOR, colorIndex };
+    }
+    case "c": {
+      const color = parseInt(arg);
+      return isNaN(color) ? null : { type: EntityType.COLOR, color: color & 0xffffff };
+    }
+    case "f":
+    case "F": {
+      const [name, ...params] = arg.split("|");
+      const entity = { type: EntityType.FONT, name };
+      if (code === "f") {
+        entity.isBold = params.includes("b1");
+        entity.isItalic = params.includes("i1");
+      }
+      return entity;
+    }
+    case "H":
+    case "W": {
+      const value = parseFloat(arg);
+      if (isNaN(value) || value <= 0) {
+        return null;
+      }
+      return {
+        type: code === "H" ? EntityType.HEIGHT : EntityType.WIDTH,
+        value,
+        isRelative: arg.trim().toLowerCase().endsWith("x"),
+      };
+    }
+    case "T": {
+      const value = parseFloat(arg);
+      return isNaN(value) || value <= 0 ? null : { type: EntityType.TRACKING, value };
+    }
+    case "Q": {
+      const angle = parseFloat(arg);
+      return isNaN(angle) ? null : { type: EntityType.OBLIQUE, angle };
+    }
+    case "A": {
+      const alignment = parseInt(arg);
+      return alignment >= 0 && alignment <= 2
+        ? { type: EntityType.CHAR_ALIGNMENT, alignment }
+        : null;
+    }
+    case "S":
+      return ParseStack(arg);
+  }
+  return null;
+}
+
+/** Parse stacked text argument, e.g. "1/2", "+0.1^-0.2". Separator may be escaped by
+ * backslash to be used literally.
+ */
+function ParseStack(arg) {
+  for (const separator of stackSeparators) {
+    for (let i = 0; i < arg.length; i++) {
+      if (arg[i] === "\\") {
+        i++;
+        continue;
+      }
+      if (arg[i] === separator) {
+        return {
+          type: EntityType.STACK,
+          upper: UnescapeStackText(arg.slice(0, i)),
+          lower: UnescapeStackText(arg.slice(i + 1)),
+          separator,
+        };
+      }
+    }
+  }
+  /* No separator, the whole text is the upper part. */
+  return { type: EntityType.STACK, upper: UnescapeStackText(arg), lower: "", separator: "^" };
+}
+
+function UnescapeStackText(text) {
+  return text.replaceAll(/\\(.)/g, "$1");
+}
 
 const validEscapes = new Set(["\\", "{", "}"]);
 
@@ -46,6 +160,9 @@ export class MTextFormatParser {
     let scopeStack = [];
     let curEntities = this.entities;
     let curPos = 0;
+    /* Currently parsed long format code and its argument start position. */
+    let formatCode = null;
+    let formatStart = 0;
     const _this = this;
 
     function EmitText() {
@@ -59,8 +176,8 @@ export class MTextFormatParser {
       textStart = curPos;
     }
 
-    function EmitEntity(type) {
-      curEntities.push({ type: type });
+    function EmitEntity(type, props = null) {
+      curEntities.push({ type: type, ...props });
     }
 
     function PushScope() {
@@ -119,6 +236,18 @@ export class MTextFormatParser {
               case "~":
                 EmitEntity(EntityType.NON_BREAKING_SPACE);
                 break;
+              case "L":
+              case "l":
+                EmitEntity(EntityType.UNDERLINE, { isOn: c === "L" });
+                break;
+              case "O":
+              case "o":
+                EmitEntity(EntityType.OVERLINE, { isOn: c === "O" });
+                break;
+              case "K":
+              case "k":
+                EmitEntity(EntityType.STRIKE_THROUGH, { isOn: c === "K" });
+                break;
             }
             state = State.TEXT;
             textStart = curPos + 1;
@@ -130,7 +259,9 @@ export class MTextFormatParser {
                 state = State.PARAGRAPH1;
                 continue;
             }
-            state = State.SKIP_FORMAT;
+            formatCode = c;
+            formatStart = curPos + 1;
+            state = State.FORMAT_ARGUMENT;
             continue;
           }
           /* Include current character into a next text chunk. Backslash is also included if
@@ -167,6 +298,22 @@ export class MTextFormatParser {
           }
           continue;
 
+        case State.FORMAT_ARGUMENT:
+          /* Stacked text may contain escaped ';'. */
+          if (c === "\\" && formatCode === "S") {
+            curPos++;
+            continue;
+          }
+          if (c === ";") {
+            const entity = ParseLongFormat(formatCode, text.slice(formatStart, curPos));
+            if (entity !== null) {
+              curEntities.push(entity);
+            }
+            textStart = curPos + 1;
+            state = State.TEXT;
+          }
+          continue;
+
         default:
           throw new Error("Unhandled state");
       }
@@ -192,6 +339,24 @@ export class MTextFormatParser {
       for (const item of items) {
         if (item.type === EntityType.TEXT) {
           yield item.content;
+        } else if (item.type === EntityType.STACK) {
+          yield item.upper;
+          yield item.lower;
+        } else if (item.type === EntityType.SCOPE) {
+          yield* TraverseItems(item.content);
+        }
+      }
+    }
+
+    yield* TraverseItems(this.GetContent());
+  }
+
+  /** Return names of the fonts specified by font changes. */
+  *GetFonts() {
+    function* TraverseItems(items) {
+      for (const item of items) {
+        if (item.type === EntityType.FONT) {
+          yield item.name;
         } else if (item.type === EntityType.SCOPE) {
           yield* TraverseItems(item.content);
         }
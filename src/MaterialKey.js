@@ -8,12 +8,15 @@ export class MaterialKey {
    * @param color {number} Color ARGB value.
    * @param lineType {?number} Line type ID, null for non-lines. Zero is default type (solid
    *  line).
+   * @param lineweight {?number} Lineweight in hundredths of millimeter for thick lines, null
+   *  otherwise.
    */
-  constructor(instanceType, geometryType, color, lineType) {
+  constructor(instanceType, geometryType, color, lineType, lineweight = null) {
     this.instanceType = instanceType;
     this.geometryType = geometryType ?? null;
     this.color = color;
     this.lineType = lineType ?? null;
+    this.lineweight = lineweight ?? null;
   }
 
   /** Comparator function. Fields lexical order corresponds to the constructor arguments order.
@@ -32,6 +35,10 @@ export class MaterialKey {
     if (c !== 0) {
       return c;
     }
-    return CompareValues(this.lineType, other.lineType);
+    c = CompareValues(this.lineType, other.lineType);
+    if (c !== 0) {
+      return c;
+    }
+    return CompareValues(this.lineweight, other.lineweight);
   }
 }
@@ -0,0 +1,88 @@
+import { Vector2 } from "three";
+
+import { BaseDimension, DimensionLayout } from "./LinearDimension";
+
+/** Encapsulates all calculations about ordinate dimensions layout. */
+export class OrdinateDimension extends BaseDimension {
+  /**
+   * @typedef OrdinateDimensionParams
+   * @property {Vector2} origin Origin of the ordinates.
+   * @property {Vector2} featurePoint Measured point.
+   * @property {Vector2} leaderEnd Leader end point, the text is placed after it.
+   * @property {boolean} isXType Measures X coordinate if true, Y coordinate otherwise.
+   * @property {?string} text Dimension text pattern.
+   * @property {?Vector2} textAnchor Text location (middle point) override.
+   * @property {?number} textRotation Rotation angle of the dimension text away from its default
+   *  orientation (the direction of the leader).
+   */
+
+  /**
+   * @param {OrdinateDimensionParams} params
+   * @param {Function<any(string)>} styleResolver Provides value for a requested style parameter.
+   * @param {Function<number(string, number)>} textWidthCalculator Get text width in model space
+   *  units for a given text and font size (height).
+   */
+  constructor(params, styleResolver, textWidthCalculator) {
+    super(params, styleResolver, textWidthCalculator);
+    const { featurePoint, leaderEnd, isXType } = params;
+    /* Leader goes along the axis perpendicular to the measured one. */
+    const along = isXType ? leaderEnd.y - featurePoint.y : leaderEnd.x - featurePoint.x;
+    if (along == 0) {
+      this.isValid = false;
+      return;
+    }
+    this.vLeader = isXType ? new Vector2(0, Math.sign(along)) : new Vector2(Math.sign(along), 0);
+    this.leaderLength = Math.abs(along);
+  }
+
+  /**
+   * @return {DimensionLayout}
+   */
+  GenerateLayout() {
+    const result = new DimensionLayout();
+    const { featurePoint, leaderEnd } = this.params;
+    const dimColor = this.styleResolver("DIMCLRD");
+    const dimScale = this._GetDimScale();
+    const extOffset = (this.styleResolver("DIMEXO") ?? 0) * dimScale;
+
+    /* Leader with a jog in its middle third if the end point is shifted across the leader
+     * direction.
+     */
+    const start = featurePoint.clone().add(this.vLeader.clone().multiplyScalar(extOffset));
+    const across = leaderEnd.clone().sub(featurePoint).sub(
+      this.vLeader.clone().multiplyScalar(this.leaderLength),
+    );
+    if (across.lengthSq() == 0) {
+      result.AddLine(start, leaderEnd.clone(), dimColor);
+    } else {
+      const jogStart = featurePoint
+        .clone()
+        .add(this.vLeader.clone().multiplyScalar(this.leaderLength / 3));
+      const jogEnd = jogStart
+        .clone()
+        .add(this.vLeader.clone().multiplyScalar(this.leaderLength / 3))
+        .add(across);
+      result.AddLine(start, jogStart, dimColor);
+      result.AddLine(jogStart.clone(), jogEnd, dimColor);
+      result.AddLine(jogEnd.clone(), leaderEnd.clone(), dimColor);
+    }
+
+    const fontSize = (this.styleResolver("DIMTXT") ?? 1) * dimScale;
+    let textAnchor = this.params.textAnchor;
+    if (!textAnchor) {
+      const textWidth = this._GetTextWidth(fontSize);
+      const gap = (this.styleResolver("DIMGAP") ?? 0) * dimScale;
+      textAnchor = leaderEnd
+        .clone()
+        .add(this.vLeader.clone().multiplyScalar(textWidth / 2 + gap));
+    }
+    this._AddText(result, fontSize, this._GetReadableTextAngle(this.vLeader.angle()), textAnchor);
+
+    return result;
+  }
+
+  _GetMeasurement() {
+    const { origin, featurePoint, isXType } = this.params;
+    return Math.abs(isXType ? featurePoint.x - origin.x : featurePoint.y - origin.y);
+  }
+}
@@ -0,0 +1,132 @@
+import { Vector2 } from "three";
+
+import { BaseDimension, DimensionLayout } from "./LinearDimension";
+
+/** Encapsulates all calculations about radius and diameter dimensions layout. */
+export class RadialDimension extends BaseDimension {
+  /**
+   * @typedef RadialDimensionParams
+   * @property {Vector2} center Measured circle or arc center.
+   * @property {Vector2} chordPoint Point on the measured curve where the dimension line ends.
+   * @property {boolean} isDiameter Diameter dimension if true, radius dimension otherwise.
+   * @property {?string} text Dimension text pattern.
+   * @property {?Vector2} textAnchor Text location (middle point) override.
+   * @property {?number} textRotation Rotation angle of the dimension text away from its default
+   *  orientation (the direction of the dimension line).
+   */
+
+  /**
+   * @param {RadialDimensionParams} params
+   * @param {Function<any(string)>} styleResolver Provides value for a requested style parameter.
+   * @param {Function<number(string, number)>} textWidthCalculator Get text width in model space
+   *  units for a given text and font size (height).
+   */
+  constructor(params, styleResolver, textWidthCalculator) {
+    super(params, styleResolver, textWidthCalculator);
+    this.radius = params.chordPoint.distanceTo(params.center);
+    if (this.radius == 0) {
+      this.isValid = false;
+      return;
+    }
+    /* Unit vector from the center towards the chord point. */
+    this.vDim = params.chordPoint.clone().sub(params.center).normalize();
+  }
+
+  /**
+   * @return {DimensionLayout}
+   */
+  GenerateLayout() {
+    const result = new DimensionLayout();
+    const { center, chordPoint, isDiameter } = this.params;
+    const dimColor = this.styleResolver("DIMCLRD");
+    const dimScale = this._GetDimScale();
+
+    const fontSize = (this.styleResolver("DIMTXT") ?? 1) * dimScale;
+    const textWidth = this._GetTextWidth(fontSize);
+    const gap = (this.styleResolver("DIMGAP") ?? 0) * dimScale;
+    const farPoint = isDiameter
+      ? center.clone().sub(this.vDim.clone().multiplyScalar(this.radius))
+      : center;
+
+    let textAnchor = this.params.textAnchor;
+    const isTextOutside =
+      textAnchor !== null && textAnchor.distanceTo(center) > this.radius;
+    let textAngle;
+
+    if (isTextOutside) {
+      /* Leader from the chord point to the text, arrow points inside. */
+      const vLeader = textAnchor.clone().sub(chordPoint);
+      const leaderLength = vLeader.length() - textWidth / 2 - gap;
+      vLeader.normalize();
+      if (leaderLength > 0) {
+        result.AddLine(
+          chordPoint.clone(),
+          chordPoint.clone().add(vLeader.clone().multiplyScalar(leaderLength)),
+          dimColor,
+        );
+      }
+      this._CreateArrow(result, chordPoint, vLeader, dimColor);
+      textAngle = this._GetReadableTextAngle(vLeader.angle());
+    } else {
+      result.AddLine(farPoint.clone(), chordPoint.clone(), dimColor);
+      this._CreateArrow(result, chordPoint, this.vDim.clone().negate(), dimColor);
+      if (isDiameter) {
+        this._CreateArrow(result, farPoint, this.vDim.clone(), dimColor, 2);
+      }
+      textAngle = this._GetReadableTextAngle(this.vDim.angle());
+      if (!textAnchor) {
+        /* Above the middle of the dimension line. */
+        const angle = (textAngle * Math.PI) / 180;
+        const vNorm = new Vector2(-Math.sin(angle), Math.cos(angle));
+        textAnchor = farPoint
+          .clone()
+          .add(chordPoint)
+          .multiplyScalar(0.5)
+          .add(vNorm.multiplyScalar(fontSize * 0.75));
+      }
+    }
+    this._AddText(result, fontSize, textAngle, textAnchor);
+
+    this._CreateCenterMark(result);
+
+    return result;
+  }
+
+  /** Center mark or center lines depending on DIMCEN value sign. */
+  _CreateCenterMark(layout) {
+    const dimCen = (this.styleResolver("DIMCEN") ?? 0) * this._GetDimScale();
+    if (dimCen == 0) {
+      return;
+    }
+    const size = Math.abs(dimCen);
+    const { x, y } = this.params.center;
+    const color = this.styleResolver("DIMCLRD");
+    layout.AddLine(new Vector2(x - size, y), new Vector2(x + size, y), color);
+    layout.AddLine(new Vector2(x, y - size), new Vector2(x, y + size), color);
+    if (dimCen > 0 || this.radius <= size * 2) {
+      return;
+    }
+    /* Center lines extend outside the curve by the mark size, with a gap after the mark. */
+    const end = this.radius + size;
+    for (const [dx, dy] of [
+      [1, 0],
+      [-1, 0],
+      [0, 1],
+      [0, -1],
+    ]) {
+      layout.AddLine(
+        new Vector2(x + dx * size * 2, y + dy * size * 2),
+        new Vector2(x + dx * end, y + dy * end),
+        color,
+      );
+    }
+  }
+
+  _GetMeasurement() {
+    return this.params.isDiameter ? this.radius * 2 : this.radius;
+  }
+
+  _GetMeasurementPrefix() {
+    return this.params.isDiameter ? "%%c" : "R";
+  }
+}
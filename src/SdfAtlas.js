@@ -0,0 +1,135 @@
+/** Atlas texture width in pixels. */
+const ATLAS_WIDTH = 2048;
+/** Maximal atlas texture height in pixels. Glyphs which do not fit are rendered as vectors. */
+const ATLAS_MAX_HEIGHT = 4096;
+/** Distance range encoded in the field, relative to the glyph cell size. */
+const SPREAD_RATIO = 1 / 8;
+
+/**
+ * Single-channel signed distance field atlas of text glyphs. Each glyph occupies a square cell,
+ * its outline is scaled to fit the cell leaving `spread` pixels margin on each side. Texel value
+ * is 0.5 on the outline, greater inside, each pixel of distance changes it by 0.5 / spread. The
+ * margin should be rendered as well, so that the outline is anti-aliased on its bounding box edges.
+ */
+export class SdfAtlas {
+  /** @param glyphSize {number} Glyph cell size in pixels. */
+  constructor(glyphSize) {
+    this.glyphSize = glyphSize;
+    this.spread = Math.max(1, Math.round(glyphSize * SPREAD_RATIO));
+    this.width = ATLAS_WIDTH;
+    this.columns = Math.floor(ATLAS_WIDTH / glyphSize);
+    this.maxRows = Math.floor(ATLAS_MAX_HEIGHT / glyphSize);
+    this.numGlyphs = 0;
+    this.data = new Uint8Array(ATLAS_WIDTH * glyphSize * 4);
+  }
+
+  /** Height of the used part of the atlas in pixels. */
+  get height() {
+    return Math.ceil(this.numGlyphs / this.columns) * this.glyphSize;
+  }
+
+  /**
+   * @param contours {{x, y}[][]} Glyph outline contours, implicitly closed, filled by non-zero
+   *  winding rule.
+   * @param bounds {{xMin: number, xMax: number, yMin: number, yMax: number}} Outline bounds.
+   * @return {?{rect: {x, y, width, height}}} Atlas rectangle corresponding to the outline bounds,
+   *  in pixels, margin not included. Null if the atlas is full or the outline is degenerate.
+   */
+  AddGlyph(contours, bounds) {
+    const width = bounds.xMax - bounds.xMin;
+    const height = bounds.yMax - bounds.yMin;
+    if (!(width > 0 && height > 0) || this.numGlyphs >= this.columns * this.maxRows) {
+      return null;
+    }
+    const size = this.glyphSize;
+    /* Pixels per glyph unit. */
+    const scale = (size - 2 * this.spread) / Math.max(width, height);
+    const x = bounds.xMin - this.spread / scale;
+    const y = bounds.yMin - this.spread / scale;
+
+    const cellX = (this.numGlyphs % this.columns) * size;
+    const cellY = Math.floor(this.numGlyphs / this.columns) * size;
+    this.numGlyphs++;
+    this._Reserve((cellY + size) * this.width);
+
+    const segments = [];
+    for (const contour of contours) {
+      for (let i = 0; i < contour.length; i++) {
+        const p0 = contour[i];
+        const p1 = contour[(i + 1) % contour.length];
+        segments.push([
+          (p0.x - x) * scale,
+          (p0.y - y) * scale,
+          (p1.x - x) * scale,
+          (p1.y - y) * scale,
+        ]);
+      }
+    }
+    for (let row = 0; row < size; row++) {
+      for (let column = 0; column < size; column++) {
+        const distance = SignedDistance(column + 0.5, row + 0.5, segments);
+        const value = Math.min(Math.max(0.5 + distance / (2 * this.spread), 0), 1);
+        this.data[(cellY + row) * this.width + cellX + column] = Math.round(value * 255);
+      }
+    }
+    return {
+      rect: {
+        x: cellX + this.spread,
+        y: cellY + this.spread,
+        width: width * scale,
+        height: height * scale,
+      },
+    };
+  }
+
+  /** @return {{width: number, height: number, glyphSize: number, spread: number,
+   *  data: Uint8Array}} Atlas texture data, rows go from bottom to top.
+   */
+  Serialize() {
+    const height = this.height;
+    return {
+      width: this.width,
+      height,
+      glyphSize: this.glyphSize,
+      spread: this.spread,
+      data: this.data.slice(0, this.width * height),
+    };
+  }
+
+  _Reserve(size) {
+    if (size <= this.data.length) {
+      return;
+    }
+    const data = new Uint8Array(Math.max(size, this.data.length * 2));
+    data.set(this.data);
+    this.data = data;
+  }
+}
+
+/** @return {number} Distance from the point to the outline, positive inside.
+ * @param segments {number[][]} Outline segments, [x0, y0, x1, y1] each.
+ */
+function SignedDistance(x, y, segments) {
+  let minDistanceSq = Infinity;
+  let winding = 0;
+  for (const [x0, y0, x1, y1] of segments) {
+    const dx = x1 - x0;
+    const dy = y1 - y0;
+    const lengthSq = dx * dx + dy * dy;
+    let t = lengthSq === 0 ? 0 : ((x - x0) * dx + (y - y0) * dy) / lengthSq;
+    t = Math.min(Math.max(t, 0), 1);
+    const px = x0 + t * dx - x;
+    const py = y0 + t * dy - y;
+    minDistanceSq = Math.min(minDistanceSq, px * px + py * py);
+    /* Non-zero winding number by crossings of the ray to the right. */
+    if (y0 <= y) {
+      if (y1 > y && dx * (y - y0) - (x - x0) * dy > 0) {
+        winding++;
+      }
+    } else if (y1 <= y && dx * (y - y0) - (x - x0) * dy < 0) {
+      winding--;
+    }
+  }
+  const distance = Math.sqrt(minDistanceSq);
+  return winding !== 0 ? distance : -distance;
+}
@@ -0,0 +1,447 @@
+import { Vector2 } from "three";
+
+/** Vectors for the 16 standard directions of SHX shape vector codes. */
+const DIRECTIONS = [
+  [1, 0],
+  [1, 0.5],
+  [1, 1],
+  [0.5, 1],
+  [0, 1],
+  [-0.5, 1],
+  [-1, 1],
+  [-1, 0.5],
+  [-1, 0],
+  [-1, -0.5],
+  [-1, -1],
+  [-0.5, -1],
+  [0, -1],
+  [0.5, -1],
+  [1, -1],
+  [1, -0.5],
+];
+
+/** Characters of the AutoCAD special codes in non-Unicode SHX fonts (%%d, %%p and %%c). */
+const SPECIAL_CODES = new Map([
+  [127, "\u00B0"],
+  [128, "\u00B1"],
+  [129, "\u2205"],
+]);
+
+/** Subshapes nesting limit, protects from recursive references in malformed files. */
+const MAX_SUBSHAPE_DEPTH = 16;
+
+const SHX_SIGNATURE = "AutoCAD-86";
+
+/** SHX shape font (AutoCAD compiled shape file). Regular, Unicode and big fonts are supported.
+ * Glyphs are produced as line segments.
+ * https://help.autodesk.com/view/OARX/2024/ENU/?guid=GUID-06832147-16BE-4A66-A6D0-3ADF98DC8228
+ */
+export class ShxFont {
+  /**
+   * @param data {ArrayBuffer} SHX file content.
+   * @param options {{curveSubdivision: number, bigFontEncoding: ?string}} Renderer options.
+   *  Arcs are approximated by `curveSubdivision * 2` segments per octant. Big font shape numbers
+   *  are double-byte character codes in `bigFontEncoding` (TextDecoder label).
+   */
+  constructor(data, options) {
+    const bytes = new Uint8Array(data);
+    const view = new DataView(data);
+    const headerEnd = bytes.indexOf(0x1a);
+    if (headerEnd < 0 || !ShxFont.IsShxData(data)) {
+      throw new Error("Not a SHX font file");
+    }
+    const type = String.fromCharCode(...bytes.subarray(0, headerEnd)).split(" ")[1];
+    this.isUnicode = type === "unifont";
+    this.isBigFont = type === "bigfont";
+    this.arcSegments = Math.max(options.curveSubdivision, 1) * 2;
+    /* Shape specification bytes (without shape name) indexed by shape number. */
+    this.shapes = new Map();
+    /* Font info shape values. */
+    this.name = "";
+    this.above = 1;
+
+    let pos = headerEnd + 1;
+    if (this.isUnicode) {
+      const count = view.getUint32(pos, true);
+      const infoLength = view.getUint16(pos + 4, true);
+      pos += 6;
+      this._AddShape(0, bytes.subarray(pos, pos + infoLength));
+      pos += infoLength;
+      for (let i = 1; i < count && pos + 4 <= bytes.length; i++) {
+        const num = view.getUint16(pos, true);
+        const length = view.getUint16(pos + 2, true);
+        pos += 4;
+        this._AddShape(num, bytes.subarray(pos, pos + length));
+        pos += length;
+      }
+    } else if (this.isBigFont) {
+      /* Index entry size is skipped, escape codes ranges are not needed since shape numbers are
+       * full character codes.
+       */
+      const count = view.getUint16(pos + 2, true);
+      const numRanges = view.getUint16(pos + 4, true);
+      pos += 6 + numRanges * 4;
+      for (let i = 0; i < count; i++, pos += 8) {
+        const num = view.getUint16(pos, true);
+        const length = view.getUint16(pos + 2, true);
+        const offset = view.getUint32(pos + 4, true);
+        if (length !== 0) {
+          this._AddShape(num, bytes.subarray(offset, offset + length));
+        }
+      }
+    } else {
+      /* First and last shape numbers are skipped. */
+      const count = view.getUint16(pos + 4, true);
+      pos += 6;
+      const index = [];
+      for (let i = 0; i < count; i++, pos += 4) {
+        index.push([view.getUint16(pos, true), view.getUint16(pos + 2, true)]);
+      }
+      for (const [num, length] of index) {
+        this._AddShape(num, bytes.subarray(pos, pos + length));
+        pos += length;
+      }
+    }
+
+    /* Lower-cased family names, for matching fonts requested by name. */
+    this.families = this.name ? [this.name.toLowerCase()] : [];
+    this.isBold = false;
+    this.isItalic = false;
+
+    let decoder = null;
+    if (this.isBigFont) {
+      try {
+        decoder = new TextDecoder(options.bigFontEncoding ?? "gbk");
+      } catch (e) {
+        console.warn("Unsupported big font encoding: " + options.bigFontEncoding);
+      }
+    }
+    /* Shape number indexed by character. */
+    this.charMap = new Map();
+    for (const num of this.shapes.keys()) {
+      const char = this._GetShapeChar(num, decoder);
+      if (char !== null && !this.charMap.has(char)) {
+        this.charMap.set(char, num);
+      }
+    }
+  }
+
+  /** @return {Boolean} True if the data is SHX file content. */
+  static IsShxData(data) {
+    const bytes = new Uint8Array(data, 0, Math.min(data.byteLength, SHX_SIGNATURE.length));
+    return String.fromCharCode(...bytes) === SHX_SIGNATURE;
+  }
+
+  /**
+   * @param char {string} Character code point as string.
+   * @return {Boolean} True if the font has glyphs for the specified character.
+   */
+  HasChar(char) {
+    return this.charMap.has(char);
+  }
+
+  /**
+   * @param char {string} Character code point as string.
+   * @return {?CharPath} Line segments are scaled to size 1 (uppercase letters height). Null if no
+   *  glyphs for the specified characters.
+   */
+  GetCharPath(char) {
+    const num = this.charMap.get(char);
+    if (num === undefined) {
+      return null;
+    }
+    const ctx = new ShxFont.ShapeContext(this.arcSegments);
+    this._DrawShape(num, ctx, 0);
+    const scale = 1 / this.above;
+    const lines = ctx.lines.map((v) => v.multiplyScalar(scale));
+    const bounds = { xMin: 0, xMax: 0, yMin: 0, yMax: 0 };
+    if (lines.length > 0) {
+      bounds.xMin = bounds.yMin = Infinity;
+      bounds.xMax = bounds.yMax = -Infinity;
+      for (const v of lines) {
+        bounds.xMin = Math.min(bounds.xMin, v.x);
+        bounds.xMax = Math.max(bounds.xMax, v.x);
+        bounds.yMin = Math.min(bounds.yMin, v.y);
+        bounds.yMax = Math.max(bounds.yMax, v.y);
+      }
+    }
+    return { advance: ctx.pos.x * scale, path: null, lines, bounds };
+  }
+
+  /** Shape fonts have no kerning. */
+  GetKerning(c1, c2) {
+    return 0;
+  }
+
+  _AddShape(num, data) {
+    /* Specification bytes follow null-terminated shape name. */
+    const nameEnd = data.indexOf(0);
+    const spec = data.subarray(nameEnd + 1);
+    if (num === 0) {
+      this.name = String.fromCharCode(...data.subarray(0, Math.max(nameEnd, 0))).trim();
+      /* Uppercase letters height in shape units. */
+      this.above = spec[0] || 1;
+      return;
+    }
+    this.shapes.set(num, spec);
+  }
+
+  /** @return {?string} Character for the specified shape number. */
+  _GetShapeChar(num, decoder) {
+    if (this.isUnicode) {
+      return String.fromCodePoint(num);
+    }
+    if (num < 0x100) {
+      return SPECIAL_CODES.get(num) ?? String.fromCharCode(num);
+    }
+    if (decoder === null) {
+      return null;
+    }
+    const char = decoder.decode(new Uint8Array([num >> 8, num & 0xff]));
+    return char.length === 1 && char !== "\uFFFD" ? char : null;
+  }
+
+  /** Interpret shape specification bytes.
+   * @param num {number} Shape number.
+   * @param ctx {ShxFont.ShapeContext}
+   * @param depth {number} Subshape nesting depth.
+   */
+  _DrawShape(num, ctx, depth) {
+    const spec = this.shapes.get(num);
+    if (!spec || depth > MAX_SUBSHAPE_DEPTH) {
+      return;
+    }
+    let i = 0;
+    const Next = () => spec[i++] ?? 0;
+    const NextSigned = () => {
+      const b = Next();
+      return b > 127 ? b - 256 : b;
+    };
+    /* Set by code 14, next command is for vertical text only, so it is interpreted to skip its
+     * bytes but has no effect.
+     */
+    let isVerticalOnly = false;
+
+    while (i < spec.length) {
+      const code = Next();
+      if (code === 0) {
+        break;
+      }
+      const savedState = isVerticalOnly ? ctx.SaveState() : null;
+      ctx.isDryRun = isVerticalOnly;
+      isVerticalOnly = false;
+
+      switch (code) {
+        case 1:
+          ctx.isPenDown = true;
+          break;
+        case 2:
+          ctx.isPenDown = false;
+          break;
+        case 3: {
+          const factor = Next();
+          if (factor !== 0) {
+            ctx.scale /= factor;
+          }
+          break;
+        }
+        case 4:
+          ctx.scale *= Next();
+          break;
+        case 5:
+          ctx.stack.push(ctx.pos.clone());
+          break;
+        case 6:
+          ctx.pos = ctx.stack.pop() ?? ctx.pos;
+          break;
+        case 7: {
+          if (this.isUnicode) {
+            this._DrawShape((Next() << 8) | Next(), ctx, depth + 1);
+            break;
+          }
+          const subshape = Next();
+          if (subshape !== 0 || !this.isBigFont) {
+            this._DrawShape(subshape, ctx, depth + 1);
+            break;
+          }
+          /* Extended big font subshape, placed and scaled in the character cell. */
+          const extNum = (Next() << 8) | Next();
+          const x = Next();
+          const y = Next();
+          Next(); // Width, proportional scaling is used
+          const height = Next();
+          const origin = ctx.pos.clone();
+          const scale = ctx.scale;
+          ctx.pos = origin.clone().add(new Vector2(x, y).multiplyScalar(scale));
+          ctx.scale = (scale * height) / this.above;
+          this._DrawShape(extNum, ctx, depth + 1);
+          ctx.pos = origin;
+          ctx.scale = scale;
+          break;
+        }
+        case 8:
+          ctx.Move(NextSigned(), NextSigned());
+          break;
+        case 9:
+          for (;;) {
+            const dx = NextSigned();
+            const dy = NextSigned();
+            if (dx === 0 && dy === 0) {
+              break;
+            }
+            ctx.Move(dx, dy);
+          }
+          break;
+        case 10: {
+          const radius = Next();
+          ctx.OctantArc(radius, NextSigned());
+          break;
+        }
+        case 11: {
+          const startOffset = Next();
+          const endOffset = Next();
+          const radius = (Next() << 8) | Next();
+          ctx.OctantArc(radius, NextSigned(), startOffset, endOffset);
+          break;
+        }
+        case 12:
+          ctx.BulgeArc(NextSigned(), NextSigned(), NextSigned());
+          break;
+        case 13:
+          for (;;) {
+            const dx = NextSigned();
+            const dy = NextSigned();
+            if (dx === 0 && dy === 0) {
+              break;
+            }
+            ctx.BulgeArc(dx, dy, NextSigned());
+          }
+          break;
+        case 14:
+          isVerticalOnly = true;
+          break;
+        default: {
+          /* Vector length and direction. */
+          const [dx, dy] = DIRECTIONS[code & 0xf];
+          const length = code >> 4;
+          ctx.Move(dx * length, dy * length);
+          break;
+        }
+      }
+
+      if (savedState !== null) {
+        ctx.RestoreState(savedState);
+      }
+    }
+  }
+}
+
+/** Pen state while interpreting shape specification. */
+ShxFont.ShapeContext = class {
+  constructor(arcSegments) {
+    this.arcSegments = arcSegments;
+    this.pos = new Vector2();
+    this.isPenDown = true;
+    this.scale = 1;
+    this.stack = [];
+    /* Line segments vertices, pair for each segment. */
+    this.lines = [];
+    /* Interpret without drawing, see code 14. */
+    this.isDryRun = false;
+  }
+
+  SaveState() {
+    return {
+      pos: this.pos.clone(),
+      isPenDown: this.isPenDown,
+      scale: this.scale,
+      stack: this.stack.slice(),
+    };
+  }
+
+  RestoreState(state) {
+    Object.assign(this, state);
+    this.isDryRun = false;
+  }
+
+  MoveTo(v) {
+    if (this.isPenDown && !this.isDryRun && !v.equals(this.pos)) {
+      this.lines.push(this.pos.clone(), v.clone());
+    }
+    this.pos = v;
+  }
+
+  /** Move by the specified offset in shape units (current scale is applied). */
+  Move(dx, dy) {
+    this.MoveTo(new Vector2(dx, dy).multiplyScalar(this.scale).add(this.pos));
+  }
+
+  /** Octant arc starting at the current position.
+   * @param radius {number} Radius in shape units.
+   * @param octants {number} Signed byte: start octant in high nibble, number of octants (0 for
+   *  full circle) in low nibble, negative for clockwise direction.
+   * @param startOffset {?number} Fractional arc start offset from the start octant boundary,
+   *  1/256 of octant.
+   * @param endOffset {?number} Fractional arc end offset from the last octant boundary.
+   */
+  OctantArc(radius, octants, startOffset = null, endOffset = null) {
+    const dir = octants < 0 ? -1 : 1;
+    const startOctant = (Math.abs(octants) >> 4) & 7;
+    const numOctants = Math.abs(octants) & 7 || 8;
+    let startAngle, endAngle;
+    if (startOffset === null) {
+      startAngle = startOctant * 45;
+      endAngle = startAngle + dir * numOctants * 45;
+    } else {
+      startAngle = startOctant * 45 + (dir * startOffset * 45) / 256;
+      /* Non-zero end offset is counted from the start of the last spanned octant. */
+      endAngle =
+        endOffset === 0
+          ? (startOctant + dir * numOctants) * 45
+          : (startOctant + dir * (numOctants - 1)) * 45 + (dir * endOffset * 45) / 256;
+    }
+    radius *= this.scale;
+    const a = (startAngle * Math.PI) / 180;
+    const center = new Vector2(this.pos.x - radius * Math.cos(a), this.pos.y - radius * Math.sin(a));
+    this._Arc(center, radius, a, ((endAngle - startAngle) * Math.PI) / 180);
+  }
+
+  /** Arc to the specified offset with the specified bulge (-127..127, 127 for half circle).
+   * Straight line for zero bulge.
+   */
+  BulgeArc(dx, dy, bulge) {
+    const end = new Vector2(dx, dy).multiplyScalar(this.scale).add(this.pos);
+    if (bulge === 0) {
+      this.MoveTo(end);
+      return;
+    }
+    const sweep = 4 * Math.atan(bulge / 127);
+    const chord = end.clone().sub(this.pos);
+    const length = chord.length();
+    if (length === 0) {
+      return;
+    }
+    /* Center is on the chord normal, to the left for counter-clockwise arc. */
+    const normal = new Vector2(-chord.y, chord.x).divideScalar(length);
+    const center = this.pos
+      .clone()
+      .add(end)
+      .multiplyScalar(0.5)
+      .add(normal.multiplyScalar(length / 2 / Math.tan(sweep / 2)));
+    const startAngle = Math.atan2(this.pos.y - center.y, this.pos.x - center.x);
+    this._Arc(center, this.pos.distanceTo(center), startAngle, sweep);
+    /* Avoid accumulating tessellation error. */
+    this.pos = end;
+  }
+
+  _Arc(center, radius, startAngle, sweep) {
+    const numSegments = Math.max(
+      Math.ceil((Math.abs(sweep) / (Math.PI / 4)) * this.arcSegments),
+      1,
+    );
+    for (let i = 1; i <= numSegments; i++) {
+      const a = startAngle + (sweep * i) / numSegments;
+      this.MoveTo(new Vector2(center.x + radius * Math.cos(a), center.y + radius * Math.sin(a)));
+    }
+  }
+};
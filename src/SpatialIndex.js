@@ -0,0 +1,216 @@
+/** Number of children in each tree node. */
+const DEFAULT_NODE_SIZE = 16;
+
+/** Hilbert curve resolution used for items sorting. */
+const HILBERT_MAX = (1 << 16) - 1;
+
+/**
+ * Static packed R-tree of axis-aligned boxes. Items are sorted along Hilbert curve and packed into
+ * fully filled nodes, so the tree is built in O(n log n) and occupies two flat typed arrays which
+ * can be cheaply transferred from a web-worker.
+ *
+ * Usage: create with known items number, Add() each item box, then Finish(). Item index is the
+ * order of Add() calls.
+ */
+export class SpatialIndex {
+  /**
+   * @param numItems {number} Total number of items to add.
+   * @param nodeSize {number} Number of children in each node.
+   */
+  constructor(numItems, nodeSize = DEFAULT_NODE_SIZE) {
+    this.numItems = numItems;
+    this.nodeSize = nodeSize;
+    /* Nodes number at the end of each level, leaves level first. */
+    this.levelBounds = [numItems];
+    let n = numItems;
+    let numNodes = numItems;
+    if (numItems > 0) {
+      do {
+        n = Math.ceil(n / nodeSize);
+        numNodes += n;
+        this.levelBounds.push(numNodes);
+      } while (n !== 1);
+    }
+    this.numNodes = numNodes;
+    /* Four components for each node - minX, minY, maxX, maxY. */
+    this.boxes = new Float64Array(numNodes * 4);
+    /* Item index for leaves, first child node index for internal nodes. */
+    this.indices = new Uint32Array(numNodes);
+    this.numAdded = 0;
+    this.bounds = null;
+  }
+
+  /** Restore index from serialized data.
+   * @param data {?{}} Result of Serialize() call.
+   * @return {?SpatialIndex} Null if no data provided.
+   */
+  static Deserialize(data) {
+    if (!data) {
+      return null;
+    }
+    const index = Object.create(SpatialIndex.prototype);
+    Object.assign(index, data);
+    index.numAdded = data.numItems;
+    return index;
+  }
+
+  /** Add item box.
+   * @return {number} Item index.
+   */
+  Add(minX, minY, maxX, maxY) {
+    if (this.numAdded === this.numItems) {
+      throw new Error("Spatial index items number exceeded: " + this.numItems);
+    }
+    const idx = this.numAdded++;
+    this._SetBox(idx, minX, minY, maxX, maxY);
+    this.indices[idx] = idx;
+    if (this.bounds === null) {
+      this.bounds = { minX, minY, maxX, maxY };
+    } else {
+      this.bounds.minX = Math.min(this.bounds.minX, minX);
+      this.bounds.minY = Math.min(this.bounds.minY, minY);
+      this.bounds.maxX = Math.max(this.bounds.maxX, maxX);
+      this.bounds.maxY = Math.max(this.bounds.maxY, maxY);
+    }
+    return idx;
+  }
+
+  /** Build the tree. Should be called once after all items are added. */
+  Finish() {
+    if (this.numAdded !== this.numItems) {
+      throw new Error(`Not all items added: ${this.numAdded}/${this.numItems}`);
+    }
+    if (this.numItems === 0) {
+      return;
+    }
+    this._SortItems();
+
+    /* Generate nodes for each level from the level below. */
+    let childIdx = 0;
+    for (let level = 1; level < this.levelBounds.length; level++) {
+      const childEnd = this.levelBounds[level - 1];
+      let nodeIdx = childEnd;
+      while (childIdx < childEnd) {
+        const firstChild = childIdx;
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+        for (let i = 0; i < this.nodeSize && childIdx < childEnd; i++, childIdx++) {
+          const pos = childIdx * 4;
+          minX = Math.min(minX, this.boxes[pos]);
+          minY = Math.min(minY, this.boxes[pos + 1]);
+          maxX = Math.max(maxX, this.boxes[pos + 2]);
+          maxY = Math.max(maxY, this.boxes[pos + 3]);
+        }
+        this._SetBox(nodeIdx, minX, minY, maxX, maxY);
+        this.indices[nodeIdx] = firstChild;
+        nodeIdx++;
+      }
+    }
+  }
+
+  /** Find items which boxes intersect the specified box.
+   * @param filterFn {?Function} Optional (itemIndex) => boolean, false to exclude the item.
+   * @return {number[]} Indices of found items.
+   */
+  Search(minX, minY, maxX, maxY, filterFn = null) {
+    const result = [];
+    if (this.numItems === 0) {
+      return result;
+    }
+    /* Pairs of node index and its level. */
+    const stack = [this.numNodes - 1, this.levelBounds.length - 1];
+    while (stack.length > 0) {
+      const level = stack.pop();
+      const nodeIdx = stack.pop();
+      const pos = nodeIdx * 4;
+      if (
+        this.boxes[pos] > maxX ||
+        this.boxes[pos + 1] > maxY ||
+        this.boxes[pos + 2] < minX ||
+        this.boxes[pos + 3] < minY
+      ) {
+        continue;
+      }
+      const idx = this.indices[nodeIdx];
+      if (level === 0) {
+        if (filterFn === null || filterFn(idx)) {
+          result.push(idx);
+        }
+        continue;
+      }
+      const childEnd = Math.min(idx + this.nodeSize, this.levelBounds[level - 1]);
+      for (let childIdx = idx; childIdx < childEnd; childIdx++) {
+        stack.push(childIdx, level - 1);
+      }
+    }
+    return result;
+  }
+
+  /** @return {{}} Data for transferring to another context, restored by Deserialize(). */
+  Serialize() {
+    return {
+      numItems: this.numItems,
+      nodeSize: this.nodeSize,
+      levelBounds: this.levelBounds,
+      numNodes: this.numNodes,
+      boxes: this.boxes,
+      indices: this.indices,
+      bounds: this.bounds,
+    };
+  }
+
+  _SetBox(nodeIdx, minX, minY, maxX, maxY) {
+    const pos = nodeIdx * 4;
+    this.boxes[pos] = minX;
+    this.boxes[pos + 1] = minY;
+    this.boxes[pos + 2] = maxX;
+    this.boxes[pos + 3] = maxY;
+  }
+
+  /** Sort leaves by Hilbert curve index of their boxes centers. */
+  _SortItems() {
+    const { minX, minY, maxX, maxY } = this.bounds;
+    const scaleX = maxX > minX ? HILBERT_MAX / (maxX - minX) : 0;
+    const scaleY = maxY > minY ? HILBERT_MAX / (maxY - minY) : 0;
+    const hilbertValues = new Float64Array(this.numItems);
+    for (let i = 0; i < this.numItems; i++) {
+      const pos = i * 4;
+      const x = Math.floor(((this.boxes[pos] + this.boxes[pos + 2]) / 2 - minX) * scaleX);
+      const y = Math.floor(((this.boxes[pos + 1] + this.boxes[pos + 3]) / 2 - minY) * scaleY);
+      hilbertValues[i] = HilbertIndex(x, y);
+    }
+    const order = Array.from({ length: this.numItems }, (_, i) => i);
+    order.sort((i1, i2) => hilbertValues[i1] - hilbertValues[i2]);
+
+    const boxes = this.boxes.slice(0, this.numItems * 4);
+    for (let i = 0; i < this.numItems; i++) {
+      const src = order[i];
+      this._SetBox(i, boxes[src * 4], boxes[src * 4 + 1], boxes[src * 4 + 2], boxes[src * 4 + 3]);
+      this.indices[i] = src;
+    }
+  }
+}
+
+/** @return {number} Distance along Hilbert curve for the specified point in HILBERT_MAX grid. */
+function HilbertIndex(x, y) {
+  const n = HILBERT_MAX + 1;
+  let d = 0;
+  for (let s = n / 2; s >= 1; s /= 2) {
+    const rx = (x & s) > 0 ? 1 : 0;
+    const ry = (y & s) > 0 ? 1 : 0;
+    d += s * s * ((3 * rx) ^ ry);
+    /* Rotate the quadrant. */
+    if (ry === 0) {
+      if (rx === 1) {
+        x = n - 1 - x;
+        y = n - 1 - y;
+      }
+      const t = x;
+      x = y;
+      y = t;
+    }
+  }
+  return d;
+}
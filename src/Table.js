@@ -0,0 +1,112 @@
+import { MTextFormatParser } from "./MTextFormatParser";
+import { ParseSpecialChars } from "./TextRenderer";
+
+/** Arrange cells of ACAD_TABLE entity by rows and columns.
+ * @param {{}} entity Parsed ACAD_TABLE entity.
+ * @return {Array<Array<?{}>>} Parsed cells indexed by row and column. Cells covered by merged
+ *  cells (all except the top-left one of the merged region) and missing ones are null.
+ */
+export function GetTableGrid(entity) {
+  const rowCount = entity.rowCount ?? entity.rowHeights.length;
+  const columnCount = entity.columnCount ?? entity.columnWidths.length;
+  const grid = [];
+  for (let row = 0; row < rowCount; row++) {
+    const cells = [];
+    for (let column = 0; column < columnCount; column++) {
+      cells.push(entity.cells[row * columnCount + column] ?? null);
+    }
+    grid.push(cells);
+  }
+  for (let row = 0; row < rowCount; row++) {
+    for (let column = 0; column < columnCount; column++) {
+      const cell = grid[row][column];
+      if (cell === null) {
+        continue;
+      }
+      const rowEnd = Math.min(row + GetCellRowSpan(cell), rowCount);
+      const columnEnd = Math.min(column + GetCellColumnSpan(cell), columnCount);
+      for (let r = row; r < rowEnd; r++) {
+        for (let c = column; c < columnEnd; c++) {
+          if (r !== row || c !== column) {
+            grid[r][c] = null;
+          }
+        }
+      }
+    }
+  }
+  return grid;
+}
+
+/** @return {string} Row type - "title", "header" or "data". Title and header rows go first
+ * unless suppressed.
+ * @param {{}} entity Parsed ACAD_TABLE entity.
+ * @param {number} row Row index.
+ */
+export function GetTableRowType(entity, row) {
+  if (!entity.isTitleSuppressed) {
+    if (row === 0) {
+      return "title";
+    }
+    row--;
+  }
+  if (!entity.isHeaderSuppressed && row === 0) {
+    return "header";
+  }
+  return "data";
+}
+
+/** @return {number} Number of rows occupied by the cell. */
+export function GetCellRowSpan(cell) {
+  return Math.max(cell.rowSpan ?? 1, 1);
+}
+
+/** @return {number} Number of columns occupied by the cell. */
+export function GetCellColumnSpan(cell) {
+  return Math.max(cell.columnSpan ?? 1, 1);
+}
+
+/** Get plain text content of ACAD_TABLE cells.
+ * @param {{}} entity Parsed ACAD_TABLE entity.
+ * @return {Array<Array<?string>>} Text indexed by row and column, formatting codes are stripped
+ *  and paragraphs are separated by new line. Cells covered by merged cells are null, block
+ *  cells are empty strings.
+ */
+export function GetTableData(entity) {
+  return GetTableGrid(entity).map((cells) =>
+    cells.map((cell) => {
+      if (cell === null) {
+        return null;
+      }
+      if (!cell.text) {
+        return "";
+      }
+      const parser = new MTextFormatParser();
+      parser.Parse(ParseSpecialChars(cell.text));
+      return GetPlainText(parser.GetContent());
+    }),
+  );
+}
+
+function GetPlainText(items) {
+  let result = "";
+  for (const item of items) {
+    switch (item.type) {
+      case MTextFormatParser.EntityType.TEXT:
+        result += item.content;
+        break;
+      case MTextFormatParser.EntityType.SCOPE:
+        result += GetPlainText(item.content);
+        break;
+      case MTextFormatParser.EntityType.PARAGRAPH:
+        result += "\n";
+        break;
+      case MTextFormatParser.EntityType.NON_BREAKING_SPACE:
+        result += " ";
+        break;
+      case MTextFormatParser.EntityType.STACK:
+        result += `${item.upper}/${item.lower}`;
+        break;
+    }
+  }
+  return result;
+}
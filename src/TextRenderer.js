@@ -5,6 +5,9 @@ import { ShapePath } from "three/src/extras/core/ShapePath.js";
 
 import { Entity } from "./DxfScene";
 import { MTextFormatParser } from "./MTextFormatParser";
+import { getAcadColor } from "./parser/ParseHelpers";
+import { SdfAtlas } from "./SdfAtlas";
+import { ShxFont } from "./ShxFont";
 
 /** Regex for parsing special characters in text entities. */
 const SPECIAL_CHARS_RE = /(?:%%([dpcou%]))|(?:\\U\+([0-9a-fA-F]{4}))/g;
@@ -17,72 +20,136 @@ const SPECIAL_CHARS_RE = /(?:%%([dpcou%]))|(?:\\U\+([0-9a-fA-F]{4}))/g;
  * @return {string} String with special characters replaced.
  */
 export function ParseSpecialChars(text) {
-  return text.replaceAll(SPECIAL_CHARS_RE, (match, p1, p2) => {
-    if (p1 !== undefined) {
-      switch (p1) {
-        case "d":
-          return "\xb0";
-        case "p":
-          return "\xb1";
-        case "c":
-          return "\u2205";
-        case "o":
-          /* Toggles overscore mode on and off, not implemented. */
-          return "";
-        case "u":
-          /* Toggles underscore mode on and off, not implemented. */
-          return "";
-        case "%":
-          return "%";
-      }
-    } else if (p2 !== undefined) {
-      const code = parseInt(p2, 16);
-      if (isNaN(code)) {
-        return match;
+  return text.replaceAll(SPECIAL_CHARS_RE, ReplaceSpecialChar);
+}
+
+/**
+ * Parse TEXT entity string into runs delimited by underscore (`%%u`) and overscore (`%%o`)
+ * toggles.
+ * @param {string} text Raw string.
+ * @return {TextRun[]} Runs with special characters replaced. At least one run is returned.
+ */
+export function ParseTextRuns(text) {
+  const runs = [];
+  let run = { text: "", underline: false, overline: false };
+  let pos = 0;
+  for (const match of text.matchAll(SPECIAL_CHARS_RE)) {
+    run.text += text.slice(pos, match.index);
+    pos = match.index + match[0].length;
+    const code = match[1];
+    if (code === "u" || code === "o") {
+      if (run.text.length > 0) {
+        runs.push(run);
       }
-      return String.fromCharCode(code);
+      const type = code === "u" ? "underline" : "overline";
+      run = { ...run, text: "", [type]: !run[type] };
+    } else {
+      run.text += ReplaceSpecialChar(...match);
     }
-    return match;
-  });
+  }
+  run.text += text.slice(pos);
+  if (run.text.length > 0 || runs.length === 0) {
+    runs.push(run);
+  }
+  return runs;
+}
+
+/** @typedef {Object} TextRun
+ * @property {string} text
+ * @property {boolean} underline
+ * @property {boolean} overline
+ */
+
+function ReplaceSpecialChar(match, p1, p2) {
+  if (p1 !== undefined) {
+    switch (p1) {
+      case "d":
+        return "\xb0";
+      case "p":
+        return "\xb1";
+      case "c":
+        return "\u2205";
+      case "o":
+      case "u":
+        /* Overscore and underscore toggles, see ParseTextRuns(). */
+        return "";
+      case "%":
+        return "%";
+    }
+  } else if (p2 !== undefined) {
+    const code = parseInt(p2, 16);
+    if (isNaN(code)) {
+      return match;
+    }
+    return String.fromCharCode(code);
+  }
+  return match;
 }
 
 /**
  * Helper class for rendering text.
  * Currently it is just basic very simplified implementation for MVP. Further work should include:
  *  * Support DXF text styles and weight.
- *  * Bitmap fonts generation in texture atlas for more optimal rendering.
  */
 export class TextRenderer {
   /**
    * @param fontFetchers {?Function[]} List of font fetchers. Fetcher should return promise with
-   *  loaded font object (opentype.js). They are invoked only when necessary. Each glyph is being
-   *  searched sequentially in each provided font.
+   *  loaded font object (opentype.js) or ArrayBuffer with SHX font file content. They are invoked
+   *  only when necessary. Each glyph is being searched sequentially in each provided font.
    * @param options {?{}} See TextRenderer.DefaultOptions.
+   * @param fontMap {?Object<string, Function>} Font fetchers indexed by font name (text style font
+   *  file name or font family name, e.g. "romans.shx" or "Arial"). Mapped font is fetched when
+   *  text referencing it is encountered and is preferred for such text, glyphs missing in it are
+   *  searched in the fonts from `fontFetchers`.
    */
-  constructor(fontFetchers, options = null) {
+  constructor(fontFetchers, options = null, fontMap = null) {
     this.fontFetchers = fontFetchers;
     this.fonts = [];
+    /* Fetchers of not yet loaded mapped fonts, indexed by normalized font name. */
+    this.fontMapFetchers = new Map();
+    for (const [name, fetcher] of Object.entries(fontMap ?? {})) {
+      this.fontMapFetchers.set(NormalizeFontName(name), fetcher);
+    }
+    /* Loaded mapped fonts, indexed by normalized font name. */
+    this.mappedFonts = new Map();
 
     this.options = Object.create(TextRenderer.DefaultOptions);
     if (options) {
       Object.assign(this.options, options);
     }
-    /* Indexed by character, value is CharShape. */
+    /* Indexed by character (prefixed by font specification for MTEXT font overrides), value is
+     * CharShape.
+     */
     this.shapes = new Map();
     this.stubShapeLoaded = false;
     /* Shape to display if no glyph found in the specified fonts. May be null if fallback
      * character can not be rendered as well.
      */
     this.stubShape = null;
+    /* Glyphs atlas in SDF mode, null in vector mode. */
+    this.sdfAtlas = this.options.mode === "sdf" ? new SdfAtlas(this.options.sdfGlyphSize) : null;
+    /* Atlas glyphs indexed by font and then by character, so that shapes re-creation does not
+     * add them to the atlas again.
+     */
+    this.sdfGlyphs = new Map();
   }
 
   /** Fetch necessary fonts to render the provided text. Should be called for each string which
    * will be rendered later.
    * @param text {string}
+   * @param font {?{name: string, bigFont: ?string}} Font requested for the text (e.g. by its text
+   *  style). The font and big font are fetched if mapped by `fontMap`.
    * @return {Boolean} True if all characters can be rendered, false if none of the provided fonts
    *  contains glyphs for some of the specified text characters.
    */
-  async FetchFonts(text) {
+  async FetchFonts(text, font = null) {
+    const mappedFonts = [];
+    for (const name of [font?.name, font?.bigFont]) {
+      const mappedFont = name ? await this._FetchMappedFont(name) : null;
+      if (mappedFont !== null) {
+        mappedFonts.push(mappedFont);
+      }
+    }
     if (!this.stubShapeLoaded) {
       this.stubShapeLoaded = true;
       for (const char of Array.from(this.options.fallbackChar)) {
@@ -98,7 +165,7 @@ export class TextRenderer {
         /* Control character. */
         continue;
       }
-      let found = false;
+      let found = mappedFonts.some((font) => font.HasChar(char));
       for (const font of this.fonts) {
         if (font.HasChar(char)) {
           found = true;
@@ -127,8 +194,18 @@ export class TextRenderer {
     return !charMissing;
   }
 
+  /** Fetch the font mapped to the specified name by `fontMap`, if any.
+   * @param name {string} Font file or family name.
+   * @return {Boolean} True if the font is mapped.
+   */
+  async FetchMappedFont(name) {
+    return (await this._FetchMappedFont(name)) !== null;
+  }
+
   get canRender() {
-    return this.fonts !== null && this.fonts.length > 0;
+    return (
+      this.fonts.length > 0 || [...this.mappedFonts.values()].some((font) => font !== null)
+    );
   }
 
   /** Get width in model space units for a single line of text.
@@ -148,7 +225,8 @@ export class TextRenderer {
   }
 
   /**
-   * @param text {string}
+   * @param text {string | TextRun[]} Text with special characters replaced, or runs with
+   *  underline and overline toggles (see ParseTextRuns()).
    * @param startPos {{x,y}}
    * @param endPos {?{x,y}} TEXT group second alignment point.
    * @param rotation {?number} Rotation attribute, deg.
@@ -158,8 +236,12 @@ export class TextRenderer {
    * @param color {number}
    * @param layer {?string}
    * @param fontSize {number}
-   * @return {Generator<Entity>} Rendering entities. Currently just indexed triangles for each
-   *  glyph.
+   * @param font {?{name: string}} Preferred font, e.g. text style font file.
+   * @param obliqueAngle {number} Characters oblique angle, deg.
+   * @param isBackward {boolean} Text is mirrored in X (text generation flag 2).
+   * @param isUpsideDown {boolean} Text is mirrored in Y (text generation flag 4).
+   * @return {Generator<Entity>} Rendering entities. Indexed triangles (or SDF quad) for each
+   *  glyph, line segments for shape font glyphs and text decorations.
    */
   *Render({
     text,
@@ -172,14 +254,25 @@ export class TextRenderer {
     color,
     layer = null,
     fontSize,
+    font = null,
+    obliqueAngle = 0,
+    isBackward = false,
+    isUpsideDown = false,
   }) {
     const block = new TextBlock(fontSize);
-    for (const char of text) {
-      const shape = this._GetCharShape(char);
-      if (!shape) {
-        continue;
+    const runs = typeof text === "string" ? [{ text, underline: false, overline: false }] : text;
+    for (const { text, underline, overline } of runs) {
+      const style =
+        font !== null || obliqueAngle || underline || overline
+          ? { fontSize, font, obliqueAngle, underline, overline }
+          : null;
+      for (const char of text) {
+        const shape = this._GetCharShape(char, font);
+        if (!shape) {
+          continue;
+        }
+        block.PushChar(char, shape, style);
       }
-      block.PushChar(char, shape);
     }
     yield* block.Render(
       startPos,
@@ -190,6 +283,8 @@ export class TextRenderer {
       vAlign,
       color,
       layer,
+      isBackward,
+      isUpsideDown,
     );
   }
 
@@ -205,8 +300,11 @@ export class TextRenderer {
    * @param {?number} lineSpacing Line spacing ratio relative to default one (5/3 of font size).
    * @param {number} color
    * @param {?string} layer
-   * @return {Generator<Entity>} Rendering entities. Currently just indexed triangles for each
-   *  glyph.
+   * @param {?{name: string}} font Default font, e.g. text style font file.
+   * @param {number} widthFactor Default characters width factor.
+   * @param {number} obliqueAngle Default characters oblique angle, deg.
+   * @return {Generator<Entity>} Rendering entities. Indexed triangles (or SDF quad) for each
+   *  glyph, line segments for shape font glyphs and text decorations.
    */
   *RenderMText({
     formattedText,
@@ -219,8 +317,15 @@ export class TextRenderer {
     lineSpacing = 1,
     color,
     layer = null,
+    font = null,
+    widthFactor = 1,
+    obliqueAngle = 0,
   }) {
-    const box = new TextBox(fontSize, this._GetCharShape.bind(this));
+    const box = new TextBox(fontSize, this._GetCharShape.bind(this), {
+      font,
+      widthFactor,
+      obliqueAngle,
+    });
     box.FeedText(formattedText);
     yield* box.Render(
       position,
@@ -237,32 +342,118 @@ export class TextRenderer {
   /** @return {CharShape} Shape for the specified character.
    * Each shape is indexed triangles mesh for font size 1. They should be further transformed as
    * needed.
+   * @param char {string}
+   * @param font {?{name: string, bigFont: ?string, isBold: ?boolean, isItalic: ?boolean}}
+   *  Preferred font, default fonts order is used if null or if no loaded font matches.
    */
-  _GetCharShape(char) {
-    let shape = this.shapes.get(char);
+  _GetCharShape(char, font = null) {
+    const key =
+      font === null
+        ? char
+        : `${font.name}|${font.bigFont}|${font.isBold}|${font.isItalic}|${char}`;
+    let shape = this.shapes.get(key);
     if (shape) {
       return shape;
     }
-    shape = this._CreateCharShape(char);
-    this.shapes.set(char, shape);
+    shape = this._CreateCharShape(char, font);
+    this.shapes.set(key, shape);
     return shape;
   }
 
-  _CreateCharShape(char) {
-    for (const font of this.fonts) {
+  _CreateCharShape(char, font = null) {
+    const fonts = font === null ? this.fonts : this._GetPreferredFonts(font);
+    for (const font of fonts) {
       const path = font.GetCharPath(char);
       if (path) {
-        return new CharShape(font, path, this.options);
+        return new CharShape(font, path, this.options, this._GetSdfGlyph(font, char, path));
       }
     }
     return this.stubShape;
   }
 
+  /** @return {?{}} Atlas glyph for the font character, see SdfAtlas.AddGlyph(). Null in vector
+   *  mode, for shape font glyphs and for glyphs which do not fit into the atlas.
+   * @param font {Font}
+   * @param char {string}
+   * @param path {CharPath}
+   */
+  _GetSdfGlyph(font, char, path) {
+    if (this.sdfAtlas === null || !path.path) {
+      return null;
+    }
+    let glyphs = this.sdfGlyphs.get(font);
+    if (!glyphs) {
+      glyphs = new Map();
+      this.sdfGlyphs.set(font, glyphs);
+    }
+    if (glyphs.has(char)) {
+      return glyphs.get(char);
+    }
+    const contours = path.path.subPaths.map((subPath) =>
+      subPath.getPoints(this.options.curveSubdivision),
+    );
+    const glyph = this.sdfAtlas.AddGlyph(contours, path.bounds);
+    glyphs.set(char, glyph);
+    return glyph;
+  }
+
+  /** @return {Font[]} Loaded fonts with the ones matching the specified font family first, best
+   * style match goes first.
+   */
+  _GetPreferredFonts(font) {
+    const mappedFonts = [font.name, font.bigFont]
+      .filter((name) => name)
+      .map((name) => this.mappedFonts.get(NormalizeFontName(name)))
+      .filter((f) => f);
+    if (mappedFonts.length > 0) {
+      return mappedFonts.concat(this.fonts);
+    }
+    const family = NormalizeFontName(font.name);
+    const matching = this.fonts.filter((f) => f.families.includes(family));
+    if (matching.length === 0) {
+      return this.fonts;
+    }
+    const GetStyleScore = (f) =>
+      (f.isBold === Boolean(font.isBold)) + (f.isItalic === Boolean(font.isItalic));
+    matching.sort((f1, f2) => GetStyleScore(f2) - GetStyleScore(f1));
+    return matching.concat(this.fonts.filter((f) => !matching.includes(f)));
+  }
+
+  /** @return {?Font} Font mapped to the specified name, null if not mapped. */
+  async _FetchMappedFont(name) {
+    const key = NormalizeFontName(name);
+    if (this.mappedFonts.has(key)) {
+      return this.mappedFonts.get(key);
+    }
+    const fetcher = this.fontMapFetchers.get(key);
+    if (!fetcher) {
+      return null;
+    }
+    this.fontMapFetchers.delete(key);
+    const font = await this._FetchFont(fetcher);
+    this.mappedFonts.set(key, font);
+    /* Shapes cached for this name before the font was loaded are no longer valid. */
+    this.shapes.clear();
+    return font;
+  }
+
   async _FetchFont(fontFetcher) {
-    return new Font(await fontFetcher());
+    const data = await fontFetcher();
+    if (data instanceof ArrayBuffer) {
+      return new ShxFont(data, this.options);
+    }
+    return new Font(data);
   }
 }
 
+/** @return {string} Font name for matching, lower-cased and without file extension. */
+function NormalizeFontName(name) {
+  return name
+    .trim()
+    .toLowerCase()
+    .replace(/\.(ttf|otf|shx)$/, "");
+}
+
 TextRenderer.DefaultOptions = {
   /** Number of segments for each curve in a glyph. Currently Three.js does not have more
    * adequate angle-based or length-based tessellation option.
@@ -272,11 +463,23 @@ TextRenderer.DefaultOptions = {
    * be specified, the first one available is used.
    */
   fallbackChar: "\uFFFD?",
+  /** Encoding (TextDecoder label) of SHX big fonts character codes, e.g. "gbk", "shift_jis",
+   * "big5". Derived from `$DWGCODEPAGE` when not specified.
+   */
+  bigFontEncoding: null,
+  /** Glyphs rendering mode. "vector" - glyphs are triangulated, "sdf" - glyphs are drawn as
+   * instanced quads sampling signed distance field atlas generated along with the scene. SDF mode
+   * loads much faster for text-heavy drawings, glyph corners are slightly rounded when zoomed in.
+   */
+  mode: "vector",
+  /** Glyph cell size in the SDF atlas, pixels. */
+  sdfGlyphSize: 32,
 };
 
 /** @typedef {Object} CharPath
  * @property advance {number}
  * @property path {?ShapePath}
+ * @property lines {?Vector2[]} Line segments (pair of vertices for each one), for shape fonts.
  * @property bounds {xMin: number, xMax: number, yMin: number, yMax: number}
  */
 
@@ -285,12 +488,16 @@ class CharShape {
    * @param font {Font}
    * @param glyph {CharPath}
    * @param options {{}} Renderer options.
+   * @param sdfGlyph {?{}} Atlas glyph, see SdfAtlas.AddGlyph(). The glyph is not triangulated if
+   *  specified.
    */
-  constructor(font, glyph, options) {
+  constructor(font, glyph, options, sdfGlyph = null) {
     this.font = font;
     this.advance = glyph.advance;
     this.bounds = glyph.bounds;
-    if (glyph.path) {
+    this.lines = glyph.lines ?? null;
+    this.sdfGlyph = sdfGlyph;
+    if (glyph.path && sdfGlyph === null) {
       const shapes = glyph.path.toShapes(false);
       this.vertices = [];
       this.indices = [];
@@ -338,11 +545,44 @@ class CharShape {
   /** Get vertices array transformed to the specified position and with the specified size.
    * @param position {{x,y}}
    * @param size {number}
+   * @param widthFactor {number} Additional X scale.
+   * @param shear {number} X shift per unit of Y (tangent of oblique angle).
    * @return {Vector2[]}
    */
-  GetVertices(position, size) {
-    return this.vertices.map((v) =>
-      v.clone().multiplyScalar(size).add(position),
+  GetVertices(position, size, widthFactor = 1, shear = 0) {
+    return CharShape._Transform(this.vertices, position, size, widthFactor, shear);
+  }
+
+  /** Get line segments vertices, transformed same way as by GetVertices(). */
+  GetLines(position, size, widthFactor = 1, shear = 0) {
+    return CharShape._Transform(this.lines, position, size, widthFactor, shear);
+  }
+
+  /** Get SDF glyph quad origin and its X and Y edges end corners, transformed same way as by
+   * GetVertices(). The quad covers the glyph bounds, atlas margin is added by the renderer.
+   */
+  GetQuad(position, size, widthFactor = 1, shear = 0) {
+    const { xMin, xMax, yMin, yMax } = this.bounds;
+    return CharShape._Transform(
+      [
+        { x: xMin, y: yMin },
+        { x: xMax, y: yMin },
+        { x: xMin, y: yMax },
+      ],
+      position,
+      size,
+      widthFactor,
+      shear,
+    );
+  }
+
+  static _Transform(vertices, position, size, widthFactor, shear) {
+    return vertices.map(
+      (v) =>
+        new Vector2(
+          (v.x * widthFactor + v.y * shear) * size + position.x,
+          v.y * size + position.y,
+        ),
     );
   }
 }
@@ -361,6 +601,13 @@ class Font {
     //XXX not really clear what is the resulting unit, check, review and comment it later
     // (100px?)
     this.scale = 100 / ((this.data.unitsPerEm || 2048) * 72);
+    /* Lower-cased family names and style flags, used for matching MTEXT font overrides. */
+    this.families = [data.names?.fontFamily?.en, data.names?.preferredFamily?.en]
+      .filter((name) => name)
+      .map((name) => name.toLowerCase());
+    const subfamily = (data.names?.fontSubfamily?.en ?? "").toLowerCase();
+    this.isBold = subfamily.includes("bold");
+    this.isItalic = subfamily.includes("italic") || subfamily.includes("oblique");
   }
 
   /**
@@ -478,80 +725,157 @@ const MTextAttachment = Object.freeze({
 class TextBox {
   /**
    * @param fontSize
-   * @param {Function<CharShape, String>} charShapeProvider
+   * @param {Function<CharShape, String, ?{}>} charShapeProvider
+   * @param {?{font: ?{}, widthFactor: number, obliqueAngle: number}} defaultStyle Initial
+   *  characters style, e.g. from the text style.
    */
-  constructor(fontSize, charShapeProvider) {
+  constructor(fontSize, charShapeProvider, defaultStyle = null) {
     this.fontSize = fontSize;
     this.charShapeProvider = charShapeProvider;
+    this.defaultStyle = defaultStyle;
     this.curParagraph = new TextBox.Paragraph(this);
     this.paragraphs = [this.curParagraph];
-    this.spaceShape = charShapeProvider(" ");
+    this.spaceShape = charShapeProvider(" ", defaultStyle?.font ?? null);
   }
 
   /** Add some formatted text to the box.
    * @param {MTextFormatEntity[]} formattedText Parsed formatted text.
    */
   FeedText(formattedText) {
-    /* For now advanced formatting is not implemented so scopes are just flattened. */
-    function* FlattenItems(items) {
-      for (const item of items) {
-        if (item.type === MTextFormatParser.EntityType.SCOPE) {
-          yield* FlattenItems(item.content);
-        } else {
-          yield item;
-        }
-      }
-    }
-
     /* Null is default alignment which depends on attachment point. */
     let curAlignment = null;
 
-    for (const item of FlattenItems(formattedText)) {
-      switch (item.type) {
-        case MTextFormatParser.EntityType.TEXT:
-          for (const c of item.content) {
-            if (c === " ") {
-              this.curParagraph.FeedSpace();
+    /* Formatting changes are valid till the end of the enclosing scope, so nested scope gets the
+     * current style which is not affected by the scope content. Style objects are never modified
+     * since they are referenced by the characters already fed.
+     */
+    const FeedItems = (items, style) => {
+      for (const item of items) {
+        switch (item.type) {
+          case MTextFormatParser.EntityType.SCOPE:
+            FeedItems(item.content, style);
+            break;
+
+          case MTextFormatParser.EntityType.TEXT:
+            for (const c of item.content) {
+              if (c === " ") {
+                this.curParagraph.FeedSpace(style);
+              } else {
+                this.curParagraph.FeedChar(c, style);
+              }
+            }
+            break;
+
+          case MTextFormatParser.EntityType.PARAGRAPH:
+            this.curParagraph = new TextBox.Paragraph(this);
+            this.curParagraph.SetAlignment(curAlignment);
+            this.paragraphs.push(this.curParagraph);
+            break;
+
+          case MTextFormatParser.EntityType.NON_BREAKING_SPACE:
+            this.curParagraph.FeedChar(" ", style);
+            break;
+
+          case MTextFormatParser.EntityType.PARAGRAPH_ALIGNMENT:
+            let a = null;
+            switch (item.alignment) {
+              case "l":
+                a = TextBox.Paragraph.Alignment.LEFT;
+                break;
+              case "c":
+                a = TextBox.Paragraph.Alignment.CENTER;
+                break;
+              case "r":
+                a = TextBox.Paragraph.Alignment.RIGHT;
+                break;
+              case "d":
+                a = TextBox.Paragraph.Alignment.JUSTIFY;
+                break;
+              case "j":
+                a = null;
+                break;
+            }
+            this.curParagraph.SetAlignment(a);
+            curAlignment = a;
+            break;
+
+          case MTextFormatParser.EntityType.COLOR: {
+            let color;
+            if (item.color !== undefined) {
+              color = item.color;
+            } else if (item.colorIndex > 0 && item.colorIndex < 256) {
+              color = getAcadColor(item.colorIndex);
             } else {
-              this.curParagraph.FeedChar(c);
+              /* ByLayer and ByBlock resolve to the entity color. */
+              color = null;
             }
+            style = { ...style, color };
+            break;
           }
-          break;
-
-        case MTextFormatParser.EntityType.PARAGRAPH:
-          this.curParagraph = new TextBox.Paragraph(this);
-          this.curParagraph.SetAlignment(curAlignment);
-          this.paragraphs.push(this.curParagraph);
-          break;
-
-        case MTextFormatParser.EntityType.NON_BREAKING_SPACE:
-          this.curParagraph.FeedChar(" ");
-          break;
 
-        case MTextFormatParser.EntityType.PARAGRAPH_ALIGNMENT:
-          let a = null;
-          switch (item.alignment) {
-            case "l":
-              a = TextBox.Paragraph.Alignment.LEFT;
-              break;
-            case "c":
-              a = TextBox.Paragraph.Alignment.CENTER;
-              break;
-            case "r":
-              a = TextBox.Paragraph.Alignment.RIGHT;
-              break;
-            case "d":
-              a = TextBox.Paragraph.Alignment.JUSTIFY;
-              break;
-            case "j":
-              a = null;
-              break;
-          }
-          this.curParagraph.SetAlignment(a);
-          curAlignment = a;
-          break;
+          case MTextFormatParser.EntityType.FONT:
+            style = {
+              ...style,
+              font: { name: item.name, isBold: item.isBold, isItalic: item.isItalic },
+            };
+            break;
+
+          case MTextFormatParser.EntityType.HEIGHT:
+            style = {
+              ...style,
+              fontSize: item.isRelative ? style.fontSize * item.value : item.value,
+            };
+            break;
+
+          case MTextFormatParser.EntityType.WIDTH:
+            style = {
+              ...style,
+              widthFactor: item.isRelative ? style.widthFactor * item.value : item.value,
+            };
+            break;
+
+          case MTextFormatParser.EntityType.TRACKING:
+            style = { ...style, tracking: item.value };
+            break;
+
+          case MTextFormatParser.EntityType.OBLIQUE:
+            style = { ...style, obliqueAngle: item.angle };
+            break;
+
+          case MTextFormatParser.EntityType.UNDERLINE:
+            style = { ...style, underline: item.isOn };
+            break;
+
+          case MTextFormatParser.EntityType.OVERLINE:
+            style = { ...style, overline: item.isOn };
+            break;
+
+          case MTextFormatParser.EntityType.STRIKE_THROUGH:
+            style = { ...style, strikeThrough: item.isOn };
+            break;
+
+          case MTextFormatParser.EntityType.STACK:
+            this.curParagraph.FeedStack(item, style);
+            break;
+
+          /* Characters vertical alignment (CHAR_ALIGNMENT) is not implemented, all runs are
+           * aligned by baseline.
+           */
+        }
       }
-    }
+    };
+
+    FeedItems(formattedText, {
+      fontSize: this.fontSize,
+      color: null,
+      font: this.defaultStyle?.font ?? null,
+      widthFactor: this.defaultStyle?.widthFactor ?? 1,
+      tracking: 1,
+      obliqueAngle: this.defaultStyle?.obliqueAngle ?? 0,
+      underline: false,
+      overline: false,
+      strikeThrough: false,
+    });
   }
 
   *Render(
@@ -606,18 +930,23 @@ class TextBox {
       rotation = (Math.atan2(direction.y, direction.x) * 180) / Math.PI;
     }
 
-    const lineHeight = (lineSpacing * 5 * this.fontSize) / 3;
-
-    let height = 0;
+    /* Line height is defined by the largest characters in the line. */
+    const GetLineHeight = (fontSize) => (lineSpacing * 5 * fontSize) / 3;
+    const lineSizes = [];
     for (const p of this.paragraphs) {
       if (p.lines === null) {
         /* Paragraph always occupies at least one line. */
-        height++;
+        lineSizes.push(this.fontSize);
       } else {
-        height += p.lines.length;
+        for (const line of p.lines) {
+          lineSizes.push(line.GetFontSize());
+        }
       }
     }
-    height *= lineHeight;
+    let height = 0;
+    for (const fontSize of lineSizes) {
+      height += GetLineHeight(fontSize);
+    }
 
     let origin = new Vector2();
     switch (attachment) {
@@ -661,13 +990,22 @@ class TextBox {
       .rotate((-rotation * Math.PI) / 180)
       .translate(position.x, position.y);
 
-    let y = -this.fontSize;
+    let y = 0;
+    let lineIdx = 0;
+    /* Move to the next line baseline. */
+    const NextLine = () => {
+      const fontSize = lineSizes[lineIdx];
+      y -= lineIdx === 0 ? fontSize : GetLineHeight(fontSize);
+      lineIdx++;
+    };
+
     for (const p of this.paragraphs) {
       if (p.lines === null) {
-        y -= lineHeight;
+        NextLine();
         continue;
       }
       for (const line of p.lines) {
+        NextLine();
         for (
           let chunkIdx = line.startChunkIdx;
           chunkIdx < line.startChunkIdx + line.numChunks;
@@ -677,7 +1015,18 @@ class TextBox {
           let x = chunk.position;
           /* First chunk of continuation line never prepended by whitespace. */
           if (chunkIdx === 0 || chunkIdx !== line.startChunkIdx) {
-            x += chunk.GetSpacingWidth();
+            const spacing = chunk.GetSpacingWidth();
+            if (chunk.spaceStyle !== null && spacing > 0) {
+              /* Chunk block is rendered with its left bound at the insertion point. */
+              const start = x - (chunk.block?.bounds?.xMin ?? 0);
+              yield* RenderDecorations(
+                GetDecorations(chunk.spaceStyle, start, start + spacing, y),
+                transform,
+                color,
+                layer,
+              );
+            }
+            x += spacing;
           }
           const v = new Vector2(x, y);
           v.applyMatrix3(transform);
@@ -694,7 +1043,6 @@ class TextBox {
             );
           }
         }
-        y -= lineHeight;
       }
     }
   }
@@ -712,22 +1060,33 @@ TextBox.Paragraph = class {
   /** Feed character for current chunk. Spaces should be fed by FeedSpace() method. If space
    * character is fed into this method, it is interpreted as non-breaking space.
    */
-  FeedChar(c) {
-    const shape = this.textBox.charShapeProvider(c);
+  FeedChar(c, style = null) {
+    const shape = this.textBox.charShapeProvider(c, style?.font ?? null);
     if (shape === null) {
       return;
     }
     if (this.curChunk === null) {
-      this._AddChunk();
+      this._AddChunk(style);
     }
-    this.curChunk.PushChar(c, shape);
+    this.curChunk.PushChar(c, shape, style);
   }
 
-  FeedSpace() {
+  FeedSpace(style = null) {
     if (this.curChunk === null || this.curChunk.lastChar !== null) {
-      this._AddChunk();
+      this._AddChunk(style);
     }
-    this.curChunk.PushSpace();
+    this.curChunk.PushSpace(style);
+  }
+
+  /** Feed stacked text into current chunk.
+   * @param {{upper: string, lower: string, separator: string}} stack
+   * @param {{}} style
+   */
+  FeedStack(stack, style) {
+    if (this.curChunk === null) {
+      this._AddChunk(style);
+    }
+    this.curChunk.PushStack(stack, style);
   }
 
   SetAlignment(alignment) {
@@ -802,10 +1161,10 @@ TextBox.Paragraph = class {
     }
   }
 
-  _AddChunk() {
+  _AddChunk(style = null) {
     this.curChunk = new TextBox.Paragraph.Chunk(
       this,
-      this.textBox.fontSize,
+      style?.fontSize ?? this.textBox.fontSize,
       this.curChunk,
     );
     this.chunks.push(this.curChunk);
@@ -832,24 +1191,33 @@ TextBox.Paragraph.Chunk = class {
     this.lastChar = null;
     this.lastShape = null;
     this.leadingSpaces = 0;
+    /* Style and shape of the leading spaces. */
+    this.spaceStyle = null;
+    this.spaceShape = paragraph.textBox.spaceShape;
     this.spaceStartKerning = null;
     this.spaceEndKerning = null;
     this.block = null;
     this.position = null;
   }
 
-  PushSpace() {
+  PushSpace(style = null) {
     if (this.block) {
       throw new Error("Illegal operation");
     }
     this.leadingSpaces++;
+    if (style !== null) {
+      this.spaceStyle = style;
+      this.spaceShape =
+        this.paragraph.textBox.charShapeProvider(" ", style.font) ?? this.spaceShape;
+    }
   }
 
   /**
    * @param char {string}
    * @param shape {CharShape}
+   * @param style {?{}} Run style, see TextBox.FeedText().
    */
-  PushChar(char, shape) {
+  PushChar(char, shape, style = null) {
     if (this.spaceStartKerning === null) {
       if (this.leadingSpaces === 0) {
         this.spaceStartKerning = 0;
@@ -859,8 +1227,7 @@ TextBox.Paragraph.Chunk = class {
           this.prevChunk &&
           this.prevChunk.lastShape &&
           this.prevChunk.fontSize === this.fontSize &&
-          this.prevChunk.lastShape.font ===
-            this.paragraph.textBox.spaceShape.font
+          this.prevChunk.lastShape.font === this.spaceShape.font
         ) {
           this.spaceStartKerning = this.prevChunk.lastShape.font.GetKerning(
             this.prevChunk.lastChar,
@@ -869,7 +1236,7 @@ TextBox.Paragraph.Chunk = class {
         } else {
           this.spaceStartKerning = 0;
         }
-        if (shape.font === this.paragraph.textBox.spaceShape.font) {
+        if (shape.font === this.spaceShape.font) {
           this.spaceEndKerning = shape.font.GetKerning(" ", char);
         } else {
           this.spaceEndKerning = 0;
@@ -880,18 +1247,38 @@ TextBox.Paragraph.Chunk = class {
     if (this.block === null) {
       this.block = new TextBlock(this.fontSize);
     }
-    this.block.PushChar(char, shape);
+    this.block.PushChar(char, shape, style);
 
     this.lastChar = char;
     this.lastShape = shape;
   }
 
+  /**
+   * @param stack {{upper: string, lower: string, separator: string}}
+   * @param style {{}} Run style, see TextBox.FeedText().
+   */
+  PushStack(stack, style) {
+    if (this.spaceStartKerning === null) {
+      this.spaceStartKerning = 0;
+      this.spaceEndKerning = 0;
+    }
+    if (this.block === null) {
+      this.block = new TextBlock(this.fontSize);
+    }
+    this.block.PushStack(stack, style, this.paragraph.textBox.charShapeProvider);
+    /* Not a character but still non-space content, no kerning with the following text. */
+    this.lastChar = "";
+    this.lastShape = null;
+  }
+
   GetSpacingWidth() {
+    const style = this.spaceStyle;
     return (
-      (this.leadingSpaces * this.paragraph.textBox.spaceShape.advance +
+      (this.leadingSpaces * this.spaceShape.advance * (style?.tracking ?? 1) +
         this.spaceStartKerning +
         this.spaceEndKerning) *
-      this.fontSize
+      (style?.fontSize ?? this.fontSize) *
+      (style?.widthFactor ?? 1)
     );
   }
 
@@ -948,6 +1335,17 @@ TextBox.Paragraph.Line = class {
     }
   }
 
+  /** @return {number} Largest font size used in the line. */
+  GetFontSize() {
+    let fontSize = 0;
+    this.ForEachChunk((chunk) => {
+      if (chunk.block !== null && chunk.block.maxFontSize > fontSize) {
+        fontSize = chunk.block.maxFontSize;
+      }
+    });
+    return fontSize || this.paragraph.textBox.fontSize;
+  }
+
   ForEachChunk(handler) {
     for (let i = 0; i < this.numChunks; i++) {
       handler(this.paragraph.chunks[this.startChunkIdx + i]);
@@ -955,40 +1353,222 @@ TextBox.Paragraph.Line = class {
   }
 };
 
+/** Text decoration lines vertical offset relative to font size, indexed by style property. */
+const DECORATION_OFFSETS = Object.freeze({
+  underline: -0.2,
+  overline: 1.2,
+  strikeThrough: 0.4,
+});
+
+/** Stacked text size relative to the surrounding text. */
+const STACK_SCALE = 0.7;
+
+/** Oblique angle (deg) applied when italic font is requested but no italic font is available. */
+const SYNTHETIC_ITALIC_ANGLE = 15;
+
+/**
+ * @param style {{}} Run style, see TextBox.FeedText().
+ * @param x1 {number} Start X coordinate.
+ * @param x2 {number} End X coordinate.
+ * @param y {number} Baseline Y coordinate.
+ * @return {{type: string, x1, y1, x2, y2, color: ?number}[]} Decoration lines enabled in the
+ *  style.
+ */
+function GetDecorations(style, x1, x2, y = 0) {
+  const result = [];
+  for (const [type, offset] of Object.entries(DECORATION_OFFSETS)) {
+    if (style[type]) {
+      const lineY = y + offset * style.fontSize;
+      result.push({ type, x1, y1: lineY, x2, y2: lineY, color: style.color });
+    }
+  }
+  return result;
+}
+
+/**
+ * @param decorations {{x1, y1, x2, y2, color: ?number}[]}
+ * @param transform {Matrix3}
+ * @param color {number} Color for lines without color specified.
+ * @param layer {?string}
+ * @return {Generator<Entity>}
+ */
+function* RenderDecorations(decorations, transform, color, layer) {
+  for (const d of decorations) {
+    yield new Entity({
+      type: Entity.Type.LINE_SEGMENTS,
+      vertices: [
+        new Vector2(d.x1, d.y1).applyMatrix3(transform),
+        new Vector2(d.x2, d.y2).applyMatrix3(transform),
+      ],
+      layer,
+      color: d.color ?? color,
+    });
+  }
+}
+
 /** Encapsulates calculations for a single-line text block. */
 class TextBlock {
   constructor(fontSize) {
     this.fontSize = fontSize;
-    /* Element is {shape: CharShape, vertices: ?{Vector2}[]} */
+    /* Element is {shape: CharShape, vertices: ?{Vector2}[], lines: ?{Vector2}[],
+     * quad: ?{Vector2}[], color: ?number}
+     */
     this.glyphs = [];
+    /* Decoration lines (underline, fraction bar etc.), see GetDecorations(). */
+    this.decorations = [];
     this.bounds = null;
     this.curX = 0;
     this.prevChar = null;
     this.prevFont = null;
+    this.prevFontSize = null;
+    /* Largest font size of the pushed characters. */
+    this.maxFontSize = 0;
   }
 
   /**
    * @param char {string}
    * @param shape {CharShape}
+   * @param style {?{}} Run style for MTEXT, see TextBox.FeedText(). Block font size is used if
+   *  not specified.
    */
-  PushChar(char, shape) {
+  PushChar(char, shape, style = null) {
     /* Initially store with just font size and characters position applied. Origin is the first
      * character base point.
      */
+    const fontSize = style?.fontSize ?? this.fontSize;
     let offset;
-    if (this.prevChar !== null && this.prevFont === shape.font) {
+    if (
+      this.prevChar !== null &&
+      this.prevFont === shape.font &&
+      this.prevFontSize === fontSize
+    ) {
       offset = this.prevFont.GetKerning(this.prevChar, char);
     } else {
       offset = 0;
     }
-    const x = this.curX + offset * this.fontSize;
-    let vertices;
-    if (shape.vertices) {
-      vertices = shape.GetVertices({ x, y: 0 }, this.fontSize);
-      const xMin = x + shape.bounds.xMin * this.fontSize;
-      const xMax = x + shape.bounds.xMax * this.fontSize;
-      const yMin = shape.bounds.yMin * this.fontSize;
-      const yMax = shape.bounds.yMax * this.fontSize;
+    const x = this.curX + offset * fontSize * (style?.widthFactor ?? 1);
+    this.curX = this._PushGlyph(shape, x, 0, style);
+    if (style !== null) {
+      this._AddDecorations(GetDecorations(style, x, this.curX));
+    }
+    this.prevChar = char;
+    this.prevFont = shape.font;
+    this.prevFontSize = fontSize;
+  }
+
+  /** Push stacked text, it is rendered with reduced size, upper part above lower one.
+   * @param stack {{upper: string, lower: string, separator: string}} "/" for horizontal
+   *  fraction, "#" for diagonal fraction, "^" for tolerance (no separator line).
+   * @param style {{}} Run style, see TextBox.FeedText().
+   * @param charShapeProvider {Function<CharShape, String, ?{}>}
+   */
+  PushStack(stack, style, charShapeProvider) {
+    const fontSize = style.fontSize;
+    const partStyle = {
+      ...style,
+      fontSize: fontSize * STACK_SCALE,
+      underline: false,
+      overline: false,
+      strikeThrough: false,
+    };
+    const GetShapes = (text) =>
+      Array.from(text)
+        .map((c) => charShapeProvider(c, style.font))
+        .filter((shape) => shape !== null);
+    const GetWidth = (shapes) =>
+      shapes.reduce(
+        (width, shape) =>
+          width +
+          shape.advance * partStyle.fontSize * partStyle.widthFactor * partStyle.tracking,
+        0,
+      );
+    const PushPart = (shapes, x, y) => {
+      for (const shape of shapes) {
+        x = this._PushGlyph(shape, x, y, partStyle);
+      }
+    };
+
+    const upper = GetShapes(stack.upper);
+    const lower = GetShapes(stack.lower);
+    const upperWidth = GetWidth(upper);
+    const lowerWidth = GetWidth(lower);
+    const x = this.curX;
+    let width;
+    switch (stack.separator) {
+      case "/": {
+        width = Math.max(upperWidth, lowerWidth);
+        PushPart(upper, x + (width - upperWidth) / 2, fontSize * 0.5);
+        PushPart(lower, x + (width - lowerWidth) / 2, -fontSize * 0.5);
+        const barY = fontSize * 0.35;
+        this.decorations.push({
+          type: "stack",
+          x1: x,
+          y1: barY,
+          x2: x + width,
+          y2: barY,
+          color: style.color,
+        });
+        break;
+      }
+      case "#": {
+        const slashWidth = fontSize * 0.4;
+        width = upperWidth + slashWidth + lowerWidth;
+        PushPart(upper, x, fontSize * 0.5);
+        PushPart(lower, x + upperWidth + slashWidth, -fontSize * 0.2);
+        this.decorations.push({
+          type: "stack",
+          x1: x + upperWidth,
+          y1: -fontSize * 0.2,
+          x2: x + upperWidth + slashWidth,
+          y2: fontSize * 1.2,
+          color: style.color,
+        });
+        break;
+      }
+      default:
+        width = Math.max(upperWidth, lowerWidth);
+        PushPart(upper, x, fontSize * 0.5);
+        PushPart(lower, x, -fontSize * 0.3);
+        break;
+    }
+    this.curX = x + width;
+    this._AddDecorations(GetDecorations(style, x, this.curX));
+    if (fontSize > this.maxFontSize) {
+      this.maxFontSize = fontSize;
+    }
+    this.prevChar = null;
+    this.prevFont = null;
+    this.prevFontSize = null;
+  }
+
+  /** Add glyph at the specified position.
+   * @return {number} Position for the next glyph.
+   */
+  _PushGlyph(shape, x, y, style) {
+    const fontSize = style?.fontSize ?? this.fontSize;
+    const widthFactor = style?.widthFactor ?? 1;
+    let obliqueAngle = style?.obliqueAngle ?? 0;
+    if (style?.font?.isItalic && !shape.font?.isItalic) {
+      obliqueAngle += SYNTHETIC_ITALIC_ANGLE;
+    }
+    const shear = Math.tan((obliqueAngle * Math.PI) / 180);
+    let vertices = null;
+    let lines = null;
+    let quad = null;
+    if (shape.vertices || shape.lines?.length || shape.sdfGlyph) {
+      if (shape.vertices) {
+        vertices = shape.GetVertices({ x, y }, fontSize, widthFactor, shear);
+      } else if (shape.sdfGlyph) {
+        quad = shape.GetQuad({ x, y }, fontSize, widthFactor, shear);
+      } else {
+        lines = shape.GetLines({ x, y }, fontSize, widthFactor, shear);
+      }
+      const shearMin = Math.min(shape.bounds.yMin * shear, shape.bounds.yMax * shear);
+      const shearMax = Math.max(shape.bounds.yMin * shear, shape.bounds.yMax * shear);
+      const xMin = x + (shape.bounds.xMin * widthFactor + shearMin) * fontSize;
+      const xMax = x + (shape.bounds.xMax * widthFactor + shearMax) * fontSize;
+      const yMin = y + shape.bounds.yMin * fontSize;
+      const yMax = y + shape.bounds.yMax * fontSize;
       /* Leading/trailing spaces not accounted intentionally now. */
       if (this.bounds === null) {
         this.bounds = { xMin, xMax, yMin, yMax };
@@ -1006,13 +1586,29 @@ class TextBlock {
           this.bounds.yMax = yMax;
         }
       }
-    } else {
-      vertices = null;
     }
-    this.curX = x + shape.advance * this.fontSize;
-    this.glyphs.push({ shape, vertices });
-    this.prevChar = char;
-    this.prevFont = shape.font;
+    this.glyphs.push({ shape, vertices, lines, quad, color: style?.color ?? null });
+    if (fontSize > this.maxFontSize) {
+      this.maxFontSize = fontSize;
+    }
+    return x + shape.advance * fontSize * widthFactor * (style?.tracking ?? 1);
+  }
+
+  /** Add decoration lines, continuing the previous line of the same kind if adjacent. */
+  _AddDecorations(decorations) {
+    for (const d of decorations) {
+      const prev = this.decorations.findLast((prev) => prev.type === d.type);
+      if (
+        prev !== undefined &&
+        prev.y1 === d.y1 &&
+        prev.color === d.color &&
+        d.x1 <= prev.x2 + Number.EPSILON * Math.abs(prev.x2) * 4
+      ) {
+        prev.x2 = Math.max(prev.x2, d.x2);
+      } else {
+        this.decorations.push(d);
+      }
+    }
   }
 
   GetCurrentPosition() {
@@ -1028,8 +1624,10 @@ class TextBlock {
    * @param vAlign {?number} Vertical text justification type code (group 73).
    * @param color {number}
    * @param layer {?string}
-   * @return {Generator<Entity>} Rendering entities. Currently just indexed triangles for each
-   *  glyph.
+   * @param isBackward {boolean} Mirror in X around the insertion point.
+   * @param isUpsideDown {boolean} Mirror in Y around the insertion point.
+   * @return {Generator<Entity>} Rendering entities. Indexed triangles (or SDF quad) for each
+   *  glyph, line segments for shape font glyphs and text decorations.
    */
   *Render(
     startPos,
@@ -1040,6 +1638,8 @@ class TextBlock {
     vAlign,
     color,
     layer,
+    isBackward = false,
+    isUpsideDown = false,
   ) {
     if (this.bounds === null) {
       return;
@@ -1064,12 +1664,16 @@ class TextBlock {
         ? new Vector2(startPos.x, startPos.y)
         : new Vector2(endPos.x, endPos.y);
 
+    /* Aligned and fit text is stretched between the first and second alignment points. Null if
+     * the points coincide.
+     */
     const GetFitScale = () => {
-      const width = endPos.x - startPos.x;
-      if (width < Number.MIN_VALUE * 2) {
-        return widthFactor;
+      const width = new Vector2(endPos.x - startPos.x, endPos.y - startPos.y).length();
+      const textWidth = this.bounds.xMax - this.bounds.xMin;
+      if (width < Number.MIN_VALUE * 2 || textWidth <= 0) {
+        return null;
       }
-      return width / (this.bounds.xMax - this.bounds.xMin);
+      return width / textWidth;
     };
 
     const GetFitRotation = () => {
@@ -1091,16 +1695,25 @@ class TextBlock {
         origin.y = (this.bounds.yMax - this.bounds.yMin) / 2;
         break;
       case HAlign.ALIGNED: {
+        origin.x = this.bounds.xMin;
         const f = GetFitScale();
-        scale.x = f;
-        scale.y = f;
-        rotation = GetFitRotation();
+        if (f !== null) {
+          scale.x = f;
+          /* Height is scaled proportionally, width factor is preserved. */
+          scale.y = f / widthFactor;
+          rotation = GetFitRotation();
+        }
         break;
       }
-      case HAlign.FIT:
-        scale.x = GetFitScale();
-        rotation = GetFitRotation();
+      case HAlign.FIT: {
+        origin.x = this.bounds.xMin;
+        const f = GetFitScale();
+        if (f !== null) {
+          scale.x = f;
+          rotation = GetFitRotation();
+        }
         break;
+      }
       default:
         console.warn("Unrecognized hAlign value: " + hAlign);
     }
@@ -1123,7 +1736,7 @@ class TextBlock {
 
     const transform = new Matrix3()
       .translate(-origin.x, -origin.y)
-      .scale(scale.x, scale.y)
+      .scale(isBackward ? -scale.x : scale.x, isUpsideDown ? -scale.y : scale.y)
       .rotate(rotation)
       .translate(insertionPos.x, insertionPos.y);
 
@@ -1137,9 +1750,31 @@ class TextBlock {
           vertices: glyph.vertices,
           indices: glyph.shape.indices,
           layer,
-          color,
+          color: glyph.color ?? color,
+        });
+      } else if (glyph.lines) {
+        for (const v of glyph.lines) {
+          v.applyMatrix3(transform);
+        }
+        yield new Entity({
+          type: Entity.Type.LINE_SEGMENTS,
+          vertices: glyph.lines,
+          layer,
+          color: glyph.color ?? color,
+        });
+      } else if (glyph.quad) {
+        for (const v of glyph.quad) {
+          v.applyMatrix3(transform);
+        }
+        yield new Entity({
+          type: Entity.Type.GLYPH,
+          vertices: glyph.quad,
+          atlasRect: glyph.shape.sdfGlyph.rect,
+          layer,
+          color: glyph.color ?? color,
         });
       }
     }
+    yield* RenderDecorations(this.decorations, transform, color, layer);
   }
 }
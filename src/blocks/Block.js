@@ -22,6 +22,12 @@ export class Block {
     this.flatten = false;
     /** Bounds in block coordinates (with offset applied). */
     this.bounds = null;
+    /* Current draw order level for the definition entities, non-zero if the block has images or
+     * wipeouts.
+     */
+    this.drawOrder = 0;
+    /* XLINE and RAY entities in block coordinates (without offset), instantiated per INSERT. */
+    this.constructionLines = [];
   }
 
   /** @param batch {Batch} */
@@ -53,7 +59,9 @@ export class Block {
 
   /** @param {{}} entity May be either INSERT or DIMENSION. */
   RegisterInsert(entity) {
-    this.useCount++;
+    /* Each MINSERT array cell is a separate instance. */
+    this.useCount +=
+      Math.max(entity.columnCount ?? 1, 1) * Math.max(entity.rowCount ?? 1, 1);
   }
 
   RegisterNestedUse(usedByBlock) {
@@ -131,9 +139,11 @@ export class BlockContext {
   /**
    * Get transform for block instance.
    * @param entity Raw DXF INSERT entity.
+   * @param column {number} Column index of MINSERT array cell.
+   * @param row {number} Row index of MINSERT array cell.
    * @return {Matrix3} Transform matrix for block instance to apply to the block definition.
    */
-  GetInsertionTransform(entity) {
+  GetInsertionTransform(entity, column = 0, row = 0) {
     const mInsert = new Matrix3().translate(-this.origin.x, -this.origin.y);
     const yScale = entity.yScale || 1;
     const xScale = entity.xScale || 1;
@@ -141,6 +151,13 @@ export class BlockContext {
     let x = entity.position.x;
     const y = entity.position.y;
     mInsert.scale(xScale, yScale);
+    /* Array spacing is not scaled but rotated together with the block. */
+    if (column !== 0 || row !== 0) {
+      mInsert.translate(
+        column * (entity.columnSpacing || 0),
+        row * (entity.rowSpacing || 0),
+      );
+    }
     mInsert.rotate(rotation);
     mInsert.translate(x, y);
     if (entity.extrusionDirection && entity.extrusionDirection.z < 0) {
@@ -160,15 +177,17 @@ export class BlockContext {
    * Create context for nested block.
    * @param block {Block} Nested block.
    * @param entity Raw DXF INSERT entity.
+   * @param column {number} Column index of MINSERT array cell.
+   * @param row {number} Row index of MINSERT array cell.
    * @return {BlockContext} Context to use for nested block entities.
    */
-  NestedBlockContext(block, entity) {
+  NestedBlockContext(block, entity, column = 0, row = 0) {
     block.RegisterNestedUse(this.block);
     const nestedCtx = new BlockContext(
       block,
       BlockContext.Type.NESTED_DEFINITION,
     );
-    const nestedTransform = nestedCtx.GetInsertionTransform(entity);
+    const nestedTransform = nestedCtx.GetInsertionTransform(entity, column, row);
     const ctx = new BlockContext(
       this.block,
       BlockContext.Type.NESTED_DEFINITION,
@@ -2,6 +2,9 @@
 export type TextRendererOptions = {
   curveSubdivision: number;
   fallbackChar: string;
+  bigFontEncoding: string | null;
+  mode: "vector" | "sdf";
+  sdfGlyphSize: number;
 };
 
 /** See DxfScene.DefaultOptions for default values and documentation. */
@@ -28,13 +31,23 @@ export type DxfViewerOptions = {
   pointSize: number;
   sceneOptions: DxfSceneOptions;
   retainParsedDxf: boolean;
+  pickTolerance: number;
+  lassoSelection: boolean;
   preserveDrawingBuffer: boolean;
   fileEncoding: string;
+  lwDisplay: boolean | null;
 };
 
 export type DxfViewerLoadParams = {
-  url: string;
+  /** Either `url` or `data` should be specified. */
+  url?: string | null;
+  /** File content. ArrayBuffer is transferred to the worker and becomes detached. */
+  data?: ArrayBuffer | Blob | string | null;
+  /** Additional options for fetching `url`, e.g. headers or credentials. */
+  fetchOptions?: RequestInit | null;
   fonts: string[] | null;
+  /** Fonts URLs indexed by font name (text style font file or font family name). */
+  fontMap?: Record<string, string> | null;
   progressCbk:
     | ((
         phase: "font" | "fetch" | "parse" | "prepare",
@@ -43,12 +56,80 @@ export type DxfViewerLoadParams = {
       ) => void)
     | null;
   workerFactory: (() => Worker) | null;
+  /** Aborts loading, the returned promise is rejected with the abort reason (AbortError by
+   * default).
+   */
+  signal?: AbortSignal | null;
+  /** Maps IMAGEDEF file name to image URL or content. Raster images are not displayed if not
+   * specified.
+   */
+  imageResolver?:
+    | ((
+        fileName: string,
+      ) => string | Blob | null | Promise<string | Blob | null>)
+    | null;
 };
 
 export type LayerInfo = {
   name: string;
   displayName: string;
   color: number;
+  isOn: boolean;
+  isFrozen: boolean;
+  isLocked: boolean;
+};
+
+export type LayoutInfo = {
+  name: string;
+  tabOrder: number;
+  isModel: boolean;
+  isActive: boolean;
+};
+
+export type PickResult = {
+  handle: string;
+  entityType: string | null;
+  layer: string | null;
+  /** Parsed DXF entity, null if not found. */
+  entity: any | null;
+};
+
+/** Entity extents from the scene spatial index. Coordinates are relative to GetOrigin(). */
+export type EntityExtents = {
+  handle: string;
+  entityType: string;
+  layer: string;
+  bounds: {
+    minX: number;
+    maxX: number;
+    minY: number;
+    maxY: number;
+  };
+};
+
+export type SelectionMode =
+  | "point"
+  | "window"
+  | "crossing"
+  | "windowLasso"
+  | "crossingLasso"
+  | "all"
+  | "clear";
+
+/** `detail` of the "select" event. */
+export type SelectEventData = {
+  /** Handles of all currently selected entities. */
+  handles: string[];
+  mode: SelectionMode;
+};
+
+export type InsertAttribute = {
+  /** ATTRIB handle, ATTDEF handle for constant attributes. */
+  handle: string;
+  tag: string;
+  value: string;
+  invisible: boolean;
+  constant: boolean;
 };
 
 export type EventName =
@@ -59,6 +140,8 @@ export type EventName =
   | "pointerdown"
   | "pointerup"
   | "viewChanged"
+  | "layoutChanged"
+  | "select"
   | "message";
 
 export declare class DxfViewer {
@@ -74,7 +157,11 @@ export declare class DxfViewer {
   ): void;
   GetCamera(): THREE.OrthographicCamera;
   GetCanvas(): HTMLCanvasElement;
+  GetEntityByHandle(handle: string): any | null;
   GetLayers(): Iterable<LayerInfo>;
+  GetInsertAttributes(handle: string): InsertAttribute[];
+  GetTableData(handle: string): (string | null)[][] | null;
+  GetLayouts(): LayoutInfo[];
   GetOrigin(): THREE.Vector2;
   GetBounds(): {
     maxX: number;
@@ -86,10 +173,26 @@ export declare class DxfViewer {
   GetScene(): THREE.Scene;
   HasRenderer(): boolean;
   Load(params: DxfViewerLoadParams): Promise<void>;
+  PickEntity(
+    canvasX: number,
+    canvasY: number,
+    tolerance?: number | null,
+  ): PickResult | null;
+  QueryPoint(x: number, y: number, tolerance?: number): EntityExtents[];
+  QueryRect(
+    minX: number,
+    minY: number,
+    maxX: number,
+    maxY: number,
+  ): EntityExtents[];
   Render(): void;
+  GetLineweightDisplay(): boolean;
+  SetLineweightDisplay(show: boolean): void;
+  SetActiveLayout(name: string | null): void;
   SetSize(width: number, height: number): void;
   SetView(center: THREE.Vector3, width: number): void;
   ShowLayer(name: string, show: boolean): void;
+  FreezeLayer(name: string, freeze: boolean): void;
   Subscribe(eventName: EventName, eventHandler: (event: any) => void): void;
   Unsubscribe(eventName: EventName, eventHandler: (event: any) => void): void;
 }
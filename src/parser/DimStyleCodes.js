@@ -1,33 +1,59 @@
 /** Dimension style variables are used either in DIMSTYLE table or in DIMENSION entity style
- * override in XDATA.
+ * override in XDATA. Arrowhead blocks are referenced either by name (DIMBLK*) or by block record
+ * handle (DIMBLK*_HANDLE).
  */
 const codes = new Map([
   [140, "DIMTXT"],
+  [141, "DIMCEN"],
   [142, "DIMTSZ"],
+  [143, "DIMALTF"],
   [144, "DIMLFAC"],
+  [146, "DIMTFAC"],
   [147, "DIMGAP"],
+  [148, "DIMALTRND"],
+  [170, "DIMALT"],
+  [171, "DIMALTD"],
   [173, "DIMSAH"],
   [175, "DIMSOXD"],
   [176, "DIMCLRD"],
   [177, "DIMCLRE"],
   [178, "DIMCLRT"],
+  [179, "DIMADEC"],
   [271, "DIMDEC"],
+  [272, "DIMTDEC"],
+  [273, "DIMALTU"],
+  [275, "DIMAUNIT"],
+  [276, "DIMFRAC"],
+  [277, "DIMLUNIT"],
   [278, "DIMDSEP"],
   [281, "DIMSD1"],
   [282, "DIMSD2"],
+  [284, "DIMTZIN"],
+  [285, "DIMALTZ"],
+  [341, "DIMLDRBLK_HANDLE"],
+  [342, "DIMBLK_HANDLE"],
+  [343, "DIMBLK1_HANDLE"],
+  [344, "DIMBLK2_HANDLE"],
   [3, "DIMPOST"],
+  [4, "DIMAPOST"],
   [40, "DIMSCALE"],
   [41, "DIMASZ"],
   [42, "DIMEXO"],
   [44, "DIMEXE"],
   [45, "DIMRND"],
   [46, "DIMDLE"],
+  [47, "DIMTP"],
+  [48, "DIMTM"],
   [5, "DIMBLK"],
   [6, "DIMBLK1"],
   [7, "DIMBLK2"],
+  [71, "DIMTOL"],
+  [72, "DIMLIM"],
   [75, "DIMSE1"],
   [76, "DIMSE2"],
   [78, "DIMZIN"],
+  [79, "DIMAZIN"],
+  [90, "DIMARCSYM"],
 ]);
 
 export default codes;
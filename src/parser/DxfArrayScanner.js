@@ -4,20 +4,34 @@
  * Based off the AutoCad 2012 DXF Reference
  * http://images.autodesk.com/adsk/files/autocad_2012_pdf_dxf-reference_enu.pdf
  *
- * Reads through an array representing lines of a dxf file. Takes an array and
- * provides an easy interface to extract group code and value pairs.
- * @param data - an array where each element represents a line in the dxf file
+ * Reads through lines of a dxf file. Takes an array or a line source (e.g. DxfStreamTokenizer)
+ * and provides an easy interface to extract group code and value pairs. Line source is read
+ * lazily, only a few last groups are kept for rewinding. Binary DXF is read from a group source
+ * (DxfBinaryReader) which provides already parsed groups.
+ * @param data - an array where each element represents a line in the dxf file, or an object with
+ *  `nextLine()` method which returns next line or null when no more lines available, or an
+ *  object with `nextGroup()` method which returns next group or null.
  * @constructor
  */
 export default function DxfArrayScanner(data) {
-  this._pointer = 0;
-  this._data = data;
+  this._source = Array.isArray(data) ? new ArrayLineSource(data) : data;
+  /* Last read groups, most recent is the last one. */
+  this._history = [];
+  /* Number of groups in history to return before reading new ones. */
+  this._rewound = 0;
+  /* Group read ahead by hasNext(). */
+  this._pending = null;
+  /* Code line without value line at the end of input, for diagnostics. */
+  this._danglingCode = undefined;
   this._eof = false;
 }
 
+/** Maximal number of groups which can be rewound. */
+var MAX_REWIND = 8;
+
 /**
- * Gets the next group (code, value) from the array. A group is two consecutive elements
- * in the array. The first is the code, the second is the value.
+ * Gets the next group (code, value) from the source. A group is two consecutive lines. The first
+ * is the code, the second is the value.
  * @returns {{code: Number}|*}
  */
 DxfArrayScanner.prototype.next = function () {
@@ -26,20 +40,22 @@ DxfArrayScanner.prototype.next = function () {
     if (!this._eof)
       throw new Error(
         "Unexpected end of input: EOF group not read before end of file. Ended on code " +
-          this._data[this._pointer],
+          this._danglingCode,
       );
     else throw new Error("Cannot call 'next' after EOF group has been read");
   }
 
-  group = {
-    code: parseInt(this._data[this._pointer]),
-  };
-
-  this._pointer++;
-
-  group.value = parseGroupValue(group.code, this._data[this._pointer]);
-
-  this._pointer++;
+  if (this._rewound > 0) {
+    group = this._history[this._history.length - this._rewound];
+    this._rewound--;
+  } else {
+    group = this._pending;
+    this._pending = null;
+    this._history.push(group);
+    if (this._history.length > MAX_REWIND) {
+      this._history.shift();
+    }
+  }
 
   if (group.code === 0 && group.value === "EOF") this._eof = true;
 
@@ -53,27 +69,27 @@ DxfArrayScanner.prototype.peek = function () {
     if (!this._eof)
       throw new Error(
         "Unexpected end of input: EOF group not read before end of file. Ended on code " +
-          this._data[this._pointer],
+          this._danglingCode,
       );
     else throw new Error("Cannot call 'next' after EOF group has been read");
   }
 
-  var group = {
-    code: parseInt(this._data[this._pointer]),
-  };
-
-  group.value = parseGroupValue(group.code, this._data[this._pointer + 1]);
-
-  return group;
+  if (this._rewound > 0) {
+    return this._history[this._history.length - this._rewound];
+  }
+  return this._pending;
 };
 
 DxfArrayScanner.prototype.rewind = function (numberOfGroups) {
   numberOfGroups = numberOfGroups || 1;
-  this._pointer = this._pointer - numberOfGroups * 2;
+  if (this._rewound + numberOfGroups > this._history.length) {
+    throw new Error("Cannot rewind " + numberOfGroups + " groups");
+  }
+  this._rewound += numberOfGroups;
 };
 
 /**
- * Returns true if there is another code/value pair (2 elements in the array).
+ * Returns true if there is another code/value pair (2 lines available).
  * @returns {boolean}
  */
 DxfArrayScanner.prototype.hasNext = function () {
@@ -82,21 +98,72 @@ DxfArrayScanner.prototype.hasNext = function () {
     return false;
   }
 
-  // We need to be sure there are two lines available
-  if (this._pointer > this._data.length - 2) {
-    return false;
+  if (this._rewound > 0) {
+    return true;
+  }
+  if (this._pending === null) {
+    this._pending = this._readGroup();
   }
-  return true;
+  return this._pending !== null;
 };
 
 /**
- * Returns true if the scanner is at the end of the array
+ * Returns true if the scanner is at the end of the input
  * @returns {boolean}
  */
 DxfArrayScanner.prototype.isEOF = function () {
   return this._eof;
 };
 
+/**
+ * Returns true if the source is received up to the next 0 group which starts a new item, so the
+ * current item (section, entity, object) can be read. Only incrementally received source (see
+ * DxfStreamTokenizer) may return false.
+ * @returns {boolean}
+ */
+DxfArrayScanner.prototype.hasItem = function () {
+  return typeof this._source.hasItem !== "function" || this._source.hasItem();
+};
+
+/**
+ * Returns true if the source is received up to the end of the current section.
+ * @returns {boolean}
+ */
+DxfArrayScanner.prototype.hasSection = function () {
+  return typeof this._source.hasSection !== "function" || this._source.hasSection();
+};
+
+/** @returns {?{code: Number}} Next group from the source, null if two lines are not available. */
+DxfArrayScanner.prototype._readGroup = function () {
+  if (typeof this._source.nextGroup === "function") {
+    return this._source.nextGroup();
+  }
+  var codeLine = this._source.nextLine();
+  if (codeLine === null) {
+    return null;
+  }
+  var valueLine = this._source.nextLine();
+  if (valueLine === null) {
+    this._danglingCode = codeLine;
+    return null;
+  }
+  var code = parseInt(codeLine);
+  return { code: code, value: parseGroupValue(code, valueLine) };
+};
+
+/** Line source for an array of lines. */
+function ArrayLineSource(lines) {
+  this._lines = lines;
+  this._pointer = 0;
+}
+
+ArrayLineSource.prototype.nextLine = function () {
+  if (this._pointer >= this._lines.length) {
+    return null;
+  }
+  return this._lines[this._pointer++];
+};
+
 /**
  * Parse a value to its proper type.
  * See pages 3 - 10 of the AutoCad DXF 2012 reference given at the top of this file
@@ -0,0 +1,220 @@
+/**
+ * DxfBinaryReader
+ *
+ * Reads groups from binary DXF file. Produces the same {code, value} groups as text DXF parsing
+ * does, so it can be used as a group source for DxfArrayScanner.
+ *
+ * Binary DXF starts with the sentinel, followed by groups. Group code is 2-byte little-endian
+ * integer since R13, earlier versions use single byte codes with 255 value as escape for 2-byte
+ * extended codes. Value encoding is defined by the group code type.
+ *
+ * @param chunks {Uint8Array[]} File content chunks. They are merged into a single buffer, the array
+ *  elements are cleared.
+ * @param encoding {string} Encoding for string values.
+ * @param progressCbk {?Function} (processedSize, totalSize)
+ * @constructor
+ */
+export default function DxfBinaryReader(chunks, encoding = "utf-8", progressCbk = null) {
+  this._bytes = mergeChunks(chunks);
+  this._view = new DataView(this._bytes.buffer, this._bytes.byteOffset, this._bytes.byteLength);
+  this._decoder = new TextDecoder(encoding);
+  this._progressCbk = progressCbk;
+  this._lastProgressPos = 0;
+  this._pos = SENTINEL.length;
+  /* The first group is 0/SECTION, so the second byte is zero for 2-byte group codes. */
+  this._wideCodes = this._bytes[this._pos + 1] === 0;
+}
+
+var SENTINEL = "AutoCAD Binary DXF\r\n\x1a\0";
+
+/** Number of bytes needed to detect binary DXF by IsBinary(). */
+DxfBinaryReader.SentinelSize = SENTINEL.length;
+
+/** Report progress each time the specified number of bytes processed. */
+var PROGRESS_INTERVAL = 0x100000;
+
+var ValueType = Object.freeze({
+  STRING: 0,
+  DOUBLE: 1,
+  INT8: 2,
+  INT16: 3,
+  INT32: 4,
+  INT64: 5,
+  BOOL: 6,
+  BINARY: 7,
+});
+
+/**
+ * Check if the file content is binary DXF.
+ * @param chunks {(Uint8Array|string)[]} File content chunks.
+ * @returns {boolean} True if the content starts with binary DXF sentinel.
+ */
+DxfBinaryReader.IsBinary = function (chunks) {
+  var idx = 0;
+  for (var chunk of chunks) {
+    if (typeof chunk === "string") {
+      return false;
+    }
+    for (var i = 0; i < chunk.length; i++) {
+      if (chunk[i] !== SENTINEL.charCodeAt(idx)) {
+        return false;
+      }
+      if (++idx === SENTINEL.length) {
+        return true;
+      }
+    }
+  }
+  return false;
+};
+
+/**
+ * Read next group.
+ * @returns {?{code: Number}} Null if no more data.
+ */
+DxfBinaryReader.prototype.nextGroup = function () {
+  if (this._pos >= this._bytes.length) {
+    return null;
+  }
+  var code;
+  if (this._wideCodes) {
+    code = this._readInt(2);
+  } else {
+    code = this._bytes[this._pos++];
+    if (code === 255) {
+      code = this._readInt(2);
+    }
+  }
+  var value = this._readValue(code);
+
+  if (
+    this._progressCbk !== null &&
+    this._pos - this._lastProgressPos >= PROGRESS_INTERVAL
+  ) {
+    this._lastProgressPos = this._pos;
+    this._progressCbk(this._pos, this._bytes.length);
+  }
+  return { code: code, value: value };
+};
+
+DxfBinaryReader.prototype._readValue = function (code) {
+  var view = this._view;
+  var value;
+  switch (getValueType(code)) {
+    case ValueType.STRING:
+      var end = this._bytes.indexOf(0, this._pos);
+      if (end === -1) {
+        throw new Error("Unterminated string in binary DXF, group code " + code);
+      }
+      value = this._decoder.decode(this._bytes.subarray(this._pos, end));
+      this._pos = end + 1;
+      return value;
+    case ValueType.DOUBLE:
+      this._ensureAvailable(8);
+      value = view.getFloat64(this._pos, true);
+      this._pos += 8;
+      return value;
+    case ValueType.INT8:
+      return this._readInt(1);
+    case ValueType.INT16:
+      this._ensureAvailable(2);
+      value = view.getInt16(this._pos, true);
+      this._pos += 2;
+      return value;
+    case ValueType.INT32:
+      this._ensureAvailable(4);
+      value = view.getInt32(this._pos, true);
+      this._pos += 4;
+      return value;
+    case ValueType.INT64:
+      this._ensureAvailable(8);
+      value = Number(view.getBigInt64(this._pos, true));
+      this._pos += 8;
+      return value;
+    case ValueType.BOOL:
+      return this._readInt(1) !== 0;
+    case ValueType.BINARY:
+      /* Text DXF has binary chunks as hexadecimal strings. */
+      var size = this._readInt(1);
+      this._ensureAvailable(size);
+      value = "";
+      for (var i = 0; i < size; i++) {
+        value += this._bytes[this._pos + i].toString(16).toUpperCase().padStart(2, "0");
+      }
+      this._pos += size;
+      return value;
+    default:
+      /* Value size is unknown so the rest of the file cannot be read. */
+      throw new Error("Unsupported group code in binary DXF: " + code);
+  }
+};
+
+/** Read unsigned little-endian integer of the specified size in bytes. */
+DxfBinaryReader.prototype._readInt = function (size) {
+  this._ensureAvailable(size);
+  var value = size === 1 ? this._view.getUint8(this._pos) : this._view.getUint16(this._pos, true);
+  this._pos += size;
+  return value;
+};
+
+DxfBinaryReader.prototype._ensureAvailable = function (size) {
+  if (this._pos + size > this._bytes.length) {
+    throw new Error("Unexpected end of binary DXF data");
+  }
+};
+
+/**
+ * Value type of the group code in binary DXF. See "Group Code Value Types" in DXF reference.
+ * @param code
+ * @returns {?number} One of ValueType, null if unknown.
+ */
+function getValueType(code) {
+  if (code <= 9) return ValueType.STRING;
+  if (code >= 10 && code <= 59) return ValueType.DOUBLE;
+  if (code >= 60 && code <= 79) return ValueType.INT16;
+  if (code >= 90 && code <= 99) return ValueType.INT32;
+  if (code >= 100 && code <= 109) return ValueType.STRING;
+  if (code >= 110 && code <= 149) return ValueType.DOUBLE;
+  if (code >= 160 && code <= 169) return ValueType.INT64;
+  if (code >= 170 && code <= 179) return ValueType.INT16;
+  if (code >= 210 && code <= 239) return ValueType.DOUBLE;
+  if (code >= 270 && code <= 279) return ValueType.INT16;
+  if (code >= 280 && code <= 289) return ValueType.INT8;
+  if (code >= 290 && code <= 299) return ValueType.BOOL;
+  if (code >= 300 && code <= 309) return ValueType.STRING;
+  if (code >= 310 && code <= 319) return ValueType.BINARY;
+  if (code >= 320 && code <= 369) return ValueType.STRING;
+  if (code >= 370 && code <= 389) return ValueType.INT16;
+  if (code >= 390 && code <= 399) return ValueType.STRING;
+  if (code >= 400 && code <= 409) return ValueType.INT16;
+  if (code >= 410 && code <= 419) return ValueType.STRING;
+  if (code >= 420 && code <= 429) return ValueType.INT32;
+  if (code >= 430 && code <= 439) return ValueType.STRING;
+  if (code >= 440 && code <= 459) return ValueType.INT32;
+  if (code >= 460 && code <= 469) return ValueType.DOUBLE;
+  if (code >= 470 && code <= 481) return ValueType.STRING;
+  if (code === 999) return ValueType.STRING;
+  if (code === 1004) return ValueType.BINARY;
+  if (code >= 1000 && code <= 1009) return ValueType.STRING;
+  if (code >= 1010 && code <= 1059) return ValueType.DOUBLE;
+  if (code >= 1060 && code <= 1070) return ValueType.INT16;
+  if (code === 1071) return ValueType.INT32;
+  return null;
+}
+
+/** Merge chunks into single buffer, releasing them in the source array. */
+function mergeChunks(chunks) {
+  if (chunks.length === 1) {
+    var chunk = chunks[0];
+    chunks[0] = null;
+    return chunk;
+  }
+  var size = chunks.reduce((size, chunk) => size + chunk.length, 0);
+  var bytes = new Uint8Array(size);
+  var offset = 0;
+  for (var i = 0; i < chunks.length; i++) {
+    bytes.set(chunks[i], offset);
+    offset += chunks[i].length;
+    chunks[i] = null;
+  }
+  return bytes;
+}
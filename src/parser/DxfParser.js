@@ -4,23 +4,35 @@ import log from "loglevel";
 import AUTO_CAD_COLOR_INDEX from "./AutoCadColorIndex";
 import dimStyleCodes from "./DimStyleCodes";
 import DxfArrayScanner from "./DxfArrayScanner";
+import DxfBinaryReader from "./DxfBinaryReader";
+import DxfStreamTokenizer from "./DxfStreamTokenizer";
+import { getRawColor } from "./ParseHelpers";
 import Face from "./entities/3dface";
 import Arc from "./entities/arc";
+import ArcDimension from "./entities/arc_dimension";
 import AttDef from "./entities/attdef";
 import Attribute from "./entities/attribute";
 import Circle from "./entities/circle";
 import Dimension from "./entities/dimension";
 import Ellipse from "./entities/ellipse";
 import Hatch from "./entities/hatch";
+import Image from "./entities/image";
 import Insert from "./entities/insert";
+import Leader from "./entities/leader";
 import Line from "./entities/line";
 import LWPolyline from "./entities/lwpolyline";
+import MLeader from "./entities/mleader";
 import MText from "./entities/mtext";
 import Point from "./entities/point";
 import Polyline from "./entities/polyline";
+import Ray from "./entities/ray";
 import Solid from "./entities/solid";
 import Spline from "./entities/spline";
+import Table from "./entities/table";
 import Text from "./entities/text";
+import Viewport from "./entities/viewport";
+import Wipeout from "./entities/wipeout";
+import XLine from "./entities/xline";
 
 //log.setLevel('trace');
 //log.setLevel('debug');
@@ -33,21 +45,30 @@ function registerDefaultEntityHandlers(dxfParser) {
   // Supported entities here (some entity code is still being refactored into this flow)
   dxfParser.registerEntityHandler(Face);
   dxfParser.registerEntityHandler(Arc);
+  dxfParser.registerEntityHandler(ArcDimension);
   dxfParser.registerEntityHandler(AttDef);
   dxfParser.registerEntityHandler(Attribute);
   dxfParser.registerEntityHandler(Circle);
   dxfParser.registerEntityHandler(Dimension);
   dxfParser.registerEntityHandler(Ellipse);
+  dxfParser.registerEntityHandler(Image);
   dxfParser.registerEntityHandler(Insert);
+  dxfParser.registerEntityHandler(Leader);
   dxfParser.registerEntityHandler(Line);
   dxfParser.registerEntityHandler(LWPolyline);
+  dxfParser.registerEntityHandler(MLeader);
   dxfParser.registerEntityHandler(MText);
   dxfParser.registerEntityHandler(Point);
   dxfParser.registerEntityHandler(Polyline);
+  dxfParser.registerEntityHandler(Ray);
   dxfParser.registerEntityHandler(Solid);
   dxfParser.registerEntityHandler(Spline);
+  dxfParser.registerEntityHandler(Table);
   dxfParser.registerEntityHandler(Text);
   dxfParser.registerEntityHandler(Hatch);
+  dxfParser.registerEntityHandler(Viewport);
+  dxfParser.registerEntityHandler(Wipeout);
+  dxfParser.registerEntityHandler(XLine);
   //dxfParser.registerEntityHandler(require('./entities/vertex'));
 }
 
@@ -66,17 +87,45 @@ DxfParser.prototype.registerEntityHandler = function (handlerType) {
   this._entityHandlers[handlerType.ForEntityName] = instance;
 };
 
-DxfParser.prototype.parseSync = function (source) {
+/**
+ * @param source {string|ArrayBuffer|ArrayBufferView} DXF file content. Binary content may be
+ *  either text or binary DXF.
+ * @param encoding {string} Encoding for binary content.
+ */
+DxfParser.prototype.parseSync = function (source, encoding = "utf-8") {
   if (typeof source === "string") {
-    return this._parse(source);
+    return this._parse(new DxfStreamTokenizer([source]));
+  } else if (source instanceof ArrayBuffer) {
+    return this.parseChunksSync([new Uint8Array(source)], encoding);
+  } else if (ArrayBuffer.isView(source)) {
+    return this.parseChunksSync(
+      [new Uint8Array(source.buffer, source.byteOffset, source.byteLength)],
+      encoding,
+    );
   } else {
     console.error("Cannot read DXF source of type `" + typeof source);
     return null;
   }
 };
 
+/**
+ * Parse DXF file content received in chunks. Chunks are decoded and tokenized incrementally and
+ * released once consumed, so the whole file text is never kept in memory. Binary DXF is detected
+ * by its sentinel, its chunks are merged into a single buffer.
+ * @param chunks {(Uint8Array|string)[]} File content chunks, the array elements are cleared
+ *  during parsing.
+ * @param encoding {string} Encoding for binary chunks.
+ * @param progressCbk {?Function} (processedSize, totalSize)
+ */
+DxfParser.prototype.parseChunksSync = function (chunks, encoding = "utf-8", progressCbk = null) {
+  if (DxfBinaryReader.IsBinary(chunks)) {
+    return this._parse(new DxfBinaryReader(chunks, encoding, progressCbk));
+  }
+  return this._parse(new DxfStreamTokenizer(chunks, encoding, progressCbk));
+};
+
 DxfParser.prototype.parseStream = function (stream, done) {
-  var dxfString = "";
+  var chunks = [];
   var self = this;
 
   stream.on("data", onData);
@@ -84,12 +133,12 @@ DxfParser.prototype.parseStream = function (stream, done) {
   stream.on("error", onError);
 
   function onData(chunk) {
-    dxfString += chunk;
+    chunks.push(chunk);
   }
 
   function onEnd() {
     try {
-      var dxf = self._parse(dxfString);
+      var dxf = self.parseChunksSync(chunks);
     } catch (err) {
       return done(err);
     }
@@ -101,23 +150,127 @@ DxfParser.prototype.parseStream = function (stream, done) {
   }
 };
 
-DxfParser.prototype._parse = function (dxfString) {
+/**
+ * Create parser for DXF file content which is being received in chunks, e.g. from a network
+ * stream. Text DXF is tokenized and parsed as the chunks are pushed, so that parsing overlaps
+ * receiving and only the content which is not parsed yet is kept in memory. Binary DXF is detected
+ * by its sentinel and buffered until all chunks are received.
+ * @param encoding {string} Encoding for binary chunks.
+ * @param progressCbk {?Function} (processedSize, totalSize) called while parsing, sizes are in
+ *  bytes. Text DXF progress is reported as the received chunks are parsed, binary DXF progress
+ *  is reported by `finish()`.
+ * @param totalSize {?number} Expected content size, size received so far is reported if unknown.
+ * @return {{push: function(Uint8Array), finish: function(): Object}} Call `push()` for each
+ *  received chunk, then `finish()` which returns the parsed DXF.
+ */
+DxfParser.prototype.createIncrementalParser = function (
+  encoding = "utf-8",
+  progressCbk = null,
+  totalSize = null,
+) {
+  var self = this;
+  /* Chunks received before the content type is detected, and binary DXF chunks. */
+  var chunks = [];
+  var receivedSize = 0;
+  var isBinary = null;
+  var tokenizer = null;
+  var parsing = null;
+  var result = null;
+
+  return {
+    push: function (chunk) {
+      if (isBinary === null) {
+        chunks.push(chunk);
+        receivedSize += chunk.length;
+        if (receivedSize < DxfBinaryReader.SentinelSize) {
+          return;
+        }
+        isBinary = DxfBinaryReader.IsBinary(chunks);
+        if (isBinary) {
+          return;
+        }
+        tokenizer = new DxfStreamTokenizer(
+          [],
+          encoding,
+          progressCbk !== null
+            ? function (processedSize, pushedSize) {
+                progressCbk(processedSize, totalSize || pushedSize);
+              }
+            : null,
+          false,
+        );
+        for (var receivedChunk of chunks) {
+          tokenizer.push(receivedChunk);
+        }
+        chunks = null;
+        parsing = self._parseIncrementally(tokenizer);
+      } else if (isBinary) {
+        chunks.push(chunk);
+        return;
+      } else {
+        tokenizer.push(chunk);
+      }
+      /* Parse all received items, finished parsing means EOF group is read. */
+      if (result === null || !result.done) {
+        result = parsing.next();
+      }
+    },
+
+    finish: function () {
+      if (tokenizer === null) {
+        return self.parseChunksSync(chunks, encoding, progressCbk);
+      }
+      tokenizer.finish();
+      while (!result.done) {
+        result = parsing.next();
+      }
+      return result.value;
+    },
+  };
+};
+
+/** @param source {DxfStreamTokenizer|DxfBinaryReader} */
+DxfParser.prototype._parse = function (source) {
+  var parsing = this._parseIncrementally(source);
+  var result;
+  /* Parsing of complete source is not suspended, it finishes in a single step. */
+  do {
+    result = parsing.next();
+  } while (!result.done);
+  return result.value;
+};
+
+/**
+ * Parse the source, parsing is suspended (the generator yields) until the next item is received
+ * when the source is received incrementally.
+ * @param source {DxfStreamTokenizer|DxfBinaryReader}
+ * @return {Generator<undefined, Object>} Returns the parsed DXF.
+ */
+DxfParser.prototype._parseIncrementally = function* (source) {
   var scanner,
     curr,
-    dxf = {},
+    /* Handle lookup of entities, blocks, table records and objects, used to resolve soft and
+     * hard pointers (groups 330-369).
+     */
+    dxf = { objectsByHandle: {} },
     lastHandle = 0;
-  var dxfLinesArray = dxfString.split(/\r\n|\r|\n/g);
 
-  scanner = new DxfArrayScanner(dxfLinesArray);
+  scanner = new DxfArrayScanner(source);
+  while (!scanner.hasItem()) {
+    yield;
+  }
   if (!scanner.hasNext()) {
     throw Error("Empty file");
   }
 
   var self = this;
 
-  var parseAll = function () {
+  var parseAll = function* () {
     curr = scanner.next();
     while (!scanner.isEOF()) {
+      while (!scanner.hasItem()) {
+        yield;
+      }
       if (curr.code === 0 && curr.value === "SECTION") {
         curr = scanner.next();
 
@@ -128,22 +281,33 @@ DxfParser.prototype._parse = function (dxfString) {
           continue;
         }
 
+        if (curr.value === "HEADER" || curr.value === "TABLES") {
+          /* These sections are small, they are parsed when received completely. */
+          while (!scanner.hasSection()) {
+            yield;
+          }
+        }
+
         if (curr.value === "HEADER") {
           log.debug("> HEADER");
           dxf.header = parseHeader();
           log.debug("<");
         } else if (curr.value === "BLOCKS") {
           log.debug("> BLOCKS");
-          dxf.blocks = parseBlocks();
+          dxf.blocks = yield* parseBlocks();
           log.debug("<");
         } else if (curr.value === "ENTITIES") {
           log.debug("> ENTITIES");
-          dxf.entities = parseEntities(false);
+          dxf.entities = yield* parseEntities(false);
           log.debug("<");
         } else if (curr.value === "TABLES") {
           log.debug("> TABLES");
           dxf.tables = parseTables();
           log.debug("<");
+        } else if (curr.value === "OBJECTS") {
+          log.debug("> OBJECTS");
+          dxf.objects = yield* parseObjects();
+          log.debug("<");
         } else if (curr.value === "EOF") {
           log.debug("EOF");
         } else {
@@ -204,22 +368,26 @@ DxfParser.prototype._parse = function (dxfString) {
   /**
    *
    */
-  var parseBlocks = function () {
+  var parseBlocks = function* () {
     var blocks = {},
       block;
 
     curr = scanner.next();
 
     while (curr.value !== "EOF") {
+      while (!scanner.hasItem()) {
+        yield;
+      }
       if (groupIs(0, "ENDSEC")) {
         break;
       }
 
       if (groupIs(0, "BLOCK")) {
         log.debug("block {");
-        block = parseBlock();
+        block = yield* parseBlock();
         log.debug("}");
         ensureHandle(block);
+        registerHandle(block);
         if (!block.name)
           log.error(
             'block with handle "' + block.handle + '" is missing a name.',
@@ -233,7 +401,7 @@ DxfParser.prototype._parse = function (dxfString) {
     return blocks;
   };
 
-  var parseBlock = function () {
+  var parseBlock = function* () {
     var block = {};
     curr = scanner.next();
 
@@ -290,7 +458,7 @@ DxfParser.prototype._parse = function (dxfString) {
           break;
         case 0:
           if (curr.value == "ENDBLK") break;
-          block.entities = parseEntities(true);
+          block.entities = yield* parseEntities(true);
           break;
         default:
           logUnhandledGroup(curr);
@@ -298,6 +466,9 @@ DxfParser.prototype._parse = function (dxfString) {
       }
 
       if (groupIs(0, "ENDBLK")) {
+        while (!scanner.hasItem()) {
+          yield;
+        }
         curr = scanner.next();
         break;
       }
@@ -336,6 +507,422 @@ DxfParser.prototype._parse = function (dxfString) {
     return tables;
   };
 
+  /**
+   * Parse OBJECTS section. Each object has "type", "handle" and "ownerHandle" properties.
+   * DICTIONARY, LAYOUT, GROUP, IMAGEDEF, XRECORD and MLEADERSTYLE objects are parsed into
+   * specific properties, other objects keep the rest of their groups in "groups" array of
+   * `{code, value}` entries. Soft and hard pointers (groups 330-369) hold handles which can be
+   * resolved by `dxf.objectsByHandle` lookup.
+   * @return {Object} Object with "dictionaries", "layouts", "groups", "imageDefs", "xrecords"
+   *  and "mleaderStyles" properties, all indexed by handle, and "rootDictionary" property with
+   *  the named object dictionary handle.
+   */
+  var parseObjects = function* () {
+    var objects = {
+      rootDictionary: null,
+      dictionaries: {},
+      layouts: {},
+      groups: {},
+      imageDefs: {},
+      xrecords: {},
+      mleaderStyles: {},
+    };
+    curr = scanner.next();
+    while (!scanner.isEOF()) {
+      while (!scanner.hasItem()) {
+        yield;
+      }
+      if (groupIs(0, "ENDSEC")) break;
+
+      if (curr.code !== 0) {
+        curr = scanner.next();
+        continue;
+      }
+      var type = curr.value,
+        object;
+      if (type === "DICTIONARY") {
+        object = parseDictionary();
+        ensureHandle(object);
+        /* The first dictionary is the root one. */
+        if (objects.rootDictionary === null) {
+          objects.rootDictionary = object.handle;
+        }
+        objects.dictionaries[object.handle] = object;
+      } else if (type === "LAYOUT") {
+        object = parseLayout();
+        ensureHandle(object);
+        objects.layouts[object.handle] = object;
+      } else if (type === "GROUP") {
+        object = parseGroup();
+        ensureHandle(object);
+        objects.groups[object.handle] = object;
+      } else if (type === "IMAGEDEF") {
+        object = parseImageDef();
+        ensureHandle(object);
+        objects.imageDefs[object.handle] = object;
+      } else if (type === "XRECORD") {
+        object = parseXRecord();
+        ensureHandle(object);
+        objects.xrecords[object.handle] = object;
+      } else if (type === "MLEADERSTYLE") {
+        object = parseMLeaderStyle();
+        ensureHandle(object);
+        objects.mleaderStyles[object.handle] = object;
+      } else {
+        object = parseGenericObject();
+        ensureHandle(object);
+      }
+      object.type = type;
+      registerHandle(object);
+    }
+    curr = scanner.next(); // swallow up ENDSEC
+    return objects;
+  };
+
+  /**
+   * Skip application-defined group (started by group 102 with "{" value) if the current group
+   * starts it.
+   * @return {boolean} True if the group was skipped.
+   */
+  var skipApplicationGroup = function () {
+    if (curr.code !== 102 || !String(curr.value).startsWith("{")) {
+      return false;
+    }
+    do {
+      curr = scanner.next();
+    } while (curr.code !== 102 && curr.code !== 0);
+    if (curr.code === 0) {
+      scanner.rewind();
+    }
+    return true;
+  };
+
+  var parseDictionary = function () {
+    var dictionary = { entries: {} },
+      entryName = null;
+
+    curr = scanner.next();
+    while (curr.code !== 0) {
+      if (skipApplicationGroup()) {
+        curr = scanner.next();
+        continue;
+      }
+      switch (curr.code) {
+        case 5:
+          dictionary.handle = curr.value;
+          break;
+        case 330:
+          dictionary.ownerHandle = curr.value;
+          break;
+        case 3: // entry name
+          entryName = curr.value;
+          break;
+        case 350: // soft-owner entry handle
+        case 360: // hard-owner entry handle
+          if (entryName !== null) {
+            dictionary.entries[entryName] = curr.value;
+            entryName = null;
+          }
+          break;
+        default:
+          logUnhandledGroup(curr);
+      }
+      curr = scanner.next();
+    }
+    return dictionary;
+  };
+
+  /** Parse object of type without specific handler, all its groups are kept. */
+  var parseGenericObject = function () {
+    var object = { groups: [] };
+
+    curr = scanner.next();
+    while (curr.code !== 0) {
+      if (skipApplicationGroup()) {
+        curr = scanner.next();
+        continue;
+      }
+      if (curr.code === 5) {
+        object.handle = curr.value;
+      } else if (curr.code === 330 && !object.hasOwnProperty("ownerHandle")) {
+        /* The first one is the owner, others are object-specific pointers. */
+        object.ownerHandle = curr.value;
+      } else {
+        object.groups.push({ code: curr.code, value: curr.value });
+      }
+      curr = scanner.next();
+    }
+    return object;
+  };
+
+  var parseGroup = function () {
+    var group = { entities: [] };
+
+    curr = scanner.next();
+    while (curr.code !== 0) {
+      if (skipApplicationGroup()) {
+        curr = scanner.next();
+        continue;
+      }
+      switch (curr.code) {
+        case 5:
+          group.handle = curr.value;
+          break;
+        case 330:
+          group.ownerHandle = curr.value;
+          break;
+        case 300:
+          group.description = curr.value;
+          break;
+        case 70:
+          group.isUnnamed = curr.value !== 0;
+          break;
+        case 71:
+          group.isSelectable = curr.value !== 0;
+          break;
+        case 340: // entity in group
+          group.entities.push(curr.value);
+          break;
+        default:
+          logUnhandledGroup(curr);
+      }
+      curr = scanner.next();
+    }
+    return group;
+  };
+
+  var parseImageDef = function () {
+    var imageDef = {};
+
+    curr = scanner.next();
+    while (curr.code !== 0) {
+      if (skipApplicationGroup()) {
+        curr = scanner.next();
+        continue;
+      }
+      switch (curr.code) {
+        case 5:
+          imageDef.handle = curr.value;
+          break;
+        case 330:
+          imageDef.ownerHandle = curr.value;
+          break;
+        case 1: // file name
+          imageDef.fileName = curr.value;
+          break;
+        case 10: // image size, pixels
+          imageDef.size = parsePoint();
+          break;
+        case 11: // default size of one pixel, drawing units
+          imageDef.pixelSize = parsePoint();
+          break;
+        case 280:
+          imageDef.isLoaded = curr.value !== 0;
+          break;
+        case 281: // 0 = no units, 2 = centimeters, 5 = inch
+          imageDef.resolutionUnits = curr.value;
+          break;
+        default:
+          logUnhandledGroup(curr);
+      }
+      curr = scanner.next();
+    }
+    return imageDef;
+  };
+
+  var parseXRecord = function () {
+    var xrecord = { data: [] },
+      isDataSubclass = false;
+
+    curr = scanner.next();
+    while (curr.code !== 0) {
+      /* Any group may appear in the data, so common groups are recognized only before the
+       * AcDbXrecord subclass marker.
+       */
+      if (isDataSubclass) {
+        /* Duplicate record cloning flag precedes the data. */
+        if (curr.code === 280 && xrecord.data.length === 0 && !("cloningFlag" in xrecord)) {
+          xrecord.cloningFlag = curr.value;
+        } else {
+          xrecord.data.push({ code: curr.code, value: curr.value });
+        }
+        curr = scanner.next();
+        continue;
+      }
+      if (skipApplicationGroup()) {
+        curr = scanner.next();
+        continue;
+      }
+      switch (curr.code) {
+        case 5:
+          xrecord.handle = curr.value;
+          break;
+        case 330:
+          xrecord.ownerHandle = curr.value;
+          break;
+        case 100:
+          isDataSubclass = curr.value === "AcDbXrecord";
+          break;
+        default:
+          logUnhandledGroup(curr);
+      }
+      curr = scanner.next();
+    }
+    return xrecord;
+  };
+
+  var parseLayout = function () {
+    var layout = {},
+      subclass = null;
+
+    curr = scanner.next();
+    while (curr.code !== 0) {
+      if (skipApplicationGroup()) {
+        curr = scanner.next();
+        continue;
+      }
+      switch (curr.code) {
+        case 5:
+          layout.handle = curr.value;
+          break;
+        case 100:
+          subclass = curr.value;
+          break;
+        case 330:
+          if (subclass === "AcDbLayout") {
+            // paper space block record
+            layout.blockRecordHandle = curr.value;
+          } else {
+            layout.ownerHandle = curr.value;
+          }
+          break;
+        case 331:
+          layout.lastActiveViewportHandle = curr.value;
+          break;
+        case 1:
+          if (subclass === "AcDbLayout") {
+            layout.name = curr.value;
+          } else {
+            layout.pageSetupName = curr.value;
+          }
+          break;
+        case 44: // paper width, millimeters
+          layout.paperWidth = curr.value;
+          break;
+        case 45: // paper height, millimeters
+          layout.paperHeight = curr.value;
+          break;
+        case 70:
+          if (subclass === "AcDbLayout") {
+            layout.flags = curr.value;
+          } else {
+            layout.plotFlags = curr.value;
+          }
+          break;
+        case 71:
+          layout.tabOrder = curr.value;
+          break;
+        case 73: // plot rotation
+          layout.plotRotation = curr.value;
+          break;
+        case 10:
+          layout.minLimits = parsePoint();
+          break;
+        case 11:
+          layout.maxLimits = parsePoint();
+          break;
+        case 12:
+          layout.insertionBase = parsePoint();
+          break;
+        case 14:
+          layout.minExtents = parsePoint();
+          break;
+        case 15:
+          layout.maxExtents = parsePoint();
+          break;
+        default:
+          logUnhandledGroup(curr);
+      }
+      curr = scanner.next();
+    }
+    return layout;
+  };
+
+  var parseMLeaderStyle = function () {
+    var style = {};
+
+    curr = scanner.next();
+    while (curr.code !== 0) {
+      if (skipApplicationGroup()) {
+        curr = scanner.next();
+        continue;
+      }
+      switch (curr.code) {
+        case 5:
+          style.handle = curr.value;
+          break;
+        case 330:
+          style.ownerHandle = curr.value;
+          break;
+        case 3:
+          style.description = curr.value;
+          break;
+        case 170: // 0 = none, 1 = block, 2 = MTEXT, 3 = tolerance
+          style.contentType = curr.value;
+          break;
+        case 173: // 0 = invisible, 1 = straight, 2 = spline
+          style.leaderLineType = curr.value;
+          break;
+        case 91:
+          style.leaderLineColor = getRawColor(curr.value);
+          break;
+        case 290:
+          style.enableLanding = curr.value;
+          break;
+        case 42:
+          style.landingGap = curr.value;
+          break;
+        case 291:
+          style.enableDogleg = curr.value;
+          break;
+        case 43:
+          style.doglegLength = curr.value;
+          break;
+        case 341: // arrowhead block record
+          style.arrowHeadHandle = curr.value;
+          break;
+        case 44:
+          style.arrowHeadSize = curr.value;
+          break;
+        case 300:
+          style.defaultText = curr.value;
+          break;
+        case 342: // text style
+          style.textStyleHandle = curr.value;
+          break;
+        case 93:
+          style.textColor = getRawColor(curr.value);
+          break;
+        case 45:
+          style.textHeight = curr.value;
+          break;
+        case 343: // block content block record
+          style.blockContentHandle = curr.value;
+          break;
+        case 94:
+          style.blockContentColor = getRawColor(curr.value);
+          break;
+        case 142:
+          style.scale = curr.value;
+          break;
+        default:
+          logUnhandledGroup(curr);
+      }
+      curr = scanner.next();
+    }
+    return style;
+  };
+
   const END_OF_TABLE_VALUE = "ENDTAB";
 
   var parseTable = function () {
@@ -382,8 +969,12 @@ DxfParser.prototype._parse = function (dxfString) {
           curr = scanner.next();
       }
     }
+    registerHandle(table);
     var tableRecords = table[tableDefinition.tableRecordsProperty];
     if (tableRecords) {
+      for (var record of Object.values(tableRecords)) {
+        registerHandle(record);
+      }
       if (tableRecords.constructor === Array) {
         actualCount = tableRecords.length;
       } else if (typeof tableRecords === "object") {
@@ -409,6 +1000,10 @@ DxfParser.prototype._parse = function (dxfString) {
     curr = scanner.next();
     while (!groupIs(0, END_OF_TABLE_VALUE)) {
       switch (curr.code) {
+        case 5:
+          viewPort.handle = curr.value;
+          curr = scanner.next();
+          break;
         case 2: // layer name
           viewPort.name = curr.value;
           curr = scanner.next();
@@ -546,6 +1141,10 @@ DxfParser.prototype._parse = function (dxfString) {
     curr = scanner.next();
     while (!groupIs(0, "ENDTAB")) {
       switch (curr.code) {
+        case 5:
+          ltype.handle = curr.value;
+          curr = scanner.next();
+          break;
         case 2:
           ltype.name = curr.value;
           ltypeName = curr.value;
@@ -597,6 +1196,10 @@ DxfParser.prototype._parse = function (dxfString) {
     curr = scanner.next();
     while (!groupIs(0, "ENDTAB")) {
       switch (curr.code) {
+        case 5: // handle
+          layer.handle = curr.value;
+          curr = scanner.next();
+          break;
         case 2: // layer name
           layer.name = curr.value;
           layerName = curr.value;
@@ -609,8 +1212,18 @@ DxfParser.prototype._parse = function (dxfString) {
           layer.color = getAcadColor(layer.colorIndex);
           curr = scanner.next();
           break;
-        case 70: // frozen layer
-          layer.frozen = (curr.value & 1) !== 0 || (curr.value & 2) !== 0;
+        case 6: // line type name
+          layer.lineType = curr.value;
+          curr = scanner.next();
+          break;
+        case 370: // lineweight, hundredths of millimeter
+          layer.lineweight = curr.value;
+          curr = scanner.next();
+          break;
+        case 70: // standard flags
+          /* Bit 2 means frozen by default in new viewports only. */
+          layer.frozen = (curr.value & 1) !== 0;
+          layer.locked = (curr.value & 4) !== 0;
           curr = scanner.next();
           break;
         case 420: // TrueColor Color
@@ -655,6 +1268,10 @@ DxfParser.prototype._parse = function (dxfString) {
         curr = scanner.next();
       } else {
         switch (curr.code) {
+          case 105: // handle, DIMSTYLE uses group 105 instead of 5
+            style.handle = curr.value;
+            curr = scanner.next();
+            break;
           case 2: // style name
             style.name = curr.value;
             styleName = curr.value;
@@ -695,6 +1312,10 @@ DxfParser.prototype._parse = function (dxfString) {
     curr = scanner.next();
     while (!groupIs(0, END_OF_TABLE_VALUE)) {
       switch (curr.code) {
+        case 5:
+          style.handle = curr.value;
+          curr = scanner.next();
+          break;
         case 100:
           style.subClassMarker = curr.value;
           curr = scanner.next();
@@ -761,6 +1382,57 @@ DxfParser.prototype._parse = function (dxfString) {
     return styles;
   };
 
+  var parseBlockRecords = function () {
+    var blockRecords = {},
+      blockRecordName,
+      blockRecord = {};
+
+    log.debug("BlockRecord {");
+    curr = scanner.next();
+    while (!groupIs(0, END_OF_TABLE_VALUE)) {
+      if (skipApplicationGroup()) {
+        curr = scanner.next();
+        continue;
+      }
+      switch (curr.code) {
+        case 5:
+          blockRecord.handle = curr.value;
+          curr = scanner.next();
+          break;
+        case 330:
+          blockRecord.ownerHandle = curr.value;
+          curr = scanner.next();
+          break;
+        case 2: // block name
+          blockRecord.name = curr.value;
+          blockRecordName = curr.value;
+          curr = scanner.next();
+          break;
+        case 340: // associated LAYOUT object handle, paper space block records only
+          blockRecord.layoutHandle = curr.value;
+          curr = scanner.next();
+          break;
+        case 0:
+          if (curr.value === "BLOCK_RECORD") {
+            log.debug("}");
+            blockRecords[blockRecordName] = blockRecord;
+            log.debug("BlockRecord {");
+            blockRecord = {};
+            blockRecordName = undefined;
+            curr = scanner.next();
+          }
+          break;
+        default:
+          logUnhandledGroup(curr);
+          curr = scanner.next();
+          break;
+      }
+    }
+    log.debug("}");
+    blockRecords[blockRecordName] = blockRecord;
+    return blockRecords;
+  };
+
   var tableDefinitions = {
     VPORT: {
       tableRecordsProperty: "viewPorts",
@@ -792,6 +1464,12 @@ DxfParser.prototype._parse = function (dxfString) {
       dxfSymbolName: "STYLE",
       parseTableRecords: parseStyles,
     },
+    BLOCK_RECORD: {
+      tableRecordsProperty: "blockRecords",
+      tableName: "blockRecord",
+      dxfSymbolName: "BLOCK_RECORD",
+      parseTableRecords: parseBlockRecords,
+    },
   };
 
   /**
@@ -799,8 +1477,10 @@ DxfParser.prototype._parse = function (dxfString) {
    * should be on the start of the first entity already.
    * @return {Array} the resulting entities
    */
-  var parseEntities = function (forBlock) {
+  var parseEntities = function* (forBlock) {
     var entities = [];
+    /* INSERT which attributes are currently read. */
+    var lastInsert = null;
 
     var endingOnValue = forBlock ? "ENDBLK" : "ENDSEC";
 
@@ -808,10 +1488,19 @@ DxfParser.prototype._parse = function (dxfString) {
       curr = scanner.next();
     }
     while (true) {
+      while (!scanner.hasItem()) {
+        yield;
+      }
       if (curr.code === 0) {
         if (curr.value === endingOnValue) {
           break;
         }
+        if (curr.value === "SEQEND") {
+          // end of INSERT attributes
+          lastInsert = null;
+          curr = scanner.next();
+          continue;
+        }
 
         var entity;
         var handler = self._entityHandlers[curr.value];
@@ -826,6 +1515,21 @@ DxfParser.prototype._parse = function (dxfString) {
           continue;
         }
         ensureHandle(entity);
+        registerHandle(entity);
+        if (entity.type === "INSERT") {
+          lastInsert = entity;
+        } else if (entity.type === "ATTRIB" && lastInsert !== null) {
+          // attributes follow their INSERT, owner handle is missing in R12 files
+          if (!lastInsert.attribs) {
+            lastInsert.attribs = [];
+          }
+          lastInsert.attribs.push(entity);
+          if (entity.ownerHandle === undefined) {
+            entity.ownerHandle = lastInsert.handle;
+          }
+        } else {
+          lastInsert = null;
+        }
         entities.push(entity);
       } else {
         // ignored lines from unsupported entity
@@ -884,7 +1588,14 @@ DxfParser.prototype._parse = function (dxfString) {
     }
   };
 
-  parseAll();
+  /** Add the item to `dxf.objectsByHandle` lookup if it has a handle. */
+  var registerHandle = function (item) {
+    if (item && item.handle !== undefined) {
+      dxf.objectsByHandle[item.handle] = item;
+    }
+  };
+
+  yield* parseAll();
   return dxf;
 };
 
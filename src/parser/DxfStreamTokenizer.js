@@ -0,0 +1,221 @@
+/**
+ * DxfStreamTokenizer
+ *
+ * Splits DXF file content into lines incrementally. Chunks are decoded only when the lines are
+ * requested, so neither the whole file text nor an array of all its lines is ever allocated.
+ * Consumed chunks are released, so memory occupied by the source shrinks while the parsed result
+ * grows. Used as a line source for DxfArrayScanner.
+ *
+ * Content may also be received incrementally, in this case more chunks are added by `push()` and
+ * `finish()` is called after the last one. Received chunks are decoded immediately and scanned
+ * for 0 groups, so that the parser can be suspended until the item it is going to read (section,
+ * entity, object) is received completely, see `hasItem()` and `hasSection()`.
+ *
+ * @param chunks {(Uint8Array|string)[]} File content chunks. Binary chunks are decoded by
+ *  TextDecoder, string chunks are used as is. Array elements are cleared once consumed.
+ * @param encoding {string} Encoding for binary chunks.
+ * @param progressCbk {?Function} (processedSize, totalSize) called each time a chunk is consumed.
+ *  Size is in bytes for binary chunks and in characters for string chunks. Total size of pushed
+ *  chunks is the size received so far.
+ * @param isComplete {boolean} False if more chunks are added by `push()`.
+ * @constructor
+ */
+export default function DxfStreamTokenizer(
+  chunks,
+  encoding = "utf-8",
+  progressCbk = null,
+  isComplete = true,
+) {
+  this._chunks = chunks;
+  this._chunkIdx = 0;
+  this._encoding = encoding;
+  this._decoder = null;
+  this._progressCbk = progressCbk;
+  this._processedSize = 0;
+  this._totalSize = chunks.reduce((size, chunk) => size + chunk.length, 0);
+  /* Received size of pushed chunks (they are stored decoded), indexed as `_chunks`. */
+  this._pushedSizes = isComplete ? null : [];
+  /* Decoded text which is not yet split, starting from `_pos`. */
+  this._text = "";
+  this._pos = 0;
+  /* Offset of `_text` start in the whole decoded content. */
+  this._textOffset = 0;
+  /* Set when the last line is returned. */
+  this._done = false;
+  this._isComplete = isComplete;
+  /* Received text which is not yet scanned, it starts with incomplete line. */
+  this._scanText = "";
+  /* Offset of `_scanText` start in the whole decoded content. */
+  this._scanOffset = 0;
+  /* True if the next scanned line is group code. */
+  this._isCodeLine = true;
+  /* Offset of the last scanned line if it is 0 group code, otherwise -1. */
+  this._zeroCodeOffset = -1;
+  /* Offsets of the last completely received 0 group which ends an item, and of the last such
+   * group following ENDSEC (section parsing reads one group past ENDSEC).
+   */
+  this._itemEndOffset = -1;
+  this._sectionEndOffset = -1;
+  this._isSectionEnd = false;
+}
+
+var LINE_END = /\r\n|\r|\n/g;
+
+/** Values of 0 groups which continue the preceding entity rather than start a new item. */
+var NESTED_ENTITIES = new Set(["VERTEX", "SEQEND"]);
+
+/**
+ * Get next line of the file. Line terminators are the same as for `String.split(/\r\n|\r|\n/)`,
+ * including empty last line after terminating line break.
+ * @returns {?string} Line content without terminator, null if no more lines.
+ */
+DxfStreamTokenizer.prototype.nextLine = function () {
+  while (!this._done) {
+    LINE_END.lastIndex = this._pos;
+    var match = LINE_END.exec(this._text);
+    var hasMoreChunks = this._chunkIdx < this._chunks.length;
+    if (
+      match !== null &&
+      /* CR may be followed by LF in the next chunk. */
+      !(
+        (hasMoreChunks || !this._isComplete) &&
+        match[0] === "\r" &&
+        match.index === this._text.length - 1
+      )
+    ) {
+      var line = this._text.slice(this._pos, match.index);
+      this._pos = match.index + match[0].length;
+      return line;
+    }
+    if (hasMoreChunks) {
+      this._readChunk();
+      continue;
+    }
+    if (!this._isComplete) {
+      throw new Error("DXF content is read before it is received");
+    }
+    this._done = true;
+    var lastLine = this._text.slice(this._pos);
+    this._text = "";
+    this._pos = 0;
+    return lastLine;
+  }
+  return null;
+};
+
+/**
+ * Add received chunk, the tokenizer should be created with `isComplete` set to false.
+ * @param chunk {Uint8Array|string}
+ */
+DxfStreamTokenizer.prototype.push = function (chunk) {
+  var text;
+  if (typeof chunk === "string") {
+    text = chunk;
+  } else {
+    if (this._decoder === null) {
+      this._decoder = new TextDecoder(this._encoding);
+    }
+    text = this._decoder.decode(chunk, { stream: true });
+  }
+  this._chunks.push(text);
+  this._pushedSizes.push(chunk.length);
+  this._totalSize += chunk.length;
+  this._scan(text);
+};
+
+/** Indicate that all chunks are received. */
+DxfStreamTokenizer.prototype.finish = function () {
+  if (this._decoder !== null) {
+    /* Flush decoder state. */
+    this._chunks.push(this._decoder.decode());
+    this._pushedSizes.push(0);
+  }
+  this._isComplete = true;
+};
+
+/**
+ * @returns {boolean} True if the content is received up to the next 0 group which starts a new
+ *  item, so the current item can be read completely.
+ */
+DxfStreamTokenizer.prototype.hasItem = function () {
+  return this._isComplete || this._itemEndOffset >= this._textOffset + this._pos;
+};
+
+/** @returns {boolean} True if the content is received up to the end of the current section. */
+DxfStreamTokenizer.prototype.hasSection = function () {
+  return this._isComplete || this._sectionEndOffset >= this._textOffset + this._pos;
+};
+
+DxfStreamTokenizer.prototype._readChunk = function () {
+  var chunk = this._chunks[this._chunkIdx];
+  this._chunks[this._chunkIdx++] = null;
+  var text;
+  if (typeof chunk === "string") {
+    text = chunk;
+  } else {
+    if (this._decoder === null) {
+      this._decoder = new TextDecoder(this._encoding);
+    }
+    text = this._decoder.decode(chunk, { stream: true });
+    if (this._chunkIdx === this._chunks.length) {
+      /* Flush decoder state. */
+      text += this._decoder.decode();
+    }
+  }
+  this._textOffset += this._pos;
+  this._text = this._text.slice(this._pos) + text;
+  this._pos = 0;
+
+  this._processedSize +=
+    this._pushedSizes !== null ? this._pushedSizes[this._chunkIdx - 1] : chunk.length;
+  if (this._progressCbk !== null) {
+    this._progressCbk(this._processedSize, this._totalSize);
+  }
+};
+
+/** Find 0 groups in the received text. Lines are expected to alternate between group code and
+ * value, as the parser reads them.
+ */
+DxfStreamTokenizer.prototype._scan = function (text) {
+  var scanText = this._scanText + text;
+  var pos = 0;
+  var match;
+  LINE_END.lastIndex = 0;
+  while ((match = LINE_END.exec(scanText)) !== null) {
+    if (match[0] === "\r" && match.index === scanText.length - 1) {
+      /* CR may be followed by LF in the next chunk. */
+      break;
+    }
+    var lineOffset = this._scanOffset + pos;
+    if (this._isCodeLine) {
+      this._zeroCodeOffset = isZeroCode(scanText, pos, match.index) ? lineOffset : -1;
+    } else if (this._zeroCodeOffset !== -1) {
+      var value = scanText.slice(pos, match.index).trim();
+      if (!NESTED_ENTITIES.has(value)) {
+        this._itemEndOffset = this._zeroCodeOffset;
+        if (this._isSectionEnd) {
+          this._sectionEndOffset = this._zeroCodeOffset;
+        }
+        this._isSectionEnd = value === "ENDSEC";
+      }
+    }
+    this._isCodeLine = !this._isCodeLine;
+    pos = match.index + match[0].length;
+  }
+  this._scanOffset += pos;
+  this._scanText = scanText.slice(pos);
+};
+
+/** @returns {boolean} True if the line is 0 group code, possibly padded by spaces. */
+function isZeroCode(text, start, end) {
+  var hasZero = false;
+  for (var i = start; i < end; i++) {
+    var c = text.charCodeAt(i);
+    if (c === 0x30 && !hasZero) {
+      hasZero = true;
+    } else if (c !== 0x20) {
+      return false;
+    }
+  }
+  return hasZero;
+}
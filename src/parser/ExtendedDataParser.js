@@ -64,6 +64,8 @@ export default class ExtendedDataParser {
           this.failure = true;
           return false;
         }
+        /* String value may be the last one in the section. */
+        this._FlushString();
         this.sectionStack.length = this.sectionStack.length - 1;
         return false;
       }
@@ -72,10 +74,7 @@ export default class ExtendedDataParser {
       return false;
     }
 
-    if (this.lastString !== null) {
-      curSection.values.push(this._CreateValue(1000, this.lastString));
-      this.lastString = null;
-    }
+    this._FlushString();
 
     curSection.values.push(this._CreateValue(curr.code, curr.value));
 
@@ -88,6 +87,7 @@ export default class ExtendedDataParser {
       return;
     }
     if (this.appName) {
+      this._FlushString();
       let xdata;
       if (entity.hasOwnProperty("xdata")) {
         xdata = entity.xdata;
@@ -99,6 +99,13 @@ export default class ExtendedDataParser {
     }
   }
 
+  _FlushString() {
+    if (this.lastString !== null) {
+      this._currentSection.values.push(this._CreateValue(1000, this.lastString));
+      this.lastString = null;
+    }
+  }
+
   get _currentSection() {
     return this.sectionStack[this.sectionStack.length - 1];
   }
@@ -9,6 +9,22 @@ export function getAcadColor(index) {
   return AUTO_CAD_COLOR_INDEX[index];
 }
 
+/**
+ * Decodes raw color value (used by MULTILEADER and MLEADERSTYLE), the highest byte specifies color
+ * method.
+ * @return {?Number} truecolor value, null for ByLayer and ByBlock colors.
+ */
+export function getRawColor(value) {
+  switch ((value >>> 24) & 0xff) {
+    case 0xc2:
+      return value & 0xffffff;
+    case 0xc3:
+      return getAcadColor(value & 0xff);
+    default:
+      return null;
+  }
+}
+
 /**
  * Parses the 2D or 3D coordinate, vector, or point. When complete,
  * the scanner remains on the last group of the coordinate.
@@ -0,0 +1,89 @@
+import * as helpers from "../ParseHelpers";
+
+export default function EntityParser() {}
+
+EntityParser.ForEntityName = "ARC_DIMENSION";
+
+EntityParser.prototype.parseEntity = function (scanner, curr) {
+  var entity;
+  entity = { type: curr.value };
+  /* Group 70 has different meaning in AcDbDimension and AcDbArcDimension subclasses. */
+  var isArcDimensionSubclass = false;
+  curr = scanner.next();
+  while (curr !== "EOF") {
+    if (curr.code === 0) break;
+
+    switch (curr.code) {
+      case 100:
+        isArcDimensionSubclass = curr.value === "AcDbArcDimension";
+        break;
+      case 2: // Referenced block name
+        entity.block = curr.value;
+        break;
+      case 3: // Dimension style name
+        entity.styleName = curr.value;
+        break;
+      case 10: // Definition point
+        entity.anchorPoint = helpers.parsePoint(scanner);
+        break;
+      case 11:
+        entity.middleOfText = helpers.parsePoint(scanner);
+        break;
+      case 13: // First extension line definition point
+        entity.linearOrAngularPoint1 = helpers.parsePoint(scanner);
+        break;
+      case 14: // Second extension line definition point
+        entity.linearOrAngularPoint2 = helpers.parsePoint(scanner);
+        break;
+      case 15: // Arc center point
+        entity.diameterOrRadiusPoint = helpers.parsePoint(scanner);
+        break;
+      case 16: // Leader first point
+        entity.leaderPoint1 = helpers.parsePoint(scanner);
+        break;
+      case 17: // Leader second point
+        entity.leaderPoint2 = helpers.parsePoint(scanner);
+        break;
+      case 70:
+        if (isArcDimensionSubclass) {
+          // Partial arc flag
+          entity.isPartial = curr.value !== 0;
+        } else {
+          // Dimension type
+          entity.dimensionType = curr.value;
+        }
+        break;
+      case 71:
+        if (isArcDimensionSubclass) {
+          // Has leader flag
+          entity.hasLeader = curr.value !== 0;
+        } else {
+          // 5 = Middle center
+          entity.attachmentPoint = curr.value;
+        }
+        break;
+      case 40: // Arc start angle
+        entity.startAngle = curr.value;
+        break;
+      case 41: // Arc end angle
+        entity.endAngle = curr.value;
+        break;
+      case 42: // Actual measurement
+        entity.actualMeasurement = curr.value;
+        break;
+      case 1: // Text entered by user explicitly
+        entity.text = curr.value;
+        break;
+      case 53: // Rotation angle of the dimension text away from its default orientation
+        entity.textRotation = curr.value;
+        break;
+
+      default: // check common entity attributes
+        helpers.checkCommonEntityProperties(entity, curr, scanner);
+        break;
+    }
+    curr = scanner.next();
+  }
+
+  return entity;
+};
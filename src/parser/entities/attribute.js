@@ -68,7 +68,8 @@ EntityParser.prototype.parseEntity = function (scanner, curr) {
         entity.preset = !!(curr.value & 0x08);
         break;
       case 71:
-        entity.attachmentPoint = curr.value;
+        entity.backwards = !!(curr.value & 0x02);
+        entity.mirrored = !!(curr.value & 0x04);
         break;
       case 72:
         entity.horizontalJustification = curr.value;
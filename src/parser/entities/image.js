@@ -0,0 +1,70 @@
+import * as helpers from "../ParseHelpers";
+
+export default function EntityParser() {}
+
+EntityParser.ForEntityName = "IMAGE";
+
+/** Also used for WIPEOUT which has the same set of groups. */
+EntityParser.prototype.parseEntity = function (scanner, curr) {
+  var entity;
+  entity = { type: curr.value, clipBoundary: [] };
+  curr = scanner.next();
+  while (curr !== "EOF") {
+    if (curr.code === 0) break;
+
+    switch (curr.code) {
+      case 10: // Insertion point, lower-left corner of the image
+        entity.position = helpers.parsePoint(scanner);
+        break;
+      case 11: // U-vector of a single pixel (along the image bottom edge)
+        entity.uVector = helpers.parsePoint(scanner);
+        break;
+      case 12: // V-vector of a single pixel (along the image left edge)
+        entity.vVector = helpers.parsePoint(scanner);
+        break;
+      case 13: // Image size in pixels
+        entity.imageSize = helpers.parsePoint(scanner);
+        break;
+      case 14: // Clip boundary vertex, pixel coordinates
+        entity.clipBoundary.push(helpers.parsePoint(scanner));
+        break;
+      case 70: // Display properties flags
+        entity.displayFlags = curr.value;
+        break;
+      case 71: // Clip boundary type, 1 = rectangular, 2 = polygonal
+        entity.clipBoundaryType = curr.value;
+        break;
+      case 90: // Class version
+      case 91: // Number of clip boundary vertices
+        break;
+      case 280: // Clipping state
+        entity.isClipped = curr.value !== 0;
+        break;
+      case 281:
+        entity.brightness = curr.value;
+        break;
+      case 282:
+        entity.contrast = curr.value;
+        break;
+      case 283:
+        entity.fade = curr.value;
+        break;
+      case 290: // Clip mode, true to keep the area outside of the boundary
+        entity.isClipInverted = curr.value;
+        break;
+      case 340: // IMAGEDEF object
+        entity.imageDefHandle = curr.value;
+        break;
+      case 360: // IMAGEDEF_REACTOR object
+        entity.imageDefReactorHandle = curr.value;
+        break;
+
+      default: // check common entity attributes
+        helpers.checkCommonEntityProperties(entity, curr, scanner);
+        break;
+    }
+    curr = scanner.next();
+  }
+
+  return entity;
+};
@@ -0,0 +1,64 @@
+import * as helpers from "../ParseHelpers";
+
+export default function EntityParser() {}
+
+EntityParser.ForEntityName = "LEADER";
+
+EntityParser.prototype.parseEntity = function (scanner, curr) {
+  var entity = { type: curr.value, vertices: [] };
+  curr = scanner.next();
+  while (curr !== "EOF") {
+    if (curr.code === 0) break;
+
+    switch (curr.code) {
+      case 3: // Dimension style name
+        entity.styleName = curr.value;
+        break;
+      case 10: // Vertex coordinates, one group per vertex
+        entity.vertices.push(helpers.parsePoint(scanner));
+        break;
+      case 40: // Text annotation height
+        entity.textHeight = curr.value;
+        break;
+      case 41: // Text annotation width
+        entity.textWidth = curr.value;
+        break;
+      case 71: // Arrowhead flag: 0 = disabled, 1 = enabled
+        entity.arrowHeadFlag = curr.value;
+        break;
+      case 72: // Leader path type: 0 = straight line segments, 1 = spline
+        entity.isSpline = curr.value === 1;
+        break;
+      case 73: // Leader creation flag: 0 = text, 1 = tolerance, 2 = block reference, 3 = none
+        entity.annotationType = curr.value;
+        break;
+      case 74: // Hookline direction flag
+        entity.hookLineDirection = curr.value;
+        break;
+      case 75: // Hookline flag
+        entity.hasHookLine = curr.value !== 0;
+        break;
+      case 76: // Number of vertices
+        break;
+      case 77: // Color to use if leader's DIMCLRD = BYBLOCK
+        entity.byBlockColor = curr.value;
+        break;
+      case 210:
+        entity.extrusionDirection = helpers.parsePoint(scanner);
+        break;
+      case 211: // Horizontal direction for leader
+        entity.horizontalDirection = helpers.parsePoint(scanner);
+        break;
+      case 340: // Associated annotation handle
+        entity.annotationHandle = curr.value;
+        break;
+
+      default: // check common entity attributes
+        helpers.checkCommonEntityProperties(entity, curr, scanner);
+        break;
+    }
+    curr = scanner.next();
+  }
+
+  return entity;
+};
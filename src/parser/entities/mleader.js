@@ -0,0 +1,244 @@
+import * as helpers from "../ParseHelpers";
+
+export default function EntityParser() {}
+
+EntityParser.ForEntityName = "MULTILEADER";
+
+/* Many group codes have different meaning in the entity itself, in its context data, in leader
+ * and in leader line, so each of them is parsed by a separate function.
+ */
+EntityParser.prototype.parseEntity = function (scanner, curr) {
+  var entity = { type: curr.value };
+  curr = scanner.next();
+  while (curr !== "EOF") {
+    if (curr.code === 0) break;
+
+    switch (curr.code) {
+      case 300: // CONTEXT_DATA{
+        entity.context = parseContextData(scanner);
+        break;
+      case 340: // MLEADERSTYLE handle
+        entity.styleHandle = curr.value;
+        break;
+      case 90: // Property override flags
+        entity.propertyOverrideFlags = curr.value;
+        break;
+      case 170: // Leader line type: 0 = invisible, 1 = straight, 2 = spline
+        entity.leaderLineType = curr.value;
+        break;
+      case 91:
+        entity.leaderLineColor = helpers.getRawColor(curr.value);
+        break;
+      case 290:
+        entity.enableLanding = curr.value;
+        break;
+      case 291:
+        entity.enableDogleg = curr.value;
+        break;
+      case 41:
+        entity.doglegLength = curr.value;
+        break;
+      case 342: // Arrowhead block record handle
+        entity.arrowHeadHandle = curr.value;
+        break;
+      case 42:
+        entity.arrowHeadSize = curr.value;
+        break;
+      case 172: // Content type: 0 = none, 1 = block, 2 = MTEXT, 3 = tolerance
+        entity.contentType = curr.value;
+        break;
+      case 343:
+        entity.textStyleHandle = curr.value;
+        break;
+      case 92:
+        entity.textColor = helpers.getRawColor(curr.value);
+        break;
+      case 344: // Block content block record handle
+        entity.blockContentHandle = curr.value;
+        break;
+      case 93:
+        entity.blockContentColor = helpers.getRawColor(curr.value);
+        break;
+      case 10:
+        entity.blockContentScale = helpers.parsePoint(scanner);
+        break;
+      case 43:
+        entity.blockContentRotation = curr.value;
+        break;
+      case 45:
+        entity.scale = curr.value;
+        break;
+
+      default: // check common entity attributes
+        helpers.checkCommonEntityProperties(entity, curr, scanner);
+        break;
+    }
+    curr = scanner.next();
+  }
+
+  return entity;
+};
+
+/** Parse content between CONTEXT_DATA{ and matching closing group 301. Scanner remains on the
+ * closing group.
+ */
+function parseContextData(scanner) {
+  var context = { leaders: [] };
+  var curr = scanner.next();
+  while (curr !== "EOF") {
+    if (curr.code === 0) {
+      scanner.rewind();
+      break;
+    }
+    if (curr.code === 301) break;
+
+    switch (curr.code) {
+      case 302: // LEADER{
+        context.leaders.push(parseLeader(scanner));
+        break;
+      case 40:
+        context.scale = curr.value;
+        break;
+      case 10:
+        context.contentBasePoint = helpers.parsePoint(scanner);
+        break;
+      case 41:
+        context.textHeight = curr.value;
+        break;
+      case 140:
+        context.arrowHeadSize = curr.value;
+        break;
+      case 145:
+        context.landingGap = curr.value;
+        break;
+      case 290:
+        context.hasMText = curr.value;
+        break;
+      case 304: // Default text contents
+        context.text = curr.value;
+        break;
+      case 340:
+        context.textStyleHandle = curr.value;
+        break;
+      case 12:
+        context.textPosition = helpers.parsePoint(scanner);
+        break;
+      case 13:
+        context.textDirection = helpers.parsePoint(scanner);
+        break;
+      case 42: // Radians
+        context.textRotation = curr.value;
+        break;
+      case 43:
+        context.textWidth = curr.value;
+        break;
+      case 45:
+        context.textLineSpacing = curr.value;
+        break;
+      case 90:
+        context.textColor = helpers.getRawColor(curr.value);
+        break;
+      case 171:
+        context.textAttachmentPoint = curr.value;
+        break;
+      case 296:
+        context.hasBlock = curr.value;
+        break;
+      case 341: // Block content block record handle
+        context.blockHandle = curr.value;
+        break;
+      case 15:
+        context.blockPosition = helpers.parsePoint(scanner);
+        break;
+      case 16:
+        context.blockScale = helpers.parsePoint(scanner);
+        break;
+      case 46: // Radians
+        context.blockRotation = curr.value;
+        break;
+      case 93:
+        context.blockColor = helpers.getRawColor(curr.value);
+        break;
+      case 110:
+        context.planeOrigin = helpers.parsePoint(scanner);
+        break;
+      default:
+        break;
+    }
+    curr = scanner.next();
+  }
+  return context;
+}
+
+/** Parse content between LEADER{ and matching closing group 303. */
+function parseLeader(scanner) {
+  var leader = { lines: [] };
+  var curr = scanner.next();
+  while (curr !== "EOF") {
+    if (curr.code === 0) {
+      scanner.rewind();
+      break;
+    }
+    if (curr.code === 303) break;
+
+    switch (curr.code) {
+      case 304: // LEADER_LINE{
+        leader.lines.push(parseLeaderLine(scanner));
+        break;
+      case 10:
+        leader.lastLeaderLinePoint = helpers.parsePoint(scanner);
+        break;
+      case 11:
+        leader.doglegVector = helpers.parsePoint(scanner);
+        break;
+      case 40:
+        leader.doglegLength = curr.value;
+        break;
+      case 290:
+        leader.hasLastLeaderLinePoint = curr.value;
+        break;
+      case 291:
+        leader.hasDoglegVector = curr.value;
+        break;
+      default:
+        break;
+    }
+    curr = scanner.next();
+  }
+  return leader;
+}
+
+/** Parse content between LEADER_LINE{ and matching closing group 305. */
+function parseLeaderLine(scanner) {
+  var line = { vertices: [] };
+  var curr = scanner.next();
+  while (curr !== "EOF") {
+    if (curr.code === 0) {
+      scanner.rewind();
+      break;
+    }
+    if (curr.code === 305) break;
+
+    switch (curr.code) {
+      case 10:
+        line.vertices.push(helpers.parsePoint(scanner));
+        break;
+      case 170:
+        line.leaderLineType = curr.value;
+        break;
+      case 92:
+        line.color = helpers.getRawColor(curr.value);
+        break;
+      case 40:
+        line.arrowHeadSize = curr.value;
+        break;
+      case 341:
+        line.arrowHeadHandle = curr.value;
+        break;
+      default:
+        break;
+    }
+    curr = scanner.next();
+  }
+  return line;
+}
@@ -15,6 +15,9 @@ EntityParser.prototype.parseEntity = function (scanner, curr) {
       case 1:
         entity.text ? (entity.text += curr.value) : (entity.text = curr.value);
         break;
+      case 7: // Text style name
+        entity.textStyle = curr.value;
+        break;
       case 10:
         entity.position = helpers.parsePoint(scanner);
         break;
@@ -0,0 +1,7 @@
+import XLine from "./xline";
+
+export default function EntityParser() {}
+
+EntityParser.ForEntityName = "RAY";
+
+EntityParser.prototype.parseEntity = XLine.prototype.parseEntity;
@@ -0,0 +1,237 @@
+import * as helpers from "../ParseHelpers";
+
+export default function EntityParser() {}
+
+EntityParser.ForEntityName = "ACAD_TABLE";
+
+/** Cell border properties group codes, indexed by border name. */
+const BORDER_CODES = {
+  top: { color: 69, lineweight: 274, visible: 284 },
+  right: { color: 65, lineweight: 275, visible: 285 },
+  bottom: { color: 66, lineweight: 276, visible: 286 },
+  left: { color: 68, lineweight: 277, visible: 287 },
+};
+
+/** Group codes which may occur in a cell definition. Any other code after the last cell starts
+ * table level overrides.
+ */
+const CELL_CODES = new Set([
+  1, 2, 3, 7, 63, 64, 65, 66, 68, 69, 90, 91, 92, 93, 94, 95, 140, 144, 145, 170, 171, 172, 173,
+  174, 175, 176, 177, 178, 179, 274, 275, 276, 277, 283, 284, 285, 286, 287, 300, 301, 302, 303,
+  304, 340, 344,
+]);
+
+/** Table level text and fill overrides are listed for each row type in this order. */
+const ROW_TYPES = ["data", "header", "title"];
+
+/** @return {?number} Cell color override, null for ByBlock and ByLayer. */
+function parseCellColor(index) {
+  return index > 0 && index < 256 ? helpers.getAcadColor(index) : null;
+}
+
+function parseBorderProperty(cell, code, value) {
+  for (const [name, codes] of Object.entries(BORDER_CODES)) {
+    if (code === codes.color) {
+      (cell.borders[name] ??= {}).color = parseCellColor(value);
+    } else if (code === codes.lineweight) {
+      (cell.borders[name] ??= {}).lineweight = value;
+    } else if (code === codes.visible) {
+      (cell.borders[name] ??= {}).isVisible = value !== 0;
+    }
+  }
+}
+
+/** Set the next row type override for the property, see ROW_TYPES. */
+function parseRowTypeProperty(entity, name, value) {
+  const overrides = (entity.rowTypeOverrides ??= { data: {}, header: {}, title: {} });
+  const rowType = ROW_TYPES.find((type) => !(name in overrides[type]));
+  if (rowType) {
+    overrides[rowType][name] = value;
+  }
+}
+
+/** Cells are listed in row-major order, each one is started by group 171. Cell value blocks
+ * (301 "CELL_VALUE" ... 304 "ACVALUE_END") duplicate the cell text and are skipped. Table level
+ * overrides (flow direction, margins, row type text and fill properties) follow the last cell.
+ */
+EntityParser.prototype.parseEntity = function (scanner, curr) {
+  var entity = {
+    type: curr.value,
+    rowHeights: [],
+    columnWidths: [],
+    cells: [],
+  };
+  var cell = null;
+  var textChunks = "";
+  curr = scanner.next();
+  while (curr !== "EOF") {
+    if (curr.code === 0) break;
+
+    if (
+      cell !== null &&
+      entity.cells.length >= entity.rowCount * entity.columnCount &&
+      !CELL_CODES.has(curr.code)
+    ) {
+      /* End of the last cell. */
+      cell = null;
+    }
+
+    if (cell !== null) {
+      switch (curr.code) {
+        case 171: // Next cell type
+          cell = { type: curr.value, borders: {} };
+          entity.cells.push(cell);
+          break;
+        case 172:
+          cell.flags = curr.value;
+          break;
+        case 173: // Part of merged cells region
+          cell.isMerged = curr.value !== 0;
+          break;
+        case 174:
+          cell.isAutoFit = curr.value !== 0;
+          break;
+        case 175: // Number of columns spanned by merged cell
+          cell.columnSpan = curr.value;
+          break;
+        case 176: // Number of rows spanned by merged cell
+          cell.rowSpan = curr.value;
+          break;
+        case 91:
+          cell.overrideFlags = curr.value;
+          break;
+        case 145: // Rotation, radians
+          cell.rotation = curr.value;
+          break;
+        case 344:
+          cell.fieldHandle = curr.value;
+          break;
+        case 2:
+        case 3: // Text chunks, the rest is in group 1
+          textChunks += curr.value;
+          break;
+        case 1:
+          cell.text = textChunks + curr.value;
+          textChunks = "";
+          break;
+        case 7:
+          cell.textStyle = curr.value;
+          break;
+        case 140:
+          cell.textHeight = curr.value;
+          break;
+        case 170: // Alignment, same values as MTEXT attachment point
+          cell.alignment = curr.value;
+          break;
+        case 64:
+          cell.textColor = parseCellColor(curr.value);
+          break;
+        case 63:
+          cell.fillColor = parseCellColor(curr.value);
+          break;
+        case 283:
+          cell.isFillEnabled = curr.value !== 0;
+          break;
+        case 340: // Block record handle for block cell
+          cell.blockHandle = curr.value;
+          break;
+        case 144:
+          cell.blockScale = curr.value;
+          break;
+        case 301:
+          do {
+            curr = scanner.next();
+          } while (curr !== "EOF" && curr.code !== 0 && curr.code !== 304);
+          if (curr === "EOF" || curr.code === 0) {
+            continue;
+          }
+          break;
+        default:
+          parseBorderProperty(cell, curr.code, curr.value);
+          break;
+      }
+      curr = scanner.next();
+      continue;
+    }
+
+    switch (curr.code) {
+      case 2: // Table block name
+        entity.name = curr.value;
+        break;
+      case 10: // Insertion point
+        entity.position = helpers.parsePoint(scanner);
+        break;
+      case 11: // Horizontal direction vector
+        entity.direction = helpers.parsePoint(scanner);
+        break;
+      case 40:
+        entity.horizontalMargin = curr.value;
+        break;
+      case 41:
+        entity.verticalMargin = curr.value;
+        break;
+      case 70: // Flow direction: 0 - down, 1 - up
+        entity.flowDirection = curr.value;
+        break;
+      case 91:
+        entity.rowCount = curr.value;
+        break;
+      case 92:
+        entity.columnCount = curr.value;
+        break;
+      case 141:
+        entity.rowHeights.push(curr.value);
+        break;
+      case 142:
+        entity.columnWidths.push(curr.value);
+        break;
+      case 171: // First cell type: 1 - text, 2 - block
+        cell = { type: curr.value, borders: {} };
+        entity.cells.push(cell);
+        break;
+      case 280: // Table data version before the cells, title suppression flag after them
+        if (entity.cells.length > 0) {
+          entity.isTitleSuppressed = curr.value !== 0;
+        }
+        break;
+      case 281:
+        entity.isHeaderSuppressed = curr.value !== 0;
+        break;
+      case 7:
+        parseRowTypeProperty(entity, "textStyle", curr.value);
+        break;
+      case 140:
+        parseRowTypeProperty(entity, "textHeight", curr.value);
+        break;
+      case 170:
+        parseRowTypeProperty(entity, "alignment", curr.value);
+        break;
+      case 64:
+        parseRowTypeProperty(entity, "textColor", parseCellColor(curr.value));
+        break;
+      case 63:
+        parseRowTypeProperty(entity, "fillColor", parseCellColor(curr.value));
+        break;
+      case 283:
+        parseRowTypeProperty(entity, "isFillEnabled", curr.value !== 0);
+        break;
+      case 210:
+        entity.extrusionDirection = helpers.parsePoint(scanner);
+        break;
+      case 342:
+        entity.tableStyleHandle = curr.value;
+        break;
+      case 343:
+        entity.blockRecordHandle = curr.value;
+        break;
+      case 100:
+        break;
+      default:
+        helpers.checkCommonEntityProperties(entity, curr, scanner);
+        break;
+    }
+
+    curr = scanner.next();
+  }
+  return entity;
+};
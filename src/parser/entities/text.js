@@ -26,6 +26,15 @@ EntityParser.prototype.parseEntity = function (scanner, curr) {
       case 50: // Rotation in degrees
         entity.rotation = curr.value;
         break;
+      case 51: // Oblique angle in degrees
+        entity.obliqueAngle = curr.value;
+        break;
+      case 7: // Text style name
+        entity.textStyle = curr.value;
+        break;
+      case 71: // Text generation flags: 2 - backward, 4 - upside down
+        entity.generationFlags = curr.value;
+        break;
       case 1: // Text
         entity.text = curr.value;
         break;
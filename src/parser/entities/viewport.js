@@ -0,0 +1,70 @@
+import * as helpers from "../ParseHelpers";
+
+export default function EntityParser() {}
+
+EntityParser.ForEntityName = "VIEWPORT";
+
+EntityParser.prototype.parseEntity = function (scanner, curr) {
+  var entity = { type: curr.value, frozenLayers: [] };
+  curr = scanner.next();
+  while (curr !== "EOF") {
+    if (curr.code === 0) break;
+
+    switch (curr.code) {
+      case 10: // center point in paper space
+        entity.center = helpers.parsePoint(scanner);
+        break;
+      case 12: // view center point in display coordinate system
+        entity.viewCenter = helpers.parsePoint(scanner);
+        break;
+      case 13: // snap base point
+        entity.snapBase = helpers.parsePoint(scanner);
+        break;
+      case 14: // snap spacing
+        entity.snapSpacing = helpers.parsePoint(scanner);
+        break;
+      case 15: // grid spacing
+        entity.gridSpacing = helpers.parsePoint(scanner);
+        break;
+      case 16: // view direction vector in WCS
+        entity.viewDirection = helpers.parsePoint(scanner);
+        break;
+      case 17: // view target point in WCS
+        entity.viewTarget = helpers.parsePoint(scanner);
+        break;
+      case 40: // width in paper space units
+        entity.width = curr.value;
+        break;
+      case 41: // height in paper space units
+        entity.height = curr.value;
+        break;
+      case 45: // view height in model space units
+        entity.viewHeight = curr.value;
+        break;
+      case 51: // view twist angle
+        entity.twistAngle = (Math.PI / 180) * curr.value;
+        break;
+      case 68: // status, 0 - off, positive - on and active stack order
+        entity.status = curr.value;
+        break;
+      case 69: // viewport ID, 1 is paper space viewport itself
+        entity.id = curr.value;
+        break;
+      case 90: // viewport status flags
+        entity.statusFlags = curr.value;
+        break;
+      case 331:
+      case 341: // frozen layer handle
+        entity.frozenLayers.push(curr.value);
+        break;
+      case 340: // non-rectangular clipping boundary entity handle
+        entity.clipBoundaryHandle = curr.value;
+        break;
+      default:
+        helpers.checkCommonEntityProperties(entity, curr, scanner);
+        break;
+    }
+    curr = scanner.next();
+  }
+  return entity;
+};
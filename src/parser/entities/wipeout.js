@@ -0,0 +1,7 @@
+import Image from "./image";
+
+export default function EntityParser() {}
+
+EntityParser.ForEntityName = "WIPEOUT";
+
+EntityParser.prototype.parseEntity = Image.prototype.parseEntity;
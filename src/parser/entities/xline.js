@@ -0,0 +1,30 @@
+import * as helpers from "../ParseHelpers";
+
+export default function EntityParser() {}
+
+EntityParser.ForEntityName = "XLINE";
+
+EntityParser.prototype.parseEntity = function (scanner, curr) {
+  var entity = { type: curr.value };
+  curr = scanner.next();
+  while (curr !== "EOF") {
+    if (curr.code === 0) break;
+
+    switch (curr.code) {
+      case 10: // Base point
+        entity.position = helpers.parsePoint(scanner);
+        break;
+      case 11: // Unit direction vector
+        entity.direction = helpers.parsePoint(scanner);
+        break;
+      case 100:
+        break;
+      default:
+        helpers.checkCommonEntityProperties(entity, curr, scanner);
+        break;
+    }
+
+    curr = scanner.next();
+  }
+  return entity;
+};
@@ -16,6 +16,8 @@ export class Raycasting {
   }
 
   raycast(pointer) {
+    /* Zoom may be changed not only by wheel, e.g. by FitView(). */
+    this._calculateThreshold();
     this.raycaster.setFromCamera(pointer, this.camera);
 
     const intersects = this.raycaster.intersectObjects(this.targets, true);
@@ -125,6 +125,31 @@ export class BoundingBoxManager {
 		return mesh;
 	}
 
+	/**
+	 * Creates and registers an axis-aligned bounding box mesh from entity extents.
+	 * @param {string} entityUUID
+	 * @param {SceneBounds} bounds - Extents in scene coordinates.
+	 * @returns {THREE.Mesh}
+	 */
+	createBoundingBoxFromBounds(entityUUID, bounds) {
+		const width = bounds.maxX - bounds.minX;
+		const height = bounds.maxY - bounds.minY;
+		/* Keep horizontal or vertical lines boxes visible. */
+		const minSize = Math.max(width, height) * 0.02 || 1e-3;
+		return this.createBoundingBox(
+			{
+				uuid: entityUUID,
+				position: new THREE.Vector3(bounds.minX, bounds.minY, 0)
+			},
+			{
+				width: Math.max(width, minSize),
+				height: Math.max(height, minSize),
+				x: width / 2,
+				y: height / 2
+			}
+		);
+	}
+
 	/**
 	 * Updates the visual state of a bounding box mesh.
 	 * @param {string} entityUUID
@@ -150,6 +175,14 @@ export class BoundingBoxManager {
 		// mesh.visible = this.materials.default.opacity > 0;
 	}
 
+	/**
+	 * Sets the scene for subsequently created meshes, e.g. when another layout is displayed.
+	 * @param {THREE.Scene} scene
+	 */
+	setScene(scene) {
+		this.scene = scene;
+	}
+
 	/**
 	 * Gets the mesh associated with an entity UUID.
 	 * @param {string} entityUUID
@@ -175,7 +208,7 @@ export class BoundingBoxManager {
 
 		// Remove meshes from scene
 		for (const mesh of this.meshMap.values()) {
-			this.scene.remove(mesh);
+			mesh.removeFromParent();
 			// Geometry/material are shared, already handled
 		}
 
@@ -0,0 +1,715 @@
+import { BatchingKey } from "../BatchingKey";
+import { SpatialIndex } from "../SpatialIndex";
+
+/** Entity types rendered as text glyphs. They are hit by glyph boxes rather than by exact glyph
+ * outlines, so that a click between strokes still selects the text.
+ */
+const TEXT_ENTITY_TYPES = new Set(["TEXT", "MTEXT", "ATTRIB", "ATTDEF"]);
+
+/**
+ * @typedef {Object} PickResult
+ * @property {string} handle - DXF entity handle.
+ * @property {?string} entityType - DXF entity type, e.g. "LINE".
+ * @property {?string} layerName
+ * @property {number} distance - Distance from the picking point in scene units, zero for hits
+ *  inside fills and glyph boxes.
+ */
+
+/**
+ * @typedef {Object} EntityBounds
+ * @property {number} minX
+ * @property {number} maxX
+ * @property {number} minY
+ * @property {number} maxY
+ */
+
+/**
+ * @typedef {Object} EntityExtents
+ * @property {string} handle - DXF entity handle.
+ * @property {string} entityType - DXF entity type.
+ * @property {string} layer - Layer name.
+ * @property {EntityBounds} bounds - Extents in scene coordinates.
+ */
+
+/**
+ * Precise hit-testing of DXF entities by the geometry of serialized scene batches. Each batch
+ * carries ranges of vertices (or indices, or instances) produced by each DXF entity, so the
+ * geometry can be mapped back to the entity handle. Candidates are found by the spatial index of
+ * entities extents built with the scene. All coordinates are scene coordinates, i.e. relative to
+ * the scene origin.
+ */
+export class EntityPicker {
+	/**
+	 * @param {Object} sceneData - Serialized scene with buffers and batches.
+	 * @param {Object} space - Serialized model space (the scene itself) or paper space layout to
+	 *  pick from, has `batches`, `entities` and `spatialIndex` properties. Block definitions are
+	 *  always taken from `sceneData.batches`.
+	 * @param {?function(string): boolean} isLayerVisible - Returns false for layers which should
+	 *  not be picked.
+	 */
+	constructor(sceneData, space, isLayerVisible = null) {
+		this.isLayerVisible = isLayerVisible;
+		/** @type {EntityExtents[]} Spatial index items. */
+		this.extents = space.entities ?? [];
+		this.extentsByHandle = new Map(this.extents.map((extents) => [extents.handle, extents]));
+		this.spatialIndex = SpatialIndex.Deserialize(space.spatialIndex);
+		/** @type {Map<string, {handle, entityType, layerName, parts: Object[]}>} */
+		this.entities = new Map();
+		/** Block definition parts indexed by block name. */
+		this.blocks = new Map();
+		/** Block definition bounds indexed by block name, calculated on first use. */
+		this.blockBounds = new Map();
+
+		for (const batch of sceneData.batches) {
+			const key = batch.key;
+			if (key.blockName === null || this._isInstanced(key)) {
+				continue;
+			}
+			let parts = this.blocks.get(key.blockName);
+			if (!parts) {
+				parts = [];
+				this.blocks.set(key.blockName, parts);
+			}
+			for (const geometry of this._createGeometries(sceneData, batch)) {
+				/* Whole definition belongs to the instance entity. */
+				parts.push({ ...geometry, start: 0, count: geometry.size, isGlyph: false });
+			}
+		}
+
+		for (const batch of space.batches) {
+			const key = batch.key;
+			if (key.blockName !== null && !this._isInstanced(key)) {
+				continue;
+			}
+			for (const geometry of this._createGeometries(sceneData, batch)) {
+				for (const range of geometry.entities ?? []) {
+					let entity = this.entities.get(range.handle);
+					if (!entity) {
+						entity = {
+							handle: range.handle,
+							entityType: range.entityType,
+							layerName: key.layerName,
+							parts: []
+						};
+						this.entities.set(range.handle, entity);
+					}
+					entity.parts.push({
+						...geometry,
+						start: range.start,
+						count: range.count,
+						isGlyph: TEXT_ENTITY_TYPES.has(range.entityType)
+					});
+				}
+			}
+		}
+	}
+
+	/**
+	 * Find the entity closest to the specified point.
+	 * @param {number} x - Scene X coordinate.
+	 * @param {number} y - Scene Y coordinate.
+	 * @param {number} tolerance - Maximal distance to the entity geometry in scene units.
+	 * @returns {?PickResult} Null if nothing found within the tolerance.
+	 */
+	pick(x, y, tolerance) {
+		let result = null;
+		for (const extents of this.queryPoint(x, y, tolerance)) {
+			const entity = this.entities.get(extents.handle);
+			if (!entity) {
+				continue;
+			}
+			const limit = result === null ? tolerance : result.distance;
+			const distance = this._entityDistance(entity, x, y, limit);
+			if (distance > limit || (result !== null && distance === limit)) {
+				continue;
+			}
+			result = {
+				handle: entity.handle,
+				entityType: entity.entityType,
+				layerName: entity.layerName,
+				distance
+			};
+		}
+		return result;
+	}
+
+	/**
+	 * Find entities which extents intersect the specified rectangle. Entities on hidden layers
+	 * are skipped.
+	 * @param {number} minX
+	 * @param {number} minY
+	 * @param {number} maxX
+	 * @param {number} maxY
+	 * @returns {EntityExtents[]}
+	 */
+	queryRect(minX, minY, maxX, maxY) {
+		if (!this.spatialIndex) {
+			return [];
+		}
+		return this.spatialIndex
+			.Search(minX, minY, maxX, maxY, (idx) => this._isExtentsVisible(this.extents[idx]))
+			.map((idx) => this.extents[idx]);
+	}
+
+	/**
+	 * Find entities selected by the polygon, e.g. selection window or lasso.
+	 * @param {number[]} polygon - Flat vertices coordinates [x0, y0, x1, y1, ...].
+	 * @param {boolean} crossing - Select entities touching the polygon if true, only fully
+	 *  enclosed ones otherwise.
+	 * @returns {EntityExtents[]}
+	 */
+	queryPolygon(polygon, crossing) {
+		const box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+		for (let i = 0; i < polygon.length; i += 2) {
+			box.minX = Math.min(box.minX, polygon[i]);
+			box.maxX = Math.max(box.maxX, polygon[i]);
+			box.minY = Math.min(box.minY, polygon[i + 1]);
+			box.maxY = Math.max(box.maxY, polygon[i + 1]);
+		}
+		/* Extents are exact enough for an axis-aligned rectangle unless it crosses them. */
+		const isRect = IsAxisAlignedRect(polygon);
+		const result = [];
+		for (const extents of this.queryRect(box.minX, box.minY, box.maxX, box.maxY)) {
+			const bounds = extents.bounds;
+			const isEnclosed =
+				bounds.minX >= box.minX &&
+				bounds.maxX <= box.maxX &&
+				bounds.minY >= box.minY &&
+				bounds.maxY <= box.maxY;
+			if (isRect && (isEnclosed || !crossing)) {
+				if (isEnclosed) {
+					result.push(extents);
+				}
+				continue;
+			}
+			if (!crossing && !isEnclosed) {
+				continue;
+			}
+			const entity = this.entities.get(extents.handle);
+			if (entity && this._entityMatchesPolygon(entity, polygon, crossing)) {
+				result.push(extents);
+			}
+		}
+		return result;
+	}
+
+	/**
+	 * Find entities which extents contain the specified point.
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} tolerance - Extents are expanded by this value.
+	 * @returns {EntityExtents[]}
+	 */
+	queryPoint(x, y, tolerance = 0) {
+		return this.queryRect(x - tolerance, y - tolerance, x + tolerance, y + tolerance);
+	}
+
+	/**
+	 * @param {string} handle
+	 * @returns {?EntityBounds} Entity extents in scene coordinates, null if the entity has no
+	 *  geometry.
+	 */
+	getEntityBounds(handle) {
+		return this.extentsByHandle.get(handle)?.bounds ?? null;
+	}
+
+	// --- Internal Helpers ---
+
+	_isExtentsVisible(extents) {
+		return !this.isLayerVisible || this.isLayerVisible(extents.layer);
+	}
+
+	_isInstanced(key) {
+		return (
+			key.geometryType === BatchingKey.GeometryType.BLOCK_INSTANCE ||
+			key.geometryType === BatchingKey.GeometryType.POINT_INSTANCE
+		);
+	}
+
+	/**
+	 * Create typed array views for the serialized batch geometry. Indexed batches produce one
+	 * geometry for each chunk.
+	 * @returns {Object[]}
+	 */
+	_createGeometries(sceneData, batch) {
+		const geometryType = batch.key.geometryType;
+		if (batch.hasOwnProperty("chunks")) {
+			return batch.chunks.map((chunk) => ({
+				geometryType,
+				vertexSize: batch.vertexSize ?? 2,
+				vertices: new Float32Array(
+					sceneData.vertices,
+					chunk.verticesOffset * Float32Array.BYTES_PER_ELEMENT,
+					chunk.verticesSize
+				),
+				indices: new Uint16Array(
+					sceneData.indices,
+					chunk.indicesOffset * Uint16Array.BYTES_PER_ELEMENT,
+					chunk.indicesSize
+				),
+				size: chunk.indicesSize,
+				entities: chunk.entities
+			}));
+		}
+		if (batch.hasOwnProperty("transformsOffset")) {
+			return [
+				{
+					geometryType,
+					blockName: batch.key.blockName,
+					transforms: new Float32Array(
+						sceneData.transforms,
+						batch.transformsOffset * Float32Array.BYTES_PER_ELEMENT,
+						batch.transformsSize
+					),
+					size: batch.transformsSize / 6,
+					entities: batch.entities
+				}
+			];
+		}
+		const vertexSize = batch.vertexSize ?? 2;
+		return [
+			{
+				geometryType,
+				vertexSize,
+				vertices: new Float32Array(
+					sceneData.vertices,
+					batch.verticesOffset * Float32Array.BYTES_PER_ELEMENT,
+					batch.verticesSize
+				),
+				indices: null,
+				size: batch.verticesSize / vertexSize,
+				entities: batch.entities
+			}
+		];
+	}
+
+	/** @returns {number} Minimal distance from the point to the entity geometry, Infinity if not
+	 *  closer than the limit.
+	 */
+	_entityDistance(entity, x, y, limit) {
+		let result = Infinity;
+		for (const part of entity.parts) {
+			result = Math.min(result, this._partDistance(part, x, y, Math.min(limit, result)));
+			if (result === 0) {
+				break;
+			}
+		}
+		return result;
+	}
+
+	_partDistance(part, x, y, limit) {
+		const GeometryType = BatchingKey.GeometryType;
+		const vertices = part.vertices;
+		const vertexSize = part.vertexSize;
+		const indices = part.indices;
+		const end = part.start + part.count;
+		/* Vertex coordinates offset for the specified primitive vertex number. */
+		const V = indices ? (i) => indices[i] * vertexSize : (i) => i * vertexSize;
+		let result = Infinity;
+
+		switch (part.geometryType) {
+			case GeometryType.POINTS:
+			case GeometryType.POINT_INSTANCE:
+				for (let i = part.start; i < end; i++) {
+					const v = V(i);
+					result = Math.min(result, Math.hypot(x - vertices[v], y - vertices[v + 1]));
+				}
+				return result;
+
+			case GeometryType.LINES:
+			case GeometryType.INDEXED_LINES:
+				for (let i = part.start; i + 1 < end; i += 2) {
+					const v0 = V(i);
+					const v1 = V(i + 1);
+					result = Math.min(
+						result,
+						SegmentDistance(
+							x,
+							y,
+							vertices[v0],
+							vertices[v0 + 1],
+							vertices[v1],
+							vertices[v1 + 1]
+						)
+					);
+				}
+				return result;
+
+			case GeometryType.TRIANGLES:
+			case GeometryType.INDEXED_TRIANGLES:
+			case GeometryType.IMAGE:
+			case GeometryType.SDF_GLYPH:
+				if (part.isGlyph || part.geometryType === GeometryType.SDF_GLYPH) {
+					const box = this._getGlyphBox(part);
+					return box === null ? Infinity : BoxDistance(x, y, box);
+				}
+				for (let i = part.start; i + 2 < end; i += 3) {
+					const v0 = V(i);
+					const v1 = V(i + 1);
+					const v2 = V(i + 2);
+					const x0 = vertices[v0],
+						y0 = vertices[v0 + 1];
+					const x1 = vertices[v1],
+						y1 = vertices[v1 + 1];
+					const x2 = vertices[v2],
+						y2 = vertices[v2 + 1];
+					if (IsPointInTriangle(x, y, x0, y0, x1, y1, x2, y2)) {
+						return 0;
+					}
+					if (limit > 0) {
+						/* Thin fills are still picked when the point is close to their edges. */
+						result = Math.min(
+							result,
+							SegmentDistance(x, y, x0, y0, x1, y1),
+							SegmentDistance(x, y, x1, y1, x2, y2),
+							SegmentDistance(x, y, x2, y2, x0, y0)
+						);
+					}
+				}
+				return result;
+
+			case GeometryType.BLOCK_INSTANCE:
+				for (let i = part.start; i < end; i++) {
+					const t = part.transforms.subarray(i * 6, i * 6 + 6);
+					const det = t[0] * t[4] - t[1] * t[3];
+					if (det === 0) {
+						continue;
+					}
+					/* Transform the point to block coordinates, distance is scaled back
+					 * approximately, assuming uniform scale.
+					 */
+					const dx = x - t[2];
+					const dy = y - t[5];
+					const bx = (t[4] * dx - t[1] * dy) / det;
+					const by = (t[0] * dy - t[3] * dx) / det;
+					const scale = Math.sqrt(Math.abs(det));
+					const d = this._blockDistance(
+						part.blockName,
+						bx,
+						by,
+						Math.min(limit, result) / scale
+					);
+					result = Math.min(result, d * scale);
+					if (result === 0) {
+						break;
+					}
+				}
+				return result;
+		}
+		return result;
+	}
+
+	_blockDistance(blockName, x, y, limit) {
+		const bounds = this._getBlockBounds(blockName);
+		if (bounds === null || BoxDistance(x, y, bounds) > limit) {
+			return Infinity;
+		}
+		let result = Infinity;
+		for (const part of this.blocks.get(blockName)) {
+			result = Math.min(result, this._partDistance(part, x, y, Math.min(limit, result)));
+			if (result === 0) {
+				break;
+			}
+		}
+		return result;
+	}
+
+	/** @returns {?EntityBounds} Glyph box, i.e. bounding box of the part vertices. */
+	_getGlyphBox(part) {
+		let box = null;
+		this._forEachVertex(part, (vx, vy) => {
+			if (box === null) {
+				box = { minX: vx, maxX: vx, minY: vy, maxY: vy };
+			} else {
+				box.minX = Math.min(box.minX, vx);
+				box.maxX = Math.max(box.maxX, vx);
+				box.minY = Math.min(box.minY, vy);
+				box.maxY = Math.max(box.maxY, vy);
+			}
+		});
+		return box;
+	}
+
+	/**
+	 * @returns {boolean} True if the entity touches the polygon (`crossing` is true) or is fully
+	 *  enclosed by it (`crossing` is false).
+	 */
+	_entityMatchesPolygon(entity, polygon, crossing) {
+		for (const part of entity.parts) {
+			if (this._partMatchesPolygon(part, polygon, crossing) === crossing) {
+				return crossing;
+			}
+		}
+		return !crossing;
+	}
+
+	_partMatchesPolygon(part, polygon, crossing) {
+		if (part.geometryType === BatchingKey.GeometryType.BLOCK_INSTANCE) {
+			const blockParts = this.blocks.get(part.blockName) ?? [];
+			for (let i = part.start; i < part.start + part.count; i++) {
+				const t = part.transforms.subarray(i * 6, i * 6 + 6);
+				const det = t[0] * t[4] - t[1] * t[3];
+				if (det === 0) {
+					continue;
+				}
+				/* Affine transform preserves intersections, so test the polygon transformed to
+				 * block coordinates.
+				 */
+				const blockPolygon = [];
+				for (let j = 0; j < polygon.length; j += 2) {
+					const dx = polygon[j] - t[2];
+					const dy = polygon[j + 1] - t[5];
+					blockPolygon.push((t[4] * dx - t[1] * dy) / det, (t[0] * dy - t[3] * dx) / det);
+				}
+				for (const blockPart of blockParts) {
+					if (this._partMatchesPolygon(blockPart, blockPolygon, crossing) === crossing) {
+						return crossing;
+					}
+				}
+			}
+			return !crossing;
+		}
+
+		let result = !crossing;
+		this._forEachPrimitive(part, (coords) => {
+			const matches = crossing
+				? PrimitiveTouchesPolygon(coords, polygon)
+				: PrimitiveInsidePolygon(coords, polygon);
+			if (matches === crossing) {
+				result = crossing;
+				return true;
+			}
+			return false;
+		});
+		return result;
+	}
+
+	/**
+	 * Invoke callback for each primitive of the part - point, segment, triangle or glyph box.
+	 * Block instances are not handled.
+	 * @param {Object} part
+	 * @param {function(number[]): boolean} callback - Receives flat primitive vertices
+	 *  coordinates, returns true to stop iteration.
+	 */
+	_forEachPrimitive(part, callback) {
+		const GeometryType = BatchingKey.GeometryType;
+		if (part.isGlyph || part.geometryType === GeometryType.SDF_GLYPH) {
+			const box = this._getGlyphBox(part);
+			if (box !== null) {
+				callback([box.minX, box.minY, box.maxX, box.minY, box.maxX, box.maxY, box.minX, box.maxY]);
+			}
+			return;
+		}
+		let step;
+		switch (part.geometryType) {
+			case GeometryType.POINTS:
+			case GeometryType.POINT_INSTANCE:
+				step = 1;
+				break;
+			case GeometryType.LINES:
+			case GeometryType.INDEXED_LINES:
+				step = 2;
+				break;
+			case GeometryType.TRIANGLES:
+			case GeometryType.INDEXED_TRIANGLES:
+			case GeometryType.IMAGE:
+				step = 3;
+				break;
+			default:
+				return;
+		}
+		const vertices = part.vertices;
+		const end = part.start + part.count;
+		for (let i = part.start; i + step <= end; i += step) {
+			const coords = [];
+			for (let k = 0; k < step; k++) {
+				const v = (part.indices ? part.indices[i + k] : i + k) * part.vertexSize;
+				coords.push(vertices[v], vertices[v + 1]);
+			}
+			if (callback(coords)) {
+				return;
+			}
+		}
+	}
+
+	/** Invoke callback with coordinates of each vertex referenced by the part. SDF glyph
+	 * instances produce their quad corners.
+	 */
+	_forEachVertex(part, callback) {
+		const vertices = part.vertices;
+		const vertexSize = part.vertexSize;
+		if (part.geometryType === BatchingKey.GeometryType.SDF_GLYPH) {
+			for (let i = part.start; i < part.start + part.count; i++) {
+				const [xx, yx, ox, xy, yy, oy] = vertices.subarray(i * vertexSize, i * vertexSize + 6);
+				callback(ox, oy);
+				callback(ox + xx, oy + xy);
+				callback(ox + xx + yx, oy + xy + yy);
+				callback(ox + yx, oy + yy);
+			}
+			return;
+		}
+		for (let i = part.start; i < part.start + part.count; i++) {
+			const v = (part.indices ? part.indices[i] : i) * vertexSize;
+			callback(vertices[v], vertices[v + 1]);
+		}
+	}
+
+	_getBlockBounds(blockName) {
+		if (this.blockBounds.has(blockName)) {
+			return this.blockBounds.get(blockName);
+		}
+		let bounds = null;
+		for (const part of this.blocks.get(blockName) ?? []) {
+			if (part.geometryType === BatchingKey.GeometryType.BLOCK_INSTANCE) {
+				continue;
+			}
+			this._forEachVertex(part, (x, y) => {
+				if (bounds === null) {
+					bounds = { minX: x, maxX: x, minY: y, maxY: y };
+				} else {
+					bounds.minX = Math.min(bounds.minX, x);
+					bounds.maxX = Math.max(bounds.maxX, x);
+					bounds.minY = Math.min(bounds.minY, y);
+					bounds.maxY = Math.max(bounds.maxY, y);
+				}
+			});
+		}
+		this.blockBounds.set(blockName, bounds);
+		return bounds;
+	}
+}
+
+/** @returns {number} Distance from point (x, y) to segment (x0, y0)-(x1, y1). */
+function SegmentDistance(x, y, x0, y0, x1, y1) {
+	const dx = x1 - x0;
+	const dy = y1 - y0;
+	const lenSq = dx * dx + dy * dy;
+	let t = lenSq === 0 ? 0 : ((x - x0) * dx + (y - y0) * dy) / lenSq;
+	t = Math.max(0, Math.min(1, t));
+	return Math.hypot(x - (x0 + t * dx), y - (y0 + t * dy));
+}
+
+/** @returns {boolean} True if the point is inside the triangle, regardless of its winding. */
+function IsPointInTriangle(x, y, x0, y0, x1, y1, x2, y2) {
+	const d0 = (x1 - x0) * (y - y0) - (y1 - y0) * (x - x0);
+	const d1 = (x2 - x1) * (y - y1) - (y2 - y1) * (x - x1);
+	const d2 = (x0 - x2) * (y - y2) - (y0 - y2) * (x - x2);
+	const hasNegative = d0 < 0 || d1 < 0 || d2 < 0;
+	const hasPositive = d0 > 0 || d1 > 0 || d2 > 0;
+	return !(hasNegative && hasPositive);
+}
+
+/** @returns {number} Distance from the point to the box, zero if inside. */
+function BoxDistance(x, y, box) {
+	const dx = Math.max(box.minX - x, 0, x - box.maxX);
+	const dy = Math.max(box.minY - y, 0, y - box.maxY);
+	return Math.hypot(dx, dy);
+}
+
+/** @returns {boolean} True if the flat polygon coordinates form an axis-aligned rectangle. */
+function IsAxisAlignedRect(polygon) {
+	if (polygon.length !== 8) {
+		return false;
+	}
+	for (let i = 0; i < 8; i += 2) {
+		const j = (i + 2) % 8;
+		const k = (i + 4) % 8;
+		/* Edges alternate between horizontal and vertical ones. */
+		const isHorizontal = polygon[i + 1] === polygon[j + 1];
+		const isVertical = polygon[i] === polygon[j];
+		const nextIsHorizontal = polygon[j + 1] === polygon[k + 1];
+		if (!(isHorizontal || isVertical) || isHorizontal === nextIsHorizontal) {
+			return false;
+		}
+	}
+	return true;
+}
+
+/** Even-odd rule test for flat polygon coordinates. */
+function IsPointInPolygon(x, y, polygon) {
+	let inside = false;
+	const n = polygon.length;
+	for (let i = 0, j = n - 2; i < n; j = i, i += 2) {
+		const xi = polygon[i],
+			yi = polygon[i + 1];
+		const xj = polygon[j],
+			yj = polygon[j + 1];
+		if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+			inside = !inside;
+		}
+	}
+	return inside;
+}
+
+/** @returns {boolean} True if segments (x0, y0)-(x1, y1) and (x2, y2)-(x3, y3) intersect. */
+function SegmentsIntersect(x0, y0, x1, y1, x2, y2, x3, y3) {
+	const Orientation = (ax, ay, bx, by, cx, cy) => Math.sign((bx - ax) * (cy - ay) - (by - ay) * (cx - ax));
+	const OnSegment = (ax, ay, bx, by, cx, cy) =>
+		Math.min(ax, bx) <= cx && cx <= Math.max(ax, bx) && Math.min(ay, by) <= cy && cy <= Math.max(ay, by);
+	const o1 = Orientation(x0, y0, x1, y1, x2, y2);
+	const o2 = Orientation(x0, y0, x1, y1, x3, y3);
+	const o3 = Orientation(x2, y2, x3, y3, x0, y0);
+	const o4 = Orientation(x2, y2, x3, y3, x1, y1);
+	if (o1 !== o2 && o3 !== o4) {
+		return true;
+	}
+	return (
+		(o1 === 0 && OnSegment(x0, y0, x1, y1, x2, y2)) ||
+		(o2 === 0 && OnSegment(x0, y0, x1, y1, x3, y3)) ||
+		(o3 === 0 && OnSegment(x2, y2, x3, y3, x0, y0)) ||
+		(o4 === 0 && OnSegment(x2, y2, x3, y3, x1, y1))
+	);
+}
+
+/** @returns {boolean} True if any edge of the primitive intersects any edge of the polygon. */
+function EdgesIntersect(coords, polygon) {
+	if (coords.length < 4) {
+		return false;
+	}
+	/* Segment has single edge, areas are closed. */
+	const numEdges = coords.length === 4 ? 1 : coords.length / 2;
+	for (let i = 0; i < numEdges * 2; i += 2) {
+		const j = (i + 2) % coords.length;
+		for (let k = 0, l = polygon.length - 2; k < polygon.length; l = k, k += 2) {
+			if (
+				SegmentsIntersect(
+					coords[i],
+					coords[i + 1],
+					coords[j],
+					coords[j + 1],
+					polygon[l],
+					polygon[l + 1],
+					polygon[k],
+					polygon[k + 1]
+				)
+			) {
+				return true;
+			}
+		}
+	}
+	return false;
+}
+
+/** @param coords {number[]} Flat coordinates of point, segment, triangle or box vertices. */
+function PrimitiveTouchesPolygon(coords, polygon) {
+	for (let i = 0; i < coords.length; i += 2) {
+		if (IsPointInPolygon(coords[i], coords[i + 1], polygon)) {
+			return true;
+		}
+	}
+	if (EdgesIntersect(coords, polygon)) {
+		return true;
+	}
+	/* Polygon may be fully inside an area primitive. */
+	return coords.length >= 6 && IsPointInPolygon(polygon[0], polygon[1], coords);
+}
+
+/** @param coords {number[]} Flat coordinates of point, segment, triangle or box vertices. */
+function PrimitiveInsidePolygon(coords, polygon) {
+	for (let i = 0; i < coords.length; i += 2) {
+		if (!IsPointInPolygon(coords[i], coords[i + 1], polygon)) {
+			return false;
+		}
+	}
+	return !EdgesIntersect(coords, polygon);
+}
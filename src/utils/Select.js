@@ -1,6 +1,7 @@
 import * as THREE from "three";
 import { Raycaster as BaseRaycaster } from "../tools/raycaster"; // Assuming path
 import { BoundingBoxManager } from "./BoundingBoxManager"; // Assuming path
+import { EntityPicker } from "./EntityPicker";
 
 /**
  * @typedef {Object} Entity - Define your entity structure
@@ -12,6 +13,27 @@ import { BoundingBoxManager } from "./BoundingBoxManager"; // Assuming path
  * @property {number} [rotation] - Degrees
  */
 
+/** Selection mode reported in the "select" event. */
+export const SelectionMode = Object.freeze({
+	/** Single click. */
+	POINT: "point",
+	/** Left-to-right box, selects only fully enclosed entities. */
+	WINDOW: "window",
+	/** Right-to-left box, selects entities touching the box. */
+	CROSSING: "crossing",
+	/** Clockwise lasso, selects only fully enclosed entities. */
+	WINDOW_LASSO: "windowLasso",
+	/** Counter-clockwise lasso, selects entities touching the lasso. */
+	CROSSING_LASSO: "crossingLasso",
+	/** Select all command (Ctrl+A). */
+	ALL: "all",
+	/** Deselect all command (Escape). */
+	CLEAR: "clear"
+});
+
+/** Minimal distance in pixels between recorded lasso points. */
+const LASSO_STEP = 3;
+
 /**
  * Handles user input for selecting entities via clicks or drag-boxes,
  * managing the logical selection state.
@@ -22,13 +44,25 @@ export class Select extends BaseRaycaster {
 	 * @param {THREE.Camera} camera
 	 * @param {BoundingBoxManager} boundingBoxManager
 	 * @param {Object} [raycastingOptions=null] - Options for BaseRaycaster
+	 * @param {EntityPicker | null} [entityPicker=null] - Picks any entity by its geometry. Only
+	 *  bounding box meshes are pickable if not specified.
+	 * @param {number} [pickTolerance=4] - Picking tolerance in pixels.
 	 */
-	constructor(container, camera, boundingBoxManager, raycastingOptions = null) {
+	constructor(
+		container,
+		camera,
+		boundingBoxManager,
+		raycastingOptions = null,
+		entityPicker = null,
+		pickTolerance = 4
+	) {
 		super(); // Call BaseRaycaster constructor if needed
 
 		this.container = container;
 		this.camera = camera;
 		this.boundingBoxManager = boundingBoxManager;
+		this.entityPicker = entityPicker;
+		this.pickTolerance = pickTolerance;
 
 		// --- State ---
 		/** @type {Set<string>} - Stores UUIDs of selected entities (Single Source of Truth) */
@@ -40,6 +74,11 @@ export class Select extends BaseRaycaster {
 		this._isDragging = false; // Use 'dragging' instead of 'moving' for clarity
 		this._startPoint = { x: 0, y: 0 }; // Screen coordinates for drag start
 		this._selectionBoxElement = null; // DOM element for visual feedback
+		/** @type {boolean} - Drag draws lasso instead of box. Shift key inverts it. */
+		this.lassoMode = false;
+		this._isLasso = false; // Lasso mode of the current drag
+		/** @type {{x: number, y: number}[]} - Screen coordinates of the current lasso */
+		this._lassoPoints = [];
 
 		// Init raycasting using the bounding box meshes as targets
 		this._initRaycasting(
@@ -89,6 +128,8 @@ export class Select extends BaseRaycaster {
 			x: event.clientX - rect.left,
 			y: event.clientY - rect.top
 		};
+		this._isLasso = this.lassoMode !== event.shiftKey;
+		this._lassoPoints = [this._startPoint];
 	}
 
 	/**
@@ -111,7 +152,21 @@ export class Select extends BaseRaycaster {
 			x: event.clientX - rect.left,
 			y: event.clientY - rect.top
 		};
-		this._drawSelectionBox(this._startPoint, currentPoint);
+		if (this._isLasso) {
+			const last = this._lassoPoints[this._lassoPoints.length - 1];
+			if (Math.hypot(currentPoint.x - last.x, currentPoint.y - last.y) >= LASSO_STEP) {
+				this._lassoPoints.push(currentPoint);
+			}
+			this._drawSelectionShape(
+				[...this._lassoPoints, currentPoint],
+				this._getLassoMode(this._lassoPoints)
+			);
+		} else {
+			this._drawSelectionShape(
+				RectPolygon(this._startPoint, currentPoint),
+				this._getBoxMode(this._startPoint, currentPoint)
+			);
+		}
 	}
 
 	/**
@@ -128,18 +183,27 @@ export class Select extends BaseRaycaster {
 		this._isDragging = false;
 		this._removeSelectionBox();
 
+		let mode = SelectionMode.POINT;
 		if (wasDragging) {
-			// --- Box Selection Finalization ---
+			// --- Box or Lasso Selection Finalization ---
 			const rect = this.container.getBoundingClientRect();
 			const endPoint = {
 				x: event.clientX - rect.left,
 				y: event.clientY - rect.top
 			};
-			this._performBoxSelection(this._startPoint, endPoint, isMultiSelect);
+			let polygon;
+			if (this._isLasso) {
+				polygon = [...this._lassoPoints, endPoint];
+				mode = this._getLassoMode(polygon);
+			} else {
+				polygon = RectPolygon(this._startPoint, endPoint);
+				mode = this._getBoxMode(this._startPoint, endPoint);
+			}
+			this._lassoPoints = [];
+			this._performAreaSelection(polygon, mode, isMultiSelect);
 		} else {
 			// --- Single Click Selection ---
-			const intersectedMesh = await this._getIntersectedObject(event);
-			const clickedUUID = intersectedMesh?.userData?.entityUUID;
+			const clickedUUID = await this._getPickedEntityUUID(event);
 
 			if (clickedUUID) {
 				this._performSingleClickSelection(clickedUUID, isMultiSelect);
@@ -153,7 +217,7 @@ export class Select extends BaseRaycaster {
 		this._updateHover(event);
 
 		// Trigger event with the final selection set
-		await this.trigger("select", new Set(this.selectedEntities)); // Send a copy
+		await this.trigger("select", new Set(this.selectedEntities), mode); // Send a copy
 	}
 
 	/**
@@ -162,11 +226,11 @@ export class Select extends BaseRaycaster {
 	_onKeyDown(event) {
 		if (event.key === "Escape") {
 			this.deselectAll();
-			this.trigger("select", new Set()); // Notify deselection
+			this.trigger("select", new Set(), SelectionMode.CLEAR); // Notify deselection
 		} else if (event.key === "a" && (event.ctrlKey || event.metaKey)) {
 			event.preventDefault();
 			this.selectAll();
-			this.trigger("select", new Set(this.selectedEntities)); // Notify selection
+			this.trigger("select", new Set(this.selectedEntities), SelectionMode.ALL); // Notify selection
 		}
 	}
 
@@ -207,40 +271,101 @@ export class Select extends BaseRaycaster {
 	}
 
 	/**
-	 * Handles selection logic after a drag operation.
+	 * Enables or disables lasso selection on drag. Holding Shift while starting a drag
+	 * temporarily inverts this setting.
+	 * @param {boolean} enabled
+	 */
+	setLassoMode(enabled) {
+		this.lassoMode = enabled;
+	}
+
+	/**
 	 * @param {{x: number, y: number}} screenStart
 	 * @param {{x: number, y: number}} screenEnd
+	 * @returns {string} Window mode for left-to-right drag, crossing otherwise.
+	 */
+	_getBoxMode(screenStart, screenEnd) {
+		return screenEnd.x >= screenStart.x ? SelectionMode.WINDOW : SelectionMode.CROSSING;
+	}
+
+	/**
+	 * @param {{x: number, y: number}[]} screenPoints
+	 * @returns {string} Window mode for clockwise lasso, crossing otherwise.
+	 */
+	_getLassoMode(screenPoints) {
+		let area = 0;
+		for (let i = 0, j = screenPoints.length - 1; i < screenPoints.length; j = i++) {
+			area += screenPoints[j].x * screenPoints[i].y - screenPoints[i].x * screenPoints[j].y;
+		}
+		// Screen Y axis points down, so positive area is clockwise on screen
+		return area >= 0 ? SelectionMode.WINDOW_LASSO : SelectionMode.CROSSING_LASSO;
+	}
+
+	/**
+	 * Handles selection logic after a drag operation.
+	 * @param {{x: number, y: number}[]} screenPolygon - Box corners or lasso points.
+	 * @param {string} mode - One of SelectionMode values.
 	 * @param {boolean} isMultiSelect
 	 */
-	_performBoxSelection(screenStart, screenEnd, isMultiSelect) {
-		const selectionBox3D = this._get3DSelectionBox(screenStart, screenEnd);
-		if (!selectionBox3D) return;
+	_performAreaSelection(screenPolygon, mode, isMultiSelect) {
+		if (screenPolygon.length < 3) return;
+
+		const isCrossing = mode === SelectionMode.CROSSING || mode === SelectionMode.CROSSING_LASSO;
+		let entitiesInArea;
+		if (this.entityPicker) {
+			const polygon = [];
+			for (const point of screenPolygon) {
+				const position = this._screenToWorld(point.x, point.y);
+				polygon.push(position.x, position.y);
+			}
+			entitiesInArea = new Set(
+				this.entityPicker.queryPolygon(polygon, isCrossing).map(({ handle }) => handle)
+			);
+		} else {
+			// Bounding box meshes are tested against the polygon bounding box
+			const xs = screenPolygon.map((p) => p.x);
+			const ys = screenPolygon.map((p) => p.y);
+			const selectionBox3D = this._get3DSelectionBox(
+				{ x: Math.min(...xs), y: Math.min(...ys) },
+				{ x: Math.max(...xs), y: Math.max(...ys) }
+			);
+			if (!selectionBox3D) return;
+			entitiesInArea = this._getMeshesInBox(selectionBox3D, isCrossing);
+		}
 
-		const entitiesInBox = new Set();
+		if (!isMultiSelect) {
+			// Replace selection
+			this.deselectAll();
+		}
+		// Add to selection (or toggle if needed, though area selection usually adds)
+		entitiesInArea.forEach((uuid) => this.select(uuid));
+	}
+
+	/**
+	 * Finds bounding box meshes enclosed by or intersecting the box.
+	 * @param {THREE.Box3} selectionBox3D
+	 * @param {boolean} [isCrossing=false] - Include meshes intersecting the box.
+	 * @returns {Set<string>} Entity UUIDs.
+	 */
+	_getMeshesInBox(selectionBox3D, isCrossing = false) {
+		const result = new Set();
 		for (const mesh of this.boundingBoxManager.boundingBoxMeshList) {
 			if (!mesh.visible && !this.materials?.default?.visible) continue; // Skip hidden meshes unless default is visible
 
 			const meshBox = new THREE.Box3().setFromObject(mesh);
 
-			// Choose selection mode: intersection or containment
-			// if (selectionBox3D.intersectsBox(meshBox)) { // Intersecting
-			if (selectionBox3D.containsBox(meshBox)) {
-				// Fully Contained
+			if (
+				isCrossing
+					? selectionBox3D.intersectsBox(meshBox)
+					: selectionBox3D.containsBox(meshBox)
+			) {
 				const entityUUID = mesh.userData?.entityUUID;
 				if (entityUUID) {
-					entitiesInBox.add(entityUUID);
+					result.add(entityUUID);
 				}
 			}
 		}
-
-		if (!isMultiSelect) {
-			// Replace selection
-			this.deselectAll();
-			entitiesInBox.forEach((uuid) => this.select(uuid));
-		} else {
-			// Add to selection (or toggle if needed, though box usually adds)
-			entitiesInBox.forEach((uuid) => this.select(uuid));
-		}
+		return result;
 	}
 
 	/**
@@ -251,6 +376,7 @@ export class Select extends BaseRaycaster {
 		if (!entityUUID || this.selectedEntities.has(entityUUID)) return;
 
 		this.selectedEntities.add(entityUUID);
+		this._ensureBoundingBox(entityUUID);
 		this.boundingBoxManager.setVisualState(entityUUID, { selected: true });
 	}
 
@@ -276,6 +402,11 @@ export class Select extends BaseRaycaster {
 
 	/** Selects all selectable entities. */
 	selectAll() {
+		if (this.entityPicker) {
+			const all = this.entityPicker.queryRect(-Infinity, -Infinity, Infinity, Infinity);
+			all.forEach(({ handle }) => this.select(handle));
+			return;
+		}
 		this.boundingBoxManager.boundingBoxMeshList.forEach((mesh) => {
 			const entityUUID = mesh.userData?.entityUUID;
 			if (entityUUID) {
@@ -301,8 +432,7 @@ export class Select extends BaseRaycaster {
 	 * @param {PointerEvent} event
 	 */
 	async _updateHover(event) {
-		const intersectedMesh = await this._getIntersectedObject(event);
-		const hoveredUUID = intersectedMesh?.userData?.entityUUID;
+		const hoveredUUID = await this._getPickedEntityUUID(event);
 
 		if (this.hoveredEntityUUID === hoveredUUID) {
 			return; // No change
@@ -318,12 +448,72 @@ export class Select extends BaseRaycaster {
 		// Set new hover (if any and not selected)
 		this.hoveredEntityUUID = hoveredUUID;
 		if (this.hoveredEntityUUID && !this.selectedEntities.has(this.hoveredEntityUUID)) {
+			this._ensureBoundingBox(this.hoveredEntityUUID);
 			this.boundingBoxManager.setVisualState(this.hoveredEntityUUID, { hovered: true });
 		}
 	}
 
+	/**
+	 * Replaces the entity picker, e.g. when another layout is activated.
+	 * @param {EntityPicker | null} entityPicker
+	 */
+	setEntityPicker(entityPicker) {
+		this.deselectAll();
+		this.hoveredEntityUUID = null;
+		this.entityPicker = entityPicker;
+	}
+
+	/**
+	 * Creates highlight bounding box for an entity picked by its geometry, if not yet exists.
+	 * @param {string} entityUUID
+	 */
+	_ensureBoundingBox(entityUUID) {
+		if (!this.entityPicker || this.boundingBoxManager.getMesh(entityUUID)) return;
+
+		const bounds = this.entityPicker.getEntityBounds(entityUUID);
+		if (bounds) {
+			this.boundingBoxManager.createBoundingBoxFromBounds(entityUUID, bounds);
+		}
+	}
+
 	// --- Raycasting & Box Calculation ---
 
+	/**
+	 * Picks an entity under the pointer. Uses the entity picker if available, raycasts the
+	 * bounding box meshes otherwise.
+	 * @param {PointerEvent} event
+	 * @returns {Promise<string | null>} Entity UUID (handle) if found.
+	 */
+	async _getPickedEntityUUID(event) {
+		if (!this.entityPicker) {
+			const intersectedMesh = await this._getIntersectedObject(event);
+			return intersectedMesh?.userData?.entityUUID ?? null;
+		}
+		if (!event.target) return null;
+
+		const rect = this.container.getBoundingClientRect();
+		const position = this._screenToWorld(event.clientX - rect.left, event.clientY - rect.top);
+		// World units per pixel for orthographic camera
+		const pixelSize =
+			(this.camera.right - this.camera.left) / this.camera.zoom / this.container.clientWidth;
+		const result = this.entityPicker.pick(position.x, position.y, this.pickTolerance * pixelSize);
+		return result?.handle ?? null;
+	}
+
+	/**
+	 * Converts container coordinates to world coordinates.
+	 * @param {number} x
+	 * @param {number} y
+	 * @returns {THREE.Vector3}
+	 */
+	_screenToWorld(x, y) {
+		return new THREE.Vector3(
+			(x / this.container.clientWidth) * 2 - 1,
+			-(y / this.container.clientHeight) * 2 + 1,
+			0
+		).unproject(this.camera);
+	}
+
 	/**
 	 * Performs raycast and returns the intersected bounding box mesh.
 	 * @param {PointerEvent} event
@@ -424,23 +614,25 @@ export class Select extends BaseRaycaster {
 		return box;
 	}
 
-	// --- Visual Selection Box (DOM) ---
+	// --- Visual Selection Shape (DOM) ---
 
 	/**
-	 * @param {{x: number, y: number}} start
-	 * @param {{x: number, y: number}} end
+	 * Draws selection box or lasso. Window modes have solid border and blue fill, crossing modes
+	 * have dashed border and green fill.
+	 * @param {{x: number, y: number}[]} points - Container coordinates.
+	 * @param {string} mode - One of SelectionMode values.
 	 */
-	_drawSelectionBox(start, end) {
+	_drawSelectionShape(points, mode) {
+		const SVG_NS = "http://www.w3.org/2000/svg";
 		if (!this._selectionBoxElement) {
-			this._selectionBoxElement = document.createElement("div");
+			this._selectionBoxElement = document.createElementNS(SVG_NS, "svg");
 			Object.assign(this._selectionBoxElement.style, {
 				position: "absolute", // Position relative to nearest positioned ancestor
-				border: "1px dashed #fff", // Dashed for distinction
 				pointerEvents: "none", // Don't interfere with underlying events
-				background: "rgba(100, 150, 255, 0.2)", // Light blue semi-transparent
-				zIndex: "1000", // Ensure visibility
-				boxSizing: "border-box" // Include border in width/height
+				overflow: "visible",
+				zIndex: "1000" // Ensure visibility
 			});
+			this._selectionBoxElement.appendChild(document.createElementNS(SVG_NS, "polygon"));
 			// Append to container's parent for better relative positioning
 			this.container.parentNode.appendChild(this._selectionBoxElement);
 		}
@@ -448,16 +640,24 @@ export class Select extends BaseRaycaster {
 		const rect = this.container.getBoundingClientRect();
 		const parentRect = this.container.parentNode.getBoundingClientRect();
 
-		// Calculate position relative to the parent node
-		const left = Math.min(start.x, end.x) + rect.left - parentRect.left;
-		const top = Math.min(start.y, end.y) + rect.top - parentRect.top;
-		const width = Math.abs(end.x - start.x);
-		const height = Math.abs(end.y - start.y);
+		// Overlay covers the container, so points are used as is
+		Object.assign(this._selectionBoxElement.style, {
+			left: `${rect.left - parentRect.left}px`,
+			top: `${rect.top - parentRect.top}px`,
+			width: `${rect.width}px`,
+			height: `${rect.height}px`
+		});
 
-		this._selectionBoxElement.style.left = `${left}px`;
-		this._selectionBoxElement.style.top = `${top}px`;
-		this._selectionBoxElement.style.width = `${width}px`;
-		this._selectionBoxElement.style.height = `${height}px`;
+		const isCrossing = mode === SelectionMode.CROSSING || mode === SelectionMode.CROSSING_LASSO;
+		const polygon = this._selectionBoxElement.firstChild;
+		polygon.setAttribute("points", points.map((p) => `${p.x},${p.y}`).join(" "));
+		polygon.setAttribute("stroke", "#fff");
+		polygon.setAttribute("stroke-width", "1");
+		polygon.setAttribute("stroke-dasharray", isCrossing ? "4 3" : "none");
+		polygon.setAttribute(
+			"fill",
+			isCrossing ? "rgba(100, 220, 120, 0.2)" : "rgba(100, 150, 255, 0.2)" // Green or light blue
+		);
 	}
 
 	_removeSelectionBox() {
@@ -479,3 +679,17 @@ export class Select extends BaseRaycaster {
 		// super.dispose?.();
 	}
 }
+
+/**
+ * @param {{x: number, y: number}} start
+ * @param {{x: number, y: number}} end
+ * @returns {{x: number, y: number}[]} Box corners.
+ */
+function RectPolygon(start, end) {
+	return [
+		{ x: start.x, y: start.y },
+		{ x: end.x, y: start.y },
+		{ x: end.x, y: end.y },
+		{ x: start.x, y: end.y }
+	];
+}